@@ -1,192 +1,217 @@
+// Command-line station reports from weighbridge exports (.xlsx, .csv/.tsv, .html), without a browser.
+// Files are read and normalized by the same code as the app's Upload page, so columns, dates, names and
+// revenue match what the Analytics views show.
+//
+//   node scripts/aggregate_html.js <file>... [options]
+//
+//   --from YYYY-MM-DD    first station day to include
+//   --to YYYY-MM-DD      last station day to include
+//   --site NAME          only rows weighed at this site
+//   --group NAME         only people assigned to this group (needs --people)
+//   --people FILE        the app's JSON export (Export → Database); gives groups, shifts and aliases
+//   --settings FILE      JSON with the app's settings ({ dates, revenue, names }); a plain revenue settings
+//                        object is accepted too
+//   --format FORMAT      json, csv, md or xlsx; defaults to the --out extension, else json
+//   --out FILE           write the report here instead of stdout (required for xlsx)
+//   --quiet              no summary on stderr
 const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
 
-const filePath = process.argv[2] || path.join(__dirname, '..', '30.06.2025 TO 31.07.2025.html');
+require('./register');
+const XLSX = require('xlsx');
+const { readSource, detectFileFormat, SUPPORTED_EXTENSIONS } = require('../src/sources');
+const { getSheetSummaries, parseWorkbook } = require('../src/excel');
+const { mergeRows } = require('../src/merge');
+const { DEFAULT_SETTINGS } = require('../src/settings');
+const { createNameResolver } = require('../src/names');
+const { createNameCheck } = require('../src/nameQuality');
+const { buildReport, reportToCsv, reportToMarkdown, reportToWorkbook } = require('../src/report');
+const { isEncryptedBackup } = require('../src/backupCrypto');
 
-function stripTags(s) {
-  return s.replace(/<[^>]+>/g, '').replace(/&nbsp;/g, ' ').trim();
+const FORMATS = ['json', 'csv', 'md', 'xlsx'];
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const USAGE = `Usage: node scripts/aggregate_html.js <file>... [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--site NAME]
+       [--group NAME] [--people export.json] [--settings settings.json] [--format ${FORMATS.join('|')}] [--out FILE] [--quiet]`;
+
+class UsageError extends Error {}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
 }
 
-function toNumber(s) {
-  if (!s) return 0;
-  const cleaned = stripTags(s).replace(/[,\s]/g, '');
-  if (cleaned === '' ) return 0;
-  const n = Number(cleaned);
-  if (Number.isFinite(n)) return n;
-  // try to extract digits
-  const m = cleaned.match(/-?[0-9]+(?:\.[0-9]+)?/);
-  return m ? Number(m[0]) : 0;
+// App settings with defaults for anything the file leaves out
+function loadSettingsFile(file) {
+  if (!file) return DEFAULT_SETTINGS;
+  const saved = readJson(file);
+  // Older invocations passed the revenue settings object on its own
+  const sections = Array.isArray(saved.columns) ? { revenue: saved } : saved;
+  return Object.fromEntries(
+    Object.entries(DEFAULT_SETTINGS).map(([section, defaults]) => [section, { ...defaults, ...(sections[section] || {}) }])
+  );
 }
 
-function inferShift(dateStr) {
-  if (!dateStr) return 'Unknown';
-  const d = new Date(dateStr);
-  if (isNaN(d)) return 'Unknown';
-  const h = d.getHours();
-  if (h >= 6 && h < 14) return 'Morning';
-  if (h >= 14 && h < 22) return 'Afternoon';
-  return 'Night';
+// People and aliases from the app's JSON export
+function loadPeopleFile(file) {
+  if (!file) return { people: [], aliases: [] };
+  const data = readJson(file);
+  if (isEncryptedBackup(data)) throw new UsageError(`${file} is an encrypted backup; export the database without a passphrase for --people`);
+  return { people: data.people || [], aliases: data.aliases || [] };
 }
 
-const html = fs.readFileSync(filePath, 'utf8');
+// A File-like object over a file on disk, as src/sources.js expects from the browser
+function fileFromDisk(filePath) {
+  const buffer = fs.readFileSync(filePath);
+  const arrayBuffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+  return { name: path.basename(filePath), size: buffer.byteLength, arrayBuffer: async () => arrayBuffer };
+}
 
-// get all rows
-const trRe = /<tr[\s\S]*?>[\s\S]*?<\/tr>/gi;
-const tdRe = /<td[^>]*>([\s\S]*?)<\/td>/gi;
+// Normalized rows of every sheet with rows in the file
+async function readRows(filePath, settings) {
+  if (!detectFileFormat(filePath)) {
+    throw new UsageError(`Unsupported file type: ${filePath} (expected ${SUPPORTED_EXTENSIONS.join(', ')})`);
+  }
+  const wb = await readSource(fileFromDisk(filePath));
+  const sheets = getSheetSummaries(wb).filter(sheet => sheet.rowCount > 0).map(sheet => sheet.name);
+  if (sheets.length === 0) return [];
+  return parseWorkbook(wb, { sheets, dateSettings: settings.dates, revenueSettings: settings.revenue });
+}
 
-const rows = html.match(trRe) || [];
-if (rows.length === 0) {
-  console.error('No <tr> rows found');
-  process.exit(1);
+// Rows of all files, merged by Id / Ticket SN like append uploads, so overlapping exports count once
+async function readAllRows(files, settings) {
+  let rows = [];
+  for (const file of files) {
+    rows = mergeRows(rows, await readRows(file, settings)).rows;
+  }
+  return rows;
 }
 
-// first row with header cells (xl65) usually has headers
-let headerRow = null;
-for (const r of rows) {
-  if (r.includes('xl65')) { headerRow = r; break; }
+function parseOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      site: { type: 'string' },
+      group: { type: 'string' },
+      people: { type: 'string' },
+      settings: { type: 'string' },
+      format: { type: 'string' },
+      out: { type: 'string' },
+      quiet: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  if (values.help) return { help: true };
+  if (positionals.length === 0) throw new UsageError('No input files given');
+  ['from', 'to'].forEach(name => {
+    if (values[name] && !DAY_RE.test(values[name])) throw new UsageError(`--${name} must be a date like 2025-06-30`);
+  });
+  if (values.group && !values.people) throw new UsageError('--group needs --people with the group assignments');
+
+  const extension = values.out ? path.extname(values.out).slice(1).toLowerCase() : '';
+  const format = (values.format || (FORMATS.includes(extension) ? extension : 'json')).toLowerCase();
+  if (!FORMATS.includes(format)) throw new UsageError(`--format must be one of ${FORMATS.join(', ')}`);
+  if (format === 'xlsx' && !values.out) throw new UsageError('xlsx reports need --out');
+
+  return { ...values, format, files: positionals };
 }
-if (!headerRow) headerRow = rows[0];
 
-const headers = [];
-let m;
-while ((m = tdRe.exec(headerRow)) !== null) {
-  headers.push(stripTags(m[1]));
+// Report over rows already read, with the filters, people and settings in `options`
+function reportFromRows(rows, options, files) {
+  const settings = loadSettingsFile(options.settings);
+  const { people, aliases } = loadPeopleFile(options.people);
+  const nameCheck = createNameCheck(settings.names);
+  const resolver = createNameResolver(people, aliases, name => !nameCheck(name));
+
+  return buildReport(rows, {
+    filters: { from: options.from, to: options.to, site: options.site, group: options.group },
+    people,
+    resolvePerson: resolver.resolve,
+    dateSettings: settings.dates,
+    revenueSettings: settings.revenue,
+    files: files.map(file => path.basename(file)),
+  });
 }
 
-if (headers.length === 0) {
-  console.error('No headers found');
-  process.exit(1);
+async function createReport(options) {
+  const rows = await readAllRows(options.files, loadSettingsFile(options.settings));
+  return reportFromRows(rows, options, options.files);
 }
 
-// find indexes
-function idxOfAny(names) {
-  for (const n of names) {
-    const i = headers.findIndex(h => h.toLowerCase().includes(n.toLowerCase()));
-    if (i >= 0) return i;
+function writeReport(report, { format, out }) {
+  if (format === 'xlsx') {
+    XLSX.writeFile(reportToWorkbook(report), out);
+    return;
   }
-  return -1;
+  const text = format === 'csv'
+    ? reportToCsv(report)
+    : format === 'md'
+      ? reportToMarkdown(report)
+      : `${JSON.stringify(report, null, 2)}\n`;
+  if (out) fs.writeFileSync(out, text);
+  else process.stdout.write(text);
 }
 
-const iWDate = idxOfAny(['W Date Time','w date time','date time','w date']);
-const iSite = idxOfAny(['Site Name','site name','site']);
-const iUser = idxOfAny(['User Full Name','user full name','user']);
-
-const idxAmountDue = idxOfAny(['Amount Due','amount due']);
-const idxGvmFine = idxOfAny(['GVM Fine','gvm fine']);
-const idxD1Fine = idxOfAny(['D1 Fine','d1 fine']);
-const idxD2Fine = idxOfAny(['D2 Fine','d2 fine']);
-const idxD3Fine = idxOfAny(['D3 Fine','d3 fine']);
-const idxD4Fine = idxOfAny(['D4 Fine','d4 fine']);
-const idxAwk = idxOfAny(['Awkward Load Fine','awkward load fine']);
-const idxAmtDriver = idxOfAny(['Amount Due Driver','amount due driver']);
-
-const aggregatesByPerson = {};
-const aggregatesBySite = {};
-const aggregatesByShift = {};
-let overallTotal = 0;
-let totalRows = 0;
-
-// process data rows (rows after headerRow)
-let started = false;
-for (const r of rows) {
-  if (!started) {
-    if (r === headerRow) { started = true; }
-    continue;
-  }
-  // skip if it's still header-like
-  // extract tds
-  const cells = [];
-  tdRe.lastIndex = 0;
-  while ((m = tdRe.exec(r)) !== null) {
-    cells.push(m[1]);
+// Short text summary on stderr, so stdout stays a clean report
+function printSummary(report) {
+  const lines = [
+    '=== Summary ===',
+    `Rows: ${report.metadata.rowsReported} of ${report.metadata.rowsRead}`,
+    `Revenue (${report.revenueFormula}): ${report.overallTotal.toFixed(2)}`,
+    '',
+    'Top 10 persons by revenue:',
+    ...report.byPerson.slice(0, 10).map((p, i) => `${i + 1}. ${p.key} — ${p.total.toFixed(2)} (${p.count} rows)`),
+    '',
+    'Sites:',
+    ...report.bySite.map(s => `${s.key} — ${s.total.toFixed(2)} (${s.count} rows)`),
+  ];
+  process.stderr.write(`${lines.join('\n')}\n`);
+}
+
+async function main(argv = process.argv.slice(2)) {
+  let options;
+  try {
+    options = parseOptions(argv);
+  } catch (error) {
+    console.error(`${error.message}\n${USAGE}`);
+    return 2;
   }
-  if (cells.length < 3) continue;
-
-  totalRows++;
-  const wDateRaw = cells[iWDate] ? stripTags(cells[iWDate]) : '';
-  // try to parse date formats like '6/30/2025 12:13:17 AM' into ISO
-  let parsedDate = new Date(wDateRaw);
-  if (isNaN(parsedDate)) {
-    // try Excel serial format inside x:num? already stripped so likely human readable
-    parsedDate = new Date(wDateRaw);
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
   }
 
-  const shift = inferShift(wDateRaw);
-  const site = cells[iSite] ? stripTags(cells[iSite]) : 'Unknown';
-  const user = cells[iUser] ? stripTags(cells[iUser]) : 'Unknown';
-
-  const amountDue = toNumber(cells[idxAmountDue]);
-  const gvmFine = toNumber(cells[idxGvmFine]);
-  const d1Fine = toNumber(cells[idxD1Fine]);
-  const d2Fine = toNumber(cells[idxD2Fine]);
-  const d3Fine = toNumber(cells[idxD3Fine]);
-  const d4Fine = toNumber(cells[idxD4Fine]);
-  const awkFine = toNumber(cells[idxAwk]);
-  const amtDriver = toNumber(cells[idxAmtDriver]);
-
-  const rowTotal = amountDue + gvmFine + d1Fine + d2Fine + d3Fine + d4Fine + awkFine + amtDriver;
-
-  overallTotal += rowTotal;
-
-  // person
-  const nameKey = user || 'Unknown';
-  if (!aggregatesByPerson[nameKey]) aggregatesByPerson[nameKey] = { total: 0, count: 0 };
-  aggregatesByPerson[nameKey].total += rowTotal;
-  aggregatesByPerson[nameKey].count += 1;
-
-  // site
-  const siteKey = site || 'Unknown';
-  if (!aggregatesBySite[siteKey]) aggregatesBySite[siteKey] = { total: 0, count: 0 };
-  aggregatesBySite[siteKey].total += rowTotal;
-  aggregatesBySite[siteKey].count += 1;
-
-  // shift
-  const shiftKey = shift || 'Unknown';
-  if (!aggregatesByShift[shiftKey]) aggregatesByShift[shiftKey] = { total: 0, count: 0 };
-  aggregatesByShift[shiftKey].total += rowTotal;
-  aggregatesByShift[shiftKey].count += 1;
-}
-
-// prepare output
-function sortObjDesc(obj) {
-  return Object.entries(obj).sort((a,b)=> b[1].total - a[1].total).map(([k,v])=> ({ key:k, total:v.total, count:v.count }));
+  try {
+    const report = await createReport(options);
+    writeReport(report, options);
+    if (!options.quiet) printSummary(report);
+    if (options.out) console.error(`Report written to ${options.out}`);
+    return 0;
+  } catch (error) {
+    console.error(error instanceof UsageError ? `${error.message}\n${USAGE}` : `Report failed: ${error.message}`);
+    return 1;
+  }
 }
 
-const out = {
-  metadata: {
-    rowsProcessed: totalRows,
-    headersCount: headers.length,
-    inferredIndexes: {
-      WDate: iWDate,
-      Site: iSite,
-      User: iUser,
-      AmountDue: idxAmountDue,
-      GVMFine: idxGvmFine,
-      D1Fine: idxD1Fine,
-      D2Fine: idxD2Fine,
-      D3Fine: idxD3Fine,
-      D4Fine: idxD4Fine,
-      AwkwardFine: idxAwk,
-      AmountDueDriver: idxAmtDriver
-    }
-  },
-  overallTotal,
-  byPerson: sortObjDesc(aggregatesByPerson),
-  bySite: sortObjDesc(aggregatesBySite),
-  byShift: sortObjDesc(aggregatesByShift)
+module.exports = {
+  FORMATS,
+  UsageError,
+  parseOptions,
+  readRows,
+  readAllRows,
+  reportFromRows,
+  createReport,
+  writeReport,
+  printSummary,
+  loadSettingsFile,
+  loadPeopleFile,
+  main,
 };
 
-console.log(JSON.stringify(out, null, 2));
-
-// also print a concise text summary
-console.log('\n=== Summary ===');
-console.log('Rows processed:', totalRows);
-console.log('Overall revenue total:', overallTotal.toFixed(2));
-console.log('\nTop 10 persons by revenue:');
-out.byPerson.slice(0,10).forEach((p,i)=> console.log(`${i+1}. ${p.key} — ${p.total.toFixed(2)} (${p.count} rows)`));
-console.log('\nTop sites:');
-out.bySite.slice(0,10).forEach((p,i)=> console.log(`${i+1}. ${p.key} — ${p.total.toFixed(2)} (${p.count} rows)`));
-console.log('\nRevenue by shift:');
-out.byShift.forEach(s=> console.log(`${s.key} — ${s.total.toFixed(2)} (${s.count} rows)`));
-
-process.exit(0);
+if (require.main === module) {
+  main().then(code => process.exit(code));
+}
@@ -0,0 +1,11 @@
+// Lets Node scripts require the app's ES modules in src/ (revenue definition, parsers, schema),
+// so the scripts and the browser app share one implementation.
+const path = require('path');
+
+require('@babel/register')({
+  babelrc: false,
+  configFile: false,
+  only: [path.join(__dirname, '..', 'src')],
+  // Resolved here so the scripts work from any working directory
+  plugins: [require.resolve('@babel/plugin-transform-modules-commonjs')],
+});
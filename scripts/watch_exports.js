@@ -0,0 +1,198 @@
+// Watch-folder ingestion: watches a directory for new weighbridge exports (.xlsx, .csv/.tsv, .html), adds the
+// rows of each new file to a local store file and rewrites the configured reports. Meant to run on the station
+// PC next to the folder the nightly export is dropped into, so nobody has to upload it by hand.
+//
+//   node scripts/watch_exports.js <dir> --out report.xlsx [--out report.md ...] [options]
+//
+//   --store FILE         JSON store of ingested files and rows; defaults to weighbridge-store.json in <dir>
+//   --out FILE           report to rewrite after each new export; repeatable, format from the extension
+//                        (json, csv, md or xlsx)
+//   --from, --to, --site, --group, --people, --settings
+//                        report filters and inputs, as for scripts/aggregate_html.js
+//   --once               ingest the files already in <dir>, write the reports and exit
+//   --quiet              no summary on stderr after each report
+//
+// Files already in the folder are ingested on start. A file whose content was ingested before is skipped,
+// and rows are merged by Id / Ticket SN, so overlapping exports count once (see src/ingest.js).
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const chokidar = require('chokidar');
+
+const {
+  FORMATS,
+  UsageError,
+  readRows,
+  reportFromRows,
+  writeReport,
+  printSummary,
+  loadSettingsFile,
+} = require('./aggregate_html');
+const { detectFileFormat } = require('../src/sources');
+const { createIngestStore, validateIngestStore, ingestFile } = require('../src/ingest');
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const STORE_NAME = 'weighbridge-store.json';
+
+const USAGE = `Usage: node scripts/watch_exports.js <dir> --out FILE [--out FILE ...] [--store FILE] [--from YYYY-MM-DD]
+       [--to YYYY-MM-DD] [--site NAME] [--group NAME] [--people export.json] [--settings settings.json] [--once] [--quiet]`;
+
+function parseOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      store: { type: 'string' },
+      out: { type: 'string', multiple: true, default: [] },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      site: { type: 'string' },
+      group: { type: 'string' },
+      people: { type: 'string' },
+      settings: { type: 'string' },
+      once: { type: 'boolean', default: false },
+      quiet: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  if (values.help) return { help: true };
+  if (positionals.length !== 1) throw new UsageError('Give exactly one folder to watch');
+  const dir = path.resolve(positionals[0]);
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) throw new UsageError(`Not a folder: ${positionals[0]}`);
+  ['from', 'to'].forEach(name => {
+    if (values[name] && !DAY_RE.test(values[name])) throw new UsageError(`--${name} must be a date like 2025-06-30`);
+  });
+  if (values.group && !values.people) throw new UsageError('--group needs --people with the group assignments');
+
+  const reports = values.out.map(out => {
+    const format = path.extname(out).slice(1).toLowerCase();
+    if (!FORMATS.includes(format)) throw new UsageError(`--out ${out}: extension must be one of ${FORMATS.join(', ')}`);
+    return { out: path.resolve(out), format };
+  });
+
+  return { ...values, dir, reports, store: path.resolve(values.store || path.join(dir, STORE_NAME)) };
+}
+
+function loadStore(file) {
+  if (!fs.existsSync(file)) return createIngestStore();
+  return validateIngestStore(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+// Write through a temporary file, so a crash mid-write cannot leave a truncated store behind
+function saveStore(file, store) {
+  const temp = `${file}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(store));
+  fs.renameSync(temp, file);
+}
+
+function hashFile(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+// Watches `options.dir` until stopped. Files are handled one at a time in arrival order; reports are
+// rewritten after each file that changed the store. Returns { ready, close }, where `ready` resolves once
+// the files already in the folder are ingested.
+function startWatcher(options, log = message => console.error(message)) {
+  const settings = loadSettingsFile(options.settings);
+  let store = loadStore(options.store);
+  let queue = Promise.resolve();
+
+  function writeReports() {
+    if (options.reports.length === 0) return;
+    const report = reportFromRows(store.rows, options, store.files.map(file => file.name));
+    options.reports.forEach(target => {
+      writeReport(report, target);
+      log(`Report written to ${target.out}`);
+    });
+    if (!options.quiet) printSummary(report);
+  }
+
+  async function ingest(filePath) {
+    const name = path.basename(filePath);
+    const stat = fs.statSync(filePath);
+    const hash = hashFile(filePath);
+    const previous = store.files.find(file => file.hash === hash);
+    if (previous) {
+      if (previous.name !== name) log(`${name}: same content as ${previous.name}, skipped`);
+      return false;
+    }
+
+    const rows = await readRows(filePath, settings);
+    const next = ingestFile(store, { name, hash, size: stat.size }, rows);
+    store = next.store;
+    saveStore(options.store, store);
+    const { added, updated, unchanged } = next.result;
+    log(`${name}: ${added} new, ${updated} updated, ${unchanged} already stored (${store.rows.length} rows in store)`);
+    return added + updated > 0;
+  }
+
+  function enqueue(filePath) {
+    queue = queue
+      .then(() => ingest(filePath))
+      .then(changed => changed && writeReports())
+      .catch(error => log(`Skipped ${path.basename(filePath)}: ${error.message}`));
+    return queue;
+  }
+
+  // Our own output may be written into the watched folder, and a .csv report there must not be read back
+  const outputs = new Set([options.store, ...options.reports.map(target => target.out)]);
+  const watcher = chokidar.watch(options.dir, {
+    depth: 0,
+    ignored: (file, stats) => outputs.has(path.resolve(file)) || Boolean(stats && stats.isFile() && !detectFileFormat(file)),
+    // The export is copied in while we watch; wait until its size settles before reading it
+    awaitWriteFinish: { stabilityThreshold: 2000, pollInterval: 200 },
+  });
+  watcher.on('add', enqueue);
+  watcher.on('change', enqueue);
+  watcher.on('error', error => log(`Watch error: ${error.message}`));
+
+  const ready = new Promise(resolve => watcher.on('ready', resolve))
+    .then(() => queue)
+    .then(() => {
+      // A report added since the store was filled by an earlier run is written now, not after the next export
+      if (options.reports.some(target => !fs.existsSync(target.out))) writeReports();
+    });
+
+  return { ready, close: () => watcher.close() };
+}
+
+async function main(argv = process.argv.slice(2)) {
+  let options;
+  try {
+    options = parseOptions(argv);
+  } catch (error) {
+    console.error(`${error.message}\n${USAGE}`);
+    return 2;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  let watcher;
+  try {
+    watcher = startWatcher(options);
+    await watcher.ready;
+  } catch (error) {
+    console.error(`Watch failed: ${error.message}`);
+    if (watcher) await watcher.close();
+    return 1;
+  }
+  if (options.once) {
+    await watcher.close();
+    return 0;
+  }
+
+  console.error(`Watching ${options.dir} for new exports (Ctrl+C to stop)`);
+  await new Promise(resolve => process.once('SIGINT', resolve));
+  await watcher.close();
+  return 0;
+}
+
+module.exports = { parseOptions, startWatcher, loadStore, saveStore, main };
+
+if (require.main === module) {
+  main().then(code => process.exit(code));
+}
@@ -0,0 +1,112 @@
+import db from '../database';
+import { auditEntry, auditLogToCsv, describeChanges, filterAuditEntries } from '../audit';
+import { loadSettings, saveSettings } from '../settings';
+
+const FDBFactory = require('fake-indexeddb/lib/FDBFactory');
+const FDBKeyRange = require('fake-indexeddb/lib/FDBKeyRange');
+
+global.indexedDB = new FDBFactory();
+global.IDBKeyRange = FDBKeyRange;
+
+const supervisor = { name: 'Mary Phiri', role: 'Supervisor' };
+
+// Entries added since the log held `count`, oldest first
+async function logSince(count) {
+  const entries = await db.getAuditLog();
+  return entries.slice(0, entries.length - count).reverse();
+}
+
+describe('Audit log', () => {
+  let count;
+
+  beforeEach(async () => {
+    if (db.db) {
+      db.db.close();
+    }
+    await db.init();
+    await db.clearAllData();
+    saveSettings({ ...loadSettings(), profile: supervisor });
+    count = (await db.getAuditLog()).length;
+  });
+
+  afterAll(() => localStorage.clear());
+
+  test('should record people changes with before and after values and the acting profile', async () => {
+    const [id] = await db.bulkAssign('group', { 'Best Simaundu': 'Team A' });
+    await db.updatePerson(id, { group: 'Team B' });
+    await db.bulkAssign('group', { 'Best Simaundu': 'Team B' });
+    await db.deletePerson(id);
+
+    const entries = await logSince(count);
+    expect(entries.map(entry => [entry.entity, entry.action, entry.label])).toEqual([
+      ['person', 'create', 'Best Simaundu'],
+      ['person', 'update', 'Best Simaundu'],
+      ['person', 'delete', 'Best Simaundu']
+    ]);
+    expect(entries[1]).toMatchObject({
+      entityId: id,
+      changes: ['group'],
+      before: { group: 'Team A' },
+      after: { group: 'Team B' },
+      actor: supervisor
+    });
+    expect(entries[2].after).toBeNull();
+  });
+
+  test('should record deleted groups and shifts and a cleared database', async () => {
+    const groupId = await db.addGroup('Team A');
+    const shiftId = await db.addShift('Night');
+    await db.addPerson('Peter Banda', 'Team A', 'Night');
+    await db.deleteGroup(groupId);
+    await db.deleteShift(shiftId);
+    await db.clearAllData();
+
+    const entries = await logSince(count);
+    expect(entries.map(entry => `${entry.entity} ${entry.action}`)).toEqual([
+      'group create', 'shift create', 'person create', 'group delete', 'shift delete', 'database clear'
+    ]);
+    expect(entries[3].before).toMatchObject({ id: groupId, name: 'Team A' });
+    expect(entries[5].before).toMatchObject({ people: 1, groups: 0, shifts: 0 });
+    // Clearing the database leaves the log
+    expect((await db.getAuditLog()).length).toBe(count + 6);
+  });
+
+  test('should log uploads without their rows', async () => {
+    const id = await db.saveExcelData([{ recordId: '1', person: 'Best Simaundu' }], { fileName: 'june.xlsx' });
+    await db.renameUpload(id, 'June.xlsx');
+
+    const entries = await logSince(count);
+    expect(entries.map(entry => `${entry.entity} ${entry.action} ${entry.label}`)).toEqual([
+      'upload create june.xlsx', 'upload update June.xlsx'
+    ]);
+    expect(entries[0].after).toMatchObject({ id, rowCount: 1 });
+    expect(entries[0].after.data).toBeUndefined();
+    expect(describeChanges(entries[1])).toBe('fileName: june.xlsx → June.xlsx');
+  });
+
+  test('should leave nothing in the log when the change is rolled back', async () => {
+    await db.addGroup('Team A');
+    await expect(db.addGroup('Team A')).rejects.toBeTruthy();
+
+    expect((await logSince(count)).map(entry => entry.action)).toEqual(['create']);
+  });
+
+  test('should search entries and export them as CSV', () => {
+    const entries = [
+      { id: 2, ...auditEntry({ entity: 'shift', action: 'delete', before: { id: 3, name: 'Night, late', site: '' } }, supervisor) },
+      { id: 1, ...auditEntry({ entity: 'person', action: 'update', before: { id: 1, name: 'Best Simaundu', group: '' }, after: { id: 1, name: 'Best Simaundu', group: 'Team A' } }, { name: 'John Tembo' }) }
+    ];
+
+    expect(filterAuditEntries(entries, { text: 'team a' }).map(entry => entry.id)).toEqual([1]);
+    expect(filterAuditEntries(entries, { text: 'phiri' }).map(entry => entry.id)).toEqual([2]);
+    expect(filterAuditEntries(entries, { entity: 'person', action: 'delete' })).toEqual([]);
+    const today = entries[0].timestamp.slice(0, 10);
+    expect(filterAuditEntries(entries, { from: today, to: today, timeZone: 'UTC' })).toHaveLength(2);
+    expect(filterAuditEntries(entries, { to: '2020-01-01' })).toEqual([]);
+
+    const lines = auditLogToCsv(entries).trim().split('\n');
+    expect(lines[0]).toBe('timestamp,user,role,entity,id,record,action,changes,before,after');
+    expect(lines[1]).toContain(',Mary Phiri,Supervisor,Shift,3,"Night, late",delete,"name: Night, late; site: (empty)",');
+    expect(lines[2]).toContain(',John Tembo,,Person,1,Best Simaundu,update,group: (empty) → Team A,');
+  });
+});
@@ -0,0 +1,84 @@
+import { BACKUP_FORMAT, createBackup, planRestore, readBackup } from '../backup';
+
+const current = {
+  people: [
+    { id: 1, name: 'Best Simaundu', nameKey: 'best simaundu', group: 'Team A', shift: '', site: '' },
+    { id: 2, name: 'Peter Banda', nameKey: 'peter banda', group: '', shift: '', site: '' }
+  ],
+  groups: [{ id: 1, name: 'Team A', site: '' }],
+  shifts: [],
+  mappingProfiles: [],
+  excelData: [{ id: 1, fileName: 'june.xlsx', uploadDate: '2025-07-01T00:00:00.000Z', active: 1, rowCount: 2, data: [] }],
+  aliases: []
+};
+
+const backup = {
+  people: [
+    { id: 1, name: 'Best Simaundu', nameKey: 'best simaundu', group: 'Team A', shift: '', site: '' },
+    { id: 2, name: 'Mary Phiri', nameKey: 'mary phiri', group: 'Team B', shift: '', site: '' },
+    { id: 3, name: 'peter banda', nameKey: 'peter banda', group: 'Team C', shift: '', site: '' }
+  ],
+  groups: [{ id: 4, name: 'Team B', site: '' }],
+  shifts: [],
+  mappingProfiles: [],
+  excelData: [
+    { id: 1, fileName: 'june.xlsx', uploadDate: '2025-07-01T00:00:00.000Z', active: 0, rowCount: 2, data: [] },
+    { id: 2, fileName: 'july.xlsx', uploadDate: '2025-08-01T00:00:00.000Z', active: 1, rowCount: 3, data: [] }
+  ],
+  aliases: [
+    { key: 'm. phiri', alias: 'M. Phiri', personId: 2 },
+    { key: 'p. banda', alias: 'P. Banda', personId: 3 }
+  ]
+};
+
+describe('Database backups', () => {
+  test('should read a backup and an export from before versioned backups', () => {
+    const file = JSON.parse(JSON.stringify(createBackup(backup, 9)));
+    expect(file.metadata).toMatchObject({ format: BACKUP_FORMAT, version: 2, schemaVersion: 9, counts: { people: 3, aliases: 2 } });
+    expect(readBackup(file, 9).stores.people).toEqual(backup.people);
+
+    const legacy = readBackup({ metadata: { version: '1.0' }, people: [{ id: 5, name: 'Jane  Mwale' }], excelData: current.excelData[0] }, 9);
+    expect(legacy.stores.people).toEqual([{ id: 5, name: 'Jane  Mwale', nameKey: 'jane mwale', group: '', shift: '', site: '' }]);
+    expect(legacy.stores.excelData).toHaveLength(1);
+
+    expect(() => readBackup({ rawData: [] }, 9)).toThrow('Not a database backup');
+    expect(() => readBackup(createBackup(backup, 10), 9)).toThrow('newer version');
+  });
+
+  test('should replace everything with the original ids', () => {
+    const plan = planRestore(current, backup, 'replace');
+
+    expect(plan.conflicts).toEqual([]);
+    expect(plan.summary.people).toMatchObject({ incoming: 3, existing: 2, added: 3, removed: 2 });
+    expect(plan.writes.people).toEqual(backup.people);
+    expect(plan.writes.excelData.map(upload => [upload.id, upload.active])).toEqual([[1, 0], [2, 1]]);
+    expect(plan.writes.aliases).toEqual(backup.aliases);
+  });
+
+  test('should merge without overwriting current records and list conflicts', () => {
+    const plan = planRestore(current, backup, 'merge');
+
+    // Best Simaundu is the same, Peter Banda differs, Mary Phiri is new but her id is taken
+    expect(plan.summary.people).toMatchObject({ added: 1, unchanged: 1, conflicts: 1, removed: 0 });
+    expect(plan.conflicts).toEqual([
+      expect.objectContaining({ store: 'people', label: 'Peter Banda', current: current.people[1], backup: backup.people[2] })
+    ]);
+    expect(plan.writes.people).toEqual([{ ...backup.people[1], id: 4 }]);
+    expect(plan.writes.groups).toEqual([{ id: 4, name: 'Team B', site: '' }]);
+
+    // The matching upload is kept as it is; the new one joins the history without becoming current
+    expect(plan.summary.excelData).toMatchObject({ added: 1, unchanged: 1, conflicts: 0 });
+    expect(plan.writes.excelData).toEqual([{ ...backup.excelData[1], active: 0 }]);
+
+    // Aliases follow their people to the ids they have in this database
+    expect(plan.writes.aliases.map(alias => [alias.key, alias.personId])).toEqual([['m. phiri', 4], ['p. banda', 2]]);
+  });
+
+  test('should keep the active uploads of a backup merged into an empty database', () => {
+    const empty = { people: [], groups: [], shifts: [], mappingProfiles: [], excelData: [], aliases: [] };
+    const plan = planRestore(empty, backup, 'merge');
+
+    expect(plan.writes.excelData.map(upload => upload.active)).toEqual([0, 1]);
+    expect(plan.writes.people.map(person => person.id)).toEqual([1, 2, 3]);
+  });
+});
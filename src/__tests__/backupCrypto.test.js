@@ -0,0 +1,39 @@
+import { createBackup } from '../backup';
+import { ENCRYPTED_BACKUP_FORMAT, decryptBackup, encryptBackup, isEncryptedBackup } from '../backupCrypto';
+
+const backup = createBackup({
+  people: [{ id: 1, name: 'Best Simaundu', nameKey: 'best simaundu', group: 'Team A', shift: '', site: '' }],
+  excelData: [{ id: 1, fileName: 'june.xlsx', uploadDate: '2025-07-01T00:00:00.000Z', active: 1, data: [{ recordId: '1', licenceId: 'LZ-4411' }] }]
+}, 9);
+
+// Few iterations keep the tests fast; exports use PBKDF2_ITERATIONS
+const options = { iterations: 1000 };
+
+describe('Encrypted backups', () => {
+  test('should round-trip a backup without leaving it readable in the file', async () => {
+    const file = JSON.parse(JSON.stringify(await encryptBackup(backup, 'correct horse', options)));
+
+    expect(isEncryptedBackup(file)).toBe(true);
+    expect(file).toMatchObject({ format: ENCRYPTED_BACKUP_FORMAT, version: 1, kdf: { name: 'PBKDF2', iterations: 1000 }, cipher: { name: 'AES-GCM' } });
+    expect(JSON.stringify(file)).not.toContain('Simaundu');
+    expect(await decryptBackup(file, 'correct horse')).toEqual(backup);
+  });
+
+  test('should reject a wrong passphrase and a changed file', async () => {
+    const file = await encryptBackup(backup, 'correct horse', options);
+    const wrong = 'Wrong passphrase, or the file has been changed since it was exported';
+
+    await expect(decryptBackup(file, 'correct horses')).rejects.toThrow(wrong);
+
+    const data = atob(file.data);
+    const flipped = data.slice(0, 10) + String.fromCharCode(data.charCodeAt(10) ^ 1) + data.slice(11);
+    await expect(decryptBackup({ ...file, data: btoa(flipped) }, 'correct horse')).rejects.toThrow(wrong);
+    // The header is authenticated too
+    await expect(decryptBackup({ ...file, encryptedAt: '2020-01-01T00:00:00.000Z' }, 'correct horse')).rejects.toThrow(wrong);
+    await expect(decryptBackup({ ...file, kdf: { ...file.kdf, iterations: 'many' } }, 'correct horse')).rejects.toThrow('Invalid encrypted backup');
+  });
+
+  test('should refuse short passphrases', async () => {
+    await expect(encryptBackup(backup, 'short', options)).rejects.toThrow('at least 8 characters');
+  });
+});
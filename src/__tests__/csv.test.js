@@ -0,0 +1,116 @@
+import * as XLSX from 'xlsx';
+import { detectDelimiter, detectDecimalSeparator, detectEncoding, parseDelimitedText, parseDelimitedBuffer, splitDelimited } from '../csv';
+import { readSource, detectFileFormat } from '../sources';
+import { parseWorkbook } from '../excel';
+
+function textFile(name, content) {
+  const bytes = typeof content === 'string' ? new Uint8Array(Buffer.from(content, 'utf8')) : content;
+  return {
+    name,
+    size: bytes.byteLength,
+    async arrayBuffer() {
+      return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    }
+  };
+}
+
+const CSV = [
+  'Id,W Date Time,Vehicle,User Full Name,Amount Due,GVM Fine,In Detention',
+  '533835,2025-06-30T00:13:17,AKB2902,Best Simaundu,120,120,FALSE',
+  '533836,2025-06-30T01:02:00,AJE9358,"Mutale, Arthur",1250.5,0,TRUE'
+].join('\r\n');
+
+describe('CSV parsing', () => {
+  test('should split quoted cells with delimiters, quotes and line breaks', () => {
+    const rows = splitDelimited('a,b\n"x, y","say ""hi""\nthere"\n\n', ',');
+
+    expect(rows).toEqual([['a', 'b'], ['x, y', 'say "hi"\nthere']]);
+  });
+
+  test('should detect comma, semicolon, tab and pipe delimiters', () => {
+    expect(detectDelimiter(CSV)).toBe(',');
+    expect(detectDelimiter('Id;Vehicle;Amount Due\n1;AKB2902;120,50')).toBe(';');
+    expect(detectDelimiter('Id\tVehicle\tAmount Due\n1\tAKB2902\t120')).toBe('\t');
+    expect(detectDelimiter('Id|Vehicle\n1|AKB2902')).toBe('|');
+  });
+
+  test('should detect the decimal separator from numeric cells', () => {
+    expect(detectDecimalSeparator([['120,50', '1.250,00', 'AKB2902']])).toBe(',');
+    expect(detectDecimalSeparator([['120.50', '1,250.00', '17860']])).toBe('.');
+    // "1,250" reads as a thousands separator, not a decimal comma
+    expect(detectDecimalSeparator([['1,250', '0.5']])).toBe('.');
+  });
+
+  test('should rewrite decimal-comma numbers and leave other text alone', () => {
+    const { records, delimiter, decimalSeparator } = parseDelimitedText(
+      'Vehicle;Amount Due;GVM Weight;W Date Time\nAKB2902;1.250,50;17.860;30.06.2025 00:13'
+    );
+
+    expect(delimiter).toBe(';');
+    expect(decimalSeparator).toBe(',');
+    expect(records).toEqual([
+      { 'Vehicle': 'AKB2902', 'Amount Due': '1250.50', 'GVM Weight': '17860', 'W Date Time': '30.06.2025 00:13' }
+    ]);
+  });
+
+  test('should name repeated headers like sheet_to_json', () => {
+    const { headers } = parseDelimitedText('Fine,Fine,Vehicle\n1,2,A');
+
+    expect(headers).toEqual(['Fine', 'Fine_1', 'Vehicle']);
+  });
+
+  test('should detect UTF-8, UTF-16 and Windows-1252 encodings', () => {
+    expect(detectEncoding(Buffer.from('Owner Name\nJosé', 'utf8'))).toBe('utf-8');
+    expect(detectEncoding(new Uint8Array([0xef, 0xbb, 0xbf, 0x41]))).toBe('utf-8');
+    expect(detectEncoding(new Uint8Array([0x4a, 0x6f, 0x73, 0xe9]))).toBe('windows-1252');
+
+    const utf16 = new Uint8Array([0xff, 0xfe, ...Buffer.from('Vehicle\nAKB2902', 'utf16le')]);
+    expect(detectEncoding(utf16)).toBe('utf-16le');
+    expect(parseDelimitedBuffer(utf16.buffer)).toMatchObject({ encoding: 'utf-16le', headers: ['Vehicle'] });
+
+    const latin1 = Buffer.from('Owner Name,Vehicle\nJos\xe9 Banda,AKB2902', 'latin1');
+    expect(parseDelimitedBuffer(latin1).records[0]['Owner Name']).toBe('José Banda');
+  });
+});
+
+describe('CSV uploads', () => {
+  test('should recognise supported file types', () => {
+    expect(detectFileFormat('export.XLSX')).toBe('excel');
+    expect(detectFileFormat('export.csv')).toBe('delimited');
+    expect(detectFileFormat('export.tsv')).toBe('delimited');
+    expect(detectFileFormat('export.pdf')).toBeNull();
+  });
+
+  test('should produce the same rows as the equivalent Excel file', async () => {
+    // The Excel export stores typed cells: numbers, booleans and date serials
+    const excelRecords = [
+      { 'Id': 533835, 'W Date Time': 45838.0092268171, 'Vehicle': 'AKB2902', 'User Full Name': 'Best Simaundu', 'Amount Due': 120, 'GVM Fine': 120, 'In Detention': false },
+      { 'Id': 533836, 'W Date Time': 45838.0430555556, 'Vehicle': 'AJE9358', 'User Full Name': 'Mutale, Arthur', 'Amount Due': 1250.5, 'GVM Fine': 0, 'In Detention': true }
+    ];
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(excelRecords), 'export');
+    const xlsxFile = textFile('export.xlsx', new Uint8Array(XLSX.write(wb, { type: 'array', bookType: 'xlsx' })));
+
+    const strip = rows => rows.map(({ _raw, ...row }) => row);
+    const csvRows = parseWorkbook(await readSource(textFile('export.csv', CSV)));
+    const xlsxRows = parseWorkbook(await readSource(xlsxFile));
+
+    expect(csvRows).toHaveLength(2);
+    expect(strip(csvRows)).toEqual(strip(xlsxRows));
+    expect(csvRows[1]).toMatchObject({
+      recordId: '533836',
+      date: '2025-06-30T01:02:00',
+      person: 'Mutale, Arthur',
+      amountDue: 1250.5,
+      impounded: true,
+      sheet: 'export'
+    });
+  });
+
+  test('should read .tsv files with tab delimiters', async () => {
+    const wb = await readSource(textFile('station.tsv', 'User Full Name\tVehicle\nBest Simaundu\tAKB2902'));
+    const rows = parseWorkbook(wb);
+
+    expect(rows[0]).toMatchObject({ person: 'Best Simaundu', truckId: 'AKB2902', sheet: 'station' });
+  });
+});
@@ -164,6 +164,19 @@ describe('WeighbridgeDB', () => {
     });
   });
 
+  describe('Site Scoping', () => {
+    test('should store the site of groups and shifts', async () => {
+      await db.addGroup('Chongwe Team', 'Chongwe-B');
+      await db.addGroup('Relief');
+      await db.addShift('Night', 'Kafue');
+
+      const groups = await db.getAllGroups();
+      expect(groups.map(group => [group.name, group.site])).toEqual([['Chongwe Team', 'Chongwe-B'], ['Relief', '']]);
+      const shifts = await db.getAllShifts();
+      expect(shifts[0].site).toBe('Kafue');
+    });
+  });
+
   describe('Shifts Management', () => {
     test('should add and retrieve shifts', async () => {
       await db.addShift('Morning');
@@ -218,6 +231,257 @@ describe('WeighbridgeDB', () => {
     });
   });
 
+  describe('Append Uploads', () => {
+    test('should merge overlapping uploads by Id and count new, updated and unchanged rows', async () => {
+      await db.saveExcelData([
+        { recordId: '1', ticketSn: 'A1', person: 'John Doe', amountDue: 100, totalRevenue: 100 },
+        { recordId: '2', ticketSn: 'A2', person: 'Jane Smith', amountDue: 50, totalRevenue: 50 }
+      ]);
+
+      const result = await db.appendExcelData([
+        { recordId: '2', ticketSn: 'A2', person: 'Jane Smith', amountDue: 50, totalRevenue: 50 },
+        { recordId: '1', ticketSn: 'A1', person: 'John Doe', amountDue: 120, totalRevenue: 120 },
+        { recordId: '3', ticketSn: 'A3', person: 'John Doe', amountDue: 10, totalRevenue: 10 }
+      ]);
+
+      expect(result).toMatchObject({ added: 1, updated: 1, unchanged: 1 });
+      expect(result.rows.map(r => r.recordId)).toEqual(['1', '2', '3']);
+
+      const latest = await db.getLatestExcelData();
+      expect(latest.rowCount).toBe(3);
+      expect(latest.totalRevenue).toBe(180);
+      expect(latest.mode).toBe('append');
+      expect(latest.merge).toEqual({ added: 1, updated: 1, unchanged: 1 });
+    });
+
+    test('should treat the first append as all new rows', async () => {
+      const result = await db.appendExcelData([{ recordId: '1', person: 'John Doe' }]);
+
+      expect(result).toMatchObject({ added: 1, updated: 0, unchanged: 0 });
+    });
+  });
+
+  describe('Upload History', () => {
+    test('should list uploads newest first without their rows', async () => {
+      await db.saveExcelData([{ recordId: '1', person: 'John Doe', totalRevenue: 100 }], { fileName: 'june.xlsx' });
+      await db.appendExcelData([{ recordId: '2', person: 'Jane Smith', totalRevenue: 50 }], { fileName: 'july.csv' });
+
+      const history = await db.getUploadHistory();
+
+      expect(history.map(u => [u.fileName, u.rowCount, u.totalRevenue, u.active])).toEqual([
+        ['july.csv', 2, 150, true],
+        ['june.xlsx', 1, 100, false]
+      ]);
+      expect(history[0].data).toBeUndefined();
+    });
+
+    test('should count upload revenue again with the given revenue settings', async () => {
+      await db.saveExcelData([{ recordId: '1', person: 'John Doe', amountDue: 100, amountDueDriver: 40, totalRevenue: 140 }]);
+
+      const history = await db.getUploadHistory({ columns: ['amountDue'] });
+
+      expect(history[0].totalRevenue).toBe(100);
+    });
+
+    test('should merge several activated uploads into the current dataset', async () => {
+      const juneId = await db.saveExcelData([{ recordId: '1', person: 'John Doe', amountDue: 100 }]);
+      const julyId = await db.saveExcelData([
+        { recordId: '1', person: 'John Doe', amountDue: 120 },
+        { recordId: '2', person: 'Jane Smith', amountDue: 50 }
+      ]);
+
+      const rows = await db.setActiveUploads([juneId, julyId]);
+
+      // The later upload wins for the same Id
+      expect(rows.map(r => [r.recordId, r.amountDue])).toEqual([['1', 120], ['2', 50]]);
+      const current = await db.getActiveExcelData();
+      expect(current.ids).toEqual([juneId, julyId]);
+      expect(current.data).toEqual(rows);
+    });
+
+    test('should append to the activated dataset and make the new upload the only active one', async () => {
+      const juneId = await db.saveExcelData([{ recordId: '1', person: 'John Doe' }]);
+      await db.saveExcelData([{ recordId: '2', person: 'Jane Smith' }]);
+      await db.setActiveUploads([juneId]);
+
+      const result = await db.appendExcelData([{ recordId: '3', person: 'John Doe' }]);
+
+      expect(result.rows.map(r => r.recordId)).toEqual(['1', '3']);
+      const current = await db.getActiveExcelData();
+      expect(current.ids).toEqual([result.id]);
+    });
+
+    test('should rename and delete uploads, falling back to the latest upload', async () => {
+      const juneId = await db.saveExcelData([{ recordId: '1', person: 'John Doe' }], { fileName: 'june.xlsx' });
+      const julyId = await db.saveExcelData([{ recordId: '2', person: 'Jane Smith' }], { fileName: 'july.xlsx' });
+
+      await db.renameUpload(juneId, 'June week 1');
+      await db.deleteUpload(julyId);
+
+      const history = await db.getUploadHistory();
+      expect(history.map(u => [u.id, u.fileName, u.active])).toEqual([[juneId, 'June week 1', false]]);
+      const current = await db.getActiveExcelData();
+      expect(current).toEqual({ ids: [juneId], data: [{ recordId: '1', person: 'John Doe' }] });
+    });
+  });
+
+  describe('Name Rules', () => {
+    test('should not store placeholder names as people', async () => {
+      expect(await db.addPersonIfNotExists('None', 'Team A', '')).toBeNull();
+      expect(await db.addPersonIfNotExists('  ', '', '')).toBeNull();
+
+      expect(await db.getAllPeople()).toHaveLength(0);
+    });
+  });
+
+  describe('Bulk People Operations', () => {
+    test('should create and update many people in one call', async () => {
+      const best = await db.addPerson('Best Simaundu', 'Team A', '');
+      await db.addAlias('B. Simaundu', best);
+
+      const ids = await db.bulkUpsertPeople([
+        { name: 'BEST  simaundu', shift: 'Morning' },
+        { name: 'Peter Banda', group: 'Team B' },
+        { name: 'None' },
+        { name: 'b. simaundu', group: '' },
+        { name: 'peter banda', site: 'Kafue' }
+      ]);
+
+      const people = await db.getAllPeople();
+      expect(people).toHaveLength(2);
+      const peter = people.find(person => person.name === 'Peter Banda');
+      expect(ids).toEqual([best, peter.id, null, best, peter.id]);
+      expect(people.find(person => person.id === best)).toMatchObject({ group: 'Team A', shift: 'Morning' });
+      expect(peter).toMatchObject({ group: 'Team B', shift: '', site: 'Kafue', nameKey: 'peter banda' });
+    });
+
+    test('should assign, clear and create people by name', async () => {
+      await db.addPerson('Best Simaundu', 'Team A', 'Night');
+      await db.addPerson('Peter Banda', 'Team B', '');
+
+      await db.bulkAssign('group', { 'best simaundu': 'Team C', 'Peter Banda': '', 'Mary Phiri': 'Team A', 'Jane Mwale': '' });
+
+      const people = await db.getAllPeople();
+      expect(people.map(person => [person.name, person.group, person.shift])).toEqual([
+        ['Best Simaundu', 'Team C', 'Night'],
+        ['Peter Banda', '', ''],
+        ['Mary Phiri', 'Team A', '']
+      ]);
+      await expect(db.bulkAssign('name', { 'Mary Phiri': 'Mary' })).rejects.toThrow('Cannot assign name');
+    });
+
+    test('should store nothing when one of the writes fails', async () => {
+      // A record whose name key does not match its name, so the upsert tries to add it again
+      await new Promise((resolve, reject) => {
+        const request = db.db.transaction(['people'], 'readwrite').objectStore('people')
+          .add({ name: 'Best Simaundu', nameKey: 'stale', group: '', shift: '' });
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+      });
+
+      await expect(db.bulkUpsertPeople([{ name: 'Peter Banda' }, { name: 'Best Simaundu' }])).rejects.toThrow();
+      expect((await db.getAllPeople()).map(person => person.name)).toEqual(['Best Simaundu']);
+    });
+  });
+
+  describe('Aliases', () => {
+    // Stores a person directly, independent of addPerson
+    function seedPerson(name) {
+      return new Promise((resolve, reject) => {
+        const request = db.db.transaction(['people'], 'readwrite').objectStore('people').add({ name, group: '', shift: '' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    test('should find a person by a spelling variant or an alias', async () => {
+      const id = await seedPerson('Best Simaundu');
+      await db.addAlias('B. Simaundu', id);
+
+      expect((await db.findPersonByName('  BEST   simaundu ')).id).toBe(id);
+      expect((await db.findPersonByName('b. simaundu')).id).toBe(id);
+      expect(await db.findPersonByName('Peter Banda')).toBeNull();
+    });
+
+    test('should reject an alias that already resolves to someone', async () => {
+      const best = await seedPerson('Best Simaundu');
+      const peter = await seedPerson('Peter Banda');
+      await db.addAlias('B. Simaundu', best);
+
+      await expect(db.addAlias('b. simaundu', peter)).rejects.toThrow();
+      await expect(db.addAlias('PETER BANDA', best)).rejects.toThrow();
+    });
+
+    test('should remove aliases with their person', async () => {
+      const best = await seedPerson('Best Simaundu');
+      const peter = await seedPerson('Peter Banda');
+      await db.addAlias('B. Simaundu', best);
+      await db.addAlias('P. Banda', peter);
+
+      await db.deletePerson(best);
+
+      const aliases = await db.getAllAliases();
+      expect(aliases.map(alias => alias.alias)).toEqual(['P. Banda']);
+    });
+
+    test('should merge people into one record and keep the other names as aliases', async () => {
+      const best = await seedPerson('Best Simaundu');
+      const duplicate = await seedPerson('Best Simaundo');
+      await db.updatePerson(duplicate, { group: 'Team A', shift: 'Night', site: 'Kafue' });
+      await db.addAlias('B. Simaundo', duplicate);
+
+      const kept = await db.mergePeople(best, [duplicate]);
+
+      expect(kept).toMatchObject({ id: best, name: 'Best Simaundu', group: 'Team A', shift: 'Night', site: 'Kafue' });
+      const people = await db.getAllPeople();
+      expect(people.map(person => person.id)).toEqual([best]);
+      const aliases = await db.getAllAliases();
+      expect(aliases.map(alias => [alias.alias, alias.personId]).sort()).toEqual([
+        ['B. Simaundo', best],
+        ['Best Simaundo', best]
+      ]);
+      expect((await db.findPersonByName('best simaundo')).id).toBe(best);
+    });
+  });
+
+  describe('Mapping Profiles', () => {
+    beforeEach(async () => {
+      // Profiles are settings, so clearAllData keeps them
+      const profiles = await db.getAllMappingProfiles();
+      for (const profile of profiles) {
+        await db.deleteMappingProfile(profile.id);
+      }
+    });
+
+    test('should save a profile and find it by header signature', async () => {
+      const mapping = { person: 'User Full Name', date: 'W Date Time' };
+      const id = await db.saveMappingProfile('Chongwe export', 'sig-a', mapping);
+      expect(id).toBeTruthy();
+
+      const profile = await db.findMappingProfileBySignature('sig-a');
+      expect(profile.name).toBe('Chongwe export');
+      expect(profile.mapping).toEqual(mapping);
+
+      expect(await db.findMappingProfileBySignature('sig-b')).toBeNull();
+    });
+
+    test('should replace a profile saved under the same name', async () => {
+      await db.saveMappingProfile('Chongwe export', 'sig-a', { date: 'W Date Time' });
+      await db.saveMappingProfile('Chongwe export', 'sig-a', { date: 'RW Date Time' });
+
+      const profiles = await db.getAllMappingProfiles();
+      expect(profiles).toHaveLength(1);
+      expect(profiles[0].mapping.date).toBe('RW Date Time');
+    });
+
+    test('should delete a profile', async () => {
+      const id = await db.saveMappingProfile('Old export', 'sig-a', {});
+      await db.deleteMappingProfile(id);
+
+      expect(await db.getAllMappingProfiles()).toHaveLength(0);
+    });
+  });
+
   describe('Data Import/Export', () => {
     test('should export all data', async () => {
       // Add test data
@@ -261,6 +525,47 @@ describe('WeighbridgeDB', () => {
       expect(groups).toHaveLength(2);
       expect(shifts).toHaveLength(2);
     });
+
+    test('should restore a backup with its ids, uploads and aliases', async () => {
+      const john = await db.addPerson('John Doe', 'Team A', 'Morning');
+      await db.addAlias('J. Doe', john);
+      await db.addGroup('Team A');
+      await db.saveExcelData([{ recordId: '1', person: 'John Doe', date: '2024-01-01' }], { fileName: 'jan.xlsx' });
+      await db.saveExcelData([{ recordId: '2', person: 'John Doe', date: '2024-02-01' }], { fileName: 'feb.xlsx' });
+      const backup = JSON.parse(JSON.stringify(await db.exportAllData()));
+      expect(backup.excelData).toHaveLength(2);
+
+      await db.clearAllData();
+      await db.addGroup('Team Z');
+      const preview = await db.previewImport(backup, 'replace');
+      expect(preview.summary.groups).toMatchObject({ incoming: 1, existing: 1, removed: 1 });
+
+      await db.importData(backup, { mode: 'replace' });
+      expect(await db.getAllPeople()).toEqual(backup.people);
+      expect(await db.getAllAliases()).toEqual(backup.aliases);
+      expect((await db.getAllGroups()).map(group => group.name)).toEqual(['Team A']);
+      expect((await db.getUploadHistory()).map(upload => upload.fileName)).toEqual(['feb.xlsx', 'jan.xlsx']);
+      expect((await db.getActiveExcelData()).data.map(row => row.recordId)).toEqual(['2']);
+      expect(await db.countWeighings()).toBe(1);
+
+      // Merging the same backup again changes nothing
+      const merged = await db.importData(backup);
+      expect(merged.conflicts).toEqual([]);
+      expect(Object.values(merged.summary).every(counts => counts.added === 0)).toBe(true);
+      expect(await db.getAllPeople()).toEqual(backup.people);
+    });
+
+    test('should keep current records when merging a backup that differs', async () => {
+      await db.addPerson('John Doe', 'Team A', '');
+      const backup = JSON.parse(JSON.stringify(await db.exportAllData()));
+      backup.people[0].group = 'Team B';
+
+      const result = await db.importData(backup, { mode: 'merge' });
+
+      expect(result.conflicts.map(conflict => [conflict.label, conflict.backup.group])).toEqual([['John Doe', 'Team B']]);
+      expect((await db.getAllPeople())[0].group).toBe('Team A');
+      await expect(db.importData({ rawData: [] })).rejects.toThrow('Not a database backup');
+    });
   });
 
   describe('Database Integration with Excel Processing', () => {
@@ -0,0 +1,109 @@
+import { parseDate, detectDateOrder, formatInTimeZone, toDayKey, toMonthKey, toHour, formatMonthKey } from '../dates';
+import { buildHeaderMap, normalizeRecord, sheetDateSettings } from '../schema';
+import { parseWorkbook, workbookFromRecords } from '../excel';
+
+const value = (input, settings) => parseDate(input, settings).value;
+
+describe('Date parsing', () => {
+  test('should read Excel serials as station wall-clock time', () => {
+    expect(value(45838.0092268171)).toBe('2025-06-30T00:13:17');
+    expect(value(45838)).toBe('2025-06-30');
+  });
+
+  test('should keep ISO wall-clock strings and convert instants to the station timezone', () => {
+    expect(value('2025-06-30')).toBe('2025-06-30');
+    expect(value('2025-06-30 7:05')).toBe('2025-06-30T07:05:00');
+    expect(value('2025-06-30T22:30:00Z')).toBe('2025-07-01T00:30:00');
+    expect(value('2025-06-30T22:30:00Z', { timeZone: 'UTC' })).toBe('2025-06-30T22:30:00');
+    expect(value(new Date('2025-06-30T22:30:00Z'))).toBe('2025-07-01T00:30:00');
+  });
+
+  test('should read the 12-hour export format', () => {
+    expect(value('6/30/2025 12:13:17 AM')).toBe('2025-06-30T00:13:17');
+    expect(value('6/30/2025 12:13:17 PM')).toBe('2025-06-30T12:13:17');
+    expect(value('6/30/2025 1:05 pm')).toBe('2025-06-30T13:05:00');
+  });
+
+  test('should resolve day/month order from values that only fit one way', () => {
+    expect(parseDate('30/06/2025')).toEqual({ value: '2025-06-30', ambiguous: false });
+    expect(parseDate('06/30/2025')).toEqual({ value: '2025-06-30', ambiguous: false });
+    expect(parseDate('30.06.2025 14:00')).toEqual({ value: '2025-06-30T14:00:00', ambiguous: false });
+    expect(value('2025/06/30')).toBe('2025-06-30');
+  });
+
+  test('should flag ambiguous day/month values and read them day first', () => {
+    expect(parseDate('05/06/2025')).toEqual({ value: '2025-06-05', ambiguous: true });
+    // Same day and month read the same either way
+    expect(parseDate('06/06/2025')).toEqual({ value: '2025-06-06', ambiguous: false });
+  });
+
+  test('should follow the configured input format', () => {
+    expect(parseDate('05/06/2025', { inputFormat: 'MDY' })).toEqual({ value: '2025-05-06', ambiguous: false });
+    expect(parseDate('05/06/2025', { inputFormat: 'DMY' })).toEqual({ value: '2025-06-05', ambiguous: false });
+    expect(value('06/30/2025', { inputFormat: 'DMY' })).toBe('');
+  });
+
+  test('should use the order detected for the whole column', () => {
+    expect(detectDateOrder(['05/06/2025', '6/30/2025 1:00 AM', 45838])).toBe('MDY');
+    expect(detectDateOrder(['05/06/2025', '30/06/2025'])).toBe('DMY');
+    expect(detectDateOrder(['05/06/2025', '2025-06-30'])).toBeNull();
+    expect(parseDate('05/06/2025', { detectedOrder: 'MDY' })).toEqual({ value: '2025-05-06', ambiguous: false });
+  });
+
+  test('should reject values that are not dates', () => {
+    expect(value('31/02/2025')).toBe('');
+    expect(value('2025-13-01')).toBe('');
+    expect(value('not a date')).toBe('');
+    expect(value('13:00')).toBe('');
+    expect(value(NaN)).toBe('');
+  });
+
+  test('should read dates with month names', () => {
+    expect(value('30 Jun 2025')).toBe('2025-06-30');
+    expect(value('Jun 30, 2025 10:15')).toBe('2025-06-30T10:15:00');
+    expect(value('30-June-2025 10:15 PM')).toBe('2025-06-30T22:15:00');
+    expect(value('30 Jux 2025')).toBe('');
+  });
+
+  test('should convert month-name dates with an offset to the station timezone', () => {
+    expect(value('Mon Jun 30 2025 22:30:00 GMT+0000 (Coordinated Universal Time)')).toBe('2025-07-01T00:30:00');
+    expect(value('30 Jun 2025 22:30:00 UTC', { timeZone: 'America/New_York' })).toBe('2025-06-30T18:30:00');
+    expect(value('Jun 30, 2025 10:15 +02:00', { timeZone: 'UTC' })).toBe('2025-06-30T08:15:00');
+  });
+
+  test('should derive day, month and hour keys for analytics', () => {
+    expect(toDayKey('2025-06-30T23:59:00')).toBe('2025-06-30');
+    expect(toDayKey('6/30/2025 11:59:00 PM')).toBe('2025-06-30');
+    expect(toDayKey('')).toBe('');
+    expect(toMonthKey(45838.99)).toBe('2025-06');
+    expect(toHour('2025-06-30T23:59:00')).toBe(23);
+    expect(toHour('2025-06-30')).toBeNull();
+    expect(formatMonthKey('2025-06')).toBe('Jun 2025');
+  });
+
+  test('should format instants in a timezone', () => {
+    expect(formatInTimeZone(new Date('2025-01-01T00:00:00Z'), 'Africa/Lusaka')).toBe('2025-01-01T02:00:00');
+    expect(formatInTimeZone(new Date('2025-01-01T00:00:00Z'), 'Africa/Lusaka', false)).toBe('2025-01-01');
+  });
+});
+
+describe('Dates in uploads', () => {
+  test('should detect the day/month order per sheet', () => {
+    const records = [{ 'W Date Time': '05/06/2025 10:00' }, { 'W Date Time': '06/30/2025 09:00' }];
+    const headerMap = buildHeaderMap(['W Date Time']);
+
+    expect(sheetDateSettings(records, headerMap)).toMatchObject({ detectedOrder: 'MDY', timeZone: 'Africa/Lusaka' });
+    expect(sheetDateSettings(records, headerMap, { inputFormat: 'DMY' })).not.toHaveProperty('detectedOrder');
+
+    const wb = workbookFromRecords([{ name: 'Export', records }]);
+    expect(parseWorkbook(wb).map(r => r.date)).toEqual(['2025-05-06T10:00:00', '2025-06-30T09:00:00']);
+  });
+
+  test('should keep ambiguous values on the row for validation', () => {
+    const record = { 'W Date Time': '05/06/2025' };
+    const row = normalizeRecord(record, buildHeaderMap(Object.keys(record)));
+
+    expect(row.date).toBe('2025-06-05');
+    expect(row._ambiguous).toEqual({ date: '05/06/2025' });
+  });
+});
@@ -0,0 +1,39 @@
+import { nameSimilarity, findDuplicatePeople } from '../duplicates';
+
+describe('Duplicate people', () => {
+  test('should score spelling variants, initials and swapped names as similar', () => {
+    expect(nameSimilarity('Best Simaundu', 'best  simaundu')).toBe(1);
+    expect(nameSimilarity('Chisenga Mulenga', 'Mulenga Chisenga')).toBe(1);
+    expect(nameSimilarity('Best Simaundu', 'B. Simaundu')).toBeGreaterThanOrEqual(0.9);
+    expect(nameSimilarity('Best Simaundu', 'Best Simaundo')).toBeGreaterThan(0.9);
+    expect(nameSimilarity('Best Simaundu', 'Peter Banda')).toBeLessThan(0.5);
+  });
+
+  test('should rank pairs that share site and hours above pairs that do not', () => {
+    const people = [
+      { id: 1, name: 'Best Simaundu' },
+      { id: 2, name: 'Best Simaundo' },
+      { id: 3, name: 'Peter Banda' },
+      { id: 4, name: 'Peter Bandaa' }
+    ];
+    const rows = [
+      { person: 'Best Simaundu', siteName: 'Chongwe', scaleName: 'WIM 1', date: '2024-06-01T08:15:00' },
+      { person: 'Best Simaundo', siteName: 'Chongwe', scaleName: 'WIM 1', date: '2024-06-02T08:40:00' },
+      { person: 'Peter Banda', siteName: 'Chongwe', scaleName: 'WIM 1', date: '2024-06-01T08:15:00' },
+      { person: 'Peter Bandaa', siteName: 'Kafue', scaleName: 'Static', date: '2024-06-01T22:00:00' }
+    ];
+
+    const pairs = findDuplicatePeople(people, rows);
+
+    expect(pairs.map(p => p.people.map(person => person.id))).toEqual([[1, 2], [3, 4]]);
+    expect(pairs[0].activityScore).toBe(1);
+    expect(pairs[0].reasons).toContain('Weighs at the same site and scale');
+    expect(pairs[1].activityScore).toBe(0);
+  });
+
+  test('should leave out dissimilar names', () => {
+    const people = [{ id: 1, name: 'Best Simaundu' }, { id: 2, name: 'Peter Banda' }];
+
+    expect(findDuplicatePeople(people)).toEqual([]);
+  });
+});
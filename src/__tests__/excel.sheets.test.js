@@ -0,0 +1,68 @@
+import * as XLSX from 'xlsx';
+import { parseExcelFile, readWorkbook, getSheetSummaries, parseWorkbook } from '../excel';
+
+// Build a real workbook in memory so multi-sheet handling runs against the actual xlsx reader
+function buildWorkbookFile(sheets, name = 'test.xlsx') {
+  const wb = XLSX.utils.book_new();
+  Object.entries(sheets).forEach(([sheetName, rows]) => {
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows), sheetName);
+  });
+  const buffer = XLSX.write(wb, { type: 'array', bookType: 'xlsx' });
+  return {
+    name,
+    async arrayBuffer() {
+      return buffer;
+    }
+  };
+}
+
+const chongweRows = [
+  { 'User Full Name': 'Best Simaundu', 'In Detention': 'No', 'Date': '2025-06-30', 'Vehicle': 'AKB2902' },
+  { 'User Full Name': 'Arthur Mutale', 'In Detention': 'Yes', 'Date': '2025-06-30', 'Vehicle': 'AJE9358' }
+];
+const lusakaRows = [
+  { 'Operator': 'David Mwape', 'Truck': 'BAC1234', 'Amount Due': 150 }
+];
+
+describe('Multi-sheet workbooks', () => {
+  test('should summarize every sheet with row counts and headers', async () => {
+    const file = buildWorkbookFile({ Chongwe: chongweRows, Lusaka: lusakaRows, Notes: [] });
+    const wb = await readWorkbook(file);
+    const summaries = getSheetSummaries(wb);
+
+    expect(summaries.map(s => s.name)).toEqual(['Chongwe', 'Lusaka', 'Notes']);
+    expect(summaries[0].rowCount).toBe(2);
+    expect(summaries[0].headers).toEqual(['User Full Name', 'In Detention', 'Date', 'Vehicle']);
+    expect(summaries[1].rowCount).toBe(1);
+    expect(summaries[2].rowCount).toBe(0);
+    expect(summaries[2].headers).toEqual([]);
+  });
+
+  test('should only parse the first sheet by default', async () => {
+    const file = buildWorkbookFile({ Chongwe: chongweRows, Lusaka: lusakaRows });
+    const rows = await parseExcelFile(file);
+
+    expect(rows).toHaveLength(2);
+    expect(rows.every(r => r.sheet === 'Chongwe')).toBe(true);
+  });
+
+  test('should parse the selected sheets and tag rows with their sheet', async () => {
+    const file = buildWorkbookFile({ Chongwe: chongweRows, Lusaka: lusakaRows });
+    const rows = await parseExcelFile(file, { sheets: ['Chongwe', 'Lusaka'] });
+
+    expect(rows).toHaveLength(3);
+    expect(rows[0]).toMatchObject({ person: 'Best Simaundu', truckId: 'AKB2902', sheet: 'Chongwe' });
+    expect(rows[1]).toMatchObject({ person: 'Arthur Mutale', impounded: true, sheet: 'Chongwe' });
+    // Headers are mapped per sheet
+    expect(rows[2]).toMatchObject({ person: 'David Mwape', truckId: 'BAC1234', amountDue: 150, sheet: 'Lusaka' });
+  });
+
+  test('should ignore sheet names that are not in the workbook', async () => {
+    const file = buildWorkbookFile({ Chongwe: chongweRows, Lusaka: lusakaRows });
+    const wb = await readWorkbook(file);
+    const rows = parseWorkbook(wb, { sheets: ['Lusaka', 'Missing'] });
+
+    expect(rows).toHaveLength(1);
+    expect(rows[0].sheet).toBe('Lusaka');
+  });
+});
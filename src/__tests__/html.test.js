@@ -0,0 +1,100 @@
+import { parseHtmlTable, parseHtmlBuffer, stripTags } from '../html';
+import { readSource } from '../sources';
+import { parseWorkbook } from '../excel';
+
+// Trimmed copy of an Excel "Web Page" export: a title row, the xl65 header row, then data rows
+const EXPORT_HTML = `<html xmlns:x="urn:schemas-microsoft-com:office:excel">
+<head><meta http-equiv=Content-Type content="text/html; charset=windows-1252"></head>
+<body><table>
+ <tr><td colspan=3 class=xl63>WEIGHBRIDGE LIST</td></tr>
+ <tr height=20>
+  <td class=xl65>Id</td><td class=xl65>W Date Time</td><td class=xl65>Site Name</td>
+  <td class=xl65>Vehicle</td><td class=xl65>Owner Name</td><td class=xl65>User Full Name</td>
+  <td class=xl65>Amount Due</td><td class=xl65>GVM Fine</td><td class=xl65>In Detention</td>
+ </tr>
+ <tr height=20>
+  <td class=xl66 x:num>533835</td><td class=xl67 x:num="45838.0092268171">6/30/2025 12:13:17 AM</td><td>Chongwe-B</td>
+  <td>AKB2902</td><td>JOS&Eacute; BANDA &amp; SONS</td><td>Best&nbsp;Simaundu</td>
+  <td x:num>1,250.50</td><td x:num>120</td><td>False</td>
+ </tr>
+ <tr height=20>
+  <td x:num>533836</td><td x:num="45838.5">6/30/2025 12:00:00 PM</td><td>Chongwe-B</td>
+  <td>AJE9358</td><td><b>ARTHUR</b> MUTALE</td><td>Arthur Mutale</td>
+  <td x:num>0</td><td x:num>0</td><td>True</td>
+ </tr>
+ <tr><td></td></tr>
+</table></body></html>`;
+
+function htmlFile(name, bytes) {
+  return {
+    name,
+    size: bytes.byteLength,
+    async arrayBuffer() {
+      return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    }
+  };
+}
+
+describe('HTML exports', () => {
+  test('should strip tags and decode entities in cells', () => {
+    expect(stripTags('<b>A</b>&nbsp;&amp;&#160;B &#x41;')).toBe('A & B A');
+  });
+
+  test('should read headers from the xl65 row and skip short rows', () => {
+    const { headers, records } = parseHtmlTable(EXPORT_HTML);
+
+    expect(headers).toEqual([
+      'Id', 'W Date Time', 'Site Name', 'Vehicle', 'Owner Name', 'User Full Name', 'Amount Due', 'GVM Fine', 'In Detention'
+    ]);
+    expect(records).toHaveLength(2);
+    expect(records[0]).toMatchObject({
+      'Id': '533835',
+      // The date serial from x:num wins over the displayed text
+      'W Date Time': 45838.0092268171,
+      'User Full Name': 'Best Simaundu',
+      'Amount Due': '1,250.50'
+    });
+    expect(records[1]['Owner Name']).toBe('ARTHUR MUTALE');
+  });
+
+  test('should fall back to the first row when there is no xl65 row', () => {
+    const { headers, records } = parseHtmlTable(
+      '<table><tr><td>Vehicle</td><td>Amount Due</td><td>Operator</td></tr><tr><td>AKB2902</td><td>120</td><td>Best</td></tr></table>'
+    );
+
+    expect(headers).toEqual(['Vehicle', 'Amount Due', 'Operator']);
+    expect(records).toEqual([{ 'Vehicle': 'AKB2902', 'Amount Due': '120', 'Operator': 'Best' }]);
+  });
+
+  test('should reject files without a table', () => {
+    expect(() => parseHtmlTable('<html><body>No data</body></html>')).toThrow('No table rows found');
+  });
+
+  test('should decode with the charset declared by the page', () => {
+    const bytes = Buffer.from(EXPORT_HTML.replace('JOS&Eacute;', 'JOS\xc9'), 'latin1');
+    const { encoding, records } = parseHtmlBuffer(bytes);
+
+    expect(encoding).toBe('windows-1252');
+    expect(records[0]['Owner Name']).toBe('JOSÉ BANDA & SONS');
+  });
+
+  test('should normalize .htm uploads into the shared row model', async () => {
+    const wb = await readSource(htmlFile('30.06.2025 TO 31.07.2025.htm', Buffer.from(EXPORT_HTML, 'utf8')));
+    const rows = parseWorkbook(wb);
+
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toMatchObject({
+      recordId: '533835',
+      date: '2025-06-30T00:13:17',
+      siteName: 'Chongwe-B',
+      truckId: 'AKB2902',
+      person: 'Best Simaundu',
+      amountDue: 1250.5,
+      gvmFine: 120,
+      impounded: false,
+      sheet: '30.06.2025 TO 31.07.2025'
+    });
+    expect(rows[0].totalRevenue).toBe(1250.5);
+    expect(rows[1]).toMatchObject({ date: '2025-06-30T12:00:00', impounded: true });
+  });
+});
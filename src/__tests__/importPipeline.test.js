@@ -0,0 +1,132 @@
+import * as XLSX from 'xlsx';
+import db from '../database';
+import { createParserSession } from '../parserClient';
+import { prepareFileUnattended, previewBatch, saveUploadRows } from '../importPipeline';
+import { createNameResolver } from '../names';
+
+const FDBFactory = require('fake-indexeddb/lib/FDBFactory');
+const FDBKeyRange = require('fake-indexeddb/lib/FDBKeyRange');
+
+global.indexedDB = new FDBFactory();
+global.IDBKeyRange = FDBKeyRange;
+
+function fileFrom(name, buffer) {
+  return {
+    name,
+    size: buffer.byteLength,
+    async arrayBuffer() {
+      return buffer;
+    }
+  };
+}
+
+function workbookFile(name, rows) {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows), 'WLISTrdlc');
+  return fileFrom(name, XLSX.write(wb, { type: 'array', bookType: 'xlsx' }));
+}
+
+function csvFile(name, text) {
+  const bytes = Buffer.from(text, 'utf-8');
+  return fileFrom(name, bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+}
+
+function prepareFile(file) {
+  const session = createParserSession();
+  return prepareFileUnattended(file, { db, session }).finally(() => session.dispose());
+}
+
+async function importFile(file, mode) {
+  const prepared = await prepareFile(file);
+  return { ...prepared, ...(await saveUploadRows(db, prepared.importable, mode, { fileName: file.name })) };
+}
+
+describe('Unattended import', () => {
+  beforeEach(async () => {
+    if (db.db) {
+      db.db.close();
+      db.db = null;
+    }
+    await db.init();
+    await db.clearAllData();
+  });
+
+  afterEach(() => {
+    if (db.db) {
+      db.db.close();
+      db.db = null;
+    }
+  });
+
+  test('should import a workbook and skip rows with errors', async () => {
+    const file = workbookFile('june.xlsx', [
+      { 'Id': 1, 'Date': '01/06/2025', 'User Full Name': 'John Doe', 'Vehicle': 'AKB1001', 'Amount Due': 100 },
+      { 'Id': 2, 'Date': '02/06/2025', 'User Full Name': 'Jane Smith', 'Vehicle': 'AKB1002', 'Amount Due': 200 },
+      { 'Id': 3, 'Date': '03/06/2025', 'User Full Name': '', 'Vehicle': 'AKB1003', 'Amount Due': 300 }
+    ]);
+
+    const result = await importFile(file, 'replace');
+
+    expect(result.rows).toHaveLength(3);
+    expect(result.importable).toHaveLength(2);
+    expect(result.validation.summary.errorRows).toBe(1);
+    expect(result.dataset.map(row => row.recordId)).toEqual(['1', '2']);
+
+    const stored = await db.getLatestExcelData();
+    expect(stored.data).toHaveLength(2);
+  });
+
+  test('should append each later file in a batch to the stored dataset', async () => {
+    await importFile(workbookFile('june.xlsx', [
+      { 'Id': 1, 'Date': '01/06/2025', 'User Full Name': 'John Doe', 'Vehicle': 'AKB1001', 'Amount Due': 100 },
+      { 'Id': 2, 'Date': '02/06/2025', 'User Full Name': 'Jane Smith', 'Vehicle': 'AKB1002', 'Amount Due': 200 }
+    ]), 'replace');
+
+    const result = await importFile(csvFile('july.csv', [
+      'Id,Date,User Full Name,Vehicle,Amount Due',
+      '2,02/06/2025,Jane Smith,AKB1002,250',
+      '3,01/07/2025,John Doe,AKB1003,300'
+    ].join('\n')), 'append');
+
+    expect(result.importable).toHaveLength(2);
+    expect(result).toMatchObject({ added: 1, updated: 1, unchanged: 0 });
+    expect(result.dataset).toHaveLength(3);
+    expect(result.dataset.find(row => row.recordId === '2').amountDue).toBe(250);
+  });
+
+  test('should preview a batch without writing it', async () => {
+    await importFile(workbookFile('june.xlsx', [
+      { 'Id': 1, 'Date': '01/06/2025', 'User Full Name': 'John Doe', 'Vehicle': 'AKB1001', 'Amount Due': 100 },
+      { 'Id': 2, 'Date': '02/06/2025', 'User Full Name': 'Jane Smith', 'Vehicle': 'AKB1002', 'Amount Due': 200 }
+    ]), 'replace');
+
+    const july = await prepareFile(csvFile('july.csv', [
+      'Id,Date,User Full Name,Vehicle,Amount Due',
+      '3,01/07/2025,John Doe,AKB1003,300'
+    ].join('\n')));
+    const august = await prepareFile(csvFile('august.csv', [
+      'Id,Date,User Full Name,Vehicle,Amount Due',
+      '3,01/07/2025,John Doe,AKB1003,350',
+      '4,01/08/2025,Mary Banda,AKB1004,400'
+    ].join('\n')));
+
+    const stored = await db.getActiveExcelData();
+    const resolver = createNameResolver(await db.getAllPeople(), await db.getAllAliases());
+    const [first, second] = previewBatch(stored.data, [july.importable, august.importable], resolver, 'replace');
+
+    expect(first).toMatchObject({ added: 1, removed: 2 });
+    expect(first.rows).toHaveLength(1);
+    // Later files are appended on top of the first, whatever the mode
+    expect(second).toMatchObject({ added: 1, updated: 1, removed: 0 });
+    expect(second.rows).toHaveLength(2);
+
+    const after = await db.getActiveExcelData();
+    expect(after.data).toHaveLength(2);
+    expect(await db.getUploadHistory()).toHaveLength(1);
+  });
+
+  test('should reject a file without rows', async () => {
+    await expect(importFile(csvFile('empty.csv', 'Id,Date,User Full Name\n'), 'append'))
+      .rejects.toThrow('No rows found in file');
+  });
+});
@@ -0,0 +1,59 @@
+import { createIngestStore, ingestFile, toStoredRows, validateIngestStore } from '../ingest';
+
+const june = [
+  { recordId: '1', ticketSn: 'T1', person: 'Best Simaundu', amountDue: 100, gvmFine: NaN, _raw: { Id: '1' } },
+  { recordId: '2', ticketSn: 'T2', person: 'Peter Banda', amountDue: 40, gvmFine: NaN, _raw: { Id: '2' } }
+];
+
+describe('Watch-folder store', () => {
+  test('should add new files and skip files with the same content', () => {
+    const { store, result } = ingestFile(createIngestStore(), { name: 'june.xlsx', hash: 'aaa', size: 10 }, june);
+    expect(result).toMatchObject({ status: 'ingested', added: 2, updated: 0, unchanged: 0 });
+    expect(store.files).toEqual([expect.objectContaining({ name: 'june.xlsx', hash: 'aaa', rows: 2, added: 2 })]);
+    expect(store.rows[0]._raw).toBeUndefined();
+
+    const again = ingestFile(store, { name: 'june copy.xlsx', hash: 'aaa', size: 10 }, june);
+    expect(again.result).toEqual({ status: 'duplicate', name: 'june copy.xlsx', duplicateOf: 'june.xlsx' });
+    expect(again.store).toBe(store);
+  });
+
+  test('should count overlapping rows of a later export once', () => {
+    let { store } = ingestFile(createIngestStore(), { name: 'june.xlsx', hash: 'aaa', size: 10 }, june);
+    // Read back from disk, as the watcher does on restart
+    store = validateIngestStore(JSON.parse(JSON.stringify(store)));
+
+    const july = [
+      { ...june[1], _raw: { Id: '2', Extra: 'x' } },
+      { recordId: '3', ticketSn: 'T3', person: 'Mary Phiri', amountDue: 5, gvmFine: NaN },
+      { ...june[0], amountDue: 120 }
+    ];
+    const { store: next, result } = ingestFile(store, { name: 'july.xlsx', hash: 'bbb', size: 12 }, july);
+    expect(result).toMatchObject({ status: 'ingested', added: 1, updated: 1, unchanged: 1 });
+    expect(next.rows.map(row => [row.recordId, row.amountDue])).toEqual([['1', 120], ['2', 40], ['3', 5]]);
+    expect(next.files.map(file => file.name)).toEqual(['june.xlsx', 'july.xlsx']);
+  });
+
+  test('should keep every weighing of a ticket', () => {
+    const trips = [
+      { recordId: '1', ticketSn: 'T1', person: 'Best Simaundu', amountDue: 100 },
+      { recordId: '2', ticketSn: 'T1', person: 'Best Simaundu', amountDue: 50 },
+      { recordId: '3', ticketSn: 'T1', person: 'Peter Banda', amountDue: 25 }
+    ];
+    const { store, result } = ingestFile(createIngestStore(), { name: 'a.xlsx', hash: 'aaa', size: 10 }, trips);
+    expect(result).toMatchObject({ status: 'ingested', added: 3, updated: 0, unchanged: 0 });
+
+    const later = [{ ...trips[1], amountDue: 60 }, { recordId: '4', ticketSn: 'T1', person: 'Mary Phiri', amountDue: 5 }];
+    const { store: next, result: second } = ingestFile(store, { name: 'b.xlsx', hash: 'bbb', size: 12 }, later);
+    expect(second).toMatchObject({ added: 1, updated: 1, unchanged: 0 });
+    expect(next.rows.map(row => [row.recordId, row.amountDue])).toEqual([['1', 100], ['2', 60], ['3', 25], ['4', 5]]);
+  });
+
+  test('should store rows as they read back from JSON', () => {
+    expect(toStoredRows(june)[0]).toEqual({ recordId: '1', ticketSn: 'T1', person: 'Best Simaundu', amountDue: 100, gvmFine: null });
+  });
+
+  test('should reject files that are not a store', () => {
+    expect(() => validateIngestStore({ rows: [] })).toThrow('Not a weighbridge store file');
+    expect(() => validateIngestStore({ version: 99, files: [], rows: [] })).toThrow('newer than this tool');
+  });
+});
@@ -0,0 +1,66 @@
+import { buildHeaderMap, headerSignature, MAPPING_FIELDS, ROW_FIELDS } from '../schema';
+
+// Header row of the weighbridge export (subset, in export order)
+const EXPORT_HEADERS = [
+  'Id', 'W Date Time', 'RW Date Time', 'Ticket SN', 'Site Name', 'Vehicle', 'Vehicle Type',
+  'GVM Fine', 'GVM Driver Fine', 'D1 Fine', 'D1 Driver Fine', 'Amount Due', 'Awkward Load Fine',
+  'Amount Due Driver', 'User Full Name', 'RW User Full Name', 'In Detention'
+];
+
+describe('Column mapping', () => {
+  test('should detect every canonical field in the weighbridge export', () => {
+    const map = buildHeaderMap(EXPORT_HEADERS);
+
+    expect(map.person).toBe('User Full Name');
+    expect(map.date).toBe('W Date Time');
+    expect(map.truckId).toBe('Vehicle');
+    expect(map.impounded).toBe('In Detention');
+    expect(map.amountDue).toBe('Amount Due');
+    expect(map.amountDueDriver).toBe('Amount Due Driver');
+    expect(map.gvmFine).toBe('GVM Fine');
+    expect(map.d1Fine).toBe('D1 Fine');
+  });
+
+  test('should prefer exact header matches over substring matches', () => {
+    // "RW Date Time" comes first but only contains the candidate
+    const map = buildHeaderMap(['RW Date Time', 'W Date Time', 'RW User Full Name', 'User Full Name']);
+
+    expect(map.date).toBe('W Date Time');
+    expect(map.person).toBe('User Full Name');
+  });
+
+  test('should fall back to substring matching', () => {
+    const map = buildHeaderMap(['Weighed By (Operator)', 'Truck Plate']);
+
+    expect(map.person).toBe('Weighed By (Operator)');
+    expect(map.truckId).toBe('Truck Plate');
+    expect(map.gvmFine).toBeUndefined();
+  });
+
+  test('should apply overrides for columns that exist', () => {
+    const map = buildHeaderMap(EXPORT_HEADERS, {
+      date: 'RW Date Time',
+      person: 'RW User Full Name',
+      truckId: 'Not A Column',
+      awkwardLoadFine: null
+    });
+
+    expect(map.date).toBe('RW Date Time');
+    expect(map.person).toBe('RW User Full Name');
+    expect(map.truckId).toBe('Vehicle');
+    expect(map.awkwardLoadFine).toBeNull();
+  });
+
+  test('should map every schema field and label the mapping fields', () => {
+    const map = buildHeaderMap(EXPORT_HEADERS);
+
+    expect(Object.keys(map)).toEqual(ROW_FIELDS.map(f => f.key));
+    MAPPING_FIELDS.forEach(field => expect(field.label).toBeTruthy());
+  });
+
+  test('should build an order and case independent header signature', () => {
+    expect(headerSignature(['Vehicle', 'W Date Time', ' User Full Name']))
+      .toBe(headerSignature(['user full name', 'VEHICLE', 'W Date Time']));
+    expect(headerSignature(['Vehicle'])).not.toBe(headerSignature(['Vehicle', 'Site Name']));
+  });
+});
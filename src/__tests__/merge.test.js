@@ -0,0 +1,74 @@
+import { changedFields, mergeRows, rowKey, rowsEqual } from '../merge';
+
+const row = (fields) => ({ recordId: '', ticketSn: '', person: 'Best Simaundu', amountDue: 120, group: '', shift: '', ...fields });
+
+describe('Row merging', () => {
+  test('should key rows by Id, then Ticket SN', () => {
+    expect(rowKey(row({ recordId: '533835', ticketSn: '20250207123434572' }))).toBe('id:533835');
+    expect(rowKey(row({ ticketSn: '20250207123434572' }))).toBe('sn:20250207123434572');
+    expect(rowKey(row({}))).toBeNull();
+  });
+
+  test('should ignore sheet, assignments and raw cells when comparing', () => {
+    expect(rowsEqual(
+      row({ recordId: '1', sheet: 'June', group: 'A', _raw: { a: 1 } }),
+      row({ recordId: '1', sheet: 'July', _raw: { a: 2 } })
+    )).toBe(true);
+    expect(rowsEqual(row({ recordId: '1' }), row({ recordId: '1', amountDue: 130 }))).toBe(false);
+    expect(rowsEqual(row({ amountDue: NaN }), row({ amountDue: NaN }))).toBe(true);
+  });
+
+  test('should count new, updated and unchanged rows', () => {
+    const existing = [row({ recordId: '1' }), row({ recordId: '2' })];
+    const incoming = [row({ recordId: '2' }), row({ recordId: '1', amountDue: 240 }), row({ recordId: '3' })];
+
+    const result = mergeRows(existing, incoming);
+
+    expect(result).toMatchObject({ added: 1, updated: 1, unchanged: 1 });
+    expect(result.rows.map(r => [r.recordId, r.amountDue])).toEqual([['1', 240], ['2', 120], ['3', 120]]);
+    expect(result.changes).toHaveLength(1);
+    expect(changedFields(result.changes[0].before, result.changes[0].after)).toEqual(['amountDue']);
+  });
+
+  test('should match on Ticket SN when the Id is missing', () => {
+    const existing = [row({ recordId: '1', ticketSn: 'SN1' })];
+
+    const result = mergeRows(existing, [row({ ticketSn: 'SN1', amountDue: 0 })]);
+
+    expect(result).toMatchObject({ added: 0, updated: 1 });
+    expect(result.rows).toHaveLength(1);
+  });
+
+  test('should keep rows with different Ids that share a Ticket SN', () => {
+    const result = mergeRows([], [row({ recordId: '1', ticketSn: 'T1' }), row({ recordId: '2', ticketSn: 'T1' })]);
+
+    expect(result).toMatchObject({ added: 2, updated: 0, unchanged: 0 });
+    expect(result.rows.map(r => r.recordId)).toEqual(['1', '2']);
+
+    const again = mergeRows(result.rows, [row({ recordId: '2', ticketSn: 'T1', amountDue: 0 }), row({ recordId: '3', ticketSn: 'T1' })]);
+    expect(again).toMatchObject({ added: 1, updated: 1, unchanged: 0 });
+    expect(again.rows.map(r => [r.recordId, r.amountDue])).toEqual([['1', 120], ['2', 0], ['3', 120]]);
+  });
+
+  test('should keep group and shift assigned on the stored row', () => {
+    const existing = [row({ recordId: '1', group: 'Team A', shift: 'Night' })];
+
+    const result = mergeRows(existing, [row({ recordId: '1', amountDue: 0 })]);
+
+    expect(result.rows[0]).toMatchObject({ group: 'Team A', shift: 'Night', amountDue: 0 });
+  });
+
+  test('should always add rows without Id or Ticket SN', () => {
+    const result = mergeRows([row({})], [row({}), row({})]);
+
+    expect(result).toMatchObject({ added: 2, updated: 0, unchanged: 0 });
+    expect(result.rows).toHaveLength(3);
+  });
+
+  test('should deduplicate repeated rows within one upload', () => {
+    const result = mergeRows([], [row({ recordId: '1' }), row({ recordId: '1' })]);
+
+    expect(result).toMatchObject({ added: 1, unchanged: 1 });
+    expect(result.rows).toHaveLength(1);
+  });
+});
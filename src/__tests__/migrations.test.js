@@ -0,0 +1,150 @@
+import db from '../database';
+import { LATEST_VERSION, MIGRATIONS, rewriteRecords, runMigrations } from '../migrations';
+
+const FDBFactory = require('fake-indexeddb/lib/FDBFactory');
+const FDBKeyRange = require('fake-indexeddb/lib/FDBKeyRange');
+
+global.indexedDB = new FDBFactory();
+global.IDBKeyRange = FDBKeyRange;
+
+// Opens `name` at `version` in `factory`, upgrading through `migrations` the way WeighbridgeDB.init does
+function open(factory, name, version, migrations = MIGRATIONS) {
+  return new Promise((resolve, reject) => {
+    const request = factory.open(name, version);
+    let migrationError = null;
+    request.onerror = () => reject(migrationError || request.error);
+    request.onsuccess = () => resolve(request.result);
+    request.onupgradeneeded = (event) => {
+      const transaction = event.target.transaction;
+      runMigrations(event.target.result, transaction, event.oldVersion, version, migrations).catch(error => {
+        migrationError = error;
+        transaction.abort();
+      });
+    };
+  });
+}
+
+function getAll(database, storeName) {
+  return new Promise((resolve, reject) => {
+    const request = database.transaction([storeName], 'readonly').objectStore(storeName).getAll();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function add(database, storeName, record) {
+  return new Promise((resolve, reject) => {
+    const request = database.transaction([storeName], 'readwrite').objectStore(storeName).add(record);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+describe('Database migrations', () => {
+  test('should number migrations from 1 without gaps', () => {
+    expect(MIGRATIONS.map(m => m.version)).toEqual(MIGRATIONS.map((m, i) => i + 1));
+    expect(LATEST_VERSION).toBe(MIGRATIONS.length);
+  });
+
+  test('should create the current schema and record every migration on a new database', async () => {
+    if (db.db) db.db.close();
+    await db.init();
+
+    expect(db.db.version).toBe(LATEST_VERSION);
+    expect([...db.db.objectStoreNames].sort()).toEqual(
+      ['aliases', 'auditLog', 'excelData', 'groups', 'mappingProfiles', 'migrations', 'people', 'shifts', 'weighings']
+    );
+    const applied = await db.getAppliedMigrations();
+    expect(applied.map(m => m.version)).toEqual(MIGRATIONS.map(m => m.version));
+    expect(applied.every(m => typeof m.appliedAt === 'string')).toBe(true);
+    db.db.close();
+    db.db = null;
+  });
+
+  test('should upgrade a database from before migrations were recorded', async () => {
+    const factory = new FDBFactory();
+    const old = await open(factory, 'Upgrade', 5);
+    await add(old, 'people', { name: 'Best Simaundu', group: 'Team A', shift: '' });
+    await add(old, 'groups', { name: 'Team B', site: 'Kafue' });
+    await add(old, 'excelData', {
+      data: [{ recordId: '1', date: '2025-07-01T08:00:00', person: 'Best Simaundu', truckId: 'ABC 123', impounded: true }],
+      active: 1,
+      uploadDate: '2025-07-02T00:00:00.000Z'
+    });
+    old.close();
+
+    const upgraded = await open(factory, 'Upgrade', LATEST_VERSION);
+    const people = await getAll(upgraded, 'people');
+    expect(people).toEqual([expect.objectContaining({ name: 'Best Simaundu', nameKey: 'best simaundu', site: '' })]);
+    expect((await getAll(upgraded, 'groups'))[0].site).toBe('Kafue');
+    expect(await getAll(upgraded, 'weighings')).toEqual([
+      expect.objectContaining({ date: '2025-07-01T08:00:00', person: 'best simaundu', vehicle: 'ABC 123', impounded: 1 })
+    ]);
+
+    const applied = await getAll(upgraded, 'migrations');
+    expect(applied.filter(m => m.appliedAt === null).map(m => m.version)).toEqual([1, 2, 3, 4, 5]);
+    expect(applied.filter(m => m.appliedAt !== null).map(m => m.version)).toEqual([6, 7, 8, 9, 10]);
+    upgraded.close();
+  });
+
+  test('should keep the weighings of a ticket from different active uploads', async () => {
+    const factory = new FDBFactory();
+    const old = await open(factory, 'Weighings', 7);
+    await add(old, 'excelData', { data: [{ recordId: '1', ticketSn: 'T1', person: 'Best Simaundu' }], active: 1, uploadDate: '2025-07-01T00:00:00.000Z' });
+    await add(old, 'excelData', { data: [{ recordId: '2', ticketSn: 'T1', person: 'Best Simaundu' }], active: 1, uploadDate: '2025-07-02T00:00:00.000Z' });
+    old.close();
+
+    const upgraded = await open(factory, 'Weighings', 8);
+    expect((await getAll(upgraded, 'weighings')).map(w => [w.row.recordId, w.ticketSn])).toEqual([['1', 'T1'], ['2', 'T1']]);
+    upgraded.close();
+  });
+
+  test('should run each step after the records of the previous one are rewritten', async () => {
+    const seen = [];
+    const migrations = [
+      { version: 1, name: 'Create items', migrate: (database) => { database.createObjectStore('items', { keyPath: 'id' }); } },
+      { version: 2, name: 'Log', migrate: (database) => { database.createObjectStore('migrations', { keyPath: 'version' }); } },
+      {
+        version: 3,
+        name: 'Rename label to title',
+        migrate: (database, transaction) => rewriteRecords(transaction.objectStore('items'), ({ label, ...item }) => ({ ...item, title: label }))
+      },
+      {
+        version: 4,
+        name: 'Index titles',
+        migrate: (database, transaction) => new Promise(resolve => {
+          const store = transaction.objectStore('items');
+          store.createIndex('title', 'title', { unique: false });
+          store.getAll().onsuccess = (event) => {
+            seen.push(...event.target.result);
+            resolve();
+          };
+        })
+      }
+    ];
+    const factory = new FDBFactory();
+    const v2 = await open(factory, 'Order', 2, migrations);
+    await add(v2, 'items', { id: 1, label: 'First' });
+    v2.close();
+
+    const v4 = await open(factory, 'Order', 4, migrations);
+    expect(seen).toEqual([{ id: 1, title: 'First' }]);
+    expect((await getAll(v4, 'migrations')).map(m => m.name)).toEqual(['Create items', 'Log', 'Rename label to title', 'Index titles']);
+    v4.close();
+  });
+
+  test('should leave the database at its old version when a step fails', async () => {
+    const migrations = [
+      { version: 1, name: 'Create items', migrate: (database) => { database.createObjectStore('items', { keyPath: 'id' }); } },
+      { version: 2, name: 'Broken', migrate: () => { throw new Error('bad data'); } }
+    ];
+    const factory = new FDBFactory();
+    (await open(factory, 'Broken', 1, migrations)).close();
+
+    await expect(open(factory, 'Broken', 2, migrations)).rejects.toThrow('Migration 2 (Broken) failed: bad data');
+    const reopened = await open(factory, 'Broken', 1, migrations);
+    expect(reopened.version).toBe(1);
+    expect([...reopened.objectStoreNames]).toEqual(['items']);
+    reopened.close();
+  });
+});
@@ -0,0 +1,49 @@
+import { createNameCheck, isValidPersonName, collectRejectedNames, DEFAULT_NAME_QUALITY_SETTINGS } from '../nameQuality';
+
+describe('Name quality', () => {
+  test('should reject blanks, placeholders and shared accounts by default', () => {
+    ['', '   ', null, 'None', 'N/A', 'n.a.', '-', '--', 'ADMIN', 'Unknown', '12345', 'User 3'].forEach(name => {
+      expect(isValidPersonName(name)).toBe(false);
+    });
+    ['Best Simaundu', 'Nancy Banda', 'Admin Phiri'].forEach(name => {
+      expect(isValidPersonName(name)).toBe(true);
+    });
+  });
+
+  test('should give the reason a name is rejected', () => {
+    const check = createNameCheck();
+
+    expect(check('')).toBe('Blank');
+    expect(check(' admin ')).toBe('On the denylist');
+    expect(check('operator 7')).toMatch(/^Matches/);
+    expect(check('Best Simaundu')).toBeNull();
+  });
+
+  test('should follow configured lists and skip invalid patterns', () => {
+    const settings = {
+      ...DEFAULT_NAME_QUALITY_SETTINGS,
+      denylist: ['Shift Supervisor'],
+      patterns: ['^temp', '('],
+      allowlist: ['System']
+    };
+
+    expect(isValidPersonName('shift  supervisor', settings)).toBe(false);
+    expect(isValidPersonName('Temp Clerk', settings)).toBe(false);
+    expect(isValidPersonName('System', settings)).toBe(true);
+    expect(isValidPersonName('Best Simaundu', settings)).toBe(true);
+  });
+
+  test('should list rejected names with their row counts', () => {
+    const rows = [
+      { person: 'None' },
+      { person: 'NONE' },
+      { person: '' },
+      { person: 'Best Simaundu' }
+    ];
+
+    expect(collectRejectedNames(rows)).toEqual([
+      { name: 'None', reason: 'On the denylist', count: 2 },
+      { name: '', reason: 'Blank', count: 1 }
+    ]);
+  });
+});
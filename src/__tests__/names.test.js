@@ -0,0 +1,34 @@
+import { normalizeName, nameKey, createNameResolver } from '../names';
+
+describe('Person names', () => {
+  test('should collapse whitespace and compatibility characters', () => {
+    expect(normalizeName('  Best  Simaundu \u200B')).toBe('Best Simaundu');
+    expect(normalizeName('\uFF22est Simaundu')).toBe('Best Simaundu');
+    expect(normalizeName(null)).toBe('');
+  });
+
+  test('should compare names without case or accents', () => {
+    expect(nameKey('CHISENGA MULÉNGA')).toBe('chisenga mulenga');
+    expect(nameKey('Chisenga  Mulénga')).toBe(nameKey('chisenga mulenga'));
+  });
+
+  test('should resolve variants and aliases to the stored person', () => {
+    const resolver = createNameResolver(
+      [{ id: 1, name: 'Best Simaundu' }],
+      [{ key: 'b. simaundu', alias: 'B. Simaundu', personId: 1 }]
+    );
+
+    expect(resolver.resolve('BEST  SIMAUNDU')).toBe('Best Simaundu');
+    expect(resolver.resolve('b. Simaundu')).toBe('Best Simaundu');
+    expect(resolver.isKnown('B. SIMAUNDU')).toBe(true);
+    expect(resolver.isKnown('Peter Banda')).toBe(false);
+  });
+
+  test('should group unknown names under the first spelling seen', () => {
+    const resolver = createNameResolver();
+
+    expect(resolver.resolve('Peter Banda')).toBe('Peter Banda');
+    expect(resolver.resolve('PETER banda')).toBe('Peter Banda');
+    expect(resolver.resolve('   ')).toBe('');
+  });
+});
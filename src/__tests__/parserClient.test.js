@@ -0,0 +1,73 @@
+import * as XLSX from 'xlsx';
+import { createParserSession, isCancelled } from '../parserClient';
+
+// jsdom has no Web Worker, so these run the session's main-thread path with the real xlsx reader
+function buildWorkbookFile(rowCount) {
+  const rows = Array.from({ length: rowCount }, (_, i) => ({
+    'User Full Name': `Operator ${i % 7}`,
+    'Vehicle': `AKB${1000 + i}`,
+    'Amount Due': 120
+  }));
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows), 'WLISTrdlc');
+  const buffer = XLSX.write(wb, { type: 'array', bookType: 'xlsx' });
+  return {
+    name: 'export.xlsx',
+    size: buffer.byteLength,
+    async arrayBuffer() {
+      return buffer;
+    }
+  };
+}
+
+describe('Parser session', () => {
+  test('should report bytes read while inspecting the file', async () => {
+    const file = buildWorkbookFile(10);
+    const session = createParserSession();
+    const progress = [];
+
+    const summaries = await session.inspect(file, p => progress.push(p));
+
+    expect(summaries).toHaveLength(1);
+    expect(summaries[0]).toMatchObject({ name: 'WLISTrdlc', rowCount: 10 });
+    expect(progress[0]).toEqual({ phase: 'reading', bytesRead: file.size, totalBytes: file.size });
+    expect(progress[progress.length - 1]).toEqual({ phase: 'loading' });
+  });
+
+  test('should report rows parsed in batches', async () => {
+    const session = createParserSession();
+    await session.inspect(buildWorkbookFile(1200));
+    const progress = [];
+
+    const rows = await session.parse({ sheets: ['WLISTrdlc'] }, p => progress.push(p));
+
+    expect(rows).toHaveLength(1200);
+    expect(progress.map(p => p.rowsParsed)).toEqual([500, 1000, 1200]);
+    expect(progress.every(p => p.phase === 'parsing' && p.totalRows === 1200)).toBe(true);
+  });
+
+  test('should stop parsing when cancelled', async () => {
+    const session = createParserSession();
+    await session.inspect(buildWorkbookFile(1200));
+    const progress = [];
+
+    const parsing = session.parse({}, p => {
+      progress.push(p);
+      session.cancel();
+    });
+
+    await expect(parsing).rejects.toMatchObject({ name: 'AbortError' });
+    expect(progress).toHaveLength(1);
+  });
+
+  test('should parse again after a cancelled run', async () => {
+    const session = createParserSession();
+    await session.inspect(buildWorkbookFile(600));
+
+    const error = await session.parse({}, () => session.cancel()).catch(e => e);
+    expect(isCancelled(error)).toBe(true);
+
+    const rows = await session.parse({});
+    expect(rows).toHaveLength(600);
+  });
+});
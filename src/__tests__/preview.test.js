@@ -0,0 +1,74 @@
+import { buildImportPreview } from '../preview';
+import { createNameResolver } from '../names';
+
+const row = (fields) => ({ recordId: '', ticketSn: '', person: 'Best Simaundu', amountDue: 100, group: '', shift: '', ...fields });
+
+describe('Import preview', () => {
+  const existing = [
+    row({ recordId: '1', person: 'John Doe' }),
+    row({ recordId: '2', person: 'Jane Smith', group: 'Group A' })
+  ];
+  const resolver = createNameResolver([{ id: 1, name: 'John Doe' }, { id: 2, name: 'Jane Smith' }]);
+
+  test('should diff an append against the stored rows', () => {
+    const incoming = [
+      row({ recordId: '1', person: 'John Doe' }),
+      row({ recordId: '2', person: 'Jane Smith', amountDue: 150 }),
+      row({ recordId: '3', person: 'Peter Banda', amountDue: 80 })
+    ];
+
+    const preview = buildImportPreview(existing, incoming, resolver, 'append');
+
+    expect(preview).toMatchObject({ added: 1, updated: 1, unchanged: 1, removed: 0 });
+    expect(preview.rows).toHaveLength(3);
+    expect(preview.addedRows.map(r => r.recordId)).toEqual(['3']);
+    expect(preview.changes).toHaveLength(1);
+    expect(preview.changes[0]).toMatchObject({ key: 'id:2', fields: ['amountDue'] });
+    expect(preview.newPeople).toEqual(['Peter Banda']);
+    expect(preview.revenue).toEqual([
+      { person: 'Peter Banda', before: 0, after: 80, delta: 80 },
+      { person: 'Jane Smith', before: 100, after: 150, delta: 50 }
+    ]);
+    expect(preview.revenueBefore).toBe(200);
+    expect(preview.revenueAfter).toBe(330);
+  });
+
+  test('should count stored rows dropped by a replace', () => {
+    const incoming = [row({ recordId: '3', person: 'John Doe', amountDue: 250 })];
+
+    const preview = buildImportPreview(existing, incoming, resolver, 'replace');
+
+    expect(preview).toMatchObject({ added: 1, updated: 0, unchanged: 0, removed: 2 });
+    expect(preview.rows).toBe(incoming);
+    expect(preview.revenue).toEqual([
+      { person: 'John Doe', before: 100, after: 250, delta: 150 },
+      { person: 'Jane Smith', before: 100, after: 0, delta: -100 }
+    ]);
+  });
+
+  test('should match known people case-insensitively and list each new name once', () => {
+    const incoming = [
+      row({ recordId: '4', person: 'JOHN DOE' }),
+      row({ recordId: '5', person: 'Mary Phiri' }),
+      row({ recordId: '6', person: 'mary phiri' })
+    ];
+
+    const preview = buildImportPreview(existing, incoming, resolver, 'append');
+
+    expect(preview.newPeople).toEqual(['Mary Phiri']);
+  });
+
+  test('should list placeholder names as rejected instead of new people', () => {
+    const rejecting = createNameResolver([{ id: 1, name: 'John Doe' }], [], name => name.trim().toLowerCase() !== 'none');
+    const incoming = [
+      row({ recordId: '4', person: 'None' }),
+      row({ recordId: '5', person: 'none' }),
+      row({ recordId: '6', person: 'Mary Phiri' })
+    ];
+
+    const preview = buildImportPreview(existing, incoming, rejecting, 'append');
+
+    expect(preview.newPeople).toEqual(['Mary Phiri']);
+    expect(preview.rejectedNames).toEqual([{ name: 'None', reason: 'On the denylist', count: 2 }]);
+  });
+});
@@ -0,0 +1,104 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as XLSX from 'xlsx';
+import { buildReport, inferShift, reportToCsv, reportToMarkdown, reportToWorkbook } from '../report';
+
+const rows = [
+  { recordId: '1', date: '2025-06-30T08:15:00', siteName: 'Chongwe-B', scaleName: 'TESTDB1', person: 'Best Simaundu', amountDue: 100, impounded: true },
+  { recordId: '2', date: '2025-06-30T15:00:00', siteName: 'Chongwe-B', scaleName: 'TESTDB1', person: 'Peter Banda', amountDue: 40, amountDueDriver: 10 },
+  { recordId: '3', date: '2025-07-01T23:30:00', siteName: 'Kafue', scaleName: 'WIM', person: 'Best Simaundu', amountDue: 20 },
+  { recordId: '4', date: '2025-07-02T09:00:00', siteName: 'Kafue', scaleName: 'WIM', person: 'Mary Phiri', amountDue: 5 }
+];
+const people = [
+  { name: 'Best Simaundu', group: 'Team A', shift: 'Morning' },
+  { name: 'Peter Banda', group: 'Team B', shift: '' }
+];
+
+describe('Reports', () => {
+  test('should total revenue by person, site, group, shift and day', () => {
+    const report = buildReport(rows, { people, files: ['june.xlsx'] });
+
+    expect(report.overallTotal).toBe(175);
+    expect(report.impounded).toBe(1);
+    expect(report.metadata).toMatchObject({ files: ['june.xlsx'], rowsRead: 4, rowsReported: 4, filters: {} });
+    expect(report.byPerson.map(e => [e.key, e.total, e.count])).toEqual([
+      ['Best Simaundu', 120, 2],
+      ['Peter Banda', 50, 1],
+      ['Mary Phiri', 5, 1]
+    ]);
+    expect(report.bySite.map(e => [e.key, e.total])).toEqual([['Chongwe-B', 150], ['Kafue', 25]]);
+    expect(report.byGroup.map(e => e.key)).toEqual(['Team A', 'Team B', 'Unassigned']);
+    // Peter Banda has no assigned shift, so his 15:00 weighing counts as Afternoon
+    expect(report.byShift.map(e => e.key)).toEqual(['Morning', 'Afternoon']);
+    expect(report.byDay.map(e => e.key)).toEqual(['2025-06-30', '2025-07-01', '2025-07-02']);
+  });
+
+  test('should apply date, site and group filters', () => {
+    expect(buildReport(rows, { filters: { from: '2025-07-01', to: '2025-07-01' } }).overallTotal).toBe(20);
+    expect(buildReport(rows, { filters: { site: 'Kafue' } }).overallTotal).toBe(25);
+    const report = buildReport(rows, { people, filters: { group: 'Team A' } });
+    expect(report.overallTotal).toBe(120);
+    expect(report.metadata.filters).toEqual({ group: 'Team A' });
+  });
+
+  test('should infer shifts from the hour', () => {
+    expect(inferShift(6)).toBe('Morning');
+    expect(inferShift(14)).toBe('Afternoon');
+    expect(inferShift(23)).toBe('Night');
+    expect(inferShift(null)).toBe('Unknown');
+  });
+
+  test('should write CSV, Markdown and XLSX reports', () => {
+    const report = buildReport(rows, { people });
+
+    const csv = reportToCsv(report).split('\n');
+    expect(csv[0]).toBe('section,key,count,impounded,revenue');
+    expect(csv[1]).toBe('total,All,4,1,175.00');
+    expect(csv).toContain('bySite,Chongwe-B,2,1,150.00');
+
+    const markdown = reportToMarkdown(report);
+    expect(markdown).toContain('## By Site');
+    expect(markdown).toContain('| Kafue | 2 | 0 | 25.00 |');
+
+    const wb = reportToWorkbook(report);
+    expect(wb.SheetNames).toEqual(['Summary', 'By Person', 'By Site', 'By Scale', 'By Group', 'By Shift', 'By Day']);
+    expect(XLSX.utils.sheet_to_json(wb.Sheets['By Site'])).toEqual([
+      { Site: 'Chongwe-B', Rows: 2, Impounded: 1, Revenue: 150 },
+      { Site: 'Kafue', Rows: 2, Impounded: 0, Revenue: 25 }
+    ]);
+  });
+});
+
+describe('Report CLI', () => {
+  const { main } = require('../../scripts/aggregate_html');
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-cli-'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should count every weighing when several share a ticket', async () => {
+    const file = path.join(dir, 'export.csv');
+    fs.writeFileSync(file, [
+      'Id,Ticket SN,Date,Person,Site Name,Amount Due',
+      '1,T1,2025-07-01 08:00,Best Simaundu,Kafue,100',
+      '2,T1,2025-07-01 08:05,Best Simaundu,Kafue,50',
+      '3,T1,2025-07-01 08:10,Peter Banda,Kafue,25',
+      '4,T2,2025-07-01 09:00,Peter Banda,Kafue,10'
+    ].join('\n'));
+    const out = path.join(dir, 'report.json');
+
+    expect(await main([file, '--out', out, '--quiet'])).toBe(0);
+
+    const report = JSON.parse(fs.readFileSync(out, 'utf8'));
+    expect(report.metadata).toMatchObject({ rowsRead: 4, rowsReported: 4 });
+    expect(report.overallTotal).toBe(185);
+  });
+});
@@ -0,0 +1,37 @@
+import { DEFAULT_REVENUE_SETTINGS, describeRevenueFormula, revenueParts, rowRevenue } from '../revenue';
+
+// Amount Due already includes the fines, as in the station exports
+const row = { amountDue: 1250.5, gvmFine: 1000, d1Fine: 250.5, amountDueDriver: 200, gvmDriverFine: 200, conversionFactor: 23.3 };
+
+describe('Revenue definition', () => {
+  test('should count Amount Due and Amount Due Driver once by default', () => {
+    expect(revenueParts(row)).toEqual({ owner: 1250.5, driver: 200, total: 1450.5 });
+    expect(rowRevenue(row, DEFAULT_REVENUE_SETTINGS)).toBe(1450.5);
+  });
+
+  test('should count only the chosen columns', () => {
+    expect(rowRevenue(row, { columns: ['gvmFine', 'd1Fine'] })).toBe(1250.5);
+    expect(rowRevenue(row, { columns: [] })).toBe(0);
+  });
+
+  test('should apply the owner and driver shares', () => {
+    expect(revenueParts(row, { ownerShare: 0, driverShare: 50 })).toEqual({ owner: 0, driver: 100, total: 100 });
+  });
+
+  test('should multiply by the Conversion Factor when enabled', () => {
+    expect(rowRevenue({ amountDue: 10, conversionFactor: 2.5 }, { applyConversionFactor: true })).toBe(25);
+    // Rows without a factor are left as they are
+    expect(rowRevenue({ amountDue: 10, conversionFactor: 0 }, { applyConversionFactor: true })).toBe(10);
+  });
+
+  test('should treat blank and unreadable amounts as zero', () => {
+    expect(rowRevenue({ amountDue: NaN, amountDueDriver: undefined })).toBe(0);
+  });
+
+  test('should describe the formula', () => {
+    expect(describeRevenueFormula()).toBe('Amount Due × 100% + Amount Due Driver × 100%');
+    expect(describeRevenueFormula({ columns: ['gvmFine', 'd1Fine'], applyConversionFactor: true }))
+      .toBe('(GVM Fine + D1 Fine) × 100% × Conversion Factor');
+    expect(describeRevenueFormula({ columns: [] })).toBe('0');
+  });
+});
@@ -0,0 +1,127 @@
+import { ROW_FIELDS, buildHeaderMap, normalizeRecord, toNumber, toDateString } from '../schema';
+
+// First data row of the 30.06.2025 TO 31.07.2025 export, as sheet_to_json returns it with raw values
+const EXPORT_RECORD = {
+  'Id': 533835, 'W Date Time': 45838.0092268171, 'RW Date Time': 45838.0092268171, 'Ticket SN': 20250207123434572,
+  'Site Name': 'Chongwe-B', 'Scale Name': 'TESTDB1', 'Current Location': 'Chongwe', 'Vehicle': 'AKB2902',
+  'Vehicle Type': 'Two axle vehicle', 'Vehicle Axle Range': 1.8, 'Owner Name': 'PATRICK PHIRI', 'Owner Address': 'LUSAKA',
+  'Driver Name': 'MARTIN SILUMESI', 'Driver Address': 'LUSAKA', 'Driver Nationality': 'ZAMBIAN',
+  'Driver Licence ID': '746776/53/1', 'Cargo Cat': 'None', 'Cargo Type': 0, 'Cargo': 'charcoal',
+  'Origin': 'CHONGWE', 'Destination': 'LUSAKA',
+  'GVM Axle Configuration': 'F1 A2  ', 'GVM Weight': 17860, 'GVM Adjasted Weight': 17860, 'GVM Legal Load': 18000,
+  'GVM Legal Load Plus Allowance': 18000, 'GVM Overload': 0, 'GVM Charge Overload': 0, 'GVM Overload Perc': 0,
+  'GVM Fine': 120, 'GVM Points': 0, 'GVM Driver Fine': 0,
+  'D1 Axle Configuration': 'F1', 'D1 Weight': 7880, 'D1 Adjasted Weight': 7880, 'D1 Legal Load': 8000,
+  'D1 Legal Load Plus Allowance': 8400, 'D1 Overload': 0, 'D1 Charge Overload': 0, 'D1 Overload Perc': 0,
+  'D1 Fine': 0, 'D1 Points': 0, 'D1 Driver Fine': 0,
+  'D2 Axle Configuration': 'A2', 'D2 Weight': 9980, 'D2 Adjasted Weight': 9980, 'D2 Legal Load': 10000,
+  'D2 Legal Load Plus Allowance': 10500, 'D2 Overload': 0, 'D2 Charge Overload': 0, 'D2 Overload Perc': 0,
+  'D2 Fine': 0, 'D2 Points': 0, 'D2 Driver Fine': 0,
+  'D3 Axle Configuration': '', 'D3 Weight': 0, 'D3 Adjasted Weight': 0, 'D3 Legal Load': 0,
+  'D3 Legal Load Plus Allowance': 0, 'D3 Overload': 0, 'D3 Charge Overload': 0, 'D3 Overload Perc': 0,
+  'D3 Fine': 0, 'D3 Points': 0, 'D3 Driver Fine': 0,
+  'D4 Axle Configuration': '', 'D4 Weight': 0, 'D4 Adjasted Weight': 0, 'D4 Legal Load': 0,
+  'D4 Legal Load Plus Allowance': 0, 'D4 Overload': 0, 'D4 Charge Overload': 0, 'D4 Overload Perc': 0,
+  'D4 Fine': 0, 'D4 Points': 0, 'D4 Driver Fine': 0,
+  'Amount Due': 120, 'Awkward Load Fine': 0, 'Amount Due Driver': 0, 'Conversion Factor': 23.3, 'Points Due': 0,
+  'User Full Name': 'Best Simaundu', 'RW User Full Name': '', 'Receipt Num': '', 'Comment': '', 'Distance': '',
+  'In Detention': false, 'Uploaded To Masterdb': false
+};
+
+describe('Row schema', () => {
+  test('should define one field per export column', () => {
+    expect(ROW_FIELDS).toHaveLength(88);
+    expect(ROW_FIELDS.map(f => f.header)).toEqual(Object.keys(EXPORT_RECORD));
+    expect(new Set(ROW_FIELDS.map(f => f.key)).size).toBe(88);
+  });
+
+  test('should map every export header to its field', () => {
+    const map = buildHeaderMap(Object.keys(EXPORT_RECORD));
+
+    ROW_FIELDS.forEach(field => {
+      expect(map[field.key]).toBe(field.header);
+    });
+  });
+
+  test('should not auto-map another field\'s column when the canonical header is missing', () => {
+    const map = buildHeaderMap(['Id', 'Site Name', 'Owner Name', 'RW User Full Name', 'GVM Driver Fine', 'Amount Due']);
+
+    expect(map.person).toBeUndefined();
+    expect(map.amountDueDriver).toBeUndefined();
+    expect(map.siteName).toBe('Site Name');
+    expect(map.gvmDriverFine).toBe('GVM Driver Fine');
+    expect(buildHeaderMap(['Site Name', 'Weighbridge User']).person).toBe('Weighbridge User');
+  });
+
+  test('should normalize a full export row into typed fields', () => {
+    const headerMap = buildHeaderMap(Object.keys(EXPORT_RECORD));
+    const row = normalizeRecord(EXPORT_RECORD, headerMap, { sheet: 'WLISTrdlc' });
+
+    expect(row).toMatchObject({
+      recordId: '533835',
+      date: '2025-06-30T00:13:17',
+      reweighDate: '2025-06-30T00:13:17',
+      ticketSn: '20250207123434572',
+      siteName: 'Chongwe-B',
+      scaleName: 'TESTDB1',
+      truckId: 'AKB2902',
+      vehicleType: 'Two axle vehicle',
+      axleRange: 1.8,
+      ownerName: 'PATRICK PHIRI',
+      driverName: 'MARTIN SILUMESI',
+      driverLicenceId: '746776/53/1',
+      driverNationality: 'ZAMBIAN',
+      cargoType: '0',
+      cargo: 'charcoal',
+      origin: 'CHONGWE',
+      destination: 'LUSAKA',
+      gvmAxleConfig: 'F1 A2',
+      gvmWeight: 17860,
+      gvmAdjustedWeight: 17860,
+      gvmLegalLoad: 18000,
+      d1LegalLoadAllowance: 8400,
+      d3AxleConfig: '',
+      gvmFine: 120,
+      amountDue: 120,
+      conversionFactor: 23.3,
+      person: 'Best Simaundu',
+      reweighUser: '',
+      receiptNumber: '',
+      distance: 0,
+      impounded: false,
+      uploadedToMasterDb: false,
+      group: '',
+      shift: '',
+      sheet: 'WLISTrdlc'
+    });
+    expect(row.totalRevenue).toBe(120);
+    expect(row._raw).toBe(EXPORT_RECORD);
+  });
+
+  test('should accept the corrected "Adjusted" spelling', () => {
+    const record = { 'D2 Adjusted Weight': '9,980' };
+    const row = normalizeRecord(record, buildHeaderMap(Object.keys(record)));
+
+    expect(row.d2AdjustedWeight).toBe(9980);
+  });
+
+  describe('value coercion', () => {
+    test('should parse numbers and keep unparseable values visible as NaN', () => {
+      expect(toNumber('')).toBe(0);
+      expect(toNumber(undefined)).toBe(0);
+      expect(toNumber('1,250.50')).toBe(1250.5);
+      expect(toNumber(' 42 ')).toBe(42);
+      expect(toNumber('n/a')).toBeNaN();
+    });
+
+    test('should turn Excel serials and date strings into ISO wall-clock strings', () => {
+      expect(toDateString(45838)).toBe('2025-06-30');
+      expect(toDateString(45838.5)).toBe('2025-06-30T12:00:00');
+      expect(toDateString('2024-01-01')).toBe('2024-01-01');
+      expect(toDateString('2024-01-01T10:00:00')).toBe('2024-01-01T10:00:00');
+      expect(toDateString('2024-01-01 10:00')).toBe('2024-01-01T10:00:00');
+      expect(toDateString('not a date')).toBe('');
+      expect(toDateString('')).toBe('');
+    });
+  });
+});
@@ -0,0 +1,62 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { AppProvider } from '../context';
+import ManageGroups from '../components/ManageGroups';
+import AssignShifts from '../components/AssignShifts';
+import db from '../database';
+
+const FDBFactory = require('fake-indexeddb/lib/FDBFactory');
+const FDBKeyRange = require('fake-indexeddb/lib/FDBKeyRange');
+
+global.indexedDB = new FDBFactory();
+global.IDBKeyRange = FDBKeyRange;
+
+describe('Site-scoped assignments', () => {
+  beforeEach(async () => {
+    localStorage.clear();
+    if (db.db) {
+      db.db.close();
+      db.db = null;
+    }
+    await db.init();
+    await db.clearAllData();
+    await db.saveExcelData([
+      { recordId: '1', person: 'John Doe', siteName: 'Kafue' },
+      { recordId: '2', person: 'Jane Smith', siteName: 'Chirundu' }
+    ]);
+    await db.addGroup('Kafue Crew', 'Kafue');
+    await db.addGroup('Chirundu Crew', 'Chirundu');
+    await db.addShift('Kafue Night', 'Kafue');
+    await db.addShift('Chirundu Night', 'Chirundu');
+  });
+
+  afterEach(() => {
+    if (db.db) {
+      db.db.close();
+      db.db = null;
+    }
+  });
+
+  test.each([
+    ['Manage Groups', ManageGroups, 'Kafue Crew', 'Chirundu Crew'],
+    ['Assign Shifts', AssignShifts, 'Kafue Night', 'Chirundu Night']
+  ])('%s should list everyone, then only the selected site', async (title, Component, kafue, chirundu) => {
+    render(
+      <AppProvider>
+        <Component />
+      </AppProvider>
+    );
+
+    expect(await screen.findByText('Jane Smith')).toBeInTheDocument();
+    expect(screen.getByText(title)).toBeInTheDocument();
+    expect(screen.getByText('John Doe')).toBeInTheDocument();
+    expect((await screen.findAllByText(chirundu)).length).toBeGreaterThan(0);
+
+    fireEvent.change(screen.getByLabelText('Site'), { target: { value: 'Kafue' } });
+
+    expect(screen.getByText('John Doe')).toBeInTheDocument();
+    expect(screen.queryByText('Jane Smith')).not.toBeInTheDocument();
+    expect(screen.getAllByText(kafue).length).toBeGreaterThan(0);
+    expect(screen.queryByText(chirundu)).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,52 @@
+import { rowSite, siteOptions, filterBySite, inSiteScope, sitesByPerson, siteBreakdown } from '../sites';
+
+describe('Sites', () => {
+  const rows = [
+    { person: 'Best Simaundu', siteName: 'Chongwe-B', scaleName: 'TESTDB1', amountDue: 100, impounded: true },
+    { person: 'Best Simaundu', siteName: 'Chongwe-B', scaleName: 'TESTDB2', amountDue: 50 },
+    { person: 'Peter Banda', siteName: ' Kafue ', scaleName: 'WIM', amountDue: 20 },
+    { person: 'Peter Banda', siteName: '', currentLocation: 'Kafue', scaleName: 'WIM', amountDue: 30 },
+    { person: 'Mary Phiri', amountDue: 5 }
+  ];
+
+  test('should read the site from Site Name or Current Location', () => {
+    expect(rowSite(rows[2])).toBe('Kafue');
+    expect(rowSite(rows[3])).toBe('Kafue');
+    expect(rowSite(rows[4])).toBe('');
+  });
+
+  test('should list sites with their scales', () => {
+    expect(siteOptions(rows)).toEqual([
+      { site: 'Chongwe-B', scales: ['TESTDB1', 'TESTDB2'] },
+      { site: 'Kafue', scales: ['WIM'] }
+    ]);
+  });
+
+  test('should filter rows by site and scale', () => {
+    expect(filterBySite(rows, { site: '' })).toHaveLength(5);
+    expect(filterBySite(rows, { site: 'Kafue' })).toHaveLength(2);
+    expect(filterBySite(rows, { site: 'Chongwe-B', scale: 'TESTDB2' })).toEqual([rows[1]]);
+  });
+
+  test('should scope records without a site to every site', () => {
+    expect(inSiteScope({ name: 'Team A', site: '' }, 'Kafue')).toBe(true);
+    expect(inSiteScope({ name: 'Team B', site: 'Chongwe-B' }, 'Kafue')).toBe(false);
+    expect(inSiteScope({ name: 'Team B', site: 'Chongwe-B' }, '')).toBe(true);
+  });
+
+  test('should collect the sites each person weighed at', () => {
+    const sites = sitesByPerson(rows);
+    expect([...sites['Best Simaundu']]).toEqual(['Chongwe-B']);
+    expect([...sites['Peter Banda']]).toEqual(['Kafue']);
+    expect(sites['Mary Phiri']).toBeUndefined();
+  });
+
+  test('should break down trucks, impounds and revenue by site and scale', () => {
+    expect(siteBreakdown(rows)).toEqual([
+      { site: 'Chongwe-B', scale: 'TESTDB1', weighings: 1, impounded: 1, revenue: 100 },
+      { site: 'Chongwe-B', scale: 'TESTDB2', weighings: 1, impounded: 0, revenue: 50 },
+      { site: 'Kafue', scale: 'WIM', weighings: 2, impounded: 0, revenue: 50 },
+      { site: 'Unknown Site', scale: '', weighings: 1, impounded: 0, revenue: 5 }
+    ]);
+  });
+});
@@ -0,0 +1,96 @@
+import * as XLSX from 'xlsx';
+import { buildHeaderMap, normalizeRecord } from '../schema';
+import { validateRow, validateRows, buildValidationReport } from '../validation';
+
+const GOOD_RECORD = {
+  'Id': 533835, 'W Date Time': 45838.0092268171, 'Ticket SN': '20250207123434572', 'Vehicle': 'AKB2902',
+  'User Full Name': 'Best Simaundu', 'GVM Weight': 17860, 'GVM Fine': 120, 'D1 Fine': 0, 'Amount Due': 120
+};
+
+function rowFrom(overrides = {}) {
+  const record = { ...GOOD_RECORD, ...overrides };
+  return normalizeRecord(record, buildHeaderMap(Object.keys(record)), { sheet: 'WLISTrdlc' });
+}
+
+const messages = issues => issues.map(i => i.message);
+
+describe('Row validation', () => {
+  test('should pass a complete row', () => {
+    expect(validateRow(rowFrom())).toEqual({ errors: [], warnings: [] });
+  });
+
+  test('should require date, operator and vehicle', () => {
+    const { errors } = validateRow(rowFrom({ 'W Date Time': '', 'User Full Name': ' ', 'Vehicle': '' }));
+
+    expect(messages(errors)).toEqual(['W Date Time is missing', 'User Full Name is missing', 'Vehicle is missing']);
+  });
+
+  test('should warn when a row has no Id or Ticket SN', () => {
+    const { warnings } = validateRow(rowFrom({ 'Id': '', 'Ticket SN': '' }));
+
+    expect(warnings).toEqual([expect.objectContaining({ rule: 'identity' })]);
+  });
+
+  test('should report values that could not be read', () => {
+    const { errors } = validateRow(rowFrom({ 'W Date Time': '31/31/2025', 'GVM Weight': 'heavy' }));
+
+    expect(messages(errors)).toEqual([
+      'W Date Time "31/31/2025" is not a valid date',
+      'GVM Weight "heavy" is not a number'
+    ]);
+  });
+
+  test('should check numeric ranges', () => {
+    const { errors, warnings } = validateRow(rowFrom({ 'GVM Fine': -120, 'Amount Due': -120, 'GVM Weight': 1786000 }));
+
+    expect(messages(errors)).toEqual(['GVM Fine is negative (-120)', 'Amount Due is negative (-120)']);
+    expect(messages(warnings)).toEqual(['GVM Weight of 1786000 kg is implausibly high']);
+  });
+
+  test('should warn about dates in the future', () => {
+    const { warnings } = validateRow(rowFrom({ 'W Date Time': '2999-01-01' }));
+
+    expect(messages(warnings)).toEqual(['W Date Time 2999-01-01 is in the future']);
+  });
+
+  test('should warn about ambiguous day/month dates', () => {
+    const { warnings } = validateRow(rowFrom({ 'W Date Time': '05/06/2025' }));
+
+    expect(messages(warnings)).toEqual(['W Date Time "05/06/2025" could be day/month or month/day; read as 2025-06-05']);
+  });
+
+  test('should warn when fines do not add up to Amount Due', () => {
+    const { warnings } = validateRow(rowFrom({ 'D1 Fine': 30 }));
+
+    expect(messages(warnings)).toEqual(['Fines add up to 150 but Amount Due is 120']);
+  });
+
+  test('should summarize rows and issues', () => {
+    const rows = [rowFrom(), rowFrom({ 'Vehicle': '' }), rowFrom({ 'D1 Fine': 30 }), rowFrom({ 'D1 Fine': 10 })];
+    const { results, summary } = validateRows(rows);
+
+    expect(results).toHaveLength(4);
+    expect(summary).toMatchObject({ totalRows: 4, validRows: 1, errorRows: 1, warningRows: 2 });
+    expect(summary.issues).toEqual([
+      { severity: 'error', rule: 'required', field: 'truckId', label: 'Vehicle', count: 1 },
+      { severity: 'warning', rule: 'fineTotal', field: 'amountDue', label: 'Amount Due', count: 2 }
+    ]);
+  });
+
+  test('should build a report of failing rows with their original columns', () => {
+    const rows = [rowFrom(), rowFrom({ 'Vehicle': '', 'D1 Fine': 30 })];
+    const wb = buildValidationReport(rows, validateRows(rows));
+
+    expect(wb.SheetNames).toEqual(['Failing Rows', 'Summary']);
+    const failing = XLSX.utils.sheet_to_json(wb.Sheets['Failing Rows']);
+    expect(failing).toHaveLength(1);
+    expect(failing[0]).toMatchObject({
+      'Upload Row': 2,
+      'Sheet': 'WLISTrdlc',
+      'Errors': 'Vehicle is missing',
+      'Warnings': 'Fines add up to 150 but Amount Due is 120',
+      'User Full Name': 'Best Simaundu',
+      'D1 Fine': 30
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import db from '../database';
+
+const FDBFactory = require('fake-indexeddb/lib/FDBFactory');
+const FDBKeyRange = require('fake-indexeddb/lib/FDBKeyRange');
+
+global.indexedDB = new FDBFactory();
+global.IDBKeyRange = FDBKeyRange;
+
+const rows = [
+  { recordId: '1', ticketSn: 'T1', date: '2025-06-30T08:15:00', siteName: 'Chongwe-B', person: 'Best Simaundu', truckId: 'ABC 123', impounded: true },
+  { recordId: '2', ticketSn: 'T2', date: '2025-07-01T09:00:00', siteName: 'Chongwe-B', person: 'Peter Banda', truckId: 'XYZ 9', impounded: false },
+  { recordId: '3', ticketSn: 'T3', date: '2025-07-01T23:30:00', siteName: 'Kafue', person: 'best  SIMAUNDU', truckId: 'ABC 123', impounded: false },
+  { recordId: '4', ticketSn: 'T4', date: '2025-07-02T10:00:00', siteName: 'Kafue', person: 'Mary Phiri', truckId: 'KLM 5', impounded: true },
+  { recordId: '5', ticketSn: 'T5', date: '', siteName: 'Kafue', person: 'Mary Phiri', truckId: 'KLM 5', impounded: false }
+];
+
+const ids = (page) => page.rows.map(row => row.recordId);
+
+describe('Weighings store', () => {
+  beforeEach(async () => {
+    if (db.db) {
+      db.db.close();
+    }
+    await db.init();
+    await db.clearAllData();
+  });
+
+  test('should store one weighing per row of a new upload', async () => {
+    await db.saveExcelData(rows, { fileName: 'june.xlsx' });
+
+    expect(await db.countWeighings()).toBe(5);
+    expect(ids(await db.queryWeighings())).toEqual(['1', '2', '3', '4', '5']);
+  });
+
+  test('should query by date, person, vehicle, site, ticket and impounded', async () => {
+    await db.saveExcelData(rows);
+
+    expect(ids(await db.queryWeighings({ index: 'date', range: { from: '2025-07-01', to: '2025-07-01' } }))).toEqual(['2', '3']);
+    expect(ids(await db.queryWeighings({ index: 'date', range: { to: '2025-06-30' } }))).toEqual(['1']);
+    expect(ids(await db.queryWeighings({ index: 'date', direction: 'prev' }))).toEqual(['4', '3', '2', '1']);
+    expect(ids(await db.queryWeighings({ index: 'person', range: { only: 'Best Simaundu' } }))).toEqual(['1', '3']);
+    expect(ids(await db.queryWeighings({ index: 'vehicle', range: { only: 'KLM 5' } }))).toEqual(['4', '5']);
+    expect(ids(await db.queryWeighings({ index: 'site', range: IDBKeyRange.only('Kafue') }))).toEqual(['3', '4', '5']);
+    expect(ids(await db.queryWeighings({ index: 'ticketSn', range: { only: 'T2' } }))).toEqual(['2']);
+    expect(ids(await db.queryWeighings({ index: 'impounded', range: { only: true } }))).toEqual(['1', '4']);
+    expect(await db.countWeighings({ index: 'impounded', range: { only: false } })).toBe(3);
+    await expect(db.queryWeighings({ index: 'driver' })).rejects.toThrow('Unknown weighings index: driver');
+  });
+
+  test('should page through a query', async () => {
+    await db.saveExcelData(rows);
+
+    const pages = [];
+    let page = await db.queryWeighings({ index: 'site', limit: 2 });
+    pages.push(ids(page));
+    while (page.next) {
+      page = await db.queryWeighings({ index: 'site', limit: 2, after: page.next });
+      pages.push(ids(page));
+    }
+    expect(pages).toEqual([['1', '2'], ['3', '4'], ['5']]);
+
+    const first = await db.queryWeighings({ direction: 'prev', limit: 3 });
+    const second = await db.queryWeighings({ direction: 'prev', limit: 3, after: first.next });
+    expect([ids(first), ids(second), second.next]).toEqual([['5', '4', '3'], ['2', '1'], null]);
+  });
+
+  test('should follow the current dataset', async () => {
+    const first = await db.saveExcelData(rows.slice(0, 2), { fileName: 'june.xlsx' });
+    await db.appendExcelData([{ ...rows[1], impounded: true }, rows[2]], { fileName: 'july.xlsx' });
+    expect(ids(await db.queryWeighings())).toEqual(['1', '2', '3']);
+    expect(ids(await db.queryWeighings({ index: 'impounded', range: { only: true } }))).toEqual(['1', '2']);
+
+    const second = await db.saveExcelData(rows.slice(3), { fileName: 'august.xlsx' });
+    expect(ids(await db.queryWeighings())).toEqual(['4', '5']);
+
+    await db.setActiveUploads([first]);
+    expect(ids(await db.queryWeighings())).toEqual(['1', '2']);
+
+    await db.setActiveUploads([second]);
+    await db.deleteUpload(second);
+    // Without an active upload the latest one is the current dataset
+    expect(ids(await db.queryWeighings())).toEqual(['1', '2', '3']);
+  });
+});
@@ -0,0 +1,128 @@
+// Audit log of data changes. Every write to the database adds entries to the append-only `auditLog` store,
+// in the same transaction as the change itself:
+//   { id, timestamp, entity, entityId, label, action, changes, before, after, actor: { name, role } }
+// `before` and `after` are the record as it was and as it became (null for a create or a delete); uploads
+// are logged without their rows. `changes` lists the fields that differ. The actor is the profile set under
+// Management → Audit, saved with the other settings on this computer.
+
+import { DEFAULT_DATE_SETTINGS, formatInTimeZone } from './dates';
+
+export const DEFAULT_PROFILE_SETTINGS = {
+  name: '',
+  role: '',
+};
+
+export const AUDIT_ENTITIES = {
+  person: 'Person',
+  alias: 'Alias',
+  group: 'Group',
+  shift: 'Shift',
+  upload: 'Upload',
+  mappingProfile: 'Mapping Profile',
+  database: 'Database',
+};
+
+export const AUDIT_ACTIONS = ['create', 'update', 'delete', 'merge', 'clear', 'restore'];
+
+// Fields that change with every write and say nothing on their own
+const IGNORED_FIELDS = ['updatedAt'];
+
+// How an entity is named in the log; kept on the entry so it still reads after the record is deleted
+function describe(entity, record) {
+  if (!record) return '';
+  if (entity === 'alias') return record.alias || record.key || '';
+  if (entity === 'upload') return record.fileName || record.uploadDate || '';
+  return record.name || '';
+}
+
+// An upload's rows are the upload itself, not something edited; log its summary
+function snapshot(entity, record) {
+  if (!record) return null;
+  if (entity === 'upload') {
+    const { data, ...summary } = record;
+    return summary;
+  }
+  return record;
+}
+
+function changedFields(before, after) {
+  if (!before || !after) return [];
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+}
+
+// An entry for `change` ({ entity, action, before?, after? }) made by `actor`; the store adds the id
+export function auditEntry(change, actor = DEFAULT_PROFILE_SETTINGS) {
+  const before = snapshot(change.entity, change.before);
+  const after = snapshot(change.entity, change.after);
+  const record = after || before || {};
+  return {
+    timestamp: new Date().toISOString(),
+    entity: change.entity,
+    entityId: record.id ?? record.key ?? null,
+    label: describe(change.entity, record),
+    action: change.action,
+    changes: changedFields(before, after),
+    before,
+    after,
+    actor: { name: (actor.name || '').trim(), role: (actor.role || '').trim() },
+  };
+}
+
+// Entries matching the viewer's filters: `entity`, `action`, `from`/`to` (YYYY-MM-DD station days in
+// `timeZone`, inclusive) and `text`, looked up case-insensitively in the record name, the user and the
+// before/after values
+export function filterAuditEntries(entries, { entity = '', action = '', from = '', to = '', text = '', timeZone = DEFAULT_DATE_SETTINGS.timeZone } = {}) {
+  const needle = text.trim().toLowerCase();
+  return entries.filter(entry => {
+    if (entity && entry.entity !== entity) return false;
+    if (action && entry.action !== action) return false;
+    if (from || to) {
+      const day = formatInTimeZone(new Date(entry.timestamp), timeZone, false);
+      if ((from && day < from) || (to && day > to)) return false;
+    }
+    if (!needle) return true;
+    return [entry.label, entry.actor.name, entry.actor.role, JSON.stringify(entry.before), JSON.stringify(entry.after)]
+      .some(value => String(value || '').toLowerCase().includes(needle));
+  });
+}
+
+const formatValue = (value) => (value === undefined || value === null || value === '' ? '(empty)' : typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+// "group: Team A → Team B; shift: (empty) → Night" for an update, the record's fields otherwise
+export function describeChanges(entry) {
+  if (entry.before && entry.after) {
+    return entry.changes.map(field => `${field}: ${formatValue(entry.before[field])} → ${formatValue(entry.after[field])}`).join('; ');
+  }
+  const record = entry.after || entry.before || {};
+  return Object.entries(record)
+    .filter(([field]) => !['id', 'createdAt', ...IGNORED_FIELDS].includes(field))
+    .map(([field, value]) => `${field}: ${formatValue(value)}`)
+    .join('; ');
+}
+
+function csvCell(value) {
+  const s = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// One line per entry, with the full before/after records as JSON for anyone checking the details
+export function auditLogToCsv(entries) {
+  const lines = [['timestamp', 'user', 'role', 'entity', 'id', 'record', 'action', 'changes', 'before', 'after'].join(',')];
+  entries.forEach(entry => {
+    lines.push([
+      entry.timestamp,
+      entry.actor.name,
+      entry.actor.role,
+      AUDIT_ENTITIES[entry.entity] || entry.entity,
+      entry.entityId,
+      entry.label,
+      entry.action,
+      describeChanges(entry),
+      entry.before ? JSON.stringify(entry.before) : '',
+      entry.after ? JSON.stringify(entry.after) : '',
+    ].map(csvCell).join(','));
+  });
+  return `${lines.join('\n')}\n`;
+}
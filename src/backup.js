@@ -0,0 +1,178 @@
+import { nameKey } from './names';
+
+// Full database backups (Export → Database) and how to restore them. A backup holds every record of every
+// store with its original id and timestamps, so a station's database can move to another computer as it was:
+//   { metadata: { format, version, exportedAt, database, schemaVersion, counts }, people, aliases, groups,
+//     shifts, mappingProfiles, excelData }
+// The weighings store is left out since it is rebuilt from the uploads, and the migrations store and the
+// audit log describe the database rather than its data; a restore adds to the audit log instead. Exports
+// from before this format (metadata.version '1.0', only the latest upload) can still be restored.
+
+export const BACKUP_FORMAT = 'weighbridge-backup';
+export const BACKUP_VERSION = 2;
+
+// In restore order: aliases point at people
+export const BACKUP_STORES = ['people', 'groups', 'shifts', 'mappingProfiles', 'excelData', 'aliases'];
+
+// Stores keyed by an auto-incremented id; aliases are keyed by their name key
+const ID_STORES = BACKUP_STORES.filter(store => store !== 'aliases');
+
+// What makes two records the same thing, whatever their ids
+const NATURAL_KEYS = {
+  people: person => person.nameKey || nameKey(person.name),
+  groups: group => group.name,
+  shifts: shift => shift.name,
+  mappingProfiles: profile => profile.name,
+  excelData: upload => `${upload.uploadDate}|${upload.fileName || ''}`,
+  aliases: alias => alias.key
+};
+
+// How a record is named in the restore preview
+const LABELS = {
+  people: person => person.name,
+  groups: group => group.name,
+  shifts: shift => shift.name,
+  mappingProfiles: profile => profile.name,
+  excelData: upload => upload.fileName || upload.uploadDate,
+  aliases: alias => alias.alias || alias.key
+};
+
+export function createBackup(stores, schemaVersion) {
+  return {
+    metadata: {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      database: 'WeighbridgeDB',
+      schemaVersion,
+      counts: Object.fromEntries(BACKUP_STORES.map(store => [store, (stores[store] || []).length]))
+    },
+    ...Object.fromEntries(BACKUP_STORES.map(store => [store, stores[store] || []]))
+  };
+}
+
+// Fields added to records after they were first stored, for backups of older databases
+function withDefaults(store, record) {
+  if (store === 'people') {
+    return { group: '', shift: '', site: '', ...record, nameKey: record.nameKey || nameKey(record.name) };
+  }
+  if (store === 'groups' || store === 'shifts') return { site: '', ...record };
+  return record;
+}
+
+// Whether parsed JSON is a database backup rather than a session export (Export → JSON, with rawData)
+export function isDatabaseBackup(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data.rawData)) return false;
+  return (data.metadata || {}).format === BACKUP_FORMAT
+    || Array.isArray(data.people) || Array.isArray(data.groups) || Array.isArray(data.shifts);
+}
+
+// The stores of a backup file as { schemaVersion, stores }. Throws when the file is not a backup or
+// comes from a newer version of the app than `currentSchemaVersion`.
+export function readBackup(data, currentSchemaVersion) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Not a database backup');
+  const metadata = data.metadata || {};
+
+  let stores;
+  if (metadata.format === BACKUP_FORMAT) {
+    if (metadata.version > BACKUP_VERSION || metadata.schemaVersion > currentSchemaVersion) {
+      throw new Error('This backup was made by a newer version of the app');
+    }
+    stores = Object.fromEntries(BACKUP_STORES.map(store => [store, data[store] || []]));
+  } else if (isDatabaseBackup(data)) {
+    // Export from before this format: people, groups, shifts and the latest upload
+    stores = {
+      people: data.people || [],
+      groups: data.groups || [],
+      shifts: data.shifts || [],
+      mappingProfiles: [],
+      excelData: data.excelData && !Array.isArray(data.excelData) ? [data.excelData] : data.excelData || [],
+      aliases: data.aliases || []
+    };
+  } else {
+    throw new Error('Not a database backup');
+  }
+
+  BACKUP_STORES.forEach(store => {
+    if (!Array.isArray(stores[store])) throw new Error(`Invalid backup: ${store} is not a list`);
+    stores[store] = stores[store].map(record => withDefaults(store, record));
+  });
+  return { schemaVersion: metadata.schemaVersion || null, stores };
+}
+
+// Record contents that count for a conflict: not the id, and for uploads not the rows (matched uploads
+// have the same upload date and file name) or whether they are active
+function comparable(store, record) {
+  const { id, ...rest } = record;
+  if (store === 'excelData') {
+    const { data, active, ...summary } = rest;
+    return JSON.stringify(summary);
+  }
+  return JSON.stringify(rest);
+}
+
+// Plan a restore of `backup` stores over the `current` ones. Modes:
+//   'replace': every store is emptied and refilled from the backup, with the original ids
+//   'merge':   backup records that match a current one (same name, alias or upload) are left out and the
+//              current version is kept; when the contents differ they are listed in `conflicts`. Other
+//              records are added with their original id, or a new one when that id is taken. Added uploads
+//              stay out of the current dataset unless there were no uploads before.
+// Returns { mode, summary, conflicts, writes }: per store { incoming, existing, added, unchanged, conflicts,
+// removed } counts, the conflicts as { store, key, label, current, backup }, and the records to write per store.
+export function planRestore(current, backup, mode = 'merge') {
+  if (mode !== 'merge' && mode !== 'replace') throw new Error(`Unknown restore mode: ${mode}`);
+  const summary = {};
+  const conflicts = [];
+  const writes = {};
+  const personIds = new Map();
+
+  BACKUP_STORES.forEach(store => {
+    const existing = mode === 'replace' ? [] : current[store] || [];
+    const incoming = backup[store] || [];
+    const counts = { incoming: incoming.length, existing: (current[store] || []).length, added: 0, unchanged: 0, conflicts: 0, removed: 0 };
+    if (mode === 'replace') counts.removed = counts.existing;
+
+    const byKey = new Map(existing.map(record => [NATURAL_KEYS[store](record), record]));
+    const usedIds = new Set(existing.map(record => record.id));
+    incoming.forEach(record => {
+      if (record.id !== undefined && record.id !== null) usedIds.add(record.id);
+    });
+    let nextId = Math.max(0, ...[...usedIds].filter(Number.isFinite)) + 1;
+    const takenIds = new Set(existing.map(record => record.id));
+
+    writes[store] = [];
+    incoming.forEach(original => {
+      const record = store === 'aliases' && personIds.has(original.personId)
+        ? { ...original, personId: personIds.get(original.personId) }
+        : original;
+      const key = NATURAL_KEYS[store](record);
+      const match = byKey.get(key);
+
+      if (match) {
+        if (store === 'people') personIds.set(original.id, match.id);
+        if (comparable(store, match) === comparable(store, record)) {
+          counts.unchanged++;
+        } else {
+          counts.conflicts++;
+          conflicts.push({ store, key, label: LABELS[store](match), current: match, backup: record });
+        }
+        return;
+      }
+
+      let written = record;
+      if (ID_STORES.includes(store)) {
+        const id = record.id !== undefined && record.id !== null && !takenIds.has(record.id) ? record.id : nextId++;
+        takenIds.add(id);
+        if (store === 'people') personIds.set(original.id, id);
+        written = { ...record, id };
+      }
+      if (store === 'excelData' && mode === 'merge' && existing.length > 0) written = { ...written, active: 0 };
+      byKey.set(key, written);
+      writes[store].push(written);
+      counts.added++;
+    });
+    summary[store] = counts;
+  });
+
+  return { mode, summary, conflicts, writes };
+}
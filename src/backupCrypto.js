@@ -0,0 +1,103 @@
+// Passphrase-encrypted database backups. The backup JSON is encrypted with AES-GCM under a key derived from
+// the passphrase with PBKDF2, using the browser's WebCrypto (crypto.subtle):
+//   { format, version, encryptedAt, kdf: { name, hash, iterations, salt }, cipher: { name, iv }, data }
+// salt, iv and data are base64. AES-GCM authenticates the data and, as additional data, the header fields,
+// so a file that was changed after export fails to decrypt just as a wrong passphrase does.
+
+export const ENCRYPTED_BACKUP_FORMAT = 'weighbridge-backup-encrypted';
+export const ENCRYPTED_BACKUP_VERSION = 1;
+
+// OWASP's recommendation for PBKDF2-HMAC-SHA256
+export const PBKDF2_ITERATIONS = 600000;
+const MAX_ITERATIONS = 10000000;
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+function subtle() {
+  const crypto = window.crypto;
+  if (!crypto || !crypto.subtle) throw new Error('Encryption is not available in this browser');
+  return crypto.subtle;
+}
+
+// btoa/atob work on binary strings; build them in chunks so large backups do not overflow the call stack
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+async function deriveKey(passphrase, kdf, usage) {
+  const material = await subtle().importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return subtle().deriveKey(
+    { name: 'PBKDF2', hash: kdf.hash, salt: fromBase64(kdf.salt), iterations: kdf.iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    [usage]
+  );
+}
+
+// The header fields bound to the ciphertext, in a fixed order
+function headerBytes(file) {
+  const { format, version, encryptedAt, kdf, cipher } = file;
+  return new TextEncoder().encode(JSON.stringify([format, version, encryptedAt, kdf.name, kdf.hash, kdf.iterations, kdf.salt, cipher.name, cipher.iv]));
+}
+
+export function isEncryptedBackup(data) {
+  return Boolean(data) && typeof data === 'object' && data.format === ENCRYPTED_BACKUP_FORMAT;
+}
+
+export async function encryptBackup(backup, passphrase, { iterations = PBKDF2_ITERATIONS } = {}) {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+  const salt = window.crypto.getRandomValues(new Uint8Array(16));
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const file = {
+    format: ENCRYPTED_BACKUP_FORMAT,
+    version: ENCRYPTED_BACKUP_VERSION,
+    encryptedAt: new Date().toISOString(),
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: toBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: toBase64(iv) }
+  };
+
+  const key = await deriveKey(passphrase, file.kdf, 'encrypt');
+  const data = await subtle().encrypt(
+    { name: 'AES-GCM', iv, additionalData: headerBytes(file) },
+    key,
+    new TextEncoder().encode(JSON.stringify(backup))
+  );
+  return { ...file, data: toBase64(new Uint8Array(data)) };
+}
+
+// The backup inside an encrypted file. Throws when the file is not an encrypted backup this version can
+// read, and when the passphrase is wrong or the file has been changed (the two cannot be told apart).
+export async function decryptBackup(file, passphrase) {
+  if (!isEncryptedBackup(file)) throw new Error('Not an encrypted backup');
+  if (file.version > ENCRYPTED_BACKUP_VERSION) throw new Error('This backup was made by a newer version of the app');
+
+  const { kdf, cipher } = file;
+  if (!kdf || kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || !cipher || cipher.name !== 'AES-GCM'
+    || !Number.isInteger(kdf.iterations) || kdf.iterations < 1 || kdf.iterations > MAX_ITERATIONS
+    || typeof file.data !== 'string') {
+    throw new Error('Invalid encrypted backup');
+  }
+
+  let plain;
+  try {
+    const key = await deriveKey(passphrase, kdf, 'decrypt');
+    plain = await subtle().decrypt({ name: 'AES-GCM', iv: fromBase64(cipher.iv), additionalData: headerBytes(file) }, key, fromBase64(file.data));
+  } catch (error) {
+    throw new Error('Wrong passphrase, or the file has been changed since it was exported');
+  }
+  return JSON.parse(new TextDecoder().decode(plain));
+}
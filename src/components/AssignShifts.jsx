@@ -2,12 +2,16 @@ import React, { useState, useEffect } from 'react';
 import { Button, Col, Row, Form, Alert, Table, Modal } from 'react-bootstrap';
 import { useApp } from '../context';
 import db from '../database';
+import { inSiteScope, sitesByPerson } from '../sites';
+import SiteFilter from './SiteFilter';
 
 export default function AssignShifts() {
-  const { rows, peopleToShift, setPeopleToShift, distinctPeople } = useApp();
+  const { rows, peopleToShift, setPeopleToShift, distinctPeople, sites, resolvePerson } = useApp();
   const [shifts, setShifts] = useState([]);
   const [showModal, setShowModal] = useState(false);
   const [newShiftName, setNewShiftName] = useState('');
+  const [newShiftSite, setNewShiftSite] = useState('');
+  const [siteFilter, setSiteFilter] = useState({ site: '', scale: '' });
   const [showSuccess, setShowSuccess] = useState(false);
   const [showError, setShowError] = useState(false);
   const [errorMessage, setErrorMessage] = useState('');
@@ -43,9 +47,10 @@ export default function AssignShifts() {
     }
 
     try {
-      await db.addShift(newShiftName.trim());
+      await db.addShift(newShiftName.trim(), newShiftSite);
       await loadShifts();
       setNewShiftName('');
+      setNewShiftSite('');
       setShowModal(false);
       setShowSuccess(true);
       setTimeout(() => setShowSuccess(false), 3000);
@@ -88,9 +93,18 @@ export default function AssignShifts() {
     await setPeopleToShift(updated);
   }
 
+  // With a site selected, only people who weighed there and shifts scoped to it (or to no site) are shown
+  const personSites = sitesByPerson(rows, resolvePerson);
+  const sitePeople = siteFilter.site
+    ? distinctPeople.filter(person => personSites[person]?.has(siteFilter.site))
+    : distinctPeople;
+  const siteShifts = shifts.filter(shift => inSiteScope(shift, siteFilter.site));
+  // Shifts a person can be given: those without a site and those of a site they weighed at
+  const shiftsFor = (person) => siteShifts.filter(shift => !shift.site || personSites[person]?.has(shift.site) || shift.name === peopleToShift[person]);
+
   // Get people grouped by their assigned shift
   const peopleByShift = {};
-  distinctPeople.forEach(person => {
+  sitePeople.forEach(person => {
     const shift = peopleToShift[person] || 'Unassigned';
     if (!peopleByShift[shift]) {
       peopleByShift[shift] = [];
@@ -98,9 +112,9 @@ export default function AssignShifts() {
     peopleByShift[shift].push(person);
   });
 
-  const shouldShowCollapse = shifts.length > 3 || distinctPeople.length > 3;
-  const displayedShifts = isCollapsed ? shifts.slice(0, 3) : shifts;
-  const displayedPeople = isCollapsed ? distinctPeople.slice(0, 3) : distinctPeople;
+  const shouldShowCollapse = siteShifts.length > 3 || sitePeople.length > 3;
+  const displayedShifts = isCollapsed ? siteShifts.slice(0, 3) : siteShifts;
+  const displayedPeople = isCollapsed ? sitePeople.slice(0, 3) : sitePeople;
 
   return (
     <div className="section">
@@ -116,7 +130,7 @@ export default function AssignShifts() {
             {isCollapsed ? (
               <>
                 <i className="bi bi-chevron-down me-1"></i>
-                Show All ({shifts.length} shifts, {distinctPeople.length} people)
+                Show All ({siteShifts.length} shifts, {sitePeople.length} people)
               </>
             ) : (
               <>
@@ -151,6 +165,11 @@ export default function AssignShifts() {
             Refresh Shifts
           </Button>
         </Col>
+        {sites.length > 0 && (
+          <Col xs={12} md="auto">
+            <SiteFilter sites={sites} value={siteFilter} onChange={setSiteFilter} showScale={false} />
+          </Col>
+        )}
       </Row>
 
       {/* Shifts Overview */}
@@ -164,6 +183,7 @@ export default function AssignShifts() {
                   {peopleByShift[shift.name]?.length || 0}
                 </div>
                 <div className="metric-label">{shift.name}</div>
+                {shift.site && <span className="badge bg-light text-dark">{shift.site}</span>}
                 <Button
                   size="sm"
                   variant="outline-danger"
@@ -183,10 +203,10 @@ export default function AssignShifts() {
               <div className="metric-label">Unassigned</div>
             </div>
           </Col>
-          {isCollapsed && shifts.length > 3 && (
+          {isCollapsed && siteShifts.length > 3 && (
             <Col xs={12}>
               <div className="text-center text-muted">
-                <em>Showing 3 of {shifts.length} shifts. Click "Show All" to see the complete list.</em>
+                <em>Showing 3 of {siteShifts.length} shifts. Click "Show All" to see the complete list.</em>
               </div>
             </Col>
           )}
@@ -214,7 +234,7 @@ export default function AssignShifts() {
                     size="sm"
                   >
                     <option value="">Unassigned</option>
-                    {shifts.map(shift => (
+                    {shiftsFor(person).map(shift => (
                       <option key={shift.id} value={shift.name}>
                         {shift.name}
                       </option>
@@ -228,14 +248,14 @@ export default function AssignShifts() {
                 </td>
               </tr>
             ))}
-            {isCollapsed && distinctPeople.length > 3 && (
+            {isCollapsed && sitePeople.length > 3 && (
               <tr className="table-info">
                 <td colSpan="3" className="text-center">
-                  <em>Showing 3 of {distinctPeople.length} people. Click "Show All" to see the complete list.</em>
+                  <em>Showing 3 of {sitePeople.length} people. Click "Show All" to see the complete list.</em>
                 </td>
               </tr>
             )}
-            {distinctPeople.length === 0 && (
+            {sitePeople.length === 0 && (
               <tr>
                 <td colSpan="3" className="text-center text-muted">
                   No people found. Please upload an Excel file first.
@@ -263,6 +283,15 @@ export default function AssignShifts() {
                 required
               />
             </Form.Group>
+            <Form.Group className="mt-3">
+              <Form.Label>Site</Form.Label>
+              <Form.Select value={newShiftSite} onChange={(e) => setNewShiftSite(e.target.value)}>
+                <option value="">All Sites</option>
+                {sites.map(s => (
+                  <option key={s.site} value={s.site}>{s.site}</option>
+                ))}
+              </Form.Select>
+            </Form.Group>
           </Modal.Body>
           <Modal.Footer>
             <Button variant="secondary" onClick={() => setShowModal(false)}>
@@ -0,0 +1,189 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Alert, Badge, Button, Col, Form, Row, Table } from 'react-bootstrap';
+import { saveAs } from 'file-saver';
+import { useApp } from '../context';
+import { AUDIT_ACTIONS, AUDIT_ENTITIES, auditLogToCsv, describeChanges, filterAuditEntries } from '../audit';
+import { formatInTimeZone } from '../dates';
+
+// Rows rendered at once; the CSV export always has every matching entry
+const PAGE_SIZE = 200;
+
+const ACTION_VARIANTS = {
+  create: 'success',
+  update: 'primary',
+  delete: 'danger',
+  merge: 'info',
+  clear: 'danger',
+  restore: 'warning',
+};
+
+export default function AuditLog() {
+  const { db, dbInitialized, rows, settings, updateSettings } = useApp();
+  // Saved on blur, so every keystroke is not a settings write
+  const [profile, setProfile] = useState(settings.profile);
+  const [entries, setEntries] = useState([]);
+  const [filters, setFilters] = useState({ text: '', entity: '', action: '', from: '', to: '' });
+  const [shown, setShown] = useState(PAGE_SIZE);
+  const [loading, setLoading] = useState(false);
+  const [refreshes, setRefreshes] = useState(0);
+  const [showError, setShowError] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  useEffect(() => {
+    setProfile(settings.profile);
+  }, [settings.profile]);
+
+  // Reload when the data changes elsewhere, e.g. after an upload, and on Refresh
+  useEffect(() => {
+    if (!dbInitialized) return;
+    setLoading(true);
+    db.getAuditLog()
+      .then(setEntries)
+      .catch(error => {
+        console.error('Failed to load audit log:', error);
+        setErrorMessage(`Failed to load audit log: ${error.message}`);
+        setShowError(true);
+      })
+      .finally(() => setLoading(false));
+  }, [db, dbInitialized, rows, refreshes]);
+
+  const timeZone = settings.dates.timeZone;
+  const filtered = useMemo(() => filterAuditEntries(entries, { ...filters, timeZone }), [entries, filters, timeZone]);
+
+  function setFilter(key, value) {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setShown(PAGE_SIZE);
+  }
+
+  function exportCsv() {
+    const blob = new Blob([auditLogToCsv(filtered)], { type: 'text/csv;charset=utf-8' });
+    saveAs(blob, `audit-log-${formatInTimeZone(new Date(), timeZone, false)}.csv`);
+  }
+
+  return (
+    <div className="audit-log">
+      {showError && (
+        <Alert variant="danger" dismissible onClose={() => setShowError(false)}>
+          {errorMessage}
+        </Alert>
+      )}
+
+      <div className="file-label">Your Profile</div>
+      <Row className="g-3 mb-2">
+        <Col xs={12} md={4}>
+          <Form.Control
+            aria-label="Your name"
+            placeholder="Your name"
+            value={profile.name}
+            onChange={e => setProfile({ ...profile, name: e.target.value })}
+            onBlur={() => updateSettings('profile', { name: profile.name.trim() })}
+          />
+        </Col>
+        <Col xs={12} md={4}>
+          <Form.Control
+            aria-label="Role"
+            placeholder="Role, e.g. Supervisor"
+            value={profile.role}
+            onChange={e => setProfile({ ...profile, role: e.target.value })}
+            onBlur={() => updateSettings('profile', { role: profile.role.trim() })}
+          />
+        </Col>
+      </Row>
+      <small className="text-muted d-block mb-4">
+        {settings.profile.name
+          ? 'Changes made on this computer are logged under this profile.'
+          : 'Set your name so the changes you make are logged under it; until then they are logged without one.'}
+      </small>
+
+      <Row className="g-3 align-items-end mb-3">
+        <Col xs={12} md={3}>
+          <Form.Label>Search</Form.Label>
+          <Form.Control
+            placeholder="Name, user or value"
+            value={filters.text}
+            onChange={e => setFilter('text', e.target.value)}
+          />
+        </Col>
+        <Col xs={6} md={2}>
+          <Form.Label>Record</Form.Label>
+          <Form.Select value={filters.entity} onChange={e => setFilter('entity', e.target.value)}>
+            <option value="">All</option>
+            {Object.entries(AUDIT_ENTITIES).map(([entity, label]) => (
+              <option key={entity} value={entity}>{label}</option>
+            ))}
+          </Form.Select>
+        </Col>
+        <Col xs={6} md={2}>
+          <Form.Label>Action</Form.Label>
+          <Form.Select value={filters.action} onChange={e => setFilter('action', e.target.value)}>
+            <option value="">All</option>
+            {AUDIT_ACTIONS.map(action => (
+              <option key={action} value={action}>{action}</option>
+            ))}
+          </Form.Select>
+        </Col>
+        <Col xs={6} md={2}>
+          <Form.Label>From</Form.Label>
+          <Form.Control type="date" value={filters.from} onChange={e => setFilter('from', e.target.value)} />
+        </Col>
+        <Col xs={6} md={2}>
+          <Form.Label>To</Form.Label>
+          <Form.Control type="date" value={filters.to} onChange={e => setFilter('to', e.target.value)} />
+        </Col>
+        <Col xs={12} md="auto">
+          <Button variant="outline-secondary" className="me-2" onClick={() => setRefreshes(refreshes + 1)} disabled={loading}>
+            Refresh
+          </Button>
+          <Button className="btn-primary" onClick={exportCsv} disabled={filtered.length === 0}>
+            Export CSV
+          </Button>
+        </Col>
+      </Row>
+
+      {filtered.length === 0 ? (
+        <p className="text-muted">{entries.length === 0 ? 'No changes recorded yet.' : 'No changes match these filters.'}</p>
+      ) : (
+        <>
+          <small className="text-muted d-block mb-2">
+            {filtered.length.toLocaleString()} of {entries.length.toLocaleString()} changes
+          </small>
+          <div className="table-responsive">
+            <Table size="sm" className="table mb-0">
+              <thead>
+                <tr>
+                  <th>Time</th>
+                  <th>User</th>
+                  <th>Record</th>
+                  <th>Action</th>
+                  <th>Changes</th>
+                </tr>
+              </thead>
+              <tbody>
+                {filtered.slice(0, shown).map(entry => (
+                  <tr key={entry.id}>
+                    <td className="text-nowrap">{formatInTimeZone(new Date(entry.timestamp), timeZone).replace('T', ' ')}</td>
+                    <td>
+                      {entry.actor.name || <span className="text-muted">(no profile)</span>}
+                      {entry.actor.role && <div><small className="text-muted">{entry.actor.role}</small></div>}
+                    </td>
+                    <td>
+                      {AUDIT_ENTITIES[entry.entity] || entry.entity}
+                      {entry.label && <div><small>{entry.label}</small></div>}
+                    </td>
+                    <td><Badge bg={ACTION_VARIANTS[entry.action] || 'secondary'}>{entry.action}</Badge></td>
+                    <td><small>{describeChanges(entry)}</small></td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </div>
+          {filtered.length > shown && (
+            <Button variant="outline-secondary" size="sm" className="mt-2" onClick={() => setShown(shown + PAGE_SIZE)}>
+              Show More
+            </Button>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,373 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { Button, Form, Table, Badge, ProgressBar } from 'react-bootstrap';
+import * as XLSX from 'xlsx';
+import { useApp } from '../context';
+import { createParserSession, isCancelled, progressLabel, progressPercent } from '../parserClient';
+import { detectFileFormat, SUPPORTED_EXTENSIONS } from '../sources';
+import { prepareFileUnattended, previewBatch, saveUploadRows } from '../importPipeline';
+import { buildValidationReport } from '../validation';
+import { createNameResolver } from '../names';
+
+const formatCurrency = (amount) => {
+  return new Intl.NumberFormat('en-ZM', {
+    style: 'currency',
+    currency: 'ZMW',
+    minimumFractionDigits: 2,
+  }).format(amount);
+};
+
+const STATUS_BADGES = {
+  queued: { bg: 'secondary', label: 'Queued' },
+  processing: { bg: 'primary', label: 'Processing' },
+  ready: { bg: 'info', label: 'Previewed' },
+  saving: { bg: 'primary', label: 'Saving' },
+  done: { bg: 'success', label: 'Done' },
+  failed: { bg: 'danger', label: 'Failed' },
+  cancelled: { bg: 'warning', label: 'Cancelled' },
+};
+
+function formatDelta(amount) {
+  return `${amount > 0 ? '+' : ''}${formatCurrency(amount)}`;
+}
+
+function combinedSummary(queue) {
+  const done = queue.filter(item => item.status === 'done');
+  const total = key => done.reduce((sum, item) => sum + item.result[key], 0);
+  return {
+    files: queue.length,
+    done: done.length,
+    failed: queue.filter(item => item.status === 'failed').length,
+    rowCount: done.reduce((sum, item) => sum + item.prepared.rows.length, 0),
+    imported: done.reduce((sum, item) => sum + item.prepared.importable.length, 0),
+    errorRows: done.reduce((sum, item) => sum + item.prepared.validation.summary.errorRows, 0),
+    warningRows: done.reduce((sum, item) => sum + item.prepared.validation.summary.warningRows, 0),
+    added: total('added'),
+    updated: total('updated'),
+    unchanged: total('unchanged'),
+  };
+}
+
+// Queue of files read one after another with default choices: every sheet with rows, the saved mapping
+// profile matching the headers, and rows with validation errors left out. The whole batch is previewed
+// against the stored dataset and nothing is saved until the import is confirmed.
+export default function BatchUpload({ mode, disabled }) {
+  const { db, dbInitialized, setRows, settings, reloadPeople, nameCheck } = useApp();
+  const [queue, setQueue] = useState([]);
+  // Stored dataset and name resolver the previews are diffed against: { existingRows, resolver }
+  const [base, setBase] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [dragOver, setDragOver] = useState(false);
+  const sessionRef = useRef(null);
+  const stopRef = useRef(false);
+  const nextIdRef = useRef(1);
+  const inputRef = useRef(null);
+
+  function addFiles(fileList) {
+    const items = Array.from(fileList || []).map(file => {
+      const supported = !!detectFileFormat(file.name);
+      return {
+        id: nextIdRef.current++,
+        file,
+        status: supported ? 'queued' : 'failed',
+        error: supported ? '' : `Unsupported file type (use ${SUPPORTED_EXTENSIONS.join(', ')})`,
+        progress: null,
+        prepared: null,
+        result: null,
+      };
+    });
+    setQueue(prev => [...prev, ...items]);
+    if (inputRef.current) inputRef.current.value = '';
+  }
+
+  function updateItem(id, changes) {
+    setQueue(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  }
+
+  function handleDrop(e) {
+    e.preventDefault();
+    setDragOver(false);
+    if (!running && !disabled) addFiles(e.dataTransfer.files);
+  }
+
+  // Parse and validate the queued files; nothing is written
+  async function previewQueue() {
+    setRunning(true);
+    stopRef.current = false;
+
+    try {
+      const [current, people, aliases] = await Promise.all([db.getActiveExcelData(), db.getAllPeople(), db.getAllAliases()]);
+      setBase({ existingRows: current ? current.data : [], resolver: createNameResolver(people, aliases, name => !nameCheck(name)) });
+    } catch (error) {
+      console.error('Failed to load the stored dataset:', error);
+      setRunning(false);
+      return;
+    }
+
+    for (const item of queue.filter(i => i.status === 'queued')) {
+      if (stopRef.current) break;
+      const session = createParserSession();
+      sessionRef.current = session;
+      updateItem(item.id, { status: 'processing', progress: null, error: '' });
+
+      try {
+        const prepared = await prepareFileUnattended(item.file, {
+          db,
+          session,
+          dateSettings: settings.dates,
+          revenueSettings: settings.revenue,
+          onProgress: progress => updateItem(item.id, { progress }),
+        });
+        updateItem(item.id, { status: 'ready', progress: null, prepared });
+      } catch (error) {
+        if (isCancelled(error)) {
+          updateItem(item.id, { status: 'cancelled', progress: null });
+        } else {
+          console.error(`Import of ${item.file.name} failed:`, error);
+          updateItem(item.id, { status: 'failed', progress: null, error: error.message });
+        }
+      } finally {
+        session.dispose();
+        sessionRef.current = null;
+      }
+    }
+
+    setRunning(false);
+  }
+
+  const ready = useMemo(() => queue.filter(item => item.status === 'ready'), [queue]);
+  // Recomputed when the upload mode changes; not while files are still being read or saved
+  const previews = useMemo(() => {
+    if (!base || running || ready.length === 0) return new Map();
+    const results = previewBatch(base.existingRows, ready.map(item => item.prepared.importable), base.resolver, mode, settings.revenue, settings.names);
+    return new Map(ready.map((item, index) => [item.id, results[index]]));
+  }, [base, running, ready, mode, settings.revenue, settings.names]);
+
+  // Store the previewed files in queue order once confirmed
+  async function importReady() {
+    const first = previews.get(ready[0].id);
+    const last = previews.get(ready[ready.length - 1].id);
+    const message = mode === 'replace'
+      ? `Replace the stored dataset (${first.removed.toLocaleString()} rows) with ${ready.length === 1 ? 'this file' : `these ${ready.length} files`}? This cannot be undone.`
+      : `Import ${ready.length} ${ready.length === 1 ? 'file' : 'files'} into the stored dataset (${last.rows.length.toLocaleString()} rows afterwards)?`;
+    if (!window.confirm(message)) return;
+
+    setRunning(true);
+    stopRef.current = false;
+    // Replace only applies to the first file; the rest of the batch is merged into it
+    let fileMode = mode;
+
+    for (const item of ready) {
+      if (stopRef.current) break;
+      updateItem(item.id, { status: 'saving', error: '' });
+      try {
+        const result = await saveUploadRows(db, item.prepared.importable, fileMode, { fileName: item.file.name });
+        fileMode = 'append';
+        setRows(result.dataset);
+        updateItem(item.id, { status: 'done', result });
+      } catch (error) {
+        console.error(`Import of ${item.file.name} failed:`, error);
+        updateItem(item.id, { status: 'failed', error: error.message });
+      }
+    }
+
+    // Files left after a stop were previewed against the dataset as it was, so they are read again
+    discardPreviews();
+    await reloadPeople();
+    setRunning(false);
+  }
+
+  function discardPreviews() {
+    setQueue(prev => prev.map(item => (item.status === 'ready' ? { ...item, status: 'queued', prepared: null } : item)));
+    setBase(null);
+  }
+
+  function stopQueue() {
+    stopRef.current = true;
+    sessionRef.current?.cancel();
+  }
+
+  function downloadReport(item) {
+    const wb = buildValidationReport(item.prepared.rows, item.prepared.validation);
+    XLSX.writeFile(wb, `${item.file.name.replace(/\.[^.]+$/, '')}-validation.xlsx`);
+  }
+
+  const queuedCount = queue.filter(item => item.status === 'queued').length;
+  const finished = queue.length > 0 && !running && ready.length === 0 && queue.some(item => item.status === 'done' || item.status === 'failed');
+  const summary = finished ? combinedSummary(queue) : null;
+  const batchPreview = previews.size > 0 ? {
+    first: previews.get(ready[0].id),
+    last: previews.get(ready[ready.length - 1].id),
+    newPeople: new Set(ready.flatMap(item => previews.get(item.id).newPeople)).size,
+  } : null;
+
+  return (
+    <div className="batch-upload modern-card mb-4">
+      <div className="d-flex justify-content-between align-items-center mb-3">
+        <div>
+          <h4 className="card-title-upload">Batch Upload</h4>
+          <small className="text-muted">
+            Files are read one after another using saved mapping profiles and rows with errors are skipped; nothing is saved until you confirm the preview.
+          </small>
+        </div>
+      </div>
+
+      <div
+        className={`drop-zone mb-3${dragOver ? ' drag-over' : ''}`}
+        onDragOver={e => {
+          e.preventDefault();
+          setDragOver(true);
+        }}
+        onDragLeave={() => setDragOver(false)}
+        onDrop={handleDrop}
+        data-testid="batch-drop-zone"
+      >
+        <span className="upload-icon">📥</span>
+        <div>Drop export files here</div>
+        <Form.Control
+          ref={inputRef}
+          type="file"
+          multiple
+          size="sm"
+          aria-label="Add files to batch"
+          accept={SUPPORTED_EXTENSIONS.join(',')}
+          onChange={e => addFiles(e.target.files)}
+          disabled={running || disabled}
+          className="mt-2"
+        />
+      </div>
+
+      {queue.length > 0 && (
+        <div className="table-responsive">
+          <Table size="sm" className="table mb-2">
+            <thead>
+              <tr>
+                <th>File</th>
+                <th>Status</th>
+                <th>Rows</th>
+                <th>Imported</th>
+                <th>Errors</th>
+                <th>Warnings</th>
+                <th>New / Updated / Unchanged</th>
+                <th>New People</th>
+                <th>Revenue Change</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {queue.map(item => {
+                const preview = previews.get(item.id);
+                const counts = item.result || preview;
+                return (
+                  <tr key={item.id}>
+                    <td>
+                      <strong>{item.file.name}</strong>
+                      {item.prepared?.profileName && (
+                        <div><small className="text-muted">Profile: {item.prepared.profileName}</small></div>
+                      )}
+                    </td>
+                    <td style={{ minWidth: 180 }}>
+                      <Badge bg={STATUS_BADGES[item.status].bg}>{STATUS_BADGES[item.status].label}</Badge>
+                      {item.status === 'processing' && (
+                        <>
+                          <div><small className="text-muted">{progressLabel(item.progress)}</small></div>
+                          <ProgressBar now={progressPercent(item.progress)} className="progress-bar-modern mt-1" />
+                        </>
+                      )}
+                      {item.error && <div><small className="text-danger">{item.error}</small></div>}
+                    </td>
+                    <td>{item.prepared ? item.prepared.rows.length.toLocaleString() : '—'}</td>
+                    <td>{item.prepared ? item.prepared.importable.length.toLocaleString() : '—'}</td>
+                    <td>{item.prepared ? item.prepared.validation.summary.errorRows.toLocaleString() : '—'}</td>
+                    <td>{item.prepared ? item.prepared.validation.summary.warningRows.toLocaleString() : '—'}</td>
+                    <td>
+                      {counts
+                        ? `${counts.added.toLocaleString()} / ${counts.updated.toLocaleString()} / ${counts.unchanged.toLocaleString()}`
+                        : '—'}
+                    </td>
+                    <td>{preview ? preview.newPeople.length.toLocaleString() : '—'}</td>
+                    <td>{preview ? formatDelta(preview.revenueAfter - preview.revenueBefore) : '—'}</td>
+                    <td className="text-end">
+                      {item.prepared && (item.prepared.validation.summary.errorRows > 0 || item.prepared.validation.summary.warningRows > 0) && (
+                        <Button size="sm" variant="outline-secondary" className="me-1" onClick={() => downloadReport(item)}>
+                          Report
+                        </Button>
+                      )}
+                      {item.status !== 'processing' && item.status !== 'saving' && (
+                        <Button
+                          size="sm"
+                          variant="outline-danger"
+                          aria-label={`Remove ${item.file.name}`}
+                          onClick={() => setQueue(prev => prev.filter(i => i.id !== item.id))}
+                          disabled={running}
+                        >
+                          ✕
+                        </Button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </Table>
+        </div>
+      )}
+
+      {batchPreview && (
+        <div className="batch-summary mb-3">
+          <strong>Preview:</strong>{' '}
+          {mode === 'replace'
+            ? `replaces the stored dataset (${batchPreview.first.removed.toLocaleString()} rows) with the first file`
+            : 'merged into the stored dataset'} •{' '}
+          {batchPreview.last.rows.length.toLocaleString()} rows afterwards • {batchPreview.newPeople.toLocaleString()} new people •{' '}
+          revenue {formatCurrency(batchPreview.first.revenueBefore)} → {formatCurrency(batchPreview.last.revenueAfter)}
+          <div><small className="text-muted">Nothing is saved until you import.</small></div>
+        </div>
+      )}
+
+      {summary && (
+        <div className="batch-summary mb-3">
+          <strong>Batch Summary:</strong>{' '}
+          {summary.done} of {summary.files} files imported{summary.failed > 0 && `, ${summary.failed} failed`} •{' '}
+          {summary.imported.toLocaleString()} of {summary.rowCount.toLocaleString()} rows imported •{' '}
+          {summary.added.toLocaleString()} new, {summary.updated.toLocaleString()} updated,{' '}
+          {summary.unchanged.toLocaleString()} unchanged • {summary.errorRows.toLocaleString()} rows with errors,{' '}
+          {summary.warningRows.toLocaleString()} with warnings
+        </div>
+      )}
+
+      {queue.length > 0 && (
+        <div className="d-flex gap-2">
+          {running ? (
+            <Button variant="outline-danger" onClick={stopQueue}>
+              Stop
+            </Button>
+          ) : ready.length > 0 ? (
+            <>
+              <Button className="btn-upload-modern" onClick={importReady} disabled={disabled || !dbInitialized}>
+                {mode === 'replace' ? 'Replace Dataset With' : 'Import'} {ready.length} {ready.length === 1 ? 'File' : 'Files'}
+              </Button>
+              <Button variant="outline-secondary" onClick={discardPreviews}>
+                Discard Preview
+              </Button>
+            </>
+          ) : (
+            <Button
+              className="btn-upload-modern"
+              onClick={previewQueue}
+              disabled={queuedCount === 0 || disabled || !dbInitialized}
+            >
+              Preview {queuedCount} {queuedCount === 1 ? 'File' : 'Files'}
+            </Button>
+          )}
+          <Button
+            variant="outline-secondary"
+            onClick={() => setQueue(prev => prev.filter(item => ['queued', 'processing', 'ready', 'saving'].includes(item.status)))}
+            disabled={running}
+          >
+            Clear Finished
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
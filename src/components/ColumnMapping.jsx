@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { Button, Form, Table, Badge, Row, Col } from 'react-bootstrap';
+import { MAPPING_FIELDS } from '../schema';
+
+const AUTO = '__auto__';
+const NONE = '__none__';
+
+export default function ColumnMapping({
+  headers,
+  detected,
+  overrides,
+  onChange,
+  sampleRow,
+  profiles,
+  activeProfile,
+  onApplyProfile,
+  onSaveProfile,
+  disabled
+}) {
+  const [profileName, setProfileName] = useState('');
+
+  if (!headers || headers.length === 0) return null;
+
+  function selectValue(key) {
+    if (!(key in overrides)) return AUTO;
+    return overrides[key] === null ? NONE : overrides[key];
+  }
+
+  function handleSelect(key, value) {
+    const next = { ...overrides };
+    if (value === AUTO) {
+      delete next[key];
+    } else {
+      next[key] = value === NONE ? null : value;
+    }
+    onChange(next);
+  }
+
+  function effectiveColumn(key) {
+    if (key in overrides) return overrides[key];
+    return detected[key];
+  }
+
+  async function handleSaveProfile(e) {
+    e.preventDefault();
+    if (!profileName.trim()) return;
+    await onSaveProfile(profileName.trim());
+    setProfileName('');
+  }
+
+  return (
+    <div className="column-mapping mb-4">
+      <div className="d-flex justify-content-between align-items-center mb-2">
+        <div>
+          <strong>Column Mapping</strong>{' '}
+          {activeProfile ? (
+            <Badge bg="success">Profile: {activeProfile.name}</Badge>
+          ) : (
+            <Badge bg="secondary">Auto-detected</Badge>
+          )}
+        </div>
+        {profiles.length > 0 && (
+          <Form.Select
+            size="sm"
+            style={{ maxWidth: 240 }}
+            aria-label="Apply mapping profile"
+            value={activeProfile ? String(activeProfile.id) : ''}
+            onChange={e => onApplyProfile(profiles.find(p => String(p.id) === e.target.value) || null)}
+            disabled={disabled}
+          >
+            <option value="">No profile</option>
+            {profiles.map(profile => (
+              <option key={profile.id} value={String(profile.id)}>
+                {profile.name}
+              </option>
+            ))}
+          </Form.Select>
+        )}
+      </div>
+
+      <div className="table-responsive">
+        <Table size="sm" className="table mb-2">
+          <thead>
+            <tr>
+              <th>Field</th>
+              <th>Detected Column</th>
+              <th>Use Column</th>
+              <th>Sample</th>
+            </tr>
+          </thead>
+          <tbody>
+            {MAPPING_FIELDS.map(field => {
+              const column = effectiveColumn(field.key);
+              const sample = column && sampleRow ? sampleRow[column] : '';
+              return (
+                <tr key={field.key}>
+                  <td><strong>{field.label}</strong></td>
+                  <td>
+                    {detected[field.key] || <em className="text-muted">Not found</em>}
+                  </td>
+                  <td>
+                    <Form.Select
+                      size="sm"
+                      aria-label={`Column for ${field.label}`}
+                      value={selectValue(field.key)}
+                      onChange={e => handleSelect(field.key, e.target.value)}
+                      disabled={disabled}
+                    >
+                      <option value={AUTO}>Auto ({detected[field.key] || 'none'})</option>
+                      <option value={NONE}>Not mapped</option>
+                      {headers.map(header => (
+                        <option key={header} value={header}>
+                          {header}
+                        </option>
+                      ))}
+                    </Form.Select>
+                  </td>
+                  <td>
+                    <small className="text-muted">
+                      {sample === undefined || sample === '' ? '—' : String(sample)}
+                    </small>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </Table>
+      </div>
+
+      <Form onSubmit={handleSaveProfile}>
+        <Row className="g-2 align-items-center">
+          <Col xs={12} md={6}>
+            <Form.Control
+              size="sm"
+              value={profileName}
+              onChange={e => setProfileName(e.target.value)}
+              placeholder="Profile name, e.g. Chongwe weighbridge export"
+              disabled={disabled}
+            />
+          </Col>
+          <Col xs={12} md="auto">
+            <Button
+              type="submit"
+              size="sm"
+              variant="outline-primary"
+              disabled={disabled || !profileName.trim()}
+            >
+              Save Mapping Profile
+            </Button>
+          </Col>
+        </Row>
+      </Form>
+    </div>
+  );
+}
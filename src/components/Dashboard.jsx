@@ -7,6 +7,9 @@ import AssignShifts from './AssignShifts';
 import Insights from './Insights';
 import DataImport from './DataImport';
 import DataExport from './DataExport';
+import RevenueSettings from './RevenueSettings';
+import NameQualitySettings from './NameQualitySettings';
+import AuditLog from './AuditLog';
 
 export default function Dashboard({ activeKey: controlledActiveKey, onSelect: controlledOnSelect }) {
   // Support controlled usage from parent (App) or fallback to internal state
@@ -21,7 +24,7 @@ export default function Dashboard({ activeKey: controlledActiveKey, onSelect: co
       title: '📊 Upload', 
       icon: '📊',
       component: <Upload />,
-      description: 'Upload and process Excel files'
+      description: 'Upload and process Excel, CSV and HTML exports'
     },
     { 
       key: 'analytics', 
@@ -74,6 +77,27 @@ export default function Dashboard({ activeKey: controlledActiveKey, onSelect: co
       icon: '📋',
       component: <AssignShifts />,
       description: 'View all assignments'
+    },
+    {
+      key: 'revenue',
+      title: '💰 Revenue',
+      icon: '💰',
+      component: <RevenueSettings />,
+      description: 'Choose which columns count as revenue'
+    },
+    {
+      key: 'names',
+      title: '🧹 Names',
+      icon: '🧹',
+      component: <NameQualitySettings />,
+      description: 'Rules for names that are not a person, and what they rejected'
+    },
+    {
+      key: 'audit',
+      title: '🧾 Audit',
+      icon: '🧾',
+      component: <AuditLog />,
+      description: 'Who changed what and when, with CSV export'
     }
   ];
 
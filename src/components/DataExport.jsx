@@ -3,19 +3,35 @@ import { Button, Col, Row, Form, Alert } from 'react-bootstrap';
 import { useApp } from '../context';
 import * as XLSX from 'xlsx';
 import { saveAs } from 'file-saver';
+import { MIN_PASSPHRASE_LENGTH, encryptBackup } from '../backupCrypto';
+import { rowRevenue } from '../revenue';
 
 export default function DataExport() {
-  const { rows, peopleToGroup, peopleToShift, db, dbInitialized } = useApp();
+  const { rows, peopleToGroup, peopleToShift, resolvePerson, db, dbInitialized, settings } = useApp();
   const [exportFormat, setExportFormat] = useState('json');
   const [exportName, setExportName] = useState('weighbridge-data');
   const [showSuccess, setShowSuccess] = useState(false);
   const [exporting, setExporting] = useState(false);
+  // Database backups hold driver names, licence IDs and owner addresses
+  const [encrypt, setEncrypt] = useState(false);
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmPassphrase, setConfirmPassphrase] = useState('');
 
   async function exportData() {
     if (!dbInitialized) {
       alert('Database not initialized. Please wait a moment and try again.');
       return;
     }
+    if (exportFormat === 'database' && encrypt) {
+      if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        alert(`The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+        return;
+      }
+      if (passphrase !== confirmPassphrase) {
+        alert('The passphrases do not match.');
+        return;
+      }
+    }
 
     setExporting(true);
     try {
@@ -71,8 +87,10 @@ export default function DataExport() {
     // Create enhanced CSV with group and shift data
     const enhancedRows = rows.map(row => ({
       ...row,
-      assignedGroup: peopleToGroup[row.person] || 'Unassigned',
-      assignedShift: peopleToShift[row.person] || 'Unassigned'
+      // The stored value was counted with the revenue settings at upload time
+      totalRevenue: rowRevenue(row, settings.revenue),
+      assignedGroup: peopleToGroup[resolvePerson(row.person)] || 'Unassigned',
+      assignedShift: peopleToShift[resolvePerson(row.person)] || 'Unassigned'
     }));
 
     const csvContent = convertToCSV(enhancedRows);
@@ -87,8 +105,9 @@ export default function DataExport() {
     // Raw data sheet
     const enhancedRows = rows.map(row => ({
       ...row,
-      assignedGroup: peopleToGroup[row.person] || 'Unassigned',
-      assignedShift: peopleToShift[row.person] || 'Unassigned'
+      totalRevenue: rowRevenue(row, settings.revenue),
+      assignedGroup: peopleToGroup[resolvePerson(row.person)] || 'Unassigned',
+      assignedShift: peopleToShift[resolvePerson(row.person)] || 'Unassigned'
     }));
     const ws1 = XLSX.utils.json_to_sheet(enhancedRows);
     XLSX.utils.book_append_sheet(wb, ws1, 'Raw Data');
@@ -128,6 +147,12 @@ export default function DataExport() {
   async function exportDatabase(filename) {
     try {
       const dbData = await db.exportAllData();
+      if (encrypt) {
+        const encrypted = await encryptBackup(dbData, passphrase);
+        const blob = new Blob([JSON.stringify(encrypted)], { type: 'application/json' });
+        saveAs(blob, `${filename}-database.encrypted.json`);
+        return;
+      }
       const blob = new Blob([JSON.stringify(dbData, null, 2)], { type: 'application/json' });
       saveAs(blob, `${filename}-database.json`);
     } catch (error) {
@@ -211,12 +236,54 @@ export default function DataExport() {
         </Col>
       </Row>
 
+      {exportFormat === 'database' && (
+        <Row className="g-3 mt-1">
+          <Col xs={12}>
+            <Form.Check
+              type="checkbox"
+              id="export-encrypt"
+              label="Encrypt with a passphrase"
+              checked={encrypt}
+              onChange={e => setEncrypt(e.target.checked)}
+            />
+          </Col>
+          {encrypt && (
+            <>
+              <Col xs={12} md={4}>
+                <Form.Label>Passphrase</Form.Label>
+                <Form.Control
+                  type="password"
+                  autoComplete="new-password"
+                  value={passphrase}
+                  onChange={e => setPassphrase(e.target.value)}
+                />
+              </Col>
+              <Col xs={12} md={4}>
+                <Form.Label>Confirm Passphrase</Form.Label>
+                <Form.Control
+                  type="password"
+                  autoComplete="new-password"
+                  value={confirmPassphrase}
+                  onChange={e => setConfirmPassphrase(e.target.value)}
+                  isInvalid={confirmPassphrase !== '' && confirmPassphrase !== passphrase}
+                />
+              </Col>
+              <Col xs={12}>
+                <small className="text-muted">
+                  The passphrase is needed to restore the backup and cannot be recovered if it is lost.
+                </small>
+              </Col>
+            </>
+          )}
+        </Row>
+      )}
+
       <div className="mt-3">
         <small className="text-muted">
           <strong>JSON:</strong> Complete data including metadata, raw data, and assignments<br/>
           <strong>CSV:</strong> Enhanced data with group and shift assignments<br/>
           <strong>Excel:</strong> Multiple sheets with raw data, summary, and assignments<br/>
-          <strong>Database:</strong> All database records including people, groups, and shifts
+          <strong>Database:</strong> A full backup of people, aliases, groups, shifts, mapping profiles and every upload, restorable under Import; can be encrypted with a passphrase
         </small>
       </div>
 
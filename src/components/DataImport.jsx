@@ -1,10 +1,32 @@
-import React, { useRef, useState } from 'react';
-import { Button, Col, Row, Form, Alert } from 'react-bootstrap';
+import React, { useEffect, useRef, useState } from 'react';
+import { Button, Col, Row, Form, Alert, Table } from 'react-bootstrap';
 import { useApp } from '../context';
+import { BACKUP_STORES, isDatabaseBackup } from '../backup';
+import { decryptBackup, isEncryptedBackup } from '../backupCrypto';
+
+const STORE_LABELS = {
+  people: 'People',
+  groups: 'Groups',
+  shifts: 'Shifts',
+  mappingProfiles: 'Mapping Profiles',
+  excelData: 'Uploads',
+  aliases: 'Aliases'
+};
+
+// Conflicts listed in the preview; the rest are counted
+const MAX_CONFLICTS_SHOWN = 20;
 
 export default function DataImport() {
-  const { setRows, setPeopleToGroup, setPeopleToShift } = useApp();
+  const { setRows, setPeopleToGroup, setPeopleToShift, reloadPeople, db, dbInitialized } = useApp();
   const [importFile, setImportFile] = useState(null);
+  // A database backup (Export → Database) is restored with a preview instead of loaded into the session
+  const [backup, setBackup] = useState(null);
+  const [restoreMode, setRestoreMode] = useState('merge');
+  const [preview, setPreview] = useState(null);
+  // An encrypted backup waits here until it is unlocked with its passphrase
+  const [encrypted, setEncrypted] = useState(null);
+  const [passphrase, setPassphrase] = useState('');
+  const [unlocking, setUnlocking] = useState(false);
   const [importing, setImporting] = useState(false);
   const [showSuccess, setShowSuccess] = useState(false);
   const [showError, setShowError] = useState(false);
@@ -23,6 +45,84 @@ export default function DataImport() {
     
     setImportFile(file);
     setShowError(false);
+
+    setPassphrase('');
+    try {
+      const data = JSON.parse(await file.text());
+      setEncrypted(isEncryptedBackup(data) ? data : null);
+      setBackup(isDatabaseBackup(data) ? data : null);
+    } catch (error) {
+      setEncrypted(null);
+      setBackup(null);
+      setErrorMessage(`Could not read file: ${error.message}`);
+      setShowError(true);
+    }
+  }
+
+  useEffect(() => {
+    if (!backup || !dbInitialized) {
+      setPreview(null);
+      return;
+    }
+    db.previewImport(backup, restoreMode)
+      .then(setPreview)
+      .catch(error => {
+        console.error('Restore preview failed:', error);
+        setPreview(null);
+        setErrorMessage(`Cannot restore this backup: ${error.message}`);
+        setShowError(true);
+      });
+  }, [backup, restoreMode, db, dbInitialized]);
+
+  async function unlockBackup(e) {
+    e.preventDefault();
+    setUnlocking(true);
+    try {
+      setBackup(await decryptBackup(encrypted, passphrase));
+      setEncrypted(null);
+      setPassphrase('');
+      setShowError(false);
+    } catch (error) {
+      setErrorMessage(error.message);
+      setShowError(true);
+    } finally {
+      setUnlocking(false);
+    }
+  }
+
+  function resetFile() {
+    setImportFile(null);
+    setBackup(null);
+    setEncrypted(null);
+    setPassphrase('');
+    if (fileRef.current) fileRef.current.value = '';
+  }
+
+  async function restoreBackup() {
+    if (restoreMode === 'replace' && !window.confirm('Replace all people, groups, shifts, aliases, mapping profiles and uploads with the backup?')) return;
+
+    setImporting(true);
+    try {
+      await db.importData(backup, { mode: restoreMode });
+
+      // Load the restored dataset and assignments
+      const current = await db.getActiveExcelData();
+      setRows(current ? current.data : []);
+      const people = await db.getAllPeople();
+      setPeopleToGroup(Object.fromEntries(people.filter(p => p.group).map(p => [p.name, p.group])));
+      setPeopleToShift(Object.fromEntries(people.filter(p => p.shift).map(p => [p.name, p.shift])));
+      await reloadPeople();
+
+      setShowSuccess(true);
+      resetFile();
+      setTimeout(() => setShowSuccess(false), 3000);
+    } catch (error) {
+      console.error('Restore failed:', error);
+      setErrorMessage(`Restore failed: ${error.message}`);
+      setShowError(true);
+    } finally {
+      setImporting(false);
+    }
   }
 
   async function importData() {
@@ -39,13 +139,15 @@ export default function DataImport() {
       }
       
       // Import the data
+      if (dbInitialized && data.rawData.length > 0) {
+        await db.saveExcelData(data.rawData);
+      }
       setRows(data.rawData || []);
       setPeopleToGroup(data.groupAssignments || {});
       setPeopleToShift(data.shiftAssignments || {});
       
       setShowSuccess(true);
-      setImportFile(null);
-      if (fileRef.current) fileRef.current.value = '';
+      resetFile();
       
       setTimeout(() => setShowSuccess(false), 3000);
     } catch (error) {
@@ -100,10 +202,10 @@ export default function DataImport() {
         <Col xs={12} md="auto">
           <Button 
             className="btn-primary me-2" 
-            onClick={importData}
-            disabled={!importFile || importing}
+            onClick={backup ? restoreBackup : importData}
+            disabled={!importFile || importing || Boolean(encrypted) || (backup && !preview)}
           >
-            {importing ? 'Importing...' : 'Import Data'}
+            {importing ? 'Importing...' : backup ? 'Restore Backup' : 'Import Data'}
           </Button>
           <Button 
             variant="outline-danger" 
@@ -115,6 +217,108 @@ export default function DataImport() {
         </Col>
       </Row>
 
+      {encrypted && (
+        <Form className="mt-4" onSubmit={unlockBackup}>
+          <Form.Label>Encrypted Backup</Form.Label>
+          <Row className="g-3 align-items-end">
+            <Col xs={12} md={6}>
+              <Form.Control
+                type="password"
+                autoComplete="current-password"
+                placeholder="Passphrase"
+                value={passphrase}
+                onChange={e => setPassphrase(e.target.value)}
+              />
+            </Col>
+            <Col xs={12} md="auto">
+              <Button type="submit" className="btn-primary" disabled={!passphrase || unlocking}>
+                {unlocking ? 'Unlocking...' : 'Unlock'}
+              </Button>
+            </Col>
+          </Row>
+          <div className="text-muted small mt-2">
+            Enter the passphrase the backup was exported with. A file that was changed after export will not unlock.
+          </div>
+        </Form>
+      )}
+
+      {backup && (
+        <div className="mt-4">
+          <Form.Label>Database Backup</Form.Label>
+          <div className="mb-3">
+            <Form.Check
+              inline
+              type="radio"
+              id="restore-merge"
+              label="Merge into current data"
+              checked={restoreMode === 'merge'}
+              onChange={() => setRestoreMode('merge')}
+            />
+            <Form.Check
+              inline
+              type="radio"
+              id="restore-replace"
+              label="Replace everything"
+              checked={restoreMode === 'replace'}
+              onChange={() => setRestoreMode('replace')}
+            />
+          </div>
+          <div className="text-muted small mb-2">
+            {restoreMode === 'merge'
+              ? 'Records missing here are added. Where the backup and the current data differ, the current record is kept.'
+              : 'All current records are removed and the backup is restored as it was, with its original ids.'}
+          </div>
+
+          {preview && (
+            <>
+              <div className="table-responsive">
+                <Table size="sm" className="table mb-2">
+                  <thead>
+                    <tr>
+                      <th></th>
+                      <th>In Backup</th>
+                      <th>Current</th>
+                      <th>Added</th>
+                      {restoreMode === 'merge' ? <th>Same</th> : <th>Removed</th>}
+                      {restoreMode === 'merge' && <th>Conflicts</th>}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {BACKUP_STORES.map(store => {
+                      const counts = preview.summary[store];
+                      return (
+                        <tr key={store}>
+                          <td>{STORE_LABELS[store]}</td>
+                          <td>{counts.incoming}</td>
+                          <td>{counts.existing}</td>
+                          <td>{counts.added}</td>
+                          <td>{restoreMode === 'merge' ? counts.unchanged : counts.removed}</td>
+                          {restoreMode === 'merge' && <td>{counts.conflicts}</td>}
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </Table>
+              </div>
+
+              {preview.conflicts.length > 0 && (
+                <Alert variant="warning">
+                  <div className="fw-semibold mb-1">Differs from the backup (current version kept):</div>
+                  <ul className="mb-0">
+                    {preview.conflicts.slice(0, MAX_CONFLICTS_SHOWN).map(conflict => (
+                      <li key={`${conflict.store}:${conflict.key}`}>{STORE_LABELS[conflict.store]}: {conflict.label}</li>
+                    ))}
+                  </ul>
+                  {preview.conflicts.length > MAX_CONFLICTS_SHOWN && (
+                    <small>and {preview.conflicts.length - MAX_CONFLICTS_SHOWN} more</small>
+                  )}
+                </Alert>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
       <div className="mt-4 p-3 bg-light rounded">
         <div className="fw-semibold mb-2">Backup & Restore Instructions:</div>
         <ol className="mb-0">
@@ -122,13 +326,14 @@ export default function DataImport() {
           <li><strong>Save the exported file</strong> in a safe location</li>
           <li><strong>Import when needed</strong> by selecting the saved JSON file</li>
           <li><strong>Your groups and shifts</strong> will be automatically restored</li>
+          <li><strong>To move the database to another computer</strong>, export as Database (All Records) and restore it here with Replace everything</li>
         </ol>
       </div>
 
       <div className="mt-3">
         <small className="text-muted">
           <strong>Note:</strong> Only JSON files exported from this application are supported. 
-          The import will replace all current data, so make sure to export first if you want to keep your current work.
+          Importing a session export replaces the current data, so make sure to export first if you want to keep your current work.
         </small>
       </div>
     </div>
@@ -0,0 +1,172 @@
+import React from 'react';
+import { Button, Form, Table, Badge } from 'react-bootstrap';
+import { ROW_FIELDS } from '../schema';
+
+const PREVIEW_COUNT = 10;
+
+const FIELD_LABELS = Object.fromEntries(ROW_FIELDS.map(field => [field.key, field.header]));
+
+const formatCurrency = (amount) => {
+  return new Intl.NumberFormat('en-ZM', {
+    style: 'currency',
+    currency: 'ZMW',
+    minimumFractionDigits: 2,
+  }).format(amount);
+};
+
+function formatDelta(amount) {
+  return `${amount > 0 ? '+' : ''}${formatCurrency(amount)}`;
+}
+
+function More({ total }) {
+  if (total <= PREVIEW_COUNT) return null;
+  return <small className="text-muted">+{(total - PREVIEW_COUNT).toLocaleString()} more</small>;
+}
+
+// Dry run of a parsed upload: nothing is written until the upload is confirmed
+export default function ImportPreview({ preview, mode, errorRows, skipErrors, onSkipErrorsChange, onConfirm, onDiscard, disabled }) {
+  if (!preview) return null;
+
+  return (
+    <div className="import-preview mb-4">
+      <div className="mb-2">
+        <strong>Preview</strong>{' '}
+        <small className="text-muted">
+          {mode === 'append' ? 'Merged into the stored dataset' : 'Replaces the stored dataset'}; nothing is saved until you confirm.
+        </small>
+      </div>
+
+      <div className="mb-2">
+        <Badge bg="success" className="me-1">{preview.added.toLocaleString()} new rows</Badge>
+        <Badge bg="info" className="me-1">{preview.updated.toLocaleString()} changed</Badge>
+        <Badge bg="secondary" className="me-1">{preview.unchanged.toLocaleString()} already stored (skipped)</Badge>
+        {skipErrors && errorRows > 0 && (
+          <Badge bg="danger" className="me-1">{errorRows.toLocaleString()} with errors (skipped)</Badge>
+        )}
+        {preview.removed > 0 && (
+          <Badge bg="warning" text="dark" className="me-1">{preview.removed.toLocaleString()} stored rows removed</Badge>
+        )}
+        <Badge bg="primary" className="me-1">{preview.newPeople.length.toLocaleString()} new people</Badge>
+        {preview.rejectedNames.length > 0 && (
+          <Badge bg="warning" text="dark">{preview.rejectedNames.length.toLocaleString()} rejected names</Badge>
+        )}
+      </div>
+
+      <div className="mb-3">
+        Total revenue: {formatCurrency(preview.revenueBefore)} → <strong>{formatCurrency(preview.revenueAfter)}</strong>{' '}
+        ({formatDelta(preview.revenueAfter - preview.revenueBefore)})
+      </div>
+
+      {preview.newPeople.length > 0 && (
+        <div className="mb-3">
+          <div className="file-label">New People</div>
+          <div className="duplicates-tags">
+            {preview.newPeople.slice(0, PREVIEW_COUNT).map(name => (
+              <span key={name} className="duplicate-badge">{name}</span>
+            ))}
+            <More total={preview.newPeople.length} />
+          </div>
+        </div>
+      )}
+
+      {preview.rejectedNames.length > 0 && (
+        <div className="mb-3">
+          <div className="file-label">Rejected Names</div>
+          <small className="text-muted d-block mb-1">
+            These values are not added as people; their rows are still stored. Adjust the rules under Management → Names.
+          </small>
+          <div className="duplicates-tags">
+            {preview.rejectedNames.slice(0, PREVIEW_COUNT).map(entry => (
+              <span key={entry.name} className="duplicate-badge" title={entry.reason}>
+                {entry.name || '(blank)'} ({entry.count.toLocaleString()})
+              </span>
+            ))}
+            <More total={preview.rejectedNames.length} />
+          </div>
+        </div>
+      )}
+
+      {preview.changes.length > 0 && (
+        <div className="table-responsive mb-3">
+          <div className="file-label">Changed Rows</div>
+          <Table size="sm" className="table mb-1">
+            <thead>
+              <tr>
+                <th>Row</th>
+                <th>Person</th>
+                <th>Changes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {preview.changes.slice(0, PREVIEW_COUNT).map(change => (
+                <tr key={change.key}>
+                  <td><small>{change.key}</small></td>
+                  <td>{change.after.person}</td>
+                  <td>
+                    {change.fields.map(field => (
+                      <div key={field}>
+                        <small>
+                          {FIELD_LABELS[field] || field}: <span className="text-muted">{String(change.before[field] ?? '')}</span>
+                          {' → '}{String(change.after[field] ?? '')}
+                        </small>
+                      </div>
+                    ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+          <More total={preview.changes.length} />
+        </div>
+      )}
+
+      {preview.revenue.length > 0 && (
+        <div className="table-responsive mb-3">
+          <div className="file-label">Revenue Change by Person</div>
+          <Table size="sm" className="table mb-1">
+            <thead>
+              <tr>
+                <th>Person</th>
+                <th>Before</th>
+                <th>After</th>
+                <th>Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              {preview.revenue.slice(0, PREVIEW_COUNT).map(entry => (
+                <tr key={entry.person}>
+                  <td>{entry.person}</td>
+                  <td>{formatCurrency(entry.before)}</td>
+                  <td>{formatCurrency(entry.after)}</td>
+                  <td className={entry.delta < 0 ? 'text-danger' : 'text-success'}>{formatDelta(entry.delta)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+          <More total={preview.revenue.length} />
+        </div>
+      )}
+
+      {errorRows > 0 && (
+        <Form.Check
+          type="checkbox"
+          id="preview-skip-errors"
+          className="mb-2"
+          label={`Skip ${errorRows.toLocaleString()} rows with errors`}
+          checked={skipErrors}
+          onChange={e => onSkipErrorsChange(e.target.checked)}
+          disabled={disabled}
+        />
+      )}
+
+      <div className="d-flex gap-2">
+        <Button variant="primary" onClick={onConfirm} disabled={disabled || preview.rows.length === 0}>
+          Confirm Upload
+        </Button>
+        <Button variant="outline-danger" onClick={onDiscard} disabled={disabled}>
+          Discard
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -5,7 +5,13 @@ import { Chart as ChartJS, ArcElement, BarElement, CategoryScale, LinearScale, T
 import { toPng } from 'html-to-image';
 import { saveAs } from 'file-saver';
 import { useApp } from '../context';
+import { toDayKey, formatDayKey } from '../dates';
+import { rowRevenue } from '../revenue';
+import { normalizeName } from '../names';
+import { isValidPersonName } from '../nameQuality';
+import { filterBySite, siteBreakdown } from '../sites';
 import RevenueAnalytics from './RevenueAnalytics';
+import SiteFilter from './SiteFilter';
 
 ChartJS.register(ArcElement, BarElement, CategoryScale, LinearScale, Tooltip, Legend, LineElement, PointElement);
 
@@ -20,9 +26,11 @@ function downloadPng(node, fileName) {
 }
 
 export default function Insights() {
-  const { rows, peopleToGroup, peopleToShift } = useApp();
+  const { rows, peopleToGroup, peopleToShift, settings, resolvePerson, sites, db, dbInitialized } = useApp();
   const [isCollapsed, setIsCollapsed] = useState(false);
   const [activeTab, setActiveTab] = useState('overview');
+  const [siteFilter, setSiteFilter] = useState({ site: '', scale: '' });
+  const [people, setPeople] = useState([]);
   const chartRefs = {
     perPerson: useRef(null),
     perGroup: useRef(null),
@@ -32,7 +40,22 @@ export default function Insights() {
     impounded: useRef(null),
   };
 
-  const analytics = useMemo(() => computeAdvancedAnalytics(rows, peopleToGroup, peopleToShift), [rows, peopleToGroup, peopleToShift]);
+  // Stored people give the revenue view each person's group and shift
+  useEffect(() => {
+    if (!dbInitialized) return;
+    db.getAllPeople()
+      .then(setPeople)
+      .catch(error => console.error('Failed to load people:', error));
+  }, [db, dbInitialized, peopleToGroup, peopleToShift]);
+
+  const siteRows = useMemo(() => filterBySite(rows, siteFilter), [rows, siteFilter]);
+
+  const analytics = useMemo(
+    () => computeAdvancedAnalytics(siteRows, peopleToGroup, peopleToShift, settings.dates, settings.revenue, resolvePerson),
+    [siteRows, peopleToGroup, peopleToShift, settings.dates, settings.revenue, resolvePerson]
+  );
+
+  const bySite = useMemo(() => siteBreakdown(siteRows, settings.revenue), [siteRows, settings.revenue]);
 
   // Auto-collapse when there are many data points
   useEffect(() => {
@@ -95,26 +118,29 @@ export default function Insights() {
     <div id="insights">
       <div className="d-flex justify-content-between align-items-center mb-4">
         <div className="section-title">Advanced Analytics Dashboard</div>
-        {shouldShowCollapse && (
-          <Button
-            variant="outline-secondary"
-            size="sm"
-            onClick={() => setIsCollapsed(!isCollapsed)}
-            className="collapse-btn"
-          >
-            {isCollapsed ? (
-              <>
-                <span className="me-1">▼</span>
-                Show All Data
-              </>
-            ) : (
-              <>
-                <span className="me-1">▲</span>
-                Collapse
-              </>
-            )}
-          </Button>
-        )}
+        <div className="d-flex gap-2 align-items-center">
+          {sites.length > 0 && <SiteFilter sites={sites} value={siteFilter} onChange={setSiteFilter} />}
+          {shouldShowCollapse && (
+            <Button
+              variant="outline-secondary"
+              size="sm"
+              onClick={() => setIsCollapsed(!isCollapsed)}
+              className="collapse-btn"
+            >
+              {isCollapsed ? (
+                <>
+                  <span className="me-1">▼</span>
+                  Show All Data
+                </>
+              ) : (
+                <>
+                  <span className="me-1">▲</span>
+                  Collapse
+                </>
+              )}
+            </Button>
+          )}
+        </div>
       </div>
 
       <Tabs activeKey={activeTab} onSelect={(k) => setActiveTab(k)} className="mb-4">
@@ -493,12 +519,71 @@ export default function Insights() {
             </Card.Body>
           </Card>
         </Tab>
+
+        <Tab eventKey="sites" title={<><span className="me-2">🏗️</span>Sites</>}>
+          <Card>
+            <Card.Header>
+              <h5 className="mb-0">{siteFilter.site ? `Scales at ${siteFilter.site}` : 'Activity by Site and Scale'}</h5>
+            </Card.Header>
+            <Card.Body>
+              {bySite.length > 0 ? (
+                <Table responsive striped hover>
+                  <thead>
+                    <tr>
+                      <th>Site</th>
+                      <th>Scale</th>
+                      <th>Trucks</th>
+                      <th>Impounded</th>
+                      <th>Revenue</th>
+                      <th>Share of Trucks</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {bySite.map(entry => (
+                      <tr key={`${entry.site}|${entry.scale}`}>
+                        <td><strong>{entry.site}</strong></td>
+                        <td>{entry.scale || <em className="text-muted">No scale</em>}</td>
+                        <td>{entry.weighings.toLocaleString()}</td>
+                        <td>
+                          {entry.impounded > 0 ? (
+                            <Badge bg="danger">{entry.impounded}</Badge>
+                          ) : (
+                            <span className="text-muted">0</span>
+                          )}
+                        </td>
+                        <td>{entry.revenue.toLocaleString()}</td>
+                        <td>{((entry.weighings / analytics.basic.totalTrucks) * 100).toFixed(1)}%</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              ) : (
+                <p className="text-muted text-center mb-0">No site data available</p>
+              )}
+            </Card.Body>
+          </Card>
+        </Tab>
+
+        <Tab eventKey="revenue" title={<><span className="me-2">💰</span>Revenue</>}>
+          <RevenueAnalytics
+            excelData={rows}
+            people={people}
+            dateSettings={settings.dates}
+            revenueSettings={settings.revenue}
+            resolvePerson={resolvePerson}
+            siteFilter={siteFilter}
+            onSiteFilterChange={setSiteFilter}
+          />
+        </Tab>
       </Tabs>
     </div>
   );
 }
 
-function computeAdvancedAnalytics(rows, peopleToGroup, peopleToShift) {
+// Without the context's resolvePerson, names are cleaned up and placeholder names resolve to ''
+const defaultResolvePerson = (name) => (isValidPersonName(name) ? normalizeName(name) : '');
+
+function computeAdvancedAnalytics(rows, peopleToGroup, peopleToShift, dateSettings, revenueSettings, resolvePerson = defaultResolvePerson) {
   const perPersonCounts = {};
   const perPersonImpounded = {};
   const perPersonRevenue = {};
@@ -514,20 +599,13 @@ function computeAdvancedAnalytics(rows, peopleToGroup, peopleToShift) {
   let totalImpounded = 0;
   let totalRevenue = 0;
 
-  // Helper: detect placeholder or invalid person names
-  const isPlaceholderName = (v) => {
-    if (v === undefined || v === null) return true;
-    const s = String(v).trim();
-    if (!s) return true;
-    const low = s.toLowerCase();
-    return ['n/a', 'na', 'none', 'unknown', '-'].includes(low) || /^n\.?a\.?$/i.test(s);
-  };
-
-  // Helper: pick the best available person name from row fields
+  // Helper: pick the best available person name from row fields, resolved to the canonical person;
+  // placeholder names resolve to '' and are skipped
   const resolvePersonName = (r) => {
-    const candidates = [r.person, r._raw?.['User Full Name'], r._raw?.['Driver Name'], r._raw?.['Name'], r._raw?.['Driver'], r._raw?.['Owner Name']];
+    const candidates = [r.person, r.driverName, r.ownerName];
     for (const c of candidates) {
-      if (c && !isPlaceholderName(c)) return String(c).trim();
+      const person = c ? resolvePerson(c) : '';
+      if (person) return person;
     }
     return 'Unknown';
   };
@@ -538,38 +616,18 @@ function computeAdvancedAnalytics(rows, peopleToGroup, peopleToShift) {
     const group = peopleToGroup[person] || 'Unassigned';
     const shift = peopleToShift[person] || 'Unassigned';
     
-    // Extract date from various possible date fields
-    const dateStr = r.date || r._raw?.date || r._raw?.Date || r._raw?.datetime || r._raw?.Datetime;
-    let dayKey = 'Unknown Date';
-    if (dateStr) {
-      try {
-        const date = new Date(dateStr);
-        if (!isNaN(date.getTime())) {
-          dayKey = date.toISOString().split('T')[0]; // YYYY-MM-DD format
-        }
-      } catch (e) {
-        // If date parsing fails, use the original string
-        dayKey = String(dateStr).split('T')[0] || dayKey;
-      }
-    }
+    // Bucket by the station's calendar day (YYYY-MM-DD)
+    const dayKey = toDayKey(r.date, dateSettings) || 'Unknown Date';
     
     total += 1;
-  // Calculate revenue for this row. Use numeric fields if present.
-  const amt = Number(r.amountDue || r._raw?.['Amount Due'] || 0) || 0;
-  const gvm = Number(r.gvmFine || r._raw?.['GVM Fine'] || 0) || 0;
-  const d1 = Number(r.d1Fine || r._raw?.['D1 Fine'] || 0) || 0;
-  const d2 = Number(r.d2Fine || r._raw?.['D2 Fine'] || 0) || 0;
-  const d3 = Number(r.d3Fine || r._raw?.['D3 Fine'] || 0) || 0;
-  const d4 = Number(r.d4Fine || r._raw?.['D4 Fine'] || 0) || 0;
-  const awk = Number(r.awkwardLoadFine || r._raw?.['Awkward Load Fine'] || 0) || 0;
-  const amtDriver = Number(r.amountDueDriver || r._raw?.['Amount Due Driver'] || 0) || 0;
-  const rowRevenue = amt + gvm + d1 + d2 + d3 + d4 + awk + amtDriver;
-  totalRevenue += rowRevenue;
+  // Revenue for this row under the configured definition (src/revenue.js)
+  const revenue = rowRevenue(r, revenueSettings);
+  totalRevenue += revenue;
 
   // accumulate revenue by person/group/shift
-  perPersonRevenue[person] = (perPersonRevenue[person] || 0) + rowRevenue;
-  perGroupRevenue[group] = (perGroupRevenue[group] || 0) + rowRevenue;
-  perShiftRevenue[shift] = (perShiftRevenue[shift] || 0) + rowRevenue;
+  perPersonRevenue[person] = (perPersonRevenue[person] || 0) + revenue;
+  perGroupRevenue[group] = (perGroupRevenue[group] || 0) + revenue;
+  perShiftRevenue[shift] = (perShiftRevenue[shift] || 0) + revenue;
     perPersonCounts[person] = (perPersonCounts[person] || 0) + 1;
     perGroupCounts[group] = (perGroupCounts[group] || 0) + 1;
     perShiftCounts[shift] = (perShiftCounts[shift] || 0) + 1;
@@ -604,15 +662,15 @@ function computeAdvancedAnalytics(rows, peopleToGroup, peopleToShift) {
   }));
 
   // Advanced statistics
-  // Exclude placeholder/Unknown keys from uniquePeople count
-  const uniquePeople = Object.keys(perPersonCounts).filter(p => !isPlaceholderName(p) && p !== 'Unknown').length;
+  // Exclude the Unknown key from uniquePeople count
+  const uniquePeople = Object.keys(perPersonCounts).filter(p => p !== 'Unknown').length;
   const avgTrucksPerPerson = uniquePeople > 0 ? total / uniquePeople : 0;
   const impoundedRate = total > 0 ? (totalImpounded / total) * 100 : 0;
   
   // Find top performers
-  // Top performer by trucks (ignore Unknown/placeholder names)
+  // Top performer by trucks (ignore Unknown)
   const topPerformer = peopleRows
-    .filter(p => p.person && !isPlaceholderName(p.person) && p.person !== 'Unknown')
+    .filter(p => p.person && p.person !== 'Unknown')
     .reduce((max, person) => (person.trucks > (max.trucks || 0) ? person : max), {});
   
   // Find top group
@@ -625,9 +683,9 @@ function computeAdvancedAnalytics(rows, peopleToGroup, peopleToShift) {
   };
 
   // Top revenue performer
-  // Top revenue performer, ignoring placeholder names
+  // Top revenue performer, ignoring Unknown
   const topRevenuePerformerEntry = Object.entries(perPersonRevenue)
-    .filter(([name]) => name && !isPlaceholderName(name) && name !== 'Unknown')
+    .filter(([name]) => name && name !== 'Unknown')
     .reduce((max, [name, rev]) => (rev > (max[1] || 0) ? [name, rev] : max), ['', 0]);
   const topRevenuePerformer = { name: topRevenuePerformerEntry[0] || 'Unknown', revenue: topRevenuePerformerEntry[1] || 0 };
 
@@ -671,15 +729,7 @@ function computeAdvancedAnalytics(rows, peopleToGroup, peopleToShift) {
   // Prepare trend data
   const sortedDates = Object.keys(dailyActivity).sort();
   const trends = sortedDates.length > 1 ? {
-    dates: sortedDates.map(date => {
-      // Format date for display
-      if (date === 'Unknown Date') return date;
-      try {
-        return new Date(date).toLocaleDateString();
-      } catch (e) {
-        return date;
-      }
-    }),
+    dates: sortedDates.map(date => formatDayKey(date)),
     dailyCounts: sortedDates.map(date => dailyActivity[date].total),
     dailyImpounded: sortedDates.map(date => dailyActivity[date].impounded)
   } : null;
@@ -2,12 +2,16 @@ import React, { useState, useEffect } from 'react';
 import { Button, Col, Row, Form, Alert, Table, Modal } from 'react-bootstrap';
 import { useApp } from '../context';
 import db from '../database';
+import { inSiteScope, sitesByPerson } from '../sites';
+import SiteFilter from './SiteFilter';
 
 export default function ManageGroups() {
-  const { rows, peopleToGroup, setPeopleToGroup, distinctPeople } = useApp();
+  const { rows, peopleToGroup, setPeopleToGroup, distinctPeople, sites, resolvePerson } = useApp();
   const [groups, setGroups] = useState([]);
   const [showModal, setShowModal] = useState(false);
   const [newGroupName, setNewGroupName] = useState('');
+  const [newGroupSite, setNewGroupSite] = useState('');
+  const [siteFilter, setSiteFilter] = useState({ site: '', scale: '' });
   const [showSuccess, setShowSuccess] = useState(false);
   const [showError, setShowError] = useState(false);
   const [errorMessage, setErrorMessage] = useState('');
@@ -43,9 +47,10 @@ export default function ManageGroups() {
     }
 
     try {
-      await db.addGroup(newGroupName.trim());
+      await db.addGroup(newGroupName.trim(), newGroupSite);
       await loadGroups();
       setNewGroupName('');
+      setNewGroupSite('');
       setShowModal(false);
       setShowSuccess(true);
       setTimeout(() => setShowSuccess(false), 3000);
@@ -88,9 +93,18 @@ export default function ManageGroups() {
     await setPeopleToGroup(updated);
   }
 
+  // With a site selected, only people who weighed there and groups scoped to it (or to no site) are shown
+  const personSites = sitesByPerson(rows, resolvePerson);
+  const sitePeople = siteFilter.site
+    ? distinctPeople.filter(person => personSites[person]?.has(siteFilter.site))
+    : distinctPeople;
+  const siteGroups = groups.filter(group => inSiteScope(group, siteFilter.site));
+  // Groups a person can be given: those without a site and those of a site they weighed at
+  const groupsFor = (person) => siteGroups.filter(group => !group.site || personSites[person]?.has(group.site) || group.name === peopleToGroup[person]);
+
   // Get people grouped by their assigned group
   const peopleByGroup = {};
-  distinctPeople.forEach(person => {
+  sitePeople.forEach(person => {
     const group = peopleToGroup[person] || 'Unassigned';
     if (!peopleByGroup[group]) {
       peopleByGroup[group] = [];
@@ -98,9 +112,9 @@ export default function ManageGroups() {
     peopleByGroup[group].push(person);
   });
 
-  const shouldShowCollapse = groups.length > 3 || distinctPeople.length > 3;
-  const displayedGroups = isCollapsed ? groups.slice(0, 3) : groups;
-  const displayedPeople = isCollapsed ? distinctPeople.slice(0, 3) : distinctPeople;
+  const shouldShowCollapse = siteGroups.length > 3 || sitePeople.length > 3;
+  const displayedGroups = isCollapsed ? siteGroups.slice(0, 3) : siteGroups;
+  const displayedPeople = isCollapsed ? sitePeople.slice(0, 3) : sitePeople;
 
   return (
     <div className="section">
@@ -116,7 +130,7 @@ export default function ManageGroups() {
             {isCollapsed ? (
               <>
                 <i className="bi bi-chevron-down me-1"></i>
-                Show All ({groups.length} groups, {distinctPeople.length} people)
+                Show All ({siteGroups.length} groups, {sitePeople.length} people)
               </>
             ) : (
               <>
@@ -151,6 +165,11 @@ export default function ManageGroups() {
             Refresh Groups
           </Button>
         </Col>
+        {sites.length > 0 && (
+          <Col xs={12} md="auto">
+            <SiteFilter sites={sites} value={siteFilter} onChange={setSiteFilter} showScale={false} />
+          </Col>
+        )}
       </Row>
 
       {/* Groups Overview */}
@@ -164,6 +183,7 @@ export default function ManageGroups() {
                   {peopleByGroup[group.name]?.length || 0}
                 </div>
                 <div className="metric-label">{group.name}</div>
+                {group.site && <span className="badge bg-light text-dark">{group.site}</span>}
                 <Button
                   size="sm"
                   variant="outline-danger"
@@ -183,10 +203,10 @@ export default function ManageGroups() {
               <div className="metric-label">Unassigned</div>
             </div>
           </Col>
-          {isCollapsed && groups.length > 3 && (
+          {isCollapsed && siteGroups.length > 3 && (
             <Col xs={12}>
               <div className="text-center text-muted">
-                <em>Showing 3 of {groups.length} groups. Click "Show All" to see the complete list.</em>
+                <em>Showing 3 of {siteGroups.length} groups. Click "Show All" to see the complete list.</em>
               </div>
             </Col>
           )}
@@ -214,7 +234,7 @@ export default function ManageGroups() {
                     size="sm"
                   >
                     <option value="">Unassigned</option>
-                    {groups.map(group => (
+                    {groupsFor(person).map(group => (
                       <option key={group.id} value={group.name}>
                         {group.name}
                       </option>
@@ -228,14 +248,14 @@ export default function ManageGroups() {
                 </td>
               </tr>
             ))}
-            {isCollapsed && distinctPeople.length > 3 && (
+            {isCollapsed && sitePeople.length > 3 && (
               <tr className="table-info">
                 <td colSpan="3" className="text-center">
-                  <em>Showing 3 of {distinctPeople.length} people. Click "Show All" to see the complete list.</em>
+                  <em>Showing 3 of {sitePeople.length} people. Click "Show All" to see the complete list.</em>
                 </td>
               </tr>
             )}
-            {distinctPeople.length === 0 && (
+            {sitePeople.length === 0 && (
               <tr>
                 <td colSpan="3" className="text-center text-muted">
                   No people found. Please upload an Excel file first.
@@ -263,6 +283,15 @@ export default function ManageGroups() {
                 required
               />
             </Form.Group>
+            <Form.Group className="mt-3">
+              <Form.Label>Site</Form.Label>
+              <Form.Select value={newGroupSite} onChange={(e) => setNewGroupSite(e.target.value)}>
+                <option value="">All Sites</option>
+                {sites.map(s => (
+                  <option key={s.site} value={s.site}>{s.site}</option>
+                ))}
+              </Form.Select>
+            </Form.Group>
           </Modal.Body>
           <Modal.Footer>
             <Button variant="secondary" onClick={() => setShowModal(false)}>
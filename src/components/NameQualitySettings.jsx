@@ -0,0 +1,165 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Alert, Button, Col, Form, Row, Table } from 'react-bootstrap';
+import { useApp } from '../context';
+import { DEFAULT_NAME_QUALITY_SETTINGS, collectRejectedNames, compilePattern } from '../nameQuality';
+import { nameKey } from '../names';
+
+const LISTS = [
+  { key: 'denylist', label: 'Denylist', help: 'Names that are never a person, one per line. Case and spacing are ignored.' },
+  { key: 'patterns', label: 'Patterns', help: 'Regular expressions, one per line. A name matching any of them is rejected.' },
+  { key: 'allowlist', label: 'Allowlist', help: 'Names accepted even when the denylist or a pattern rejects them.' },
+];
+
+const toLines = (list) => list.join('\n');
+const fromLines = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+export default function NameQualitySettings() {
+  const { rows, db, dbInitialized, settings, updateSettings, nameCheck, reloadPeople } = useApp();
+  const names = settings.names;
+  // Text being edited, saved on blur so half-typed patterns are not applied
+  const [drafts, setDrafts] = useState(() => Object.fromEntries(LISTS.map(list => [list.key, toLines(names[list.key])])));
+  const [people, setPeople] = useState([]);
+  const [showError, setShowError] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  useEffect(() => {
+    setDrafts(Object.fromEntries(LISTS.map(list => [list.key, toLines(names[list.key])])));
+  }, [names]);
+
+  useEffect(() => {
+    if (!dbInitialized) return;
+    db.getAllPeople()
+      .then(setPeople)
+      .catch(error => console.error('Failed to load people:', error));
+  }, [db, dbInitialized]);
+
+  const rejectedNames = useMemo(() => collectRejectedNames(rows, names), [rows, names]);
+  const rejectedPeople = people.filter(person => nameCheck(person.name));
+  const invalidPatterns = fromLines(drafts.patterns).filter(pattern => !compilePattern(pattern));
+
+  function saveList(key) {
+    updateSettings('names', { [key]: fromLines(drafts[key]) });
+  }
+
+  function allowName(name) {
+    const key = nameKey(name);
+    updateSettings('names', {
+      allowlist: [...names.allowlist, name],
+      denylist: names.denylist.filter(entry => nameKey(entry) !== key),
+    });
+  }
+
+  async function handleDeletePerson(person) {
+    if (!window.confirm(`Delete "${person.name}" from the people list?`)) return;
+    try {
+      await db.deletePerson(person.id);
+      setPeople(prev => prev.filter(p => p.id !== person.id));
+      await reloadPeople();
+    } catch (error) {
+      console.error('Failed to delete person:', error);
+      setErrorMessage('Failed to delete person');
+      setShowError(true);
+    }
+  }
+
+  return (
+    <div className="name-quality-settings">
+      <Alert variant="info" className="mb-3">
+        Values in the person column that match these rules are not added as people and do not count as anyone in
+        analytics or assignments. Their rows are still stored.
+      </Alert>
+
+      {showError && (
+        <Alert variant="danger" dismissible onClose={() => setShowError(false)}>
+          {errorMessage}
+        </Alert>
+      )}
+
+      <Row className="g-3 mb-3">
+        {LISTS.map(list => (
+          <Col xs={12} md={4} key={list.key}>
+            <Form.Group>
+              <Form.Label className="file-label">{list.label}</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={6}
+                aria-label={list.label}
+                value={drafts[list.key]}
+                onChange={e => setDrafts({ ...drafts, [list.key]: e.target.value })}
+                onBlur={() => saveList(list.key)}
+              />
+              <Form.Text muted>{list.help}</Form.Text>
+              {list.key === 'patterns' && invalidPatterns.length > 0 && (
+                <Form.Text className="text-danger d-block">
+                  Not a valid regular expression (ignored): {invalidPatterns.join(', ')}
+                </Form.Text>
+              )}
+            </Form.Group>
+          </Col>
+        ))}
+      </Row>
+
+      <Button variant="outline-secondary" size="sm" className="mb-4" onClick={() => updateSettings('names', DEFAULT_NAME_QUALITY_SETTINGS)}>
+        Reset to Default
+      </Button>
+
+      <div className="file-label">Rejected Names in Current Data</div>
+      {rejectedNames.length === 0 ? (
+        <p className="text-muted">No rejected names in the current data.</p>
+      ) : (
+        <div className="table-responsive mb-4">
+          <Table size="sm" className="table mb-0">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Rows</th>
+                <th>Reason</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rejectedNames.map(entry => (
+                <tr key={entry.name}>
+                  <td>{entry.name || <span className="text-muted">(blank)</span>}</td>
+                  <td>{entry.count.toLocaleString()}</td>
+                  <td>{entry.reason}</td>
+                  <td className="text-end">
+                    {entry.name && (
+                      <Button size="sm" variant="outline-primary" onClick={() => allowName(entry.name)}>
+                        Allow
+                      </Button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        </div>
+      )}
+
+      {rejectedPeople.length > 0 && (
+        <>
+          <div className="file-label">Stored People With Rejected Names</div>
+          <small className="text-muted d-block mb-2">Added before these rules applied.</small>
+          <div className="table-responsive">
+            <Table size="sm" className="table mb-0">
+              <tbody>
+                {rejectedPeople.map(person => (
+                  <tr key={person.id}>
+                    <td>{person.name}</td>
+                    <td>{nameCheck(person.name)}</td>
+                    <td className="text-end">
+                      <Button size="sm" variant="outline-danger" onClick={() => handleDeletePerson(person)}>
+                        Delete
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,9 +1,35 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { Button, Col, Row, Form, Alert, Table, Modal } from 'react-bootstrap';
 import db from '../database';
+import { useApp } from '../context';
+import { findDuplicatePeople } from '../duplicates';
+import { inSiteScope } from '../sites';
+import SiteFilter from './SiteFilter';
+
+// Drop the merged names from a name -> group/shift map, carrying a value over to the kept name if it has none
+function mergeAssignments(assignments, keepName, mergedNames) {
+  const next = { ...assignments };
+  mergedNames.forEach(name => {
+    if (!next[keepName] && next[name]) next[keepName] = next[name];
+    delete next[name];
+  });
+  return next;
+}
 
 export default function PeopleManagement() {
+  const {
+    reloadPeople,
+    rows,
+    resolvePerson,
+    peopleToGroup,
+    setPeopleToGroup,
+    peopleToShift,
+    setPeopleToShift,
+    sites
+  } = useApp();
   const [people, setPeople] = useState([]);
+  const [aliases, setAliases] = useState([]);
+  const [newAlias, setNewAlias] = useState('');
   const [groups, setGroups] = useState([]);
   const [shifts, setShifts] = useState([]);
   const [showModal, setShowModal] = useState(false);
@@ -11,12 +37,16 @@ export default function PeopleManagement() {
   const [formData, setFormData] = useState({
     name: '',
     group: '',
-    shift: ''
+    shift: '',
+    site: ''
   });
+  const [siteFilter, setSiteFilter] = useState({ site: '', scale: '' });
   const [showSuccess, setShowSuccess] = useState(false);
   const [showError, setShowError] = useState(false);
   const [errorMessage, setErrorMessage] = useState('');
   const [isCollapsed, setIsCollapsed] = useState(false);
+  const [showDuplicates, setShowDuplicates] = useState(false);
+  const [merging, setMerging] = useState(false);
 
   useEffect(() => {
     loadData();
@@ -31,13 +61,15 @@ export default function PeopleManagement() {
 
   async function loadData() {
     try {
-      const [peopleData, groupsData, shiftsData] = await Promise.all([
+      const [peopleData, groupsData, shiftsData, aliasesData] = await Promise.all([
         db.getAllPeople(),
         db.getAllGroups(),
-        db.getAllShifts()
+        db.getAllShifts(),
+        db.getAllAliases()
       ]);
       
       setPeople(peopleData);
+      setAliases(aliasesData);
       setGroups(groupsData);
       setShifts(shiftsData);
     } catch (error) {
@@ -53,11 +85,12 @@ export default function PeopleManagement() {
       setFormData({
         name: person.name,
         group: person.group,
-        shift: person.shift
+        shift: person.shift,
+        site: person.site || ''
       });
     } else {
       setEditingPerson(null);
-      setFormData({ name: '', group: '', shift: '' });
+      setFormData({ name: '', group: '', shift: '', site: '' });
     }
     setShowModal(true);
   }
@@ -65,7 +98,75 @@ export default function PeopleManagement() {
   function handleCloseModal() {
     setShowModal(false);
     setEditingPerson(null);
-    setFormData({ name: '', group: '', shift: '' });
+    setFormData({ name: '', group: '', shift: '', site: '' });
+    setNewAlias('');
+  }
+
+  // Aliases are variant spellings in the exports that count as this person
+  async function handleAddAlias() {
+    if (!newAlias.trim()) return;
+    try {
+      await db.addAlias(newAlias, editingPerson.id);
+      setNewAlias('');
+      await loadData();
+      await reloadPeople();
+    } catch (error) {
+      console.error('Failed to add alias:', error);
+      setErrorMessage(`Failed to add alias: ${error.message}`);
+      setShowError(true);
+    }
+  }
+
+  async function handleDeleteAlias(key) {
+    try {
+      await db.deleteAlias(key);
+      await loadData();
+      await reloadPeople();
+    } catch (error) {
+      console.error('Failed to delete alias:', error);
+      setErrorMessage('Failed to delete alias');
+      setShowError(true);
+    }
+  }
+
+  const aliasesFor = (personId) => aliases.filter(alias => alias.personId === personId);
+
+  // Only worked out while the duplicate finder is open; it compares every pair of people
+  const duplicates = useMemo(
+    () => (showDuplicates ? findDuplicatePeople(people, rows, resolvePerson) : []),
+    [showDuplicates, people, rows, resolvePerson]
+  );
+
+  const weighingCounts = useMemo(() => {
+    const counts = {};
+    if (!showDuplicates) return counts;
+    rows.forEach(row => {
+      const person = resolvePerson(row.person);
+      if (person) counts[person] = (counts[person] || 0) + 1;
+    });
+    return counts;
+  }, [showDuplicates, rows, resolvePerson]);
+
+  async function handleMerge(keep, merged) {
+    if (!window.confirm(`Merge "${merged.name}" into "${keep.name}"? "${merged.name}" will be kept as an alias of ${keep.name} and its record deleted.`)) {
+      return;
+    }
+    setMerging(true);
+    try {
+      await db.mergePeople(keep.id, [merged.id]);
+      await setPeopleToGroup(mergeAssignments(peopleToGroup, keep.name, [merged.name]));
+      await setPeopleToShift(mergeAssignments(peopleToShift, keep.name, [merged.name]));
+      await loadData();
+      await reloadPeople();
+      setShowSuccess(true);
+      setTimeout(() => setShowSuccess(false), 3000);
+    } catch (error) {
+      console.error('Failed to merge people:', error);
+      setErrorMessage(`Failed to merge people: ${error.message}`);
+      setShowError(true);
+    } finally {
+      setMerging(false);
+    }
   }
 
   async function handleSubmit(e) {
@@ -83,14 +184,19 @@ export default function PeopleManagement() {
         await db.updatePerson(editingPerson.id, {
           name: formData.name,
           group: formData.group,
-          shift: formData.shift
+          shift: formData.shift,
+          site: formData.site
         });
       } else {
-        // Add new person (check for duplicates)
-        await db.addPersonIfNotExists(formData.name, formData.group, formData.shift);
+        // Add new person, or update the one with the same name or alias
+        const [id] = await db.bulkUpsertPeople([
+          { name: formData.name, group: formData.group, shift: formData.shift, site: formData.site }
+        ]);
+        if (id === null) throw new Error(`"${formData.name.trim()}" is not a person name under the name rules (Management → Names)`);
       }
       
       await loadData();
+      await reloadPeople();
       handleCloseModal();
       setShowSuccess(true);
       setTimeout(() => setShowSuccess(false), 3000);
@@ -106,6 +212,7 @@ export default function PeopleManagement() {
       try {
         await db.deletePerson(id);
         await loadData();
+        await reloadPeople();
         setShowSuccess(true);
         setTimeout(() => setShowSuccess(false), 3000);
       } catch (error) {
@@ -144,8 +251,13 @@ export default function PeopleManagement() {
     }
   }
 
-  const shouldShowCollapse = people.length > 3;
-  const displayedPeople = isCollapsed ? people.slice(0, 3) : people;
+  // With a site selected, people scoped to it and people without a site are listed
+  const sitePeople = people.filter(person => inSiteScope(person, siteFilter.site));
+  const shouldShowCollapse = sitePeople.length > 3;
+  const displayedPeople = isCollapsed ? sitePeople.slice(0, 3) : sitePeople;
+  // Groups and shifts the person being edited can be given
+  const formGroups = groups.filter(group => inSiteScope(group, formData.site));
+  const formShifts = shifts.filter(shift => inSiteScope(shift, formData.site));
 
   return (
     <div className="section">
@@ -161,7 +273,7 @@ export default function PeopleManagement() {
             {isCollapsed ? (
               <>
                 <i className="bi bi-chevron-down me-1"></i>
-                Show All ({people.length})
+                Show All ({sitePeople.length})
               </>
             ) : (
               <>
@@ -206,6 +318,16 @@ export default function PeopleManagement() {
             Refresh Data
           </Button>
         </Col>
+        {sites.length > 0 && (
+          <Col xs={12} md="auto">
+            <SiteFilter sites={sites} value={siteFilter} onChange={setSiteFilter} showScale={false} />
+          </Col>
+        )}
+        <Col xs={12} md="auto">
+          <Button variant="outline-warning" onClick={() => setShowDuplicates(true)} disabled={people.length < 2}>
+            Find Duplicates
+          </Button>
+        </Col>
       </Row>
 
       <div className="table-responsive">
@@ -215,6 +337,7 @@ export default function PeopleManagement() {
               <th>Name</th>
               <th>Group</th>
               <th>Shift</th>
+              <th>Site</th>
               <th>Created</th>
               <th>Actions</th>
             </tr>
@@ -222,7 +345,16 @@ export default function PeopleManagement() {
           <tbody>
             {displayedPeople.map(person => (
               <tr key={person.id}>
-                <td>{person.name}</td>
+                <td>
+                  {person.name}
+                  {aliasesFor(person.id).length > 0 && (
+                    <div>
+                      <small className="text-muted">
+                        Also: {aliasesFor(person.id).map(alias => alias.alias).join(', ')}
+                      </small>
+                    </div>
+                  )}
+                </td>
                 <td>
                   <span className={`badge ${person.group ? 'bg-primary' : 'bg-secondary'}`}>
                     {person.group || 'Unassigned'}
@@ -233,6 +365,7 @@ export default function PeopleManagement() {
                     {person.shift || 'Unassigned'}
                   </span>
                 </td>
+                <td>{person.site || <span className="text-muted">All sites</span>}</td>
                 <td>{new Date(person.createdAt).toLocaleDateString()}</td>
                 <td>
                   <Button 
@@ -253,16 +386,16 @@ export default function PeopleManagement() {
                 </td>
               </tr>
             ))}
-            {isCollapsed && people.length > 3 && (
+            {isCollapsed && sitePeople.length > 3 && (
               <tr className="table-info">
-                <td colSpan="5" className="text-center">
-                  <em>Showing 3 of {people.length} people. Click "Show All" to see the complete list.</em>
+                <td colSpan="6" className="text-center">
+                  <em>Showing 3 of {sitePeople.length} people. Click "Show All" to see the complete list.</em>
                 </td>
               </tr>
             )}
             {people.length === 0 && (
               <tr>
-                <td colSpan="5" className="text-center text-muted">
+                <td colSpan="6" className="text-center text-muted">
                   No people added yet. Click "Add New Person" to get started.
                 </td>
               </tr>
@@ -298,7 +431,7 @@ export default function PeopleManagement() {
                   onChange={e => setFormData({ ...formData, group: e.target.value })}
                 >
                   <option value="">Select Group</option>
-                  {groups.map(group => (
+                  {formGroups.map(group => (
                     <option key={group.id} value={group.name}>
                       {group.name}
                     </option>
@@ -312,13 +445,65 @@ export default function PeopleManagement() {
                   onChange={e => setFormData({ ...formData, shift: e.target.value })}
                 >
                   <option value="">Select Shift</option>
-                  {shifts.map(shift => (
+                  {formShifts.map(shift => (
                     <option key={shift.id} value={shift.name}>
                       {shift.name}
                     </option>
                   ))}
                 </Form.Select>
               </Col>
+              <Col xs={12} md={6}>
+                <Form.Label>Site</Form.Label>
+                <Form.Select
+                  value={formData.site}
+                  onChange={e => setFormData({ ...formData, site: e.target.value })}
+                >
+                  <option value="">All Sites</option>
+                  {/* Keep a stored site selectable even if the current data has no rows from it */}
+                  {[...new Set([...sites.map(s => s.site), formData.site].filter(Boolean))].map(site => (
+                    <option key={site} value={site}>
+                      {site}
+                    </option>
+                  ))}
+                </Form.Select>
+              </Col>
+              {editingPerson && (
+                <Col xs={12}>
+                  <Form.Label>Aliases</Form.Label>
+                  <div className="mb-2">
+                    {aliasesFor(editingPerson.id).map(alias => (
+                      <span key={alias.key} className="badge bg-light text-dark me-1">
+                        {alias.alias}{' '}
+                        <Button
+                          size="sm"
+                          variant="link"
+                          className="p-0 text-danger"
+                          aria-label={`Remove alias ${alias.alias}`}
+                          onClick={() => handleDeleteAlias(alias.key)}
+                        >
+                          ✕
+                        </Button>
+                      </span>
+                    ))}
+                    {aliasesFor(editingPerson.id).length === 0 && (
+                      <small className="text-muted">No aliases. Spelling variants in the exports can be mapped to this person here.</small>
+                    )}
+                  </div>
+                  <div className="d-flex gap-2">
+                    <Form.Control
+                      type="text"
+                      size="sm"
+                      value={newAlias}
+                      onChange={e => setNewAlias(e.target.value)}
+                      placeholder="e.g. B. Simaundu"
+                      aria-label="New alias"
+                    />
+                    <Button size="sm" variant="outline-primary" onClick={handleAddAlias} disabled={!newAlias.trim()}>
+                      Add Alias
+                    </Button>
+                  </div>
+                </Col>
+              )}
             </Row>
           </Modal.Body>
           <Modal.Footer>
@@ -361,6 +546,68 @@ export default function PeopleManagement() {
           </div>
         </Col>
       </Row>
+
+      {/* Duplicate finder */}
+      <Modal show={showDuplicates} onHide={() => setShowDuplicates(false)} size="lg">
+        <Modal.Header closeButton>
+          <Modal.Title>Possible Duplicates</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <p className="text-muted">
+            Pairs are scored by name similarity and, when both have weighings in the current data, by working at the
+            same site, scale and hours. Merging keeps one record; the other name becomes its alias, so its weighings
+            count towards the kept person.
+          </p>
+          {duplicates.length === 0 ? (
+            <p className="text-muted mb-0">No likely duplicates found.</p>
+          ) : (
+            <div className="table-responsive">
+              <Table size="sm" className="table mb-0">
+                <thead>
+                  <tr>
+                    <th>People</th>
+                    <th>Score</th>
+                    <th>Why</th>
+                    <th>Keep</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {duplicates.map(({ people: [a, b], score, reasons }) => (
+                    <tr key={`${a.id}-${b.id}`}>
+                      <td>
+                        {[a, b].map(person => (
+                          <div key={person.id}>
+                            {person.name}{' '}
+                            <small className="text-muted">
+                              ({(weighingCounts[person.name] || 0).toLocaleString()} weighings
+                              {person.group ? `, ${person.group}` : ''}{person.shift ? `, ${person.shift}` : ''})
+                            </small>
+                          </div>
+                        ))}
+                      </td>
+                      <td>{Math.round(score * 100)}%</td>
+                      <td><small>{reasons.join('; ')}</small></td>
+                      <td className="text-nowrap">
+                        <Button size="sm" variant="outline-primary" className="me-1" disabled={merging} onClick={() => handleMerge(a, b)}>
+                          {a.name}
+                        </Button>
+                        <Button size="sm" variant="outline-primary" disabled={merging} onClick={() => handleMerge(b, a)}>
+                          {b.name}
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </div>
+          )}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setShowDuplicates(false)}>
+            Close
+          </Button>
+        </Modal.Footer>
+      </Modal>
     </div>
   );
 }
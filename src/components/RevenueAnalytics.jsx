@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { Card, Row, Col, Alert, Badge } from 'react-bootstrap';
+import { Card, Row, Col, Alert, Badge, Table } from 'react-bootstrap';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -13,6 +13,12 @@ import {
   ArcElement,
 } from 'chart.js';
 import { Bar, Line, Pie, Scatter } from 'react-chartjs-2';
+import { toMonthKey, formatMonthKey } from '../dates';
+import { rowRevenue } from '../revenue';
+import { normalizeName } from '../names';
+import { isValidPersonName } from '../nameQuality';
+import { siteOptions, filterBySite, siteBreakdown } from '../sites';
+import SiteFilter from './SiteFilter';
 
 ChartJS.register(
   CategoryScale,
@@ -38,11 +44,32 @@ const formatNumber = (num) => {
   return new Intl.NumberFormat('en-US').format(num);
 };
 
-export default function RevenueAnalytics({ excelData, people, groups, shifts }) {
+// Without the context's resolvePerson, names are cleaned up and placeholder names count as Unknown
+const defaultResolvePerson = (name) => (isValidPersonName(name) ? normalizeName(name) : '');
+
+// `siteFilter` ({ site, scale }) and `onSiteFilterChange` let a parent own and show the site filter; without them
+// the component keeps and shows its own
+export default function RevenueAnalytics({
+  excelData,
+  people,
+  groups,
+  shifts,
+  dateSettings,
+  revenueSettings,
+  resolvePerson = defaultResolvePerson,
+  siteFilter: controlledSiteFilter,
+  onSiteFilterChange,
+}) {
   const [chartMode, setChartMode] = useState('top'); // 'top' | 'bottom' | 'scatter'
+  const [siteFilterState, setSiteFilterState] = useState({ site: '', scale: '' });
+  const siteFilter = controlledSiteFilter !== undefined ? controlledSiteFilter : siteFilterState;
+  const setSiteFilter = onSiteFilterChange !== undefined ? onSiteFilterChange : setSiteFilterState;
+  const sites = siteOptions(excelData || []);
+  const siteRows = filterBySite(excelData || [], siteFilter);
+
   // Calculate total revenue statistics
   const calculateRevenueStats = () => {
-    if (!excelData || excelData.length === 0) {
+    if (siteRows.length === 0) {
       return {
         totalRevenue: 0,
         totalTransactions: 0,
@@ -75,8 +102,8 @@ export default function RevenueAnalytics({ excelData, people, groups, shifts })
       'Amount Due Driver': 0
     };
 
-    excelData.forEach(row => {
-      const revenue = row.totalRevenue || 0;
+    siteRows.forEach(row => {
+      const revenue = rowRevenue(row, revenueSettings);
       totalRevenue += revenue;
       
       // Add up individual fine types
@@ -93,7 +120,7 @@ export default function RevenueAnalytics({ excelData, people, groups, shifts })
                    (row.d3Fine || 0) + (row.d4Fine || 0) + (row.awkwardLoadFine || 0);
 
       // Revenue by person
-      const person = row.person || 'Unknown';
+      const person = resolvePerson(row.person) || 'Unknown';
       revenueByPerson.set(person, (revenueByPerson.get(person) || 0) + revenue);
 
       // Find person's group and shift
@@ -110,49 +137,40 @@ export default function RevenueAnalytics({ excelData, people, groups, shifts })
       }
 
       // Monthly revenue (if date available)
-      if (row.date) {
-        try {
-          const date = new Date(row.date);
-          const monthKey = date.toLocaleDateString('en-US', { year: 'numeric', month: 'short' });
-          monthlyRevenue.set(monthKey, (monthlyRevenue.get(monthKey) || 0) + revenue);
-        } catch (e) {
-          // Invalid date, skip monthly aggregation
-        }
+      const monthKey = toMonthKey(row.date, dateSettings);
+      if (monthKey) {
+        monthlyRevenue.set(monthKey, (monthlyRevenue.get(monthKey) || 0) + revenue);
       }
     });
 
     return {
       totalRevenue,
-      totalTransactions: excelData.length,
-      averageRevenue: totalRevenue / excelData.length,
+      totalTransactions: siteRows.length,
+      averageRevenue: totalRevenue / siteRows.length,
       totalFines,
       revenueByPerson: Array.from(revenueByPerson.entries()).map(([name, revenue]) => ({ name, revenue })).sort((a, b) => b.revenue - a.revenue),
       revenueByGroup: Array.from(revenueByGroup.entries()).map(([name, revenue]) => ({ name, revenue })).sort((a, b) => b.revenue - a.revenue),
       revenueByShift: Array.from(revenueByShift.entries()).map(([name, revenue]) => ({ name, revenue })).sort((a, b) => b.revenue - a.revenue),
       revenueBreakdown: Object.entries(fineTypes).map(([type, amount]) => ({ type, amount })).filter(item => item.amount > 0),
-      monthlyRevenue: Array.from(monthlyRevenue.entries()).map(([month, revenue]) => ({ month, revenue })).sort((a, b) => new Date(a.month + ' 1') - new Date(b.month + ' 1'))
+      // YYYY-MM keys sort chronologically as text
+      monthlyRevenue: Array.from(monthlyRevenue.entries()).sort(([a], [b]) => a.localeCompare(b)).map(([month, revenue]) => ({ month: formatMonthKey(month), revenue }))
     };
   };
 
   const stats = calculateRevenueStats();
+  // Per site and scale within the filter: every site with no site selected, that site's scales otherwise
+  const bySite = siteBreakdown(siteRows, revenueSettings);
 
   // Prepare bottom-earners and scatter (revenue vs weight) datasets
   const bottomRevenue = stats.revenueByPerson.slice().reverse().slice(0, 10).map(item => ({ name: item.name, revenue: item.revenue }));
 
-  // Scatter: try to build pairs of (weight, revenue) from rows. Be robust to different field names
+  // Scatter: pairs of (GVM weight, revenue) from the typed row model
   const scatterPoints = [];
-  excelData.forEach(row => {
-    const revenue = row.totalRevenue || 0;
-    // try common weight fields
-    let weight = row.gvmWeight || row.GVMWeight || row['GVM Weight'] || row._raw && (row._raw['GVM Weight'] || row._raw['GVM Weight ']) || row._raw && row._raw.gvm_weight;
-    if (weight === undefined) weight = row.gvm || row.weight || 0;
-    // normalize
-    if (typeof weight === 'string') {
-      weight = Number(weight.replace(/[,\s]/g, ''));
-    }
-    if (!Number.isFinite(weight)) weight = 0;
+  siteRows.forEach(row => {
+    const revenue = rowRevenue(row, revenueSettings);
+    const weight = Number.isFinite(row.gvmWeight) ? row.gvmWeight : 0;
     // Only push meaningful points
-    if (revenue !== 0 || weight !== 0) scatterPoints.push({ x: weight, y: revenue, label: row.person || row._raw && (row._raw['User Full Name'] || row._raw['User'] ) || 'Unknown' });
+    if (revenue !== 0 || weight !== 0) scatterPoints.push({ x: weight, y: revenue, label: resolvePerson(row.person) || 'Unknown' });
   });
 
   const scatterData = {
@@ -312,7 +330,12 @@ export default function RevenueAnalytics({ excelData, people, groups, shifts })
 
   return (
     <div className="revenue-analytics">
-      <h2 className="mb-4">💰 Revenue Analytics Dashboard</h2>
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h2 className="mb-0">💰 Revenue Analytics Dashboard</h2>
+        {controlledSiteFilter === undefined && sites.length > 0 && (
+          <SiteFilter sites={sites} value={siteFilter} onChange={setSiteFilter} />
+        )}
+      </div>
       
       {/* Summary Cards */}
       <Row className="mb-4">
@@ -453,6 +476,45 @@ export default function RevenueAnalytics({ excelData, people, groups, shifts })
         </Col>
       </Row>
 
+      {/* Revenue by Site */}
+      {bySite.length > 0 && (
+        <Row className="mb-4">
+          <Col>
+            <Card>
+              <Card.Header>
+                <Card.Title className="mb-0">🏗️ Revenue by Site and Scale</Card.Title>
+              </Card.Header>
+              <Card.Body>
+                <Table size="sm" className="mb-0">
+                  <thead>
+                    <tr>
+                      <th>Site</th>
+                      <th>Scale</th>
+                      <th className="text-end">Transactions</th>
+                      <th className="text-end">Revenue</th>
+                      <th className="text-end">Share</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {bySite.map(entry => (
+                      <tr key={`${entry.site}|${entry.scale}`}>
+                        <td>{entry.site}</td>
+                        <td>{entry.scale || <span className="text-muted">-</span>}</td>
+                        <td className="text-end">{formatNumber(entry.weighings)}</td>
+                        <td className="text-end">{formatCurrency(entry.revenue)}</td>
+                        <td className="text-end">
+                          {stats.totalRevenue ? `${((entry.revenue / stats.totalRevenue) * 100).toFixed(1)}%` : '-'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </Card.Body>
+            </Card>
+          </Col>
+        </Row>
+      )}
+
       {/* Monthly Trend */}
       {stats.monthlyRevenue.length > 0 && (
         <Row className="mb-4">
@@ -0,0 +1,82 @@
+import React from 'react';
+import { Button, Form, Row, Col, Alert } from 'react-bootstrap';
+import { useApp } from '../context';
+import { REVENUE_COLUMNS, DEFAULT_REVENUE_SETTINGS, describeRevenueFormula } from '../revenue';
+
+const PORTIONS = [
+  { key: 'owner', label: 'Owner Portion', shareKey: 'ownerShare' },
+  { key: 'driver', label: 'Driver Portion', shareKey: 'driverShare' },
+];
+
+export default function RevenueSettings() {
+  const { settings, updateSettings } = useApp();
+  const revenue = settings.revenue;
+
+  function toggleColumn(key, checked) {
+    const columns = checked ? [...revenue.columns, key] : revenue.columns.filter(c => c !== key);
+    // Keep the export's column order so the formula reads the same way every time
+    updateSettings('revenue', { columns: REVENUE_COLUMNS.map(c => c.key).filter(c => columns.includes(c)) });
+  }
+
+  function changeShare(shareKey, value) {
+    const percent = Math.min(100, Math.max(0, Number(value) || 0));
+    updateSettings('revenue', { [shareKey]: percent });
+  }
+
+  return (
+    <div className="revenue-settings">
+      <Alert variant="info" className="mb-3">
+        <strong>Formula:</strong> {describeRevenueFormula(revenue)}
+        <div>
+          <small>
+            Amount Due already includes the axle and awkward-load fines, so counting those columns as well adds them twice.
+            Analytics use this formula immediately; totals stored with earlier uploads keep the formula they were uploaded with.
+          </small>
+        </div>
+      </Alert>
+
+      <Row className="g-3 mb-3">
+        {PORTIONS.map(portion => (
+          <Col xs={12} md={6} key={portion.key}>
+            <div className="file-label">{portion.label}</div>
+            {REVENUE_COLUMNS.filter(column => column.portion === portion.key).map(column => (
+              <Form.Check
+                key={column.key}
+                type="checkbox"
+                id={`revenue-column-${column.key}`}
+                label={column.label}
+                checked={revenue.columns.includes(column.key)}
+                onChange={e => toggleColumn(column.key, e.target.checked)}
+              />
+            ))}
+            <Form.Group className="mt-2">
+              <Form.Label className="mb-1"><small>Share counted as revenue (%)</small></Form.Label>
+              <Form.Control
+                type="number"
+                size="sm"
+                min={0}
+                max={100}
+                aria-label={`${portion.label} share`}
+                value={revenue[portion.shareKey]}
+                onChange={e => changeShare(portion.shareKey, e.target.value)}
+              />
+            </Form.Group>
+          </Col>
+        ))}
+      </Row>
+
+      <Form.Check
+        type="switch"
+        id="revenue-conversion-factor"
+        className="mb-3"
+        label="Multiply by Conversion Factor (rows without one count as 1)"
+        checked={revenue.applyConversionFactor}
+        onChange={e => updateSettings('revenue', { applyConversionFactor: e.target.checked })}
+      />
+
+      <Button variant="outline-secondary" size="sm" onClick={() => updateSettings('revenue', DEFAULT_REVENUE_SETTINGS)}>
+        Reset to Default
+      </Button>
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import React from 'react';
+import { Button, Form, Table, Badge } from 'react-bootstrap';
+
+const HEADER_PREVIEW_COUNT = 6;
+
+export default function SheetPicker({ sheets, selected, onChange, disabled }) {
+  if (!sheets || sheets.length === 0) return null;
+
+  function toggleSheet(name) {
+    if (selected.includes(name)) {
+      onChange(selected.filter(s => s !== name));
+    } else {
+      // Keep the workbook order so rows are imported sheet by sheet
+      onChange(sheets.map(s => s.name).filter(s => s === name || selected.includes(s)));
+    }
+  }
+
+  const selectedRowCount = sheets
+    .filter(s => selected.includes(s.name))
+    .reduce((sum, s) => sum + s.rowCount, 0);
+
+  return (
+    <div className="sheet-picker mb-4">
+      <div className="d-flex justify-content-between align-items-center mb-2">
+        <div>
+          <strong>Sheets</strong>{' '}
+          <small className="text-muted">
+            {selected.length} of {sheets.length} selected • {selectedRowCount.toLocaleString()} rows
+          </small>
+        </div>
+        <div>
+          <Button
+            size="sm"
+            variant="outline-primary"
+            className="me-2"
+            onClick={() => onChange(sheets.map(s => s.name))}
+            disabled={disabled}
+          >
+            Select All
+          </Button>
+          <Button
+            size="sm"
+            variant="outline-secondary"
+            onClick={() => onChange([])}
+            disabled={disabled}
+          >
+            Clear
+          </Button>
+        </div>
+      </div>
+
+      <div className="table-responsive">
+        <Table size="sm" className="table mb-0">
+          <thead>
+            <tr>
+              <th></th>
+              <th>Sheet</th>
+              <th>Rows</th>
+              <th>Headers</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sheets.map(sheet => (
+              <tr key={sheet.name}>
+                <td>
+                  <Form.Check
+                    type="checkbox"
+                    id={`sheet-${sheet.name}`}
+                    aria-label={`Import sheet ${sheet.name}`}
+                    checked={selected.includes(sheet.name)}
+                    onChange={() => toggleSheet(sheet.name)}
+                    disabled={disabled}
+                  />
+                </td>
+                <td><strong>{sheet.name}</strong></td>
+                <td>
+                  <Badge bg={sheet.rowCount > 0 ? 'primary' : 'secondary'}>
+                    {sheet.rowCount.toLocaleString()}
+                  </Badge>
+                </td>
+                <td>
+                  <small className="text-muted">
+                    {sheet.headers.slice(0, HEADER_PREVIEW_COUNT).join(', ') || 'No headers'}
+                    {sheet.headers.length > HEADER_PREVIEW_COUNT && ` +${sheet.headers.length - HEADER_PREVIEW_COUNT} more`}
+                  </small>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      </div>
+    </div>
+  );
+}
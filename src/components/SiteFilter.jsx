@@ -0,0 +1,40 @@
+import React from 'react';
+import { Form } from 'react-bootstrap';
+
+// Site (and optionally scale) picker. `sites` comes from siteOptions in src/sites.js;
+// `value` is { site, scale }, where '' means all.
+export default function SiteFilter({ sites, value, onChange, showScale = true, disabled }) {
+  const selected = sites.find(s => s.site === value.site);
+  const scales = selected ? selected.scales : [];
+
+  return (
+    <div className="d-flex gap-2 align-items-center site-filter">
+      <Form.Select
+        size="sm"
+        aria-label="Site"
+        value={value.site}
+        onChange={e => onChange({ site: e.target.value, scale: '' })}
+        disabled={disabled || sites.length === 0}
+      >
+        <option value="">All Sites</option>
+        {sites.map(s => (
+          <option key={s.site} value={s.site}>{s.site}</option>
+        ))}
+      </Form.Select>
+      {showScale && (
+        <Form.Select
+          size="sm"
+          aria-label="Scale"
+          value={value.scale}
+          onChange={e => onChange({ ...value, scale: e.target.value })}
+          disabled={disabled || scales.length === 0}
+        >
+          <option value="">All Scales</option>
+          {scales.map(scale => (
+            <option key={scale} value={scale}>{scale}</option>
+          ))}
+        </Form.Select>
+      )}
+    </div>
+  );
+}
@@ -1,35 +1,183 @@
-import React, { useState } from 'react';
-import { Button, Form, Alert, ProgressBar } from 'react-bootstrap';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Button, Form, Alert, ProgressBar, Row, Col } from 'react-bootstrap';
+import * as XLSX from 'xlsx';
 import { useApp } from '../context';
-import { parseExcelFile } from '../excel';
+import { createParserSession, isCancelled, progressLabel, progressPercent } from '../parserClient';
+import { detectFileFormat, SUPPORTED_EXTENSIONS } from '../sources';
+import { buildHeaderMap, headerSignature } from '../schema';
+import { validateRows, buildValidationReport } from '../validation';
+import { DATE_INPUT_FORMATS } from '../dates';
+import { saveUploadRows } from '../importPipeline';
+import { buildImportPreview } from '../preview';
+import { createNameResolver } from '../names';
+import BatchUpload from './BatchUpload';
+import UploadHistory from './UploadHistory';
+import SheetPicker from './SheetPicker';
+import ColumnMapping from './ColumnMapping';
+import ValidationSummary from './ValidationSummary';
+import ImportPreview from './ImportPreview';
+
+const STATION_TIME_ZONES = ['Africa/Lusaka', 'Africa/Harare', 'Africa/Lubumbashi', 'Africa/Johannesburg', 'Africa/Dar_es_Salaam', 'Africa/Nairobi', 'UTC'];
 
 export default function Upload() {
-  const { setRows, db, dbInitialized } = useApp();
+  const { setRows, db, dbInitialized, settings, updateSettings, reloadPeople, nameCheck } = useApp();
+  const parserRef = useRef(null);
   const [file, setFile] = useState(null);
+  const [inspecting, setInspecting] = useState(false);
+  const [sheetSummaries, setSheetSummaries] = useState([]);
+  const [selectedSheets, setSelectedSheets] = useState([]);
+  const [mappingOverrides, setMappingOverrides] = useState({});
+  const [mappingProfiles, setMappingProfiles] = useState([]);
+  const [activeProfile, setActiveProfile] = useState(null);
   const [uploading, setUploading] = useState(false);
   const [showSuccess, setShowSuccess] = useState(false);
   const [showError, setShowError] = useState(false);
   const [errorMessage, setErrorMessage] = useState('');
-  const [uploadProgress, setUploadProgress] = useState(0);
+  const [progress, setProgress] = useState(null);
   const [duplicateSummary, setDuplicateSummary] = useState(null);
+  const [uploadMode, setUploadMode] = useState('append');
+  const [mergeResult, setMergeResult] = useState(null);
+  // Parsed upload awaiting confirmation: { rows, validation, existingRows, resolver }
+  const [pendingImport, setPendingImport] = useState(null);
+  const [skipErrors, setSkipErrors] = useState(true);
+
+  useEffect(() => {
+    if (!dbInitialized) return;
+    db.getAllMappingProfiles()
+      .then(setMappingProfiles)
+      .catch(error => console.error('Failed to load mapping profiles:', error));
+  }, [db, dbInitialized]);
+
+  // Stop any running parse when leaving the page
+  useEffect(() => () => parserRef.current?.dispose(), []);
+
+  const busy = uploading || inspecting;
+  // Settings are frozen while a parsed upload waits for review
+  const locked = busy || !!pendingImport;
+
+  const importRows = useMemo(() => {
+    if (!pendingImport) return [];
+    const { rows, validation } = pendingImport;
+    return skipErrors ? rows.filter((row, index) => validation.results[index].errors.length === 0) : rows;
+  }, [pendingImport, skipErrors]);
+
+  const preview = useMemo(() => {
+    if (!pendingImport) return null;
+    return buildImportPreview(pendingImport.existingRows, importRows, pendingImport.resolver, uploadMode, settings.revenue, settings.names);
+  }, [pendingImport, importRows, uploadMode, settings.revenue, settings.names]);
+
+  // Headers of the selected sheets drive the mapping step; detection uses the first selected sheet
+  const mappingSheets = sheetSummaries.filter(s => selectedSheets.includes(s.name));
+  const mappingHeaders = [...new Set(mappingSheets.flatMap(s => s.headers))];
+  const detectedMapping = buildHeaderMap(mappingSheets[0]?.headers || []);
+
+  function handleMappingChange(overrides) {
+    setMappingOverrides(overrides);
+    setActiveProfile(null);
+  }
+
+  function handleApplyProfile(profile) {
+    setActiveProfile(profile);
+    setMappingOverrides(profile ? { ...profile.mapping } : {});
+  }
+
+  async function handleSaveProfile(name) {
+    try {
+      const mapping = { ...detectedMapping, ...mappingOverrides };
+      const signature = headerSignature(mappingSheets[0]?.headers || []);
+      const id = await db.saveMappingProfile(name, signature, mapping);
+      setMappingProfiles(await db.getAllMappingProfiles());
+      setActiveProfile({ id, name, signature, mapping });
+      setMappingOverrides(mapping);
+    } catch (error) {
+      console.error('Failed to save mapping profile:', error);
+      setErrorMessage(`Failed to save mapping profile: ${error.message}`);
+      setShowError(true);
+    }
+  }
+
+  async function applyMatchingProfile(summaries) {
+    const first = summaries.find(s => s.rowCount > 0) || summaries[0];
+    if (!first || !dbInitialized) return;
+    try {
+      const profile = await db.findMappingProfileBySignature(headerSignature(first.headers));
+      if (profile) {
+        setActiveProfile(profile);
+        setMappingOverrides({ ...profile.mapping });
+      }
+    } catch (error) {
+      console.error('Failed to look up mapping profile:', error);
+    }
+  }
 
   async function onFileChange(e) {
     const selectedFile = e.target.files?.[0];
     if (!selectedFile) return;
 
-    if (!selectedFile.name.endsWith('.xlsx') && !selectedFile.name.endsWith('.xls')) {
-      setErrorMessage('Please select an Excel file (.xlsx or .xls)');
+    if (!detectFileFormat(selectedFile.name)) {
+      setErrorMessage(`Please select an Excel, CSV or HTML export (${SUPPORTED_EXTENSIONS.join(', ')})`);
       setShowError(true);
       return;
     }
 
     setFile(selectedFile);
+    setPendingImport(null);
     setShowError(false);
     setDuplicateSummary(null); // Clear previous analysis
+    setSheetSummaries([]);
+    setSelectedSheets([]);
+    setMappingOverrides({});
+    setActiveProfile(null);
+
+    parserRef.current?.dispose();
+    const parser = createParserSession();
+    parserRef.current = parser;
+    setInspecting(true);
+    setProgress(null);
+
+    try {
+      const summaries = await parser.inspect(selectedFile, setProgress);
+      setSheetSummaries(summaries);
+      // Select every sheet that has data; fall back to the first one
+      const withRows = summaries.filter(s => s.rowCount > 0).map(s => s.name);
+      setSelectedSheets(withRows.length > 0 ? withRows : summaries.slice(0, 1).map(s => s.name));
+      await applyMatchingProfile(summaries);
+    } catch (error) {
+      if (isCancelled(error)) {
+        resetFileInput();
+        return;
+      }
+      console.error('Failed to read workbook:', error);
+      setErrorMessage(`Could not read workbook: ${error.message}`);
+      setShowError(true);
+    } finally {
+      setInspecting(false);
+      setProgress(null);
+    }
+  }
+
+  function resetFileInput() {
+    setFile(null);
+    setSheetSummaries([]);
+    setSelectedSheets([]);
+    setMappingOverrides({});
+    setActiveProfile(null);
+    if (document.querySelector('input[type="file"]')) {
+      document.querySelector('input[type="file"]').value = '';
+    }
+  }
+
+  function handleCancel() {
+    parserRef.current?.cancel();
   }
 
   async function handleUpload() {
     if (!file) return;
+    if (sheetSummaries.length > 0 && selectedSheets.length === 0) {
+      setErrorMessage('Select at least one sheet to import.');
+      setShowError(true);
+      return;
+    }
     if (!dbInitialized) {
       setErrorMessage('Database not initialized. Please wait a moment and try again.');
       setShowError(true);
@@ -37,70 +185,60 @@ export default function Upload() {
     }
 
     setUploading(true);
-    setUploadProgress(0);
-    
+    setProgress(null);
+
     try {
-      // Simulate progress
-      const progressInterval = setInterval(() => {
-        setUploadProgress(prev => Math.min(prev + 20, 90));
-      }, 200);
-
-      // Parse Excel file
-      const rows = await parseExcelFile(file);
-      setRows(rows);
-      
-      // Save to database
-      await db.saveExcelData(rows);
-      
-      // Extract unique people names and add them to the database (no duplicates)
-      const uniquePeople = [...new Set(rows.map(row => row.person).filter(Boolean))];
-      
-      for (const personName of uniquePeople) {
-        try {
-          await db.addPersonIfNotExists(personName, '', '');
-          console.log(`Person ${personName} processed (added or updated if existing)`);
-        } catch (error) {
-          console.error(`Failed to process person ${personName}:`, error);
-        }
-      }
+      // Parse the selected sheets in the worker; each row is tagged with the sheet it came from
+      const rows = await parserRef.current.parse(
+        { sheets: selectedSheets, overrides: mappingOverrides, dateSettings: settings.dates, revenueSettings: settings.revenue },
+        setProgress
+      );
+      const validation = validateRows(rows, { dateSettings: settings.dates });
+
+      // Nothing is saved yet: the preview is diffed against what is stored and waits for confirmation
+      const [current, people, aliases] = await Promise.all([db.getActiveExcelData(), db.getAllPeople(), db.getAllAliases()]);
+      setSkipErrors(true);
+      setPendingImport({ rows, validation, existingRows: current ? current.data : [], resolver: createNameResolver(people, aliases, name => !nameCheck(name)) });
+    } catch (error) {
+      if (isCancelled(error)) return;
+      console.error('Upload failed:', error);
+      setErrorMessage(`Upload failed: ${error.message}`);
+      setShowError(true);
+    } finally {
+      setUploading(false);
+      setProgress(null);
+    }
+  }
+
+  function handleDownloadReport() {
+    const wb = buildValidationReport(pendingImport.rows, pendingImport.validation);
+    const baseName = file ? file.name.replace(/\.[^.]+$/, '') : 'upload';
+    XLSX.writeFile(wb, `${baseName}-validation.xlsx`);
+  }
+
+  async function commitImport(rows) {
+    setUploading(true);
+    setProgress(null);
+
+    try {
+      // Save to database: append merges into the stored dataset, replace starts a new one
+      setProgress({ phase: 'saving' });
+      const result = await saveUploadRows(db, rows, uploadMode, { fileName: file?.name });
+      setMergeResult(uploadMode === 'append' ? result : null);
+      setRows(result.dataset);
+      await reloadPeople();
 
       // Get duplicate names summary for user information
       const duplicateSummaryData = await db.getDuplicateNamesSummary(rows);
       setDuplicateSummary(duplicateSummaryData);
-      if (duplicateSummaryData.hasDuplicates) {
-        console.log('Duplicate names found in Excel:', duplicateSummaryData.duplicateNames);
-      }
 
-      // Load existing assignments from database to sync with state
-      try {
-        const people = await db.getAllPeople();
-        const groupAssignments = {};
-        const shiftAssignments = {};
-        
-        people.forEach(person => {
-          if (person.group) {
-            groupAssignments[person.name] = person.group;
-          }
-          if (person.shift) {
-            shiftAssignments[person.name] = person.shift;
-          }
-        });
-        
-        // Update context state with database assignments
-        // Note: We need to call the context functions directly to avoid infinite loops
-        // This will be handled by the context's useEffect that watches for dbInitialized
-      } catch (error) {
-        console.error('Failed to load existing assignments:', error);
-      }
-
-      clearInterval(progressInterval);
-      setUploadProgress(100);
+      setProgress({ phase: 'done' });
       
       setShowSuccess(true);
-      setFile(null);
-      if (document.querySelector('input[type="file"]')) {
-        document.querySelector('input[type="file"]').value = '';
-      }
+      setPendingImport(null);
+      parserRef.current?.dispose();
+      parserRef.current = null;
+      resetFileInput();
       
       setTimeout(() => setShowSuccess(false), 3000);
     } catch (error) {
@@ -109,7 +247,7 @@ export default function Upload() {
       setShowError(true);
     } finally {
       setUploading(false);
-      setUploadProgress(0);
+      setProgress(null);
     }
   }
 
@@ -124,6 +262,12 @@ export default function Upload() {
               <div>
                 <strong>Success!</strong> File uploaded successfully! 
                 {dbInitialized ? ' Data saved to database.' : ' Data saved to session.'}
+                {mergeResult && (
+                  <div>
+                    {mergeResult.added.toLocaleString()} new, {mergeResult.updated.toLocaleString()} updated,{' '}
+                    {mergeResult.unchanged.toLocaleString()} unchanged rows.
+                  </div>
+                )}
               </div>
             </div>
           </Alert>
@@ -160,7 +304,7 @@ export default function Upload() {
           </div>
           <div className="header-content">
             <h3 className="card-title-upload">File Upload</h3>
-            <p className="card-description">Choose an Excel file to upload and process</p>
+            <p className="card-description">Choose an Excel, CSV/TSV or Excel Web Page (HTML) export to upload and process</p>
           </div>
         </div>
 
@@ -168,54 +312,154 @@ export default function Upload() {
           <Form.Group className="file-input-group">
             <Form.Label className="file-label">
               <span className="label-icon">📁</span>
-              Select Excel File
+              Select Export File
             </Form.Label>
             <div className="file-input-wrapper">
               <Form.Control
                 type="file"
-                accept=".xlsx,.xls"
+                accept={SUPPORTED_EXTENSIONS.join(',')}
                 onChange={onFileChange}
-                disabled={uploading}
+                disabled={busy}
                 className="file-input-modern"
               />
               <div className="file-input-help">
                 <span className="help-icon">ℹ️</span>
-                Supported formats: .xlsx, .xls
+                Supported formats: {SUPPORTED_EXTENSIONS.join(', ')}
               </div>
             </div>
           </Form.Group>
 
-          {uploading && (
+          <SheetPicker
+            sheets={sheetSummaries}
+            selected={selectedSheets}
+            onChange={setSelectedSheets}
+            disabled={locked}
+          />
+
+          <ColumnMapping
+            headers={mappingHeaders}
+            detected={detectedMapping}
+            overrides={mappingOverrides}
+            onChange={handleMappingChange}
+            sampleRow={mappingSheets[0]?.sample}
+            profiles={mappingProfiles}
+            activeProfile={activeProfile}
+            onApplyProfile={handleApplyProfile}
+            onSaveProfile={handleSaveProfile}
+            disabled={locked || !dbInitialized}
+          />
+
+          <Row className="g-2 mb-3">
+            <Col xs={12} md={6}>
+              <Form.Label className="file-label">Date Format</Form.Label>
+              <Form.Select
+                size="sm"
+                aria-label="Date format"
+                value={settings.dates.inputFormat}
+                onChange={e => updateSettings('dates', { inputFormat: e.target.value })}
+                disabled={locked}
+              >
+                {DATE_INPUT_FORMATS.map(format => (
+                  <option key={format.value} value={format.value}>{format.label}</option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col xs={12} md={6}>
+              <Form.Label className="file-label">Station Timezone</Form.Label>
+              <Form.Select
+                size="sm"
+                aria-label="Station timezone"
+                value={settings.dates.timeZone}
+                onChange={e => updateSettings('dates', { timeZone: e.target.value })}
+                disabled={locked}
+              >
+                {[...new Set([settings.dates.timeZone, ...STATION_TIME_ZONES])].map(zone => (
+                  <option key={zone} value={zone}>{zone}</option>
+                ))}
+              </Form.Select>
+            </Col>
+          </Row>
+
+          <Form.Group className="mb-3">
+            <Form.Label className="file-label">Upload Mode</Form.Label>
+            <div>
+              <Form.Check
+                inline
+                type="radio"
+                id="upload-mode-append"
+                name="uploadMode"
+                label="Append & merge (skip rows already stored, by Id / Ticket SN)"
+                checked={uploadMode === 'append'}
+                onChange={() => setUploadMode('append')}
+                disabled={locked}
+              />
+              <Form.Check
+                inline
+                type="radio"
+                id="upload-mode-replace"
+                name="uploadMode"
+                label="Replace dataset"
+                checked={uploadMode === 'replace'}
+                onChange={() => setUploadMode('replace')}
+                disabled={locked}
+              />
+            </div>
+          </Form.Group>
+
+          {busy && (
             <div className="upload-progress-container">
               <div className="progress-header">
                 <span className="progress-icon">⏳</span>
-                <span className="progress-label">
-                  {uploadProgress < 100 ? 'Processing file...' : 'Upload complete!'}
-                </span>
-                <span className="progress-percentage">{uploadProgress}%</span>
+                <span className="progress-label">{progressLabel(progress)}</span>
+                <span className="progress-percentage">{progressPercent(progress)}%</span>
               </div>
               <ProgressBar 
-                now={uploadProgress} 
+                now={progressPercent(progress)} 
                 className="progress-bar-modern"
                 variant="primary"
+                animated={progress?.phase === 'loading'}
               />
+              {progress?.phase !== 'saving' && progress?.phase !== 'done' && (
+                <Button size="sm" variant="outline-danger" className="mt-2" onClick={handleCancel}>
+                  Cancel
+                </Button>
+              )}
             </div>
           )}
 
+          {pendingImport && pendingImport.validation.summary.validRows < pendingImport.rows.length && (
+            <ValidationSummary
+              summary={pendingImport.validation.summary}
+              onDownloadReport={handleDownloadReport}
+              disabled={busy}
+            />
+          )}
+
+          <ImportPreview
+            preview={preview}
+            mode={uploadMode}
+            errorRows={pendingImport?.validation.summary.errorRows || 0}
+            skipErrors={skipErrors}
+            onSkipErrorsChange={setSkipErrors}
+            onConfirm={() => commitImport(importRows)}
+            onDiscard={() => setPendingImport(null)}
+            disabled={busy}
+          />
+
           <div className="upload-actions">
             <Button
               className="btn-upload-modern"
               onClick={handleUpload}
-              disabled={!file || uploading || !dbInitialized}
+              disabled={!file || locked || !dbInitialized || (sheetSummaries.length > 0 && selectedSheets.length === 0)}
               size="lg"
             >
               <span className="btn-icon">
                 {uploading ? '⏳' : '🚀'}
               </span>
-              {uploading ? 'Processing...' : 'Upload & Process'}
+              {uploading ? 'Processing...' : 'Upload & Preview'}
             </Button>
             
-            {file && !uploading && (
+            {file && !busy && (
               <div className="selected-file-info">
                 <span className="file-icon">📄</span>
                 <span className="file-name">{file.name}</span>
@@ -226,6 +470,12 @@ export default function Upload() {
         </div>
       </div>
 
+      {/* Batch Upload */}
+      <BatchUpload mode={uploadMode} disabled={locked || !dbInitialized} />
+
+      {/* Upload History */}
+      <UploadHistory />
+
       {/* Data Analysis Results */}
       {duplicateSummary && (
         <div className="analysis-card modern-card">
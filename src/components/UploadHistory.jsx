@@ -0,0 +1,212 @@
+import React, { useEffect, useState } from 'react';
+import { Alert, Badge, Button, Form, Table } from 'react-bootstrap';
+import { useApp } from '../context';
+import { formatInTimeZone } from '../dates';
+
+const formatCurrency = (amount) => {
+  return new Intl.NumberFormat('en-ZM', {
+    style: 'currency',
+    currency: 'ZMW',
+    minimumFractionDigits: 2,
+  }).format(amount || 0);
+};
+
+export default function UploadHistory() {
+  const { db, dbInitialized, rows, setRows, settings } = useApp();
+  const [history, setHistory] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [editing, setEditing] = useState(null); // { id, fileName }
+  const [working, setWorking] = useState(false);
+  const [showError, setShowError] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  // Reload whenever the current dataset or the revenue settings change, e.g. after an upload
+  useEffect(() => {
+    if (!dbInitialized) return;
+    db.getUploadHistory(settings.revenue)
+      .then(setHistory)
+      .catch(error => console.error('Failed to load upload history:', error));
+  }, [db, dbInitialized, rows, settings.revenue]);
+
+  function fail(message, error) {
+    console.error(`${message}:`, error);
+    setErrorMessage(`${message}: ${error.message}`);
+    setShowError(true);
+  }
+
+  async function handleActivate(ids) {
+    setWorking(true);
+    try {
+      setRows(await db.setActiveUploads(ids));
+      setSelected([]);
+    } catch (error) {
+      fail('Failed to activate uploads', error);
+    } finally {
+      setWorking(false);
+    }
+  }
+
+  async function handleRename() {
+    const fileName = editing.fileName.trim();
+    if (!fileName) return;
+    try {
+      await db.renameUpload(editing.id, fileName);
+      setHistory(prev => prev.map(upload => (upload.id === editing.id ? { ...upload, fileName } : upload)));
+      setEditing(null);
+    } catch (error) {
+      fail('Failed to rename upload', error);
+    }
+  }
+
+  async function handleDelete(upload) {
+    if (!window.confirm(`Are you sure you want to delete the upload "${upload.fileName || formatDate(upload.uploadDate)}"? This cannot be undone.`)) {
+      return;
+    }
+    setWorking(true);
+    try {
+      await db.deleteUpload(upload.id);
+      setSelected(prev => prev.filter(id => id !== upload.id));
+      // Removing an active upload changes the current dataset
+      const current = await db.getActiveExcelData();
+      setRows(current ? current.data : []);
+    } catch (error) {
+      fail('Failed to delete upload', error);
+    } finally {
+      setWorking(false);
+    }
+  }
+
+  function toggleSelected(id, checked) {
+    setSelected(prev => (checked ? [...prev, id] : prev.filter(i => i !== id)));
+  }
+
+  function formatDate(uploadDate) {
+    return formatInTimeZone(new Date(uploadDate), settings.dates.timeZone).replace('T', ' ');
+  }
+
+  if (!dbInitialized) return null;
+
+  const hasActive = history.some(upload => upload.active);
+
+  return (
+    <div className="upload-history modern-card mb-4">
+      <div className="d-flex justify-content-between align-items-center mb-3">
+        <div>
+          <h4 className="card-title-upload">Upload History</h4>
+          <small className="text-muted">
+            Active uploads make up the dataset used by analytics; activating several merges them by Id / Ticket SN.
+          </small>
+        </div>
+        <Button
+          variant="outline-primary"
+          size="sm"
+          onClick={() => handleActivate(selected)}
+          disabled={selected.length === 0 || working}
+        >
+          Activate Selected ({selected.length})
+        </Button>
+      </div>
+
+      {showError && (
+        <Alert variant="danger" dismissible onClose={() => setShowError(false)}>
+          {errorMessage}
+        </Alert>
+      )}
+
+      {history.length === 0 ? (
+        <p className="text-muted mb-0">No uploads stored yet.</p>
+      ) : (
+        <div className="table-responsive">
+          <Table size="sm" className="table mb-0">
+            <thead>
+              <tr>
+                <th></th>
+                <th>Uploaded</th>
+                <th>File</th>
+                <th>Rows</th>
+                <th>Total Revenue</th>
+                <th>Total Fines</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {history.map((upload, index) => (
+                <tr key={upload.id}>
+                  <td>
+                    <Form.Check
+                      type="checkbox"
+                      aria-label={`Select upload ${upload.id}`}
+                      checked={selected.includes(upload.id)}
+                      onChange={e => toggleSelected(upload.id, e.target.checked)}
+                      disabled={working}
+                    />
+                  </td>
+                  <td>
+                    {formatDate(upload.uploadDate)}{' '}
+                    {/* Without any active upload the latest one is used */}
+                    {(upload.active || (!hasActive && index === 0)) && <Badge bg="success">Active</Badge>}
+                    {upload.mode === 'append' && <Badge bg="light" text="dark" className="ms-1">Appended</Badge>}
+                  </td>
+                  <td>
+                    {editing && editing.id === upload.id ? (
+                      <Form
+                        className="d-flex gap-1"
+                        onSubmit={e => {
+                          e.preventDefault();
+                          handleRename();
+                        }}
+                      >
+                        <Form.Control
+                          size="sm"
+                          aria-label="Upload name"
+                          value={editing.fileName}
+                          onChange={e => setEditing({ ...editing, fileName: e.target.value })}
+                          autoFocus
+                        />
+                        <Button size="sm" type="submit" disabled={!editing.fileName.trim()}>Save</Button>
+                        <Button size="sm" variant="outline-secondary" onClick={() => setEditing(null)}>Cancel</Button>
+                      </Form>
+                    ) : (
+                      upload.fileName || <span className="text-muted">Unnamed upload</span>
+                    )}
+                  </td>
+                  <td>{(upload.rowCount || 0).toLocaleString()}</td>
+                  <td>{formatCurrency(upload.totalRevenue)}</td>
+                  <td>{formatCurrency(upload.totalFines)}</td>
+                  <td className="text-end text-nowrap">
+                    <Button
+                      size="sm"
+                      variant="outline-primary"
+                      className="me-1"
+                      onClick={() => handleActivate([upload.id])}
+                      disabled={working || (upload.active && history.filter(u => u.active).length === 1)}
+                    >
+                      Activate
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="outline-secondary"
+                      className="me-1"
+                      onClick={() => setEditing({ id: upload.id, fileName: upload.fileName })}
+                      disabled={working}
+                    >
+                      Rename
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="outline-danger"
+                      onClick={() => handleDelete(upload)}
+                      disabled={working}
+                    >
+                      Delete
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+import React from 'react';
+import { Button, Table, Badge } from 'react-bootstrap';
+
+const ISSUE_PREVIEW_COUNT = 10;
+
+export default function ValidationSummary({ summary, onDownloadReport, disabled }) {
+  if (!summary) return null;
+
+  return (
+    <div className="validation-summary mb-4">
+      <div className="d-flex justify-content-between align-items-center mb-2">
+        <div>
+          <strong>Validation</strong>{' '}
+          <Badge bg="success" className="me-1">{summary.validRows.toLocaleString()} valid</Badge>
+          <Badge bg="warning" text="dark" className="me-1">{summary.warningRows.toLocaleString()} with warnings</Badge>
+          <Badge bg="danger">{summary.errorRows.toLocaleString()} with errors</Badge>
+        </div>
+        <Button size="sm" variant="outline-secondary" onClick={onDownloadReport} disabled={disabled}>
+          Download Failing Rows
+        </Button>
+      </div>
+
+      {summary.issues.length > 0 && (
+        <div className="table-responsive">
+          <Table size="sm" className="table mb-2">
+            <thead>
+              <tr>
+                <th>Severity</th>
+                <th>Field</th>
+                <th>Rule</th>
+                <th>Rows</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summary.issues.slice(0, ISSUE_PREVIEW_COUNT).map(issue => (
+                <tr key={`${issue.severity}-${issue.rule}-${issue.field}`}>
+                  <td>
+                    <Badge bg={issue.severity === 'error' ? 'danger' : 'warning'} text={issue.severity === 'error' ? undefined : 'dark'}>
+                      {issue.severity}
+                    </Badge>
+                  </td>
+                  <td>{issue.label}</td>
+                  <td><small className="text-muted">{issue.rule}</small></td>
+                  <td>{issue.count.toLocaleString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+          {summary.issues.length > ISSUE_PREVIEW_COUNT && (
+            <small className="text-muted">
+              +{summary.issues.length - ISSUE_PREVIEW_COUNT} more in the downloaded report
+            </small>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,5 +1,9 @@
 import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
 import db from './database';
+import { loadSettings, saveSettings } from './settings';
+import { createNameResolver } from './names';
+import { createNameCheck } from './nameQuality';
+import { siteOptions } from './sites';
 
 const AppContext = createContext(null);
 
@@ -10,6 +14,20 @@ export function AppProvider({ children }) {
   const [peopleToGroup, setPeopleToGroup] = useState({}); // { person: groupName }
   const [peopleToShift, setPeopleToShift] = useState({}); // { person: shiftName }
   const [dbInitialized, setDbInitialized] = useState(false);
+  const [settings, setSettings] = useState(loadSettings);
+  const [nameIndex, setNameIndex] = useState({ people: [], aliases: [] }); // stored people and aliases for name resolution
+
+  // Update one settings section, e.g. updateSettings('dates', { timeZone: 'Africa/Harare' })
+  const updateSettings = (section, changes) => {
+    setSettings(prev => {
+      const next = { ...prev, [section]: { ...prev[section], ...changes } };
+      saveSettings(next);
+      return next;
+    });
+  };
+
+  // Reason a person name is rejected (blank, "None", "ADMIN", ...), or null; see src/nameQuality.js
+  const nameCheck = useMemo(() => createNameCheck(settings.names), [settings.names]);
 
   // Initialize database
   useEffect(() => {
@@ -31,8 +49,15 @@ export function AppProvider({ children }) {
     
     async function loadData() {
       try {
+        // Analytics work on the active uploads (see Upload History)
+        const current = await db.getActiveExcelData();
+        if (current && Array.isArray(current.data)) {
+          setRows(current.data);
+        }
+
         // Try to load from database first
-        const people = await db.getAllPeople();
+        const [people, aliases] = await Promise.all([db.getAllPeople(), db.getAllAliases()]);
+        setNameIndex({ people, aliases });
         if (people.length > 0) {
           // Build assignments from database
           const groupAssignments = {};
@@ -56,7 +81,7 @@ export function AppProvider({ children }) {
             const raw = localStorage.getItem(STORAGE_KEY);
             if (raw) {
               const saved = JSON.parse(raw);
-              setRows(saved.rows || []);
+              if (!current) setRows(saved.rows || []);
               setPeopleToGroup(saved.peopleToGroup || {});
               setPeopleToShift(saved.peopleToShift || {});
             }
@@ -96,39 +121,15 @@ export function AppProvider({ children }) {
     }
   }, [rows, peopleToGroup, peopleToShift, dbInitialized]);
 
-  // Save Excel data to database when rows change
-  useEffect(() => {
-    if (!dbInitialized || rows.length === 0) return;
-    
-    async function saveToDatabase() {
-      try {
-        await db.saveExcelData(rows);
-        console.log('Excel data saved to database');
-      } catch (error) {
-        console.error('Failed to save Excel data to database:', error);
-      }
-    }
-    saveToDatabase();
-  }, [rows, dbInitialized]);
-
-  // Sync group assignments with database
+  // Sync group assignments with database: one transaction that finds each person by name or alias,
+  // updates their group and creates people not stored yet
   const syncGroupAssignments = async (assignments) => {
     if (!dbInitialized) return;
     
     try {
-      for (const [person, group] of Object.entries(assignments)) {
-        if (group) {
-          // Find the person in database and update their group
-          const people = await db.getAllPeople();
-          const personRecord = people.find(p => p.name === person);
-          if (personRecord) {
-            await db.updatePerson(personRecord.id, { group });
-          } else {
-            // Person doesn't exist in database, create them
-            await db.addPersonIfNotExists(person, group, '');
-          }
-        }
-      }
+      await db.bulkAssign('group', Object.fromEntries(
+        Object.entries(assignments).filter(([person]) => !nameCheck(person))
+      ));
       console.log('Group assignments synced with database');
     } catch (error) {
       console.error('Failed to sync group assignments:', error);
@@ -140,19 +141,9 @@ export function AppProvider({ children }) {
     if (!dbInitialized) return;
     
     try {
-      for (const [person, shift] of Object.entries(assignments)) {
-        if (shift) {
-          // Find the person in database and update their shift
-          const people = await db.getAllPeople();
-          const personRecord = people.find(p => p.name === person);
-          if (personRecord) {
-            await db.updatePerson(personRecord.id, { shift });
-          } else {
-            // Person doesn't exist in database, create them
-            await db.addPersonIfNotExists(person, '', shift);
-          }
-        }
-      }
+      await db.bulkAssign('shift', Object.fromEntries(
+        Object.entries(assignments).filter(([person]) => !nameCheck(person))
+      ));
       console.log('Shift assignments synced with database');
     } catch (error) {
       console.error('Failed to sync shift assignments:', error);
@@ -170,13 +161,36 @@ export function AppProvider({ children }) {
     await syncShiftAssignments(assignments);
   };
 
+  // Reload people and aliases after they change, so names resolve to the current canonical person
+  const reloadPeople = async () => {
+    if (!dbInitialized) return;
+    try {
+      const [people, aliases] = await Promise.all([db.getAllPeople(), db.getAllAliases()]);
+      setNameIndex({ people, aliases });
+    } catch (error) {
+      console.error('Failed to load people:', error);
+    }
+  };
+
+  // Canonical name of an export name: spacing, case and Unicode variants and aliases resolve to one person,
+  // rejected names to ''
+  const nameResolver = useMemo(
+    () => createNameResolver(nameIndex.people, nameIndex.aliases, name => !nameCheck(name)),
+    [nameIndex, nameCheck]
+  );
+  const resolvePerson = nameResolver.resolve;
+
   const distinctPeople = useMemo(() => {
     const set = new Set();
     rows.forEach(r => {
-      if (r.person) set.add(String(r.person).trim());
+      const person = resolvePerson(r.person);
+      if (person) set.add(person);
     });
     return Array.from(set).sort();
-  }, [rows]);
+  }, [rows, resolvePerson]);
+
+  // Sites in the current data with their scales, for site filters and scoping
+  const sites = useMemo(() => siteOptions(rows), [rows]);
 
   const value = {
     rows,
@@ -186,8 +200,14 @@ export function AppProvider({ children }) {
     peopleToShift,
     setPeopleToShift: setPeopleToShiftWithSync,
     distinctPeople,
+    sites,
+    resolvePerson,
+    nameCheck,
+    reloadPeople,
     db,
     dbInitialized,
+    settings,
+    updateSettings,
     syncGroupAssignments,
     syncShiftAssignments,
   };
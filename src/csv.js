@@ -0,0 +1,169 @@
+// Delimited text (CSV/TSV) reader. Produces header-keyed records like XLSX's sheet_to_json,
+// so rows go through the same header mapping and normalization as Excel uploads.
+
+const DELIMITER_CANDIDATES = [',', ';', '\t', '|'];
+const SAMPLE_LINES = 20;
+
+const COMMA_DECIMAL = /^-?\d+,\d+$|^-?\d{1,3}(\.\d{3})+,\d+$/;
+const DOT_DECIMAL = /^-?\d+\.\d+$|^-?\d{1,3}(,\d{3})+\.\d+$/;
+const COMMA_THOUSANDS = /^-?\d{1,3}(,\d{3})+$/;
+const DOT_THOUSANDS = /^-?\d{1,3}(\.\d{3})+$/;
+const COMMA_DECIMAL_NUMBER = /^-?\d{1,3}(\.\d{3})*(,\d+)?$|^-?\d+(,\d+)?$/;
+
+// Pick the text encoding from the byte-order mark, falling back to UTF-8 and then Windows-1252,
+// which is what most station PCs write when they do not use UTF-8
+export function detectEncoding(bytes) {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return 'utf-8';
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return 'utf-16le';
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return 'utf-16be';
+
+  // UTF-16 without a BOM shows up as a zero byte in every other position
+  const sample = bytes.subarray(0, 512);
+  let oddZeros = 0;
+  let evenZeros = 0;
+  sample.forEach((byte, i) => {
+    if (byte === 0) {
+      if (i % 2 === 0) evenZeros++;
+      else oddZeros++;
+    }
+  });
+  if (sample.length >= 4) {
+    if (oddZeros > sample.length / 4) return 'utf-16le';
+    if (evenZeros > sample.length / 4) return 'utf-16be';
+  }
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    return 'utf-8';
+  } catch (e) {
+    return 'windows-1252';
+  }
+}
+
+export function decodeText(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const encoding = detectEncoding(bytes);
+  // TextDecoder drops the BOM itself
+  return { text: new TextDecoder(encoding).decode(bytes), encoding };
+}
+
+// Split text into rows of cells, honouring quotes, doubled quotes and line breaks inside quotes
+export function splitDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter(cells => cells.some(c => c.trim() !== ''));
+}
+
+// The delimiter that splits the first lines into the same, largest number of columns
+export function detectDelimiter(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '').slice(0, SAMPLE_LINES);
+  let best = ',';
+  let bestScore = 0;
+
+  DELIMITER_CANDIDATES.forEach(delimiter => {
+    const counts = splitDelimited(lines.join('\n'), delimiter).map(cells => cells.length);
+    if (counts.length === 0 || counts[0] < 2) return;
+    const consistent = counts.filter(count => count === counts[0]).length;
+    const score = consistent * counts[0];
+    if (score > bestScore) {
+      best = delimiter;
+      bestScore = score;
+    }
+  });
+
+  return best;
+}
+
+// Decimal comma wins only when more cells look like "1234,5" than like "1234.5"
+export function detectDecimalSeparator(rows) {
+  let comma = 0;
+  let dot = 0;
+  rows.forEach(cells => cells.forEach(value => {
+    const cell = value.trim();
+    if (COMMA_DECIMAL.test(cell) && !COMMA_THOUSANDS.test(cell)) comma++;
+    else if (DOT_DECIMAL.test(cell) && !DOT_THOUSANDS.test(cell)) dot++;
+  }));
+  return comma > dot ? ',' : '.';
+}
+
+// Rewrite "1.234,56" as "1234.56" so the shared number coercion reads it; other values are left alone
+function normalizeDecimal(value, decimalSeparator) {
+  const cell = value.trim();
+  if (decimalSeparator !== ',' || !COMMA_DECIMAL_NUMBER.test(cell)) return cell;
+  return cell.replace(/\./g, '').replace(',', '.');
+}
+
+// Same naming as sheet_to_json: a repeated header gets a _1, _2 ... suffix
+export function uniqueHeaders(headers) {
+  const seen = {};
+  return headers.map(header => {
+    const name = header.trim();
+    if (!(name in seen)) {
+      seen[name] = 0;
+      return name;
+    }
+    seen[name]++;
+    return `${name}_${seen[name]}`;
+  });
+}
+
+// Parse delimited text into header-keyed records. Delimiter and decimal separator are
+// detected unless given in options.
+export function parseDelimitedText(text, options = {}) {
+  const delimiter = options.delimiter || detectDelimiter(text);
+  const [headerCells = [], ...dataRows] = splitDelimited(text, delimiter);
+  const headers = uniqueHeaders(headerCells);
+  const decimalSeparator = options.decimalSeparator || detectDecimalSeparator(dataRows);
+
+  const records = dataRows.map(cells => {
+    const record = {};
+    headers.forEach((header, i) => {
+      record[header] = normalizeDecimal(cells[i] || '', decimalSeparator);
+    });
+    return record;
+  });
+
+  return { headers, records, delimiter, decimalSeparator };
+}
+
+export function parseDelimitedBuffer(buffer, options = {}) {
+  const { text, encoding } = decodeText(buffer);
+  return { ...parseDelimitedText(text, options), encoding };
+}
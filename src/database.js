@@ -1,92 +1,168 @@
 // Simple IndexedDB database for Weighbridge Analytics
+import { mergeRows } from './merge';
+import { nameKey, normalizeName } from './names';
+import { isValidPersonName } from './nameQuality';
+import { loadSettings } from './settings';
+import { LATEST_VERSION, runMigrations } from './migrations';
+import { toKeyRange, toWeighing, WEIGHING_INDEXES } from './weighings';
+import { BACKUP_STORES, createBackup, planRestore, readBackup } from './backup';
+import { auditEntry } from './audit';
+import { rowRevenue } from './revenue';
+
+// Assignable fields of a person record
+const PERSON_FIELDS = ['group', 'shift', 'site'];
+
+// Result of an IDBRequest as a promise. Awaiting it keeps the transaction active for the next request.
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Resolves when the transaction commits, rejects when it aborts
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+// Abort after an error thrown between requests, and wait for it; a failed request has already aborted it
+async function abortTransaction(transaction, done) {
+  try {
+    transaction.abort();
+  } catch (error) {
+    // Already aborted
+  }
+  await done.catch(() => {});
+}
+
+// Record `change` ({ entity, action, before?, after? }) in the audit log, as part of `transaction`, which must
+// include the auditLog store. The actor is the profile in the saved settings unless one is passed.
+function logChange(transaction, change, actor = loadSettings().profile) {
+  transaction.objectStore('auditLog').add(auditEntry(change, actor));
+}
+
 class WeighbridgeDB {
   constructor() {
     this.dbName = 'WeighbridgeDB';
-    this.version = 1;
+    this.version = LATEST_VERSION;
     this.db = null;
   }
 
   async init() {
     return new Promise((resolve, reject) => {
       const request = indexedDB.open(this.dbName, this.version);
+      let migrationError = null;
 
-      request.onerror = () => reject(request.error);
+      request.onerror = () => reject(migrationError || request.error);
       request.onsuccess = () => {
         this.db = request.result;
         resolve();
       };
 
+      // Schema changes are ordered steps in src/migrations.js; a failing step aborts the upgrade
       request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-
-        // Create People table
-        if (!db.objectStoreNames.contains('people')) {
-          const peopleStore = db.createObjectStore('people', { keyPath: 'id', autoIncrement: true });
-          peopleStore.createIndex('name', 'name', { unique: true });
-          peopleStore.createIndex('group', 'group', { unique: false });
-          peopleStore.createIndex('shift', 'shift', { unique: false });
-        }
-
-        // Create Groups table
-        if (!db.objectStoreNames.contains('groups')) {
-          const groupsStore = db.createObjectStore('groups', { keyPath: 'id', autoIncrement: true });
-          groupsStore.createIndex('name', 'name', { unique: true });
-        }
-
-        // Create Shifts table
-        if (!db.objectStoreNames.contains('shifts')) {
-          const shiftsStore = db.createObjectStore('shifts', { keyPath: 'id', autoIncrement: true });
-          shiftsStore.createIndex('name', 'name', { unique: true });
-        }
-
-        // Create Excel Data table
-        if (!db.objectStoreNames.contains('excelData')) {
-          const excelStore = db.createObjectStore('excelData', { keyPath: 'id', autoIncrement: true });
-          excelStore.createIndex('uploadDate', 'uploadDate', { unique: false });
-        }
+        const transaction = event.target.transaction;
+        runMigrations(event.target.result, transaction, event.oldVersion, this.version).catch(error => {
+          migrationError = error;
+          transaction.abort();
+        });
       };
     });
   }
 
   // People operations
+  // Creates the person, or updates the group and shift of an existing one with the same name or alias.
+  // Resolves with the person's id, or null for a name rejected by the name rules (see src/nameQuality.js).
   async addPerson(name, group = '', shift = '') {
-    const transaction = this.db.transaction(['people'], 'readwrite');
-    const store = transaction.objectStore('people');
-    
-    // Check if person already exists by name
-    const existingPeople = await this.getAllPeople();
-    const existingPerson = existingPeople.find(p => p.name.toLowerCase() === name.toLowerCase());
-    
-    if (existingPerson) {
-      // Person exists, update their group and shift if provided
-      if (group || shift) {
-        const updates = {};
-        if (group) updates.group = group;
-        if (shift) updates.shift = shift;
-        
-        return this.updatePerson(existingPerson.id, updates);
-      }
-      // Return existing person ID if no updates needed
-      return existingPerson.id;
-    }
-    
-    const person = {
-      name: name.trim(),
-      group: group.trim(),
-      shift: shift.trim(),
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
+    const [id] = await this.bulkUpsertPeople([{ name, group, shift }]);
+    return id;
+  }
 
-    return new Promise((resolve, reject) => {
-      const request = store.add(person);
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
+  // Create or update many people in one readwrite transaction. `entries` are { name, group?, shift?, site? }.
+  // Names are resolved through the nameKey index and then the aliases, so spelling variants update one person;
+  // non-empty fields overwrite the stored ones. Names rejected by the name rules are skipped.
+  // Resolves with the person id of each entry (null when skipped) once everything is written; if any write
+  // fails, the transaction is rolled back and nothing is stored.
+  async bulkUpsertPeople(entries) {
+    return this.writePeople(entries, { keepEmpty: false });
+  }
+
+  // Set `field` ('group', 'shift' or 'site') for many people in one readwrite transaction.
+  // `assignments` maps names to values, like peopleToGroup; '' clears the field of a stored person.
+  // People not stored yet are created unless their value is ''. Resolves like bulkUpsertPeople.
+  async bulkAssign(field, assignments) {
+    if (!PERSON_FIELDS.includes(field)) throw new Error(`Cannot assign ${field}`);
+    return this.writePeople(Object.entries(assignments).map(([name, value]) => ({ name, [field]: value || '' })), { keepEmpty: true });
+  }
+
+  async writePeople(entries, { keepEmpty }) {
+    const { names: nameSettings, profile: actor } = loadSettings();
+    const transaction = this.db.transaction(['people', 'aliases', 'auditLog'], 'readwrite');
+    const peopleStore = transaction.objectStore('people');
+    const aliasStore = transaction.objectStore('aliases');
+    const committed = transactionDone(transaction);
+
+    // One change per person: later entries for the same name add to earlier ones
+    const changes = new Map();
+    entries.forEach(entry => {
+      const key = nameKey(entry.name);
+      if (!key || !isValidPersonName(entry.name, nameSettings)) return;
+      const fields = Object.fromEntries(PERSON_FIELDS
+        .filter(field => entry[field] !== undefined && entry[field] !== null)
+        .map(field => [field, String(entry[field]).trim()])
+        .filter(([, value]) => value || keepEmpty));
+      const change = changes.get(key) || { name: normalizeName(entry.name), fields: {} };
+      changes.set(key, { ...change, fields: { ...change.fields, ...fields } });
     });
+
+    try {
+      const keys = [...changes.keys()];
+      const found = await Promise.all(keys.map(key => requestResult(peopleStore.index('nameKey').get(key))));
+      const aliases = await Promise.all(keys.map((key, i) => (found[i] ? null : requestResult(aliasStore.get(key)))));
+      const aliased = await Promise.all(aliases.map(alias => (alias ? requestResult(peopleStore.get(alias.personId)) : null)));
+
+      const now = new Date().toISOString();
+      const ids = await Promise.all(keys.map((key, i) => {
+        const { name, fields } = changes.get(key);
+        const person = found[i] || aliased[i];
+        if (person) {
+          const changed = Object.keys(fields).filter(field => (person[field] || '') !== fields[field]);
+          if (changed.length === 0) return person.id;
+          const updated = { ...person, ...fields, updatedAt: now };
+          logChange(transaction, { entity: 'person', action: 'update', before: person, after: updated }, actor);
+          return requestResult(peopleStore.put(updated));
+        }
+        if (keepEmpty && !Object.values(fields).some(Boolean)) return null;
+        const created = {
+          name,
+          nameKey: key,
+          group: '',
+          shift: '',
+          site: '',
+          ...fields,
+          createdAt: now,
+          updatedAt: now
+        };
+        return requestResult(peopleStore.add(created)).then(id => {
+          logChange(transaction, { entity: 'person', action: 'create', after: { ...created, id } }, actor);
+          return id;
+        });
+      }));
+      await committed;
+
+      const idByKey = new Map(keys.map((key, i) => [key, ids[i]]));
+      return entries.map(entry => idByKey.get(nameKey(entry.name)) ?? null);
+    } catch (error) {
+      await abortTransaction(transaction, committed);
+      throw error;
+    }
   }
 
   async updatePerson(id, updates) {
-    const transaction = this.db.transaction(['people'], 'readwrite');
+    const transaction = this.db.transaction(['people', 'auditLog'], 'readwrite');
     const store = transaction.objectStore('people');
     
     return new Promise((resolve, reject) => {
@@ -99,6 +175,8 @@ class WeighbridgeDB {
             ...updates,
             updatedAt: new Date().toISOString()
           };
+          if (updates.name !== undefined) updatedPerson.nameKey = nameKey(updates.name);
+          logChange(transaction, { entity: 'person', action: 'update', before: person, after: updatedPerson });
           
           const putRequest = store.put(updatedPerson);
           putRequest.onsuccess = () => resolve(putRequest.result);
@@ -112,13 +190,86 @@ class WeighbridgeDB {
   }
 
   async deletePerson(id) {
-    const transaction = this.db.transaction(['people'], 'readwrite');
+    const transaction = this.db.transaction(['people', 'aliases', 'auditLog'], 'readwrite');
     const store = transaction.objectStore('people');
+    const actor = loadSettings().profile;
+
+    // The person's aliases go with them
+    const aliasIndex = transaction.objectStore('aliases').index('personId');
+    aliasIndex.openCursor(IDBKeyRange.only(id)).onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      logChange(transaction, { entity: 'alias', action: 'delete', before: cursor.value }, actor);
+      cursor.delete();
+      cursor.continue();
+    };
     
     return new Promise((resolve, reject) => {
-      const request = store.delete(id);
-      request.onsuccess = () => resolve();
+      const getRequest = store.get(id);
+      getRequest.onsuccess = () => {
+        if (getRequest.result) logChange(transaction, { entity: 'person', action: 'delete', before: getRequest.result }, actor);
+        const request = store.delete(id);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+      };
+      getRequest.onerror = () => reject(getRequest.error);
+    });
+  }
+
+  // Merge duplicate people into `keepId`: the kept record takes a group, shift or site it lacks from the
+  // merged ones, the merged names and their aliases become its aliases, and the merged records are deleted.
+  // Rows keep their original names and resolve to the kept person through the aliases.
+  async mergePeople(keepId, mergeIds) {
+    const transaction = this.db.transaction(['people', 'aliases', 'auditLog'], 'readwrite');
+    const peopleStore = transaction.objectStore('people');
+    const aliasStore = transaction.objectStore('aliases');
+    const actor = loadSettings().profile;
+
+    return new Promise((resolve, reject) => {
+      const request = peopleStore.getAll();
+      request.onsuccess = () => {
+        const people = request.result;
+        const keep = people.find(p => p.id === keepId);
+        const merged = people.filter(p => mergeIds.includes(p.id) && p.id !== keepId);
+        if (!keep) {
+          transaction.abort();
+          reject(new Error('Person not found'));
+          return;
+        }
+
+        const now = new Date().toISOString();
+        const updated = {
+          ...keep,
+          group: keep.group || (merged.find(p => p.group) || {}).group || '',
+          shift: keep.shift || (merged.find(p => p.shift) || {}).shift || '',
+          site: keep.site || (merged.find(p => p.site) || {}).site || '',
+          updatedAt: now
+        };
+        logChange(transaction, { entity: 'person', action: 'merge', before: keep, after: updated }, actor);
+        peopleStore.put(updated);
+
+        merged.forEach(person => {
+          if (nameKey(person.name) !== nameKey(keep.name)) {
+            const alias = { key: nameKey(person.name), alias: person.name, personId: keepId, createdAt: now };
+            logChange(transaction, { entity: 'alias', action: 'create', after: alias }, actor);
+            aliasStore.put(alias);
+          }
+          aliasStore.index('personId').openCursor(IDBKeyRange.only(person.id)).onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            const alias = { ...cursor.value, personId: keepId };
+            logChange(transaction, { entity: 'alias', action: 'update', before: cursor.value, after: alias }, actor);
+            cursor.update(alias);
+            cursor.continue();
+          };
+          logChange(transaction, { entity: 'person', action: 'delete', before: person }, actor);
+          peopleStore.delete(person.id);
+        });
+
+        transaction.oncomplete = () => resolve(updated);
+      };
       request.onerror = () => reject(request.error);
+      transaction.onerror = () => reject(transaction.error);
     });
   }
 
@@ -157,40 +308,90 @@ class WeighbridgeDB {
     });
   }
 
-  async findPersonByName(name) {
+  // People scoped to `site` (records without a site are not included)
+  async getPeopleBySite(site) {
     const transaction = this.db.transaction(['people'], 'readonly');
     const store = transaction.objectStore('people');
+    const index = store.index('site');
+    
+    return new Promise((resolve, reject) => {
+      const request = index.getAll(site);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Match on the normalized name (case, spacing and accents ignored), then on the alias table
+  async findPersonByName(name) {
+    const transaction = this.db.transaction(['people', 'aliases'], 'readonly');
+    const store = transaction.objectStore('people');
+    const key = nameKey(name);
     
     return new Promise((resolve, reject) => {
       const request = store.getAll();
       request.onsuccess = () => {
         const people = request.result;
-        const person = people.find(p => p.name.toLowerCase() === name.toLowerCase());
-        resolve(person || null);
+        const person = people.find(p => nameKey(p.name) === key);
+        if (person) {
+          resolve(person);
+          return;
+        }
+        const aliasRequest = transaction.objectStore('aliases').get(key);
+        aliasRequest.onsuccess = () => {
+          const alias = aliasRequest.result;
+          resolve(alias ? people.find(p => p.id === alias.personId) || null : null);
+        };
+        aliasRequest.onerror = () => reject(aliasRequest.error);
       };
       request.onerror = () => reject(request.error);
     });
   }
 
-  async addPersonIfNotExists(name, group = '', shift = '') {
-    const existingPerson = await this.findPersonByName(name);
-    
-    if (existingPerson) {
-      // Person exists, only update if new group/shift provided
-      const updates = {};
-      if (group && group !== existingPerson.group) updates.group = group;
-      if (shift && shift !== existingPerson.shift) updates.shift = shift;
-      
-      if (Object.keys(updates).length > 0) {
-        updates.updatedAt = new Date().toISOString();
-        await this.updatePerson(existingPerson.id, updates);
-      }
-      
-      return existingPerson.id;
-    } else {
-      // Person doesn't exist, create new
-      return this.addPerson(name, group, shift);
+  // Alias operations
+  // Map a variant spelling to a person. Rejects when the spelling is already an alias or a person's name.
+  async addAlias(alias, personId) {
+    const key = nameKey(alias);
+    if (!key) throw new Error('Alias is empty');
+    const existing = await this.findPersonByName(alias);
+    if (existing) {
+      throw new Error(existing.id === personId
+        ? `"${normalizeName(alias)}" already resolves to ${existing.name}`
+        : `"${normalizeName(alias)}" already belongs to ${existing.name}`);
     }
+
+    const transaction = this.db.transaction(['aliases', 'auditLog'], 'readwrite');
+    const store = transaction.objectStore('aliases');
+    const record = { key, alias: normalizeName(alias), personId, createdAt: new Date().toISOString() };
+
+    return new Promise((resolve, reject) => {
+      const request = store.add(record);
+      request.onsuccess = () => {
+        logChange(transaction, { entity: 'alias', action: 'create', after: record });
+        resolve(request.result);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getAllAliases() {
+    const transaction = this.db.transaction(['aliases'], 'readonly');
+    const store = transaction.objectStore('aliases');
+
+    return new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async deleteAlias(key) {
+    return this.deleteRecord('aliases', 'alias', key);
+  }
+
+  // Resolves with the person's id, or null without storing anything when the name is a placeholder
+  // under the name rules in the saved settings (see src/nameQuality.js)
+  async addPersonIfNotExists(name, group = '', shift = '') {
+    return this.addPerson(name, group, shift);
   }
 
   async getDuplicateNamesSummary(excelRows) {
@@ -200,7 +401,7 @@ class WeighbridgeDB {
     // Count occurrences of each name in Excel data
     excelRows.forEach(row => {
       if (row.person) {
-        const name = row.person.trim();
+        const name = normalizeName(row.person);
         nameCounts[name] = (nameCounts[name] || 0) + 1;
       }
     });
@@ -221,18 +422,23 @@ class WeighbridgeDB {
   }
 
   // Groups operations
-  async addGroup(name) {
-    const transaction = this.db.transaction(['groups'], 'readwrite');
+  // `site` scopes the group to one site; '' makes it available at every site
+  async addGroup(name, site = '') {
+    const transaction = this.db.transaction(['groups', 'auditLog'], 'readwrite');
     const store = transaction.objectStore('groups');
     
     const group = {
       name: name.trim(),
+      site: site.trim(),
       createdAt: new Date().toISOString()
     };
 
     return new Promise((resolve, reject) => {
       const request = store.add(group);
-      request.onsuccess = () => resolve(request.result);
+      request.onsuccess = () => {
+        logChange(transaction, { entity: 'group', action: 'create', after: { ...group, id: request.result } });
+        resolve(request.result);
+      };
       request.onerror = () => reject(request.error);
     });
   }
@@ -249,29 +455,27 @@ class WeighbridgeDB {
   }
 
   async deleteGroup(id) {
-    const transaction = this.db.transaction(['groups'], 'readwrite');
-    const store = transaction.objectStore('groups');
-    
-    return new Promise((resolve, reject) => {
-      const request = store.delete(id);
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(request.error);
-    });
+    return this.deleteRecord('groups', 'group', id);
   }
 
   // Shifts operations
-  async addShift(name) {
-    const transaction = this.db.transaction(['shifts'], 'readwrite');
+  // `site` scopes the shift to one site; '' makes it available at every site
+  async addShift(name, site = '') {
+    const transaction = this.db.transaction(['shifts', 'auditLog'], 'readwrite');
     const store = transaction.objectStore('shifts');
     
     const shift = {
       name: name.trim(),
+      site: site.trim(),
       createdAt: new Date().toISOString()
     };
 
     return new Promise((resolve, reject) => {
       const request = store.add(shift);
-      request.onsuccess = () => resolve(request.result);
+      request.onsuccess = () => {
+        logChange(transaction, { entity: 'shift', action: 'create', after: { ...shift, id: request.result } });
+        resolve(request.result);
+      };
       request.onerror = () => reject(request.error);
     });
   }
@@ -288,21 +492,14 @@ class WeighbridgeDB {
   }
 
   async deleteShift(id) {
-    const transaction = this.db.transaction(['shifts'], 'readwrite');
-    const store = transaction.objectStore('shifts');
-    
-    return new Promise((resolve, reject) => {
-      const request = store.delete(id);
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(request.error);
-    });
+    return this.deleteRecord('shifts', 'shift', id);
   }
 
   // Excel data operations
-  async saveExcelData(data) {
-    const transaction = this.db.transaction(['excelData'], 'readwrite');
-    const store = transaction.objectStore('excelData');
-    
+  // Each upload is one record holding its whole dataset. The records marked active make up the current
+  // dataset; a new upload becomes the only active one. Without any active record the latest one is used.
+  // The weighings store mirrors the current dataset row by row and is rewritten in the same transaction.
+  buildExcelRecord(data, meta = {}) {
     // Calculate revenue totals
     const totalRevenue = data.reduce((sum, row) => sum + (row.totalRevenue || 0), 0);
     const totalFines = data.reduce((sum, row) => 
@@ -310,18 +507,211 @@ class WeighbridgeDB {
       (row.d3Fine || 0) + (row.d4Fine || 0) + (row.awkwardLoadFine || 0), 0
     );
     
-    const excelRecord = {
+    return {
       data: data,
+      fileName: meta.fileName || '',
+      active: 1,
       uploadDate: new Date().toISOString(),
       rowCount: data.length,
       totalRevenue,
       totalFines
     };
+  }
+
+  // `meta.fileName` names the upload in the history
+  async saveExcelData(data, meta = {}) {
+    const transaction = this.db.transaction(['excelData', 'weighings', 'auditLog'], 'readwrite');
+    const store = transaction.objectStore('excelData');
+    const excelRecord = this.buildExcelRecord(data, meta);
 
     return new Promise((resolve, reject) => {
-      const request = store.add(excelRecord);
-      request.onsuccess = () => resolve(request.result);
+      this.readActiveUploads(store, (active) => {
+        this.deactivateUploads(store, active);
+        this.writeWeighings(transaction, data);
+        const request = store.add(excelRecord);
+        request.onsuccess = () => {
+          logChange(transaction, { entity: 'upload', action: 'create', after: { ...excelRecord, id: request.result } });
+          resolve(request.result);
+        };
+        request.onerror = () => reject(request.error);
+      }, reject);
+    });
+  }
+
+  // Merge rows into the current dataset (deduplicated by Id / Ticket SN) and store the result as a new upload.
+  // Resolves with { id, rows, added, updated, unchanged }.
+  async appendExcelData(data, meta = {}) {
+    const transaction = this.db.transaction(['excelData', 'weighings', 'auditLog'], 'readwrite');
+    const store = transaction.objectStore('excelData');
+
+    return new Promise((resolve, reject) => {
+      // Read and write in the same transaction so concurrent uploads cannot drop each other's rows
+      this.readActiveUploads(store, (active) => {
+        const { rows, added, updated, unchanged } = mergeRows(this.combineUploads(active), data);
+        const excelRecord = {
+          ...this.buildExcelRecord(rows, meta),
+          mode: 'append',
+          merge: { added, updated, unchanged }
+        };
+        this.deactivateUploads(store, active);
+        this.writeWeighings(transaction, rows);
+        const addRequest = store.add(excelRecord);
+        addRequest.onsuccess = () => {
+          logChange(transaction, { entity: 'upload', action: 'create', after: { ...excelRecord, id: addRequest.result } });
+          resolve({ id: addRequest.result, rows, added, updated, unchanged });
+        };
+        addRequest.onerror = () => reject(addRequest.error);
+      }, reject);
+    });
+  }
+
+  // Records making up the current dataset, oldest first: the active ones, or else the latest upload
+  readActiveUploads(store, onResult, onError) {
+    const activeRequest = store.index('active').getAll(1);
+    activeRequest.onsuccess = () => {
+      if (activeRequest.result.length > 0) {
+        onResult(activeRequest.result.sort((a, b) => a.uploadDate.localeCompare(b.uploadDate)));
+        return;
+      }
+      const latestRequest = store.index('uploadDate').openCursor(null, 'prev');
+      latestRequest.onsuccess = () => onResult(latestRequest.result ? [latestRequest.result.value] : []);
+      latestRequest.onerror = () => onError(latestRequest.error);
+    };
+    activeRequest.onerror = () => onError(activeRequest.error);
+  }
+
+  deactivateUploads(store, records) {
+    records.filter(record => record.active === 1).forEach(record => {
+      const updated = { ...record, active: 0 };
+      logChange(store.transaction, { entity: 'upload', action: 'update', before: record, after: updated });
+      store.put(updated);
+    });
+  }
+
+  // Replace the weighings with the rows of the current dataset
+  writeWeighings(transaction, rows) {
+    const store = transaction.objectStore('weighings');
+    store.clear();
+    rows.forEach(row => store.add(toWeighing(row)));
+  }
+
+  // Several active uploads are merged in upload order, so later uploads win for the same Id / Ticket SN
+  combineUploads(records) {
+    if (records.length === 1) return records[0].data || [];
+    return records.reduce((rows, record) => mergeRows(rows, record.data || []).rows, []);
+  }
+
+  // The current dataset: { ids, data } of the active uploads (or the latest upload), or null when nothing is stored
+  async getActiveExcelData() {
+    const transaction = this.db.transaction(['excelData'], 'readonly');
+    const store = transaction.objectStore('excelData');
+
+    return new Promise((resolve, reject) => {
+      this.readActiveUploads(store, (records) => {
+        if (records.length === 0) {
+          resolve(null);
+          return;
+        }
+        resolve({ ids: records.map(record => record.id), data: this.combineUploads(records) });
+      }, reject);
+    });
+  }
+
+  // Every upload without its rows, newest first
+  // The stored totalRevenue was counted with the revenue settings of the day; pass `revenueSettings` to
+  // count each upload's rows again with the current ones
+  async getUploadHistory(revenueSettings) {
+    const transaction = this.db.transaction(['excelData'], 'readonly');
+    const index = transaction.objectStore('excelData').index('uploadDate');
+
+    return new Promise((resolve, reject) => {
+      const history = [];
+      const request = index.openCursor(null, 'prev');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(history);
+          return;
+        }
+        const { data, ...summary } = cursor.value;
+        if (revenueSettings) summary.totalRevenue = data.reduce((sum, row) => sum + rowRevenue(row, revenueSettings), 0);
+        history.push({ ...summary, fileName: summary.fileName || '', active: summary.active === 1 });
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Make the given uploads the current dataset. Resolves with the combined rows.
+  async setActiveUploads(ids) {
+    const transaction = this.db.transaction(['excelData', 'weighings', 'auditLog'], 'readwrite');
+    const store = transaction.objectStore('excelData');
+    const selected = new Set(ids);
+
+    return new Promise((resolve, reject) => {
+      const activated = [];
+      const request = store.openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          activated.sort((a, b) => a.uploadDate.localeCompare(b.uploadDate));
+          const rows = this.combineUploads(activated);
+          this.writeWeighings(transaction, rows);
+          transaction.oncomplete = () => resolve(rows);
+          return;
+        }
+        const active = selected.has(cursor.value.id) ? 1 : 0;
+        if (active) activated.push(cursor.value);
+        if (cursor.value.active !== active) {
+          const updated = { ...cursor.value, active };
+          logChange(transaction, { entity: 'upload', action: 'update', before: cursor.value, after: updated });
+          cursor.update(updated);
+        }
+        cursor.continue();
+      };
       request.onerror = () => reject(request.error);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async renameUpload(id, fileName) {
+    const transaction = this.db.transaction(['excelData', 'auditLog'], 'readwrite');
+    const store = transaction.objectStore('excelData');
+
+    return new Promise((resolve, reject) => {
+      const getRequest = store.get(id);
+      getRequest.onsuccess = () => {
+        if (!getRequest.result) {
+          reject(new Error('Upload not found'));
+          return;
+        }
+        const updated = { ...getRequest.result, fileName };
+        logChange(transaction, { entity: 'upload', action: 'update', before: getRequest.result, after: updated });
+        const putRequest = store.put(updated);
+        putRequest.onsuccess = () => resolve();
+        putRequest.onerror = () => reject(putRequest.error);
+      };
+      getRequest.onerror = () => reject(getRequest.error);
+    });
+  }
+
+  async deleteUpload(id) {
+    const transaction = this.db.transaction(['excelData', 'weighings', 'auditLog'], 'readwrite');
+    const store = transaction.objectStore('excelData');
+
+    return new Promise((resolve, reject) => {
+      const getRequest = store.get(id);
+      getRequest.onsuccess = () => {
+        if (getRequest.result) logChange(transaction, { entity: 'upload', action: 'delete', before: getRequest.result });
+        const request = store.delete(id);
+        // The deleted upload may have been part of the current dataset
+        request.onsuccess = () => this.readActiveUploads(store, (records) => {
+          this.writeWeighings(transaction, this.combineUploads(records));
+          resolve();
+        }, reject);
+        request.onerror = () => reject(request.error);
+      };
+      getRequest.onerror = () => reject(getRequest.error);
     });
   }
 
@@ -344,77 +734,252 @@ class WeighbridgeDB {
     });
   }
 
+  // Weighings queries
+  // `index` is one of WEIGHING_INDEXES (src/weighings.js), or omitted for storage order. `range` is an
+  // IDBKeyRange, { only } or { from, to } (inclusive); person names and impounded booleans are converted to
+  // their index keys. Pages hold up to `limit` rows; pass the `next` of a page as `after` to get the following one.
+  // Resolves with { rows, next }, where `next` is null on the last page.
+  async queryWeighings({ index, range, direction = 'next', limit = 500, after = null } = {}) {
+    if (index && !WEIGHING_INDEXES.includes(index)) throw new Error(`Unknown weighings index: ${index}`);
+    const transaction = this.db.transaction(['weighings'], 'readonly');
+    const store = transaction.objectStore('weighings');
+    const source = index ? store.index(index) : store;
+    const sign = direction === 'prev' ? -1 : 1;
+
+    return new Promise((resolve, reject) => {
+      const rows = [];
+      let last = null;
+      let seeking = Boolean(after);
+      const request = source.openCursor(toKeyRange(index, range), direction);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve({ rows, next: null });
+          return;
+        }
+        // Resume after the last row of the previous page
+        if (seeking) {
+          const position = indexedDB.cmp(cursor.key, after.key) || indexedDB.cmp(cursor.primaryKey, after.primaryKey);
+          if (position * sign <= 0) {
+            seeking = position !== 0;
+            if (position === 0) cursor.continue();
+            else if (index) cursor.continuePrimaryKey(after.key, after.primaryKey);
+            else cursor.continue(after.key);
+            return;
+          }
+          seeking = false;
+        }
+        if (rows.length === limit) {
+          resolve({ rows, next: last });
+          return;
+        }
+        rows.push(cursor.value.row);
+        last = { key: cursor.key, primaryKey: cursor.primaryKey };
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async countWeighings({ index, range } = {}) {
+    if (index && !WEIGHING_INDEXES.includes(index)) throw new Error(`Unknown weighings index: ${index}`);
+    const transaction = this.db.transaction(['weighings'], 'readonly');
+    const store = transaction.objectStore('weighings');
+    const source = index ? store.index(index) : store;
+
+    return new Promise((resolve, reject) => {
+      const request = source.count(toKeyRange(index, range) || undefined);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Mapping profile operations
+  async saveMappingProfile(name, signature, mapping) {
+    const transaction = this.db.transaction(['mappingProfiles', 'auditLog'], 'readwrite');
+    const store = transaction.objectStore('mappingProfiles');
+    const index = store.index('name');
+    const now = new Date().toISOString();
+
+    return new Promise((resolve, reject) => {
+      // Saving under an existing name replaces that profile
+      const getRequest = index.get(name.trim());
+      getRequest.onsuccess = () => {
+        const existing = getRequest.result;
+        const profile = {
+          ...(existing || { createdAt: now }),
+          name: name.trim(),
+          signature,
+          mapping,
+          updatedAt: now
+        };
+
+        const putRequest = store.put(profile);
+        putRequest.onsuccess = () => {
+          logChange(transaction, {
+            entity: 'mappingProfile',
+            action: existing ? 'update' : 'create',
+            before: existing || null,
+            after: { ...profile, id: putRequest.result }
+          });
+          resolve(putRequest.result);
+        };
+        putRequest.onerror = () => reject(putRequest.error);
+      };
+      getRequest.onerror = () => reject(getRequest.error);
+    });
+  }
+
+  async getAllMappingProfiles() {
+    const transaction = this.db.transaction(['mappingProfiles'], 'readonly');
+    const store = transaction.objectStore('mappingProfiles');
+
+    return new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async findMappingProfileBySignature(signature) {
+    const transaction = this.db.transaction(['mappingProfiles'], 'readonly');
+    const store = transaction.objectStore('mappingProfiles');
+    const index = store.index('signature');
+
+    return new Promise((resolve, reject) => {
+      const request = index.getAll(signature);
+      request.onsuccess = () => {
+        // Prefer the most recently saved profile for this header layout
+        const profiles = request.result.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+        resolve(profiles[0] || null);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async deleteMappingProfile(id) {
+    return this.deleteRecord('mappingProfiles', 'mappingProfile', id);
+  }
+
   // Utility methods
+  // Empties the data stores. The audit log is kept and records how many records each store held.
   async clearAllData() {
-    const transaction = this.db.transaction(['people', 'groups', 'shifts', 'excelData'], 'readwrite');
-    
-    const peopleStore = transaction.objectStore('people');
-    const groupsStore = transaction.objectStore('groups');
-    const shiftsStore = transaction.objectStore('shifts');
-    const excelStore = transaction.objectStore('excelData');
-    
-    return Promise.all([
-      new Promise((resolve, reject) => {
-        const request = peopleStore.clear();
-        request.onsuccess = () => resolve();
-        request.onerror = () => reject(request.error);
-      }),
-      new Promise((resolve, reject) => {
-        const request = groupsStore.clear();
-        request.onsuccess = () => resolve();
-        request.onerror = () => reject(request.error);
-      }),
-      new Promise((resolve, reject) => {
-        const request = shiftsStore.clear();
-        request.onsuccess = () => resolve();
-        request.onerror = () => reject(request.error);
-      }),
-      new Promise((resolve, reject) => {
-        const request = excelStore.clear();
+    const storeNames = ['people', 'groups', 'shifts', 'excelData', 'aliases', 'weighings'];
+    const transaction = this.db.transaction([...storeNames, 'auditLog'], 'readwrite');
+    const committed = transactionDone(transaction);
+
+    try {
+      const counts = await Promise.all(storeNames.map(name => requestResult(transaction.objectStore(name).count())));
+      logChange(transaction, { entity: 'database', action: 'clear', before: Object.fromEntries(storeNames.map((name, i) => [name, counts[i]])) });
+      await Promise.all(storeNames.map(name => requestResult(transaction.objectStore(name).clear())));
+      await committed;
+    } catch (error) {
+      await abortTransaction(transaction, committed);
+      throw error;
+    }
+  }
+
+  // Delete one record of `storeName` and log it as `entity`
+  async deleteRecord(storeName, entity, key) {
+    const transaction = this.db.transaction([storeName, 'auditLog'], 'readwrite');
+    const store = transaction.objectStore(storeName);
+
+    return new Promise((resolve, reject) => {
+      const getRequest = store.get(key);
+      getRequest.onsuccess = () => {
+        if (getRequest.result) logChange(transaction, { entity, action: 'delete', before: getRequest.result });
+        const request = store.delete(key);
         request.onsuccess = () => resolve();
         request.onerror = () => reject(request.error);
-      })
-    ]);
+      };
+      getRequest.onerror = () => reject(getRequest.error);
+    });
+  }
+
+  // Every audit log entry, newest first (see src/audit.js for filtering)
+  async getAuditLog() {
+    const transaction = this.db.transaction(['auditLog'], 'readonly');
+    const index = transaction.objectStore('auditLog').index('timestamp');
+
+    return new Promise((resolve, reject) => {
+      const entries = [];
+      const request = index.openCursor(null, 'prev');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(entries);
+          return;
+        }
+        entries.push(cursor.value);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
   }
 
+  // Migrations applied to this database, oldest first: [{ version, name, appliedAt }].
+  // appliedAt is null for steps applied before migrations were recorded.
+  async getAppliedMigrations() {
+    const transaction = this.db.transaction(['migrations'], 'readonly');
+    const store = transaction.objectStore('migrations');
+
+    return new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Backup and restore (see src/backup.js)
+  async readStores(transaction, storeNames) {
+    const records = await Promise.all(storeNames.map(store => requestResult(transaction.objectStore(store).getAll())));
+    return Object.fromEntries(storeNames.map((store, i) => [store, records[i]]));
+  }
+
+  // Every record of every store, with ids and timestamps
   async exportAllData() {
-    const [people, groups, shifts, excelData] = await Promise.all([
-      this.getAllPeople(),
-      this.getAllGroups(),
-      this.getAllShifts(),
-      this.getLatestExcelData()
-    ]);
+    const transaction = this.db.transaction(BACKUP_STORES, 'readonly');
+    return createBackup(await this.readStores(transaction, BACKUP_STORES), this.version);
+  }
 
-    return {
-      metadata: {
-        exportedAt: new Date().toISOString(),
-        version: '1.0',
-        database: 'WeighbridgeDB'
-      },
-      people,
-      groups,
-      shifts,
-      excelData
-    };
+  // What importData would do with `data` in `mode`, without writing anything: { mode, summary, conflicts }
+  async previewImport(data, mode = 'merge') {
+    const { stores } = readBackup(data, this.version);
+    const transaction = this.db.transaction(BACKUP_STORES, 'readonly');
+    const { writes, ...preview } = planRestore(await this.readStores(transaction, BACKUP_STORES), stores, mode);
+    return preview;
   }
 
-  async importData(data) {
-    if (data.people && Array.isArray(data.people)) {
-      for (const person of data.people) {
-        await this.addPerson(person.name, person.group, person.shift);
-      }
-    }
-    
-    if (data.groups && Array.isArray(data.groups)) {
-      for (const group of data.groups) {
-        await this.addGroup(group.name);
-      }
-    }
-    
-    if (data.shifts && Array.isArray(data.shifts)) {
-      for (const shift of data.shifts) {
-        await this.addShift(shift.name);
-      }
+  // Restore a backup, or an export from before backups were versioned, in one transaction: 'replace' swaps
+  // the whole database for the backup, 'merge' adds what is missing and keeps current records on conflict
+  // (see planRestore). Resolves with what was done, like previewImport; on failure nothing changes.
+  async importData(data, { mode = 'merge' } = {}) {
+    const { stores } = readBackup(data, this.version);
+    const transaction = this.db.transaction([...BACKUP_STORES, 'weighings', 'auditLog'], 'readwrite');
+    const committed = transactionDone(transaction);
+
+    try {
+      const { writes, ...result } = planRestore(await this.readStores(transaction, BACKUP_STORES), stores, mode);
+      BACKUP_STORES.forEach(storeName => {
+        const store = transaction.objectStore(storeName);
+        if (mode === 'replace') store.clear();
+        writes[storeName].forEach(record => store.put(record));
+      });
+
+      // One entry for the whole restore; the backup file holds the records themselves
+      logChange(transaction, {
+        entity: 'database',
+        action: 'restore',
+        after: { mode, summary: result.summary, conflicts: result.conflicts.map(conflict => `${conflict.store}: ${conflict.label}`) }
+      });
+
+      const uploads = await new Promise((resolve, reject) => this.readActiveUploads(transaction.objectStore('excelData'), resolve, reject));
+      this.writeWeighings(transaction, this.combineUploads(uploads));
+      await committed;
+      return result;
+    } catch (error) {
+      await abortTransaction(transaction, committed);
+      throw error;
     }
   }
 }
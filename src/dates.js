@@ -0,0 +1,237 @@
+// Date parsing for uploads and analytics. Every date is stored as an ISO-8601 wall-clock string in the
+// station's local time ("YYYY-MM-DD" or "YYYY-MM-DDTHH:mm:ss"), so analytics can bucket by day and month
+// without going through the browser's timezone.
+
+// inputFormat: 'auto' | 'DMY' | 'MDY' | 'YMD'; timeZone: IANA name of the station's timezone
+export const DEFAULT_DATE_SETTINGS = {
+  inputFormat: 'auto',
+  timeZone: 'Africa/Lusaka',
+};
+
+export const DATE_INPUT_FORMATS = [
+  { value: 'auto', label: 'Detect from file' },
+  { value: 'DMY', label: 'Day first (30/06/2025)' },
+  { value: 'MDY', label: 'Month first (6/30/2025)' },
+  { value: 'YMD', label: 'Year first (2025/06/30)' },
+];
+
+// Zambian stations write day first, so that is the reading for values that fit either way
+const AMBIGUOUS_DEFAULT_ORDER = 'DMY';
+
+const EXCEL_EPOCH_OFFSET_DAYS = 25569; // days between 1899-12-30 and 1970-01-01
+const SECONDS_PER_DAY = 86400;
+
+const ISO_RE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+const NUMERIC_RE = /^(\d{1,4})[/.-](\d{1,2})[/.-](\d{1,4})(?:[T ,]+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AP]\.?M\.?)?)?$/i;
+// "30 Jun 2025", "Jun 30, 2025 10:00 AM", "Mon Jun 30 2025 10:00:00 GMT+0200 (…)": optional weekday, day and
+// month either way round, year, optional time and optional UTC offset
+const MONTH_NAME_RE = new RegExp([
+  String.raw`^(?:[a-z]+,?\s+)?(?:(\d{1,2})[\s.-]+([a-z]{3,9})\.?|([a-z]{3,9})\.?\s+(\d{1,2}),?)[\s.,-]+(\d{4})`,
+  String.raw`(?:[T ,]+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AP]\.?M\.?)?)?`,
+  String.raw`\s*(Z|(?:GMT|UTC)?[+-]\d{2}:?\d{2}|GMT|UTC)?(?:\s*\([^)]*\))?$`,
+].join(''), 'i');
+const MONTH_NAMES = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december',
+];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+function wallClock(year, month, day, hour, minute, second, withTime) {
+  const date = `${year}-${pad(month)}-${pad(day)}`;
+  return withTime ? `${date}T${pad(hour)}:${pad(minute)}:${pad(second)}` : date;
+}
+
+function isValidDay(year, month, day) {
+  if (month < 1 || month > 12 || day < 1) return false;
+  return day <= new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function settingsWithDefaults(settings) {
+  return { ...DEFAULT_DATE_SETTINGS, ...(settings || {}) };
+}
+
+// Wall-clock string of an instant in the given timezone
+export function formatInTimeZone(date, timeZone, withTime = true) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  return wallClock(parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second, withTime);
+}
+
+export function nowInTimeZone(timeZone = DEFAULT_DATE_SETTINGS.timeZone) {
+  return formatInTimeZone(new Date(), timeZone);
+}
+
+// Which of day/month comes first in a set of numeric date strings, or null when every value fits both
+export function detectDateOrder(values) {
+  let dayFirst = 0;
+  let monthFirst = 0;
+  values.forEach((value) => {
+    if (typeof value !== 'string') return;
+    const m = NUMERIC_RE.exec(value.trim());
+    if (!m || m[1].length === 4) return;
+    const [a, b] = [Number(m[1]), Number(m[2])];
+    if (a > 12 && b <= 12) dayFirst++;
+    else if (b > 12 && a <= 12) monthFirst++;
+  });
+  if (dayFirst === monthFirst) return null;
+  return dayFirst > monthFirst ? 'DMY' : 'MDY';
+}
+
+// 12-hour clock to 24-hour, or null when the hour does not fit it
+function clockHour(hour, meridiem) {
+  if (!meridiem) return hour;
+  if (hour > 12 || hour === 0) return null;
+  return (hour % 12) + (meridiem[0].toUpperCase() === 'P' ? 12 : 0);
+}
+
+function parseNumeric(m, settings) {
+  const [a, b, c] = [Number(m[1]), Number(m[2]), Number(m[3])];
+  let order = settings.inputFormat;
+  let ambiguous = false;
+
+  if (m[1].length === 4) {
+    order = 'YMD';
+  } else if (order === 'auto' || order === 'YMD') {
+    if (a > 12 && b <= 12) order = 'DMY';
+    else if (b > 12 && a <= 12) order = 'MDY';
+    else {
+      order = settings.detectedOrder || AMBIGUOUS_DEFAULT_ORDER;
+      // Equal values read the same either way
+      ambiguous = !settings.detectedOrder && a !== b;
+    }
+  }
+
+  let year;
+  let month;
+  let day;
+  if (order === 'YMD') [year, month, day] = [a, b, c];
+  else if (order === 'MDY') [month, day, year] = [a, b, c];
+  else [day, month, year] = [a, b, c];
+  if (year < 100) year += 2000;
+
+  const hour = clockHour(m[4] ? Number(m[4]) : 0, m[7]);
+  const minute = m[5] ? Number(m[5]) : 0;
+  const second = m[6] ? Number(m[6]) : 0;
+
+  if (!isValidDay(year, month, day) || hour === null || hour > 23 || minute > 59 || second > 59) {
+    return { value: '', ambiguous: false };
+  }
+  return { value: wallClock(year, month, day, hour, minute, second, !!m[4]), ambiguous };
+}
+
+function parseMonthName(m, settings) {
+  const name = (m[2] || m[3]).toLowerCase();
+  const month = MONTH_NAMES.findIndex(full => full.startsWith(name)) + 1;
+  const day = Number(m[1] || m[4]);
+  const year = Number(m[5]);
+  const hour = clockHour(m[6] ? Number(m[6]) : 0, m[9]);
+  const minute = m[7] ? Number(m[7]) : 0;
+  const second = m[8] ? Number(m[8]) : 0;
+
+  if (month === 0 || !isValidDay(year, month, day) || hour === null || hour > 23 || minute > 59 || second > 59) {
+    return { value: '', ambiguous: false };
+  }
+  // An explicit offset is an instant; move it to the station's wall clock as for ISO strings
+  if (m[10]) {
+    const offset = /([+-])(\d{2}):?(\d{2})$/.exec(m[10]);
+    const minutes = offset ? (offset[1] === '-' ? -1 : 1) * (Number(offset[2]) * 60 + Number(offset[3])) : 0;
+    const instant = new Date(Date.UTC(year, month - 1, day, hour, minute, second) - minutes * 60000);
+    return { value: formatInTimeZone(instant, settings.timeZone, !!m[6]), ambiguous: false };
+  }
+  return { value: wallClock(year, month, day, hour, minute, second, !!m[6]), ambiguous: false };
+}
+
+// Parse any date value found in an export into a station wall-clock string.
+// Returns { value, ambiguous }: value is '' when the input is not a date, and ambiguous is true when
+// day and month could be read either way and the file gave no hint.
+// `settings` may carry `detectedOrder` ('DMY' | 'MDY') found by detectDateOrder for the whole column.
+export function parseDate(input, settings) {
+  const options = settingsWithDefaults(settings);
+  if (input === undefined || input === null || input === '') return { value: '', ambiguous: false };
+
+  if (typeof input === 'number') {
+    if (!Number.isFinite(input)) return { value: '', ambiguous: false };
+    // Excel serial date in station time; the fraction is the time of day
+    const date = new Date(Math.round((input - EXCEL_EPOCH_OFFSET_DAYS) * SECONDS_PER_DAY) * 1000);
+    return {
+      value: wallClock(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(),
+        date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds(), !Number.isInteger(input)),
+      ambiguous: false,
+    };
+  }
+
+  if (input instanceof Date) {
+    if (isNaN(input.getTime())) return { value: '', ambiguous: false };
+    return { value: formatInTimeZone(input, options.timeZone), ambiguous: false };
+  }
+
+  const s = String(input).trim();
+  if (s === '') return { value: '', ambiguous: false };
+
+  const iso = ISO_RE.exec(s);
+  if (iso) {
+    const [year, month, day] = [Number(iso[1]), Number(iso[2]), Number(iso[3])];
+    if (!isValidDay(year, month, day)) return { value: '', ambiguous: false };
+    // An explicit offset is an instant; move it to the station's wall clock
+    if (iso[7]) {
+      const instant = new Date(s.replace(' ', 'T'));
+      if (isNaN(instant.getTime())) return { value: '', ambiguous: false };
+      return { value: formatInTimeZone(instant, options.timeZone), ambiguous: false };
+    }
+    const withTime = iso[4] !== undefined;
+    return {
+      value: wallClock(year, month, day, Number(iso[4] || 0), Number(iso[5] || 0), Number(iso[6] || 0), withTime),
+      ambiguous: false,
+    };
+  }
+
+  const numeric = NUMERIC_RE.exec(s);
+  if (numeric) return parseNumeric(numeric, options);
+
+  // Month names ("30 Jun 2025", "Jun 30, 2025 10:00") are unambiguous
+  const named = MONTH_NAME_RE.exec(s);
+  if (named) return parseMonthName(named, options);
+
+  return { value: '', ambiguous: false };
+}
+
+// 'YYYY-MM-DD' of a stored or raw date, or '' when it cannot be read
+export function toDayKey(value, settings) {
+  return parseDate(value, settings).value.slice(0, 10);
+}
+
+// 'YYYY-MM' of a stored or raw date, or ''
+export function toMonthKey(value, settings) {
+  return parseDate(value, settings).value.slice(0, 7);
+}
+
+// Hour of day (0-23) in station time, or null when the value has no time
+export function toHour(value, settings) {
+  const parsed = parseDate(value, settings).value;
+  return parsed.length > 10 ? Number(parsed.slice(11, 13)) : null;
+}
+
+// Display a day key in the user's locale without shifting it through UTC
+export function formatDayKey(dayKey, locale) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dayKey || '');
+  if (!m) return dayKey;
+  return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])).toLocaleDateString(locale);
+}
+
+export function formatMonthKey(monthKey, locale = 'en-US') {
+  const m = /^(\d{4})-(\d{2})$/.exec(monthKey || '');
+  if (!m) return monthKey;
+  return new Date(Number(m[1]), Number(m[2]) - 1, 1).toLocaleDateString(locale, { year: 'numeric', month: 'short' });
+}
@@ -0,0 +1,111 @@
+import { nameKey } from './names';
+
+// Likely duplicate people: the same operator stored under two spellings ("Best Simaundu" and
+// "B. Simaundu", "Chisenga Mulenga" and "Mulenga Chisenga"). Pairs are scored by how similar the names
+// are and by how much their weighings look alike (same site and scale, same hours of the day).
+
+// Edit distance between two strings
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function ratio(a, b) {
+  if (!a && !b) return 1;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+function tokens(key) {
+  return key.replace(/[^\p{L}\p{N}\s]/gu, ' ').split(/\s+/).filter(Boolean);
+}
+
+// "b simaundu" against "best simaundu": every initial matches a word of the other name
+// and every full word matches exactly
+function initialsMatch(a, b) {
+  if (a.length !== b.length || a.length < 2) return false;
+  const short = a.some(t => t.length === 1) ? a : b;
+  const long = short === a ? b : a;
+  return short.every((t, i) => (t.length === 1 ? long[i][0] === t : long[i] === t)) && short.some(t => t.length > 1);
+}
+
+// Similarity of two names between 0 and 1, ignoring case, accents, punctuation and word order
+export function nameSimilarity(a, b) {
+  const tokensA = tokens(nameKey(a));
+  const tokensB = tokens(nameKey(b));
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+
+  const direct = ratio(tokensA.join(' '), tokensB.join(' '));
+  const sorted = ratio([...tokensA].sort().join(' '), [...tokensB].sort().join(' '));
+  const initials = initialsMatch(tokensA, tokensB) ? 0.9 : 0;
+  return Math.max(direct, sorted, initials);
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(value => {
+    if (b.has(value)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+// Where and when each person weighs: site/scale pairs and hours of the day, keyed by resolved name
+function activityProfiles(rows, resolvePerson) {
+  const profiles = new Map();
+  rows.forEach(row => {
+    const person = resolvePerson(row.person);
+    if (!person) return;
+    if (!profiles.has(person)) profiles.set(person, { stations: new Set(), hours: new Set(), rows: 0 });
+    const profile = profiles.get(person);
+    profile.rows++;
+    if (row.siteName || row.scaleName) profile.stations.add(`${row.siteName || ''}|${row.scaleName || ''}`);
+    const hour = typeof row.date === 'string' ? Number(row.date.slice(11, 13)) : NaN;
+    if (Number.isInteger(hour)) profile.hours.add(hour);
+  });
+  return profiles;
+}
+
+// Candidate duplicate pairs among `people` (stored person records), most likely first.
+// `rows` are the current dataset and `resolvePerson` maps a row name to its person (see src/names.js).
+// Returns [{ people: [a, b], score, nameScore, activityScore, reasons }]; activityScore is null when either
+// person has no weighings, in which case the score is the name similarity alone.
+export function findDuplicatePeople(people, rows = [], resolvePerson = name => name, options = {}) {
+  const { minNameScore = 0.75, minScore = 0.6 } = options;
+  const profiles = activityProfiles(rows, resolvePerson);
+
+  const pairs = [];
+  for (let i = 0; i < people.length; i++) {
+    for (let j = i + 1; j < people.length; j++) {
+      const a = people[i];
+      const b = people[j];
+      const nameScore = nameSimilarity(a.name, b.name);
+      if (nameScore < minNameScore) continue;
+
+      const reasons = [`Names ${Math.round(nameScore * 100)}% similar`];
+      const profileA = profiles.get(a.name);
+      const profileB = profiles.get(b.name);
+      let activityScore = null;
+      if (profileA && profileB) {
+        const stations = jaccard(profileA.stations, profileB.stations);
+        const hours = jaccard(profileA.hours, profileB.hours);
+        activityScore = (stations + hours) / 2;
+        if (stations > 0) reasons.push('Weighs at the same site and scale');
+        if (hours > 0) reasons.push('Works the same hours');
+      }
+
+      const score = activityScore === null ? nameScore : nameScore * 0.7 + activityScore * 0.3;
+      if (score < minScore) continue;
+      pairs.push({ people: [a, b], score, nameScore, activityScore, reasons });
+    }
+  }
+
+  return pairs.sort((x, y) => y.score - x.score);
+}
@@ -1,97 +1,127 @@
 import * as XLSX from 'xlsx';
+import { buildHeaderMap, normalizeRecord, sheetDateSettings } from './schema';
 
-export async function parseExcelFile(file) {
-  const arrayBuffer = await file.arrayBuffer();
-  const wb = XLSX.read(arrayBuffer, { type: 'array' });
-  const sheetName = wb.SheetNames[0];
-  const sheet = wb.Sheets[sheetName];
-  const json = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: true });
+// Rows are reported in batches so progress messages stay cheap on large exports
+const PROGRESS_BATCH_SIZE = 500;
 
-  // Try to normalize known columns. Users can rename headers; use fuzzy matching.
-  const headerMap = buildHeaderMap(json[0] || {});
+// Read a File into an ArrayBuffer, reporting { phase: 'reading', bytesRead, totalBytes } as chunks arrive
+export async function readFileWithProgress(file, onProgress = () => {}) {
+  const totalBytes = file.size || 0;
 
-  const rows = json.map((row) => {
-    return {
-      person: pickFirstNonEmpty(row['User Full Name'], row[headerMap.person], row['Operator'], row['Person'], row['Name']),
-      group: '',
-      shift: '',
-      impounded: normalizeBool(
-        row['In Detention'] ?? row[headerMap.impounded] ?? row['Impounded']
-      ),
-      date: row[headerMap.date] || row['Date'] || row['Datetime'] || '',
-      truckId: row[headerMap.truck] || row['Truck'] || row['Truck No'] || row['Truck ID'] || '',
-      // Revenue fields
-      amountDue: parseFloat(row['Amount Due'] || row[headerMap.amountDue] || 0),
-      gvmFine: parseFloat(row['GVM Fine'] || row[headerMap.gvmFine] || 0),
-      d1Fine: parseFloat(row['D1 Fine'] || row[headerMap.d1Fine] || 0),
-      d2Fine: parseFloat(row['D2 Fine'] || row[headerMap.d2Fine] || 0),
-      d3Fine: parseFloat(row['D3 Fine'] || row[headerMap.d3Fine] || 0),
-      d4Fine: parseFloat(row['D4 Fine'] || row[headerMap.d4Fine] || 0),
-      awkwardLoadFine: parseFloat(row['Awkward Load Fine'] || row[headerMap.awkwardLoadFine] || 0),
-      amountDueDriver: parseFloat(row['Amount Due Driver'] || row[headerMap.amountDueDriver] || 0),
-      totalRevenue: calculateTotalRevenue(row, headerMap),
-      _raw: row,
-    };
+  if (typeof file.stream === 'function') {
+    const reader = file.stream().getReader();
+    const chunks = [];
+    let bytesRead = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      bytesRead += value.length;
+      onProgress({ phase: 'reading', bytesRead, totalBytes });
+    }
+    const buffer = new Uint8Array(bytesRead);
+    let offset = 0;
+    chunks.forEach((chunk) => {
+      buffer.set(chunk, offset);
+      offset += chunk.length;
+    });
+    return buffer.buffer;
+  }
+
+  if (typeof file.arrayBuffer === 'function') {
+    const buffer = await file.arrayBuffer();
+    onProgress({ phase: 'reading', bytesRead: buffer.byteLength, totalBytes: totalBytes || buffer.byteLength });
+    return buffer;
+  }
+
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onprogress = (e) => onProgress({ phase: 'reading', bytesRead: e.loaded, totalBytes: e.total || totalBytes });
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(file);
   });
+}
 
-  return rows;
+export async function readWorkbook(file, onProgress = () => {}) {
+  const arrayBuffer = await readFileWithProgress(file, onProgress);
+  // XLSX.read is synchronous and gives no progress of its own
+  onProgress({ phase: 'loading' });
+  return XLSX.read(arrayBuffer, { type: 'array' });
 }
 
-function buildHeaderMap(sample) {
-  const keys = Object.keys(sample || {}).map(k => String(k).toLowerCase());
-  function find(...candidates) {
-    const lower = keys;
-    for (const c of candidates) {
-      const idx = lower.findIndex(k => k.includes(c));
-      if (idx >= 0) return Object.keys(sample)[idx];
-    }
-    return undefined;
+// sheet_to_json is the expensive step on large exports, so keep each sheet's result per workbook
+const sheetJsonCache = new WeakMap();
+
+function sheetToJson(wb, sheetName) {
+  const sheet = wb.Sheets[sheetName];
+  if (!sheet) return [];
+  if (!sheetJsonCache.has(wb)) sheetJsonCache.set(wb, new Map());
+  const cache = sheetJsonCache.get(wb);
+  if (!cache.has(sheetName)) {
+    cache.set(sheetName, XLSX.utils.sheet_to_json(sheet, { defval: '', raw: true }));
   }
-  return {
-    person: find('user full name', 'full name', 'operator', 'person', 'name', 'weighed by', 'user'),
-    impounded: find('in detention', 'detention', 'impound', 'seized', 'held'),
-    date: find('date', 'time'),
-    truck: find('truck', 'vehicle', 'plate'),
-    // Revenue field mappings
-    amountDue: find('amount due', 'total due', 'amount owed', 'total owed'),
-    gvmFine: find('gvm fine', 'gross vehicle mass fine'),
-    d1Fine: find('d1 fine', 'd1fine'),
-    d2Fine: find('d2 fine', 'd2fine'),
-    d3Fine: find('d3 fine', 'd3fine'),
-    d4Fine: find('d4 fine', 'd4fine'),
-    awkwardLoadFine: find('awkward load fine', 'awkward fine'),
-    amountDueDriver: find('amount due driver', 'driver amount', 'driver fine'),
-  };
+  return cache.get(sheetName);
 }
 
-function calculateTotalRevenue(row, headerMap) {
-  const amountDue = parseFloat(row['Amount Due'] || row[headerMap.amountDue] || 0);
-  const gvmFine = parseFloat(row['GVM Fine'] || row[headerMap.gvmFine] || 0);
-  const d1Fine = parseFloat(row['D1 Fine'] || row[headerMap.d1Fine] || 0);
-  const d2Fine = parseFloat(row['D2 Fine'] || row[headerMap.d2Fine] || 0);
-  const d3Fine = parseFloat(row['D3 Fine'] || row[headerMap.d3Fine] || 0);
-  const d4Fine = parseFloat(row['D4 Fine'] || row[headerMap.d4Fine] || 0);
-  const awkwardLoadFine = parseFloat(row['Awkward Load Fine'] || row[headerMap.awkwardLoadFine] || 0);
-  const amountDueDriver = parseFloat(row['Amount Due Driver'] || row[headerMap.amountDueDriver] || 0);
-  
-  return amountDue + gvmFine + d1Fine + d2Fine + d3Fine + d4Fine + awkwardLoadFine + amountDueDriver;
+// Wrap already parsed records (e.g. from a CSV file) as a workbook, so sheet summaries and
+// parseWorkbook treat them exactly like an Excel sheet
+export function workbookFromRecords(sheets) {
+  const wb = { SheetNames: [], Sheets: {} };
+  const cache = new Map();
+  sheets.forEach(({ name, records }) => {
+    wb.SheetNames.push(name);
+    wb.Sheets[name] = {};
+    cache.set(name, records);
+  });
+  sheetJsonCache.set(wb, cache);
+  return wb;
 }
 
-function normalizeBool(value) {
-  if (typeof value === 'boolean') return value;
-  if (typeof value === 'number') return value !== 0;
-  const s = String(value || '').trim().toLowerCase();
-  if (s === 'yes' || s === 'true' || s === '1' || s === 'y') return true;
-  return false;
+// Row counts and a header preview for every sheet, used by the sheet picker in Upload
+export function getSheetSummaries(wb) {
+  return (wb.SheetNames || []).map((name) => {
+    const json = sheetToJson(wb, name);
+    return {
+      name,
+      rowCount: json.length,
+      headers: Object.keys(json[0] || {}),
+      sample: json[0] || null,
+    };
+  });
 }
 
-function pickFirstNonEmpty(...values) {
-  for (const v of values) {
-    if (v === undefined || v === null) continue;
-    const s = String(v);
-    if (s.trim().length > 0) return v;
+// Parse the selected sheets of an already loaded workbook. Defaults to the first sheet.
+// `overrides` maps field keys to a column name, or null to leave the field unmapped.
+// `dateSettings` configures date parsing (see src/dates.js), `revenueSettings` the revenue definition (see src/revenue.js).
+// `onProgress` receives { phase: 'parsing', rowsParsed, totalRows }; `shouldCancel` is polled after each batch.
+export function parseWorkbook(wb, options = {}) {
+  const { onProgress = () => {}, shouldCancel = () => false } = options;
+  const sheetNames = options.sheets && options.sheets.length > 0
+    ? options.sheets.filter(name => (wb.SheetNames || []).includes(name))
+    : [wb.SheetNames[0]];
+
+  const sheets = sheetNames.map(name => ({ name, json: sheetToJson(wb, name) }));
+  const totalRows = sheets.reduce((sum, sheet) => sum + sheet.json.length, 0);
+
+  const rows = [];
+  for (const sheet of sheets) {
+    // Headers can differ between sheets, so map each sheet separately
+    const headerMap = buildHeaderMap(Object.keys(sheet.json[0] || {}), options.overrides);
+    const dateSettings = sheetDateSettings(sheet.json, headerMap, options.dateSettings);
+    sheet.json.forEach((record) => {
+      rows.push(normalizeRecord(record, headerMap, { sheet: sheet.name, dateSettings, revenueSettings: options.revenueSettings }));
+      if (rows.length % PROGRESS_BATCH_SIZE === 0) {
+        onProgress({ phase: 'parsing', rowsParsed: rows.length, totalRows });
+        if (shouldCancel()) throw new DOMException('Parsing cancelled', 'AbortError');
+      }
+    });
   }
-  return '';
+  onProgress({ phase: 'parsing', rowsParsed: rows.length, totalRows });
+  return rows;
 }
 
-
+export async function parseExcelFile(file, options = {}) {
+  const wb = await readWorkbook(file, options.onProgress);
+  return parseWorkbook(wb, options);
+}
@@ -0,0 +1,94 @@
+// Reader for the Excel "Web Page" (.html/.htm) variant of the weighbridge export.
+// Same rules as scripts/aggregate_html.js: the header row is the first <tr> styled xl65,
+// data rows follow it and cells come from <td>. Regex based, so it also runs in the parser worker
+// where DOMParser is not available.
+import { decodeText, uniqueHeaders } from './csv';
+
+const ROW_RE = /<tr[\s\S]*?>[\s\S]*?<\/tr>/gi;
+const CELL_RE = /<td([^>]*)>([\s\S]*?)<\/td>/gi;
+const NUM_ATTR_RE = /x:num="([^"]*)"/i;
+const CHARSET_RE = /<meta[^>]+charset=["']?([\w-]+)/i;
+const HEADER_CLASS = 'xl65';
+const MIN_CELLS = 3;
+
+const ENTITIES = { nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    const named = ENTITIES[entity.toLowerCase()];
+    return named === undefined ? match : named;
+  });
+}
+
+export function stripTags(s) {
+  return decodeEntities(s.replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+// Excel writes the underlying value of numeric and date cells to x:num, e.g. the date serial
+// behind "6/30/2025 12:13:17 AM". Prefer it over the displayed text.
+function cellValue(attributes, content) {
+  const num = NUM_ATTR_RE.exec(attributes);
+  if (num && num[1] !== '' && Number.isFinite(Number(num[1]))) return Number(num[1]);
+  return stripTags(content);
+}
+
+function extractCells(rowHtml) {
+  const cells = [];
+  CELL_RE.lastIndex = 0;
+  let m;
+  while ((m = CELL_RE.exec(rowHtml)) !== null) {
+    cells.push({ attributes: m[1], content: m[2] });
+  }
+  return cells;
+}
+
+// Parse the export table into header-keyed records like XLSX's sheet_to_json
+export function parseHtmlTable(html) {
+  const rows = html.match(ROW_RE) || [];
+  if (rows.length === 0) throw new Error('No table rows found in HTML file');
+
+  let headerIndex = rows.findIndex(row => row.includes(HEADER_CLASS));
+  if (headerIndex < 0) headerIndex = 0;
+
+  const headers = uniqueHeaders(extractCells(rows[headerIndex]).map(cell => stripTags(cell.content)));
+  if (headers.length === 0) throw new Error('No headers found in HTML file');
+
+  const records = [];
+  rows.slice(headerIndex + 1).forEach(row => {
+    const cells = extractCells(row);
+    if (cells.length < MIN_CELLS) return;
+    const record = {};
+    headers.forEach((header, i) => {
+      record[header] = cells[i] ? cellValue(cells[i].attributes, cells[i].content) : '';
+    });
+    records.push(record);
+  });
+
+  return { headers, records };
+}
+
+// Honour the page's declared charset, which Excel sets to windows-1252 on most station PCs
+export function decodeHtml(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const detected = decodeText(bytes);
+  const charset = CHARSET_RE.exec(detected.text.slice(0, 2048));
+  if (!charset || detected.encoding.startsWith('utf-16')) return detected;
+
+  try {
+    const encoding = charset[1].toLowerCase();
+    return { text: new TextDecoder(encoding).decode(bytes), encoding };
+  } catch (e) {
+    return detected;
+  }
+}
+
+export function parseHtmlBuffer(buffer) {
+  const { text, encoding } = decodeHtml(buffer);
+  return { ...parseHtmlTable(text), encoding };
+}
@@ -0,0 +1,72 @@
+import { headerSignature } from './schema';
+import { validateRows } from './validation';
+import { nameKey } from './names';
+import { buildImportPreview } from './preview';
+
+// Steps shared by the single-file upload and the batch queue: storing parsed rows and, for the queue,
+// reading files with default choices and previewing the whole batch before anything is stored.
+
+// Store parsed rows. 'append' merges them into the current dataset, 'replace' starts a new one.
+// `meta.fileName` names the upload in the history.
+// Resolves with the dataset now stored and the { added, updated, unchanged } counts of the upload.
+export async function saveUploadRows(db, rows, mode, meta = {}) {
+  let result;
+  if (mode === 'append') {
+    const { rows: dataset, added, updated, unchanged } = await db.appendExcelData(rows, meta);
+    result = { dataset, added, updated, unchanged };
+  } else {
+    await db.saveExcelData(rows, meta);
+    result = { dataset: rows, added: rows.length, updated: 0, unchanged: 0 };
+  }
+
+  // Extract unique people names and add them to the database in one transaction; spelling variants count
+  // once (see src/names.js)
+  const uniquePeople = [...new Map(rows.filter(row => row.person).map(row => [nameKey(row.person), row.person])).values()];
+  try {
+    await db.bulkUpsertPeople(uniquePeople.map(name => ({ name })));
+  } catch (error) {
+    console.error('Failed to store people:', error);
+  }
+
+  return result;
+}
+
+// Read one file with default choices: every sheet with rows, the saved mapping profile that matches its
+// headers (or auto-detection), and rows with validation errors left out. Nothing is written; the batch
+// queue previews the result with previewBatch and stores it with saveUploadRows once confirmed.
+// `session` is a parser session from createParserSession.
+export async function prepareFileUnattended(file, { db, session, dateSettings, revenueSettings, onProgress = () => {} }) {
+  const summaries = await session.inspect(file, onProgress);
+  const sheets = summaries.filter(s => s.rowCount > 0);
+  if (sheets.length === 0) throw new Error('No rows found in file');
+
+  const profile = await db.findMappingProfileBySignature(headerSignature(sheets[0].headers));
+  const rows = await session.parse(
+    { sheets: sheets.map(s => s.name), overrides: profile ? { ...profile.mapping } : {}, dateSettings, revenueSettings },
+    onProgress
+  );
+
+  const validation = validateRows(rows, { dateSettings });
+  const importable = rows.filter((row, index) => validation.results[index].errors.length === 0);
+
+  return {
+    rows,
+    validation,
+    profileName: profile ? profile.name : null,
+    importable,
+  };
+}
+
+// Dry run of a batch stored in order, each file on top of the ones before it: `mode` applies to the first
+// file and the rest are appended, as the queue saves them. `batch` holds the importable rows of each file.
+// Returns one buildImportPreview result per file.
+export function previewBatch(existingRows, batch, resolver, mode, revenueSettings, nameSettings) {
+  const previews = [];
+  let rows = existingRows;
+  batch.forEach((importable, index) => {
+    const preview = buildImportPreview(rows, importable, resolver, index === 0 ? mode : 'append', revenueSettings, nameSettings);
+    previews.push(preview);
+    rows = preview.rows;
+  });
+  return previews;
+}
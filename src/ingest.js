@@ -0,0 +1,55 @@
+import { mergeRows } from './merge';
+
+// File-backed row store for the watch-folder mode (scripts/watch_exports.js). The store is plain JSON:
+//   { version, files: [{ name, hash, size, rows, added, updated, ingestedAt }], rows: [...] }
+// Each export is recorded by content hash, so a file copied in twice or saved again unchanged is skipped,
+// and its rows are merged by Id / Ticket SN like append uploads, so overlapping exports count once.
+
+export const INGEST_STORE_VERSION = 1;
+
+export function createIngestStore() {
+  return { version: INGEST_STORE_VERSION, files: [], rows: [] };
+}
+
+// Check a store read back from disk
+export function validateIngestStore(data) {
+  if (!data || !Array.isArray(data.files) || !Array.isArray(data.rows)) {
+    throw new Error('Not a weighbridge store file');
+  }
+  if (data.version > INGEST_STORE_VERSION) {
+    throw new Error(`Store version ${data.version} is newer than this tool (${INGEST_STORE_VERSION})`);
+  }
+  return data;
+}
+
+// Rows as they read back from JSON: without the raw sheet record, and with NaN as null, so an unchanged
+// row compares equal to its stored copy
+export function toStoredRows(rows) {
+  return JSON.parse(JSON.stringify(rows.map(({ _raw, ...row }) => row)));
+}
+
+// Add the rows of one export file. `file` is { name, hash, size }. Returns the new store and what happened:
+// { status: 'duplicate' } when a file with the same content was ingested before, otherwise
+// { status: 'ingested', added, updated, unchanged }.
+export function ingestFile(store, file, rows) {
+  const previous = store.files.find(entry => entry.hash === file.hash);
+  if (previous) {
+    return { store, result: { status: 'duplicate', name: file.name, duplicateOf: previous.name } };
+  }
+
+  const merged = mergeRows(store.rows, toStoredRows(rows));
+  const { added, updated, unchanged } = merged;
+  const entry = {
+    name: file.name,
+    hash: file.hash,
+    size: file.size,
+    rows: rows.length,
+    added,
+    updated,
+    ingestedAt: new Date().toISOString(),
+  };
+  return {
+    store: { ...store, files: [...store.files, entry], rows: merged.rows },
+    result: { status: 'ingested', name: file.name, added, updated, unchanged },
+  };
+}
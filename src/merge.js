@@ -0,0 +1,85 @@
+// Row-level merge for append-mode uploads. Rows are matched on the export's Id, or on
+// Ticket SN when the Id is missing, so overlapping date ranges do not double count.
+
+// Bookkeeping fields that do not make a row "changed"
+const IGNORED_FIELDS = new Set(['_raw', '_invalid', '_ambiguous', 'sheet', 'group', 'shift']);
+
+function idKey(row) {
+  const id = row.recordId === undefined || row.recordId === null ? '' : String(row.recordId).trim();
+  return id ? `id:${id}` : null;
+}
+
+function ticketKey(row) {
+  const sn = row.ticketSn === undefined || row.ticketSn === null ? '' : String(row.ticketSn).trim();
+  return sn ? `sn:${sn}` : null;
+}
+
+// Identity of a row, or null when it has neither Id nor Ticket SN
+export function rowKey(row) {
+  return idKey(row) || ticketKey(row);
+}
+
+function sameValue(a, b) {
+  return a === b || (Number.isNaN(a) && Number.isNaN(b));
+}
+
+// Fields whose values differ between two versions of a row
+export function changedFields(a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].filter(key => !IGNORED_FIELDS.has(key) && !sameValue(a[key], b[key]));
+}
+
+export function rowsEqual(a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  for (const key of keys) {
+    if (IGNORED_FIELDS.has(key)) continue;
+    if (!sameValue(a[key], b[key])) return false;
+  }
+  return true;
+}
+
+// Merge incoming rows into an existing dataset. Matched rows are replaced in place, new rows are
+// appended and rows without an Id or Ticket SN are always added since they cannot be matched.
+// Returns the merged rows, { added, updated, unchanged } counts for the incoming rows and, for each
+// updated row, the stored and incoming versions in `changes`.
+export function mergeRows(existing, incoming) {
+  const rows = [...existing];
+  const byId = new Map();
+  const byTicket = new Map();
+  const counts = { added: 0, updated: 0, unchanged: 0 };
+  const changes = [];
+
+  function remember(row, index) {
+    const id = idKey(row);
+    const sn = ticketKey(row);
+    if (id) byId.set(id, index);
+    if (sn) byTicket.set(sn, index);
+  }
+
+  rows.forEach(remember);
+
+  incoming.forEach((row) => {
+    const id = idKey(row);
+    const sn = ticketKey(row);
+    // Several weighings can share a ticket, so a row with an Id is only ever matched on its Id
+    let index = -1;
+    if (id) index = byId.has(id) ? byId.get(id) : -1;
+    else if (sn && byTicket.has(sn)) index = byTicket.get(sn);
+
+    if (index < 0) {
+      rows.push(row);
+      remember(row, rows.length - 1);
+      counts.added++;
+    } else if (rowsEqual(rows[index], row)) {
+      counts.unchanged++;
+    } else {
+      changes.push({ before: rows[index], after: row });
+      // Keep assignments made on the stored row
+      rows[index] = { ...row, group: rows[index].group || row.group, shift: rows[index].shift || row.shift };
+      remember(rows[index], index);
+      counts.updated++;
+    }
+  });
+
+  return { rows, ...counts, changes };
+}
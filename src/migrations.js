@@ -0,0 +1,236 @@
+// Schema migrations for WeighbridgeDB. Each step upgrades the database from `version - 1` to `version`
+// inside the upgrade transaction: it can create stores and indexes and rewrite existing records.
+// Steps run in version order, each after the requests of the previous one have finished, and every step
+// that runs is recorded in the `migrations` store. To change the schema, append a step; never edit one
+// that has shipped, since databases that already ran it will not run it again.
+
+import { nameKey } from './names';
+import { rowSite } from './sites';
+
+// Calls `update` on every record of `store` and writes back the records it returns. Resolves when done.
+export function rewriteRecords(store, update) {
+  return new Promise((resolve, reject) => {
+    const request = store.openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      const updated = update(cursor.value);
+      if (updated) cursor.update(updated);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Upload records of the current dataset: the active ones, or else the latest one (as
+// WeighbridgeDB.readActiveUploads), oldest first
+function readCurrentUploads(excelStore) {
+  return new Promise((resolve, reject) => {
+    const sorted = records => records.sort((a, b) => a.uploadDate.localeCompare(b.uploadDate));
+    const activeRequest = excelStore.index('active').getAll(1);
+    activeRequest.onsuccess = () => {
+      if (activeRequest.result.length > 0) {
+        resolve(sorted(activeRequest.result));
+        return;
+      }
+      const latestRequest = excelStore.index('uploadDate').openCursor(null, 'prev');
+      latestRequest.onsuccess = () => resolve(latestRequest.result ? [latestRequest.result.value] : []);
+      latestRequest.onerror = () => reject(latestRequest.error);
+    };
+    activeRequest.onerror = () => reject(activeRequest.error);
+  });
+}
+
+// Step 8 keeps its own copies of the row merge (src/merge.js) and the weighing record (src/weighings.js),
+// so later changes there do not change what it does.
+
+const rowText = (value) => (value === undefined || value === null ? '' : String(value).trim());
+const MERGE_IGNORED_FIELDS = new Set(['_raw', '_invalid', '_ambiguous', 'sheet', 'group', 'shift']);
+
+// Rows of `records` merged in order: a later row replaces the one with its Id, or with its Ticket SN when it
+// has no Id, keeping its group and shift
+function mergeUploadRows(records) {
+  const rows = [];
+  const byId = new Map();
+  const byTicket = new Map();
+  const remember = (row, index) => {
+    if (rowText(row.recordId)) byId.set(rowText(row.recordId), index);
+    if (rowText(row.ticketSn)) byTicket.set(rowText(row.ticketSn), index);
+  };
+  const same = (a, b) => [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .every(key => MERGE_IGNORED_FIELDS.has(key) || a[key] === b[key] || (Number.isNaN(a[key]) && Number.isNaN(b[key])));
+
+  records.forEach(record => (record.data || []).forEach(row => {
+    const id = rowText(row.recordId);
+    const sn = rowText(row.ticketSn);
+    let index = -1;
+    if (id) index = byId.has(id) ? byId.get(id) : -1;
+    else if (sn && byTicket.has(sn)) index = byTicket.get(sn);
+    if (index < 0) {
+      rows.push(row);
+      remember(row, rows.length - 1);
+    } else if (!same(rows[index], row)) {
+      rows[index] = { ...row, group: rows[index].group || row.group, shift: rows[index].shift || row.shift };
+      remember(rows[index], index);
+    }
+  }));
+  return rows;
+}
+
+function weighingRecord(row) {
+  const record = {
+    row,
+    person: nameKey(row.person),
+    vehicle: rowText(row.truckId),
+    site: rowSite(row),
+    ticketSn: rowText(row.ticketSn),
+    impounded: row.impounded ? 1 : 0
+  };
+  if (row.date) record.date = row.date;
+  return record;
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'Create people, groups, shifts and excelData',
+    migrate(db) {
+      const peopleStore = db.createObjectStore('people', { keyPath: 'id', autoIncrement: true });
+      peopleStore.createIndex('name', 'name', { unique: true });
+      peopleStore.createIndex('group', 'group', { unique: false });
+      peopleStore.createIndex('shift', 'shift', { unique: false });
+
+      const groupsStore = db.createObjectStore('groups', { keyPath: 'id', autoIncrement: true });
+      groupsStore.createIndex('name', 'name', { unique: true });
+
+      const shiftsStore = db.createObjectStore('shifts', { keyPath: 'id', autoIncrement: true });
+      shiftsStore.createIndex('name', 'name', { unique: true });
+
+      const excelStore = db.createObjectStore('excelData', { keyPath: 'id', autoIncrement: true });
+      excelStore.createIndex('uploadDate', 'uploadDate', { unique: false });
+    }
+  },
+  {
+    version: 2,
+    name: 'Add mappingProfiles',
+    migrate(db) {
+      // Saved column mappings, matched by header signature
+      const profilesStore = db.createObjectStore('mappingProfiles', { keyPath: 'id', autoIncrement: true });
+      profilesStore.createIndex('name', 'name', { unique: true });
+      profilesStore.createIndex('signature', 'signature', { unique: false });
+    }
+  },
+  {
+    version: 3,
+    name: 'Index active uploads',
+    migrate(db, transaction) {
+      // Uploads that make up the current dataset carry active: 1 (booleans cannot be index keys)
+      transaction.objectStore('excelData').createIndex('active', 'active', { unique: false });
+    }
+  },
+  {
+    version: 4,
+    name: 'Add aliases',
+    migrate(db) {
+      // Variant spellings of a person's name, keyed by nameKey (see src/names.js)
+      const aliasesStore = db.createObjectStore('aliases', { keyPath: 'key' });
+      aliasesStore.createIndex('personId', 'personId', { unique: false });
+    }
+  },
+  {
+    version: 5,
+    name: 'Index people, groups and shifts by site',
+    migrate(db, transaction) {
+      // People, groups and shifts can be scoped to a site (see src/sites.js)
+      ['people', 'groups', 'shifts'].forEach(storeName => {
+        transaction.objectStore(storeName).createIndex('site', 'site', { unique: false });
+      });
+    }
+  },
+  {
+    version: 6,
+    name: 'Record applied migrations',
+    migrate(db) {
+      db.createObjectStore('migrations', { keyPath: 'version' });
+    }
+  },
+  {
+    version: 7,
+    name: 'Give people, groups and shifts from before sites an empty site',
+    migrate(db, transaction) {
+      // Records without the field are missing from the site index
+      return Promise.all(['people', 'groups', 'shifts'].map(storeName =>
+        rewriteRecords(transaction.objectStore(storeName), record => (record.site === undefined ? { ...record, site: '' } : null))
+      ));
+    }
+  },
+  {
+    version: 8,
+    name: 'Add weighings, one record per row of the current dataset',
+    migrate(db, transaction) {
+      const weighingsStore = db.createObjectStore('weighings', { keyPath: 'id', autoIncrement: true });
+      ['date', 'person', 'vehicle', 'site', 'ticketSn', 'impounded'].forEach(index => weighingsStore.createIndex(index, index, { unique: false }));
+
+      // Fill it from the current dataset
+      return readCurrentUploads(transaction.objectStore('excelData')).then(records => {
+        mergeUploadRows(records).forEach(row => weighingsStore.add(weighingRecord(row)));
+      });
+    }
+  },
+  {
+    version: 9,
+    name: 'Index people by name key',
+    migrate(db, transaction) {
+      // Spelling variants of a name share a key (see src/names.js); not unique, since records from before
+      // names were normalized may share one
+      const peopleStore = transaction.objectStore('people');
+      peopleStore.createIndex('nameKey', 'nameKey', { unique: false });
+      return rewriteRecords(peopleStore, person => ({ ...person, nameKey: nameKey(person.name) }));
+    }
+  },
+  {
+    version: 10,
+    name: 'Create the audit log',
+    migrate(db) {
+      // Append-only: entries are added with the change they record and never updated or deleted (see src/audit.js)
+      const auditStore = db.createObjectStore('auditLog', { keyPath: 'id', autoIncrement: true });
+      auditStore.createIndex('timestamp', 'timestamp', { unique: false });
+      auditStore.createIndex('entity', 'entity', { unique: false });
+      auditStore.createIndex('action', 'action', { unique: false });
+    }
+  }
+];
+
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Runs the steps after `oldVersion` up to `newVersion` in the upgrade transaction and records them.
+// When the migrations store is created in this upgrade, the steps an earlier version of the app applied
+// are recorded too, with appliedAt null. Rejects with the error of the first step that fails; the caller
+// should then abort the transaction so the database stays at `oldVersion`.
+export async function runMigrations(db, transaction, oldVersion, newVersion = LATEST_VERSION, migrations = MIGRATIONS) {
+  const hadLog = db.objectStoreNames.contains('migrations');
+  const pending = migrations.filter(m => m.version > oldVersion && m.version <= newVersion);
+
+  const applied = [];
+  for (const migration of pending) {
+    try {
+      await migration.migrate(db, transaction);
+    } catch (error) {
+      throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+    }
+    applied.push({ version: migration.version, name: migration.name, appliedAt: new Date().toISOString() });
+  }
+
+  if (!db.objectStoreNames.contains('migrations')) return applied;
+  const log = transaction.objectStore('migrations');
+  if (!hadLog) {
+    migrations
+      .filter(m => m.version <= oldVersion)
+      .forEach(m => log.put({ version: m.version, name: m.name, appliedAt: null }));
+  }
+  applied.forEach(entry => log.put(entry));
+  return applied;
+}
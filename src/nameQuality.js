@@ -0,0 +1,61 @@
+import { nameKey, normalizeName } from './names';
+
+// Values in the "User Full Name" column that are not a person: blanks, "None", "-", shared accounts like
+// "ADMIN". Uploads, the people store, assignments and analytics all skip them through this module, and
+// Management → Names lists what was rejected so the rules can be adjusted.
+
+// denylist: names rejected outright, compared like person names (case, spacing and accents ignored)
+// patterns: regular expressions (case-insensitive) a name is rejected for matching
+// allowlist: names accepted even when the denylist or a pattern rejects them
+export const DEFAULT_NAME_QUALITY_SETTINGS = {
+  denylist: ['n/a', 'na', 'none', 'null', 'nil', 'unknown', '-', 'admin', 'administrator', 'system', 'test', 'user', 'operator'],
+  patterns: ['^n\\.?\\s*a\\.?$', '^[^\\p{L}]*$', '^(user|operator|admin)\\s*\\d+$'],
+  allowlist: [],
+};
+
+// Compiled pattern, or null when it is not a valid regular expression
+export function compilePattern(pattern) {
+  try {
+    return new RegExp(pattern, 'iu');
+  } catch (e) {
+    return null;
+  }
+}
+
+// Checker for the given settings: returns the reason a name is rejected, or null when it is a valid person name.
+// Build it once and reuse it when checking many rows.
+export function createNameCheck(settings) {
+  const options = { ...DEFAULT_NAME_QUALITY_SETTINGS, ...(settings || {}) };
+  const denied = new Set(options.denylist.map(nameKey));
+  const allowed = new Set(options.allowlist.map(nameKey));
+  const patterns = options.patterns.map(pattern => ({ pattern, re: compilePattern(pattern) })).filter(p => p.re);
+
+  return (name) => {
+    const key = nameKey(name);
+    if (!key) return 'Blank';
+    if (allowed.has(key)) return null;
+    if (denied.has(key)) return 'On the denylist';
+    const match = patterns.find(p => p.re.test(normalizeName(name)));
+    return match ? `Matches /${match.pattern}/` : null;
+  };
+}
+
+export function isValidPersonName(name, settings) {
+  return createNameCheck(settings)(name) === null;
+}
+
+// Rejected values of the person column in `rows`: [{ name, reason, count }], most frequent first.
+// Blank cells are counted under the name ''.
+export function collectRejectedNames(rows, settings) {
+  const check = createNameCheck(settings);
+  const rejected = new Map();
+  rows.forEach(row => {
+    const reason = check(row.person);
+    if (!reason) return;
+    const name = normalizeName(row.person);
+    const key = nameKey(name);
+    if (!rejected.has(key)) rejected.set(key, { name, reason, count: 0 });
+    rejected.get(key).count++;
+  });
+  return [...rejected.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
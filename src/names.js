@@ -0,0 +1,63 @@
+// Person names in exports differ in spacing, case and Unicode form ("Best Simaundu", "best  simaundu",
+// "BEST SIMAUNDU" with a non-breaking space). Everything that groups or looks up people goes through
+// this module: normalizeName cleans a name for display, nameKey gives the form names are compared by,
+// and a name resolver maps known variants and aliases to one canonical person.
+
+// Zero-width characters and the byte-order mark carry no meaning in a name
+const INVISIBLE_RE = /[\u200B-\u200D\u2060\uFEFF]/g;
+const COMBINING_MARKS_RE = /[\u0300-\u036f]/g;
+
+// Name as it should be stored and shown: compatibility-normalized (full-width letters, non-breaking
+// spaces) with whitespace collapsed. Case is kept as typed.
+export function normalizeName(name) {
+  if (name === undefined || name === null) return '';
+  return String(name)
+    .normalize('NFKC')
+    .replace(INVISIBLE_RE, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Comparison key: case and accents are ignored, so "Chisenga Mulenga" and "CHISENGA MULÉNGA" match
+export function nameKey(name) {
+  return normalizeName(name)
+    .normalize('NFD')
+    .replace(COMBINING_MARKS_RE, '')
+    .toLowerCase();
+}
+
+// Resolver over the stored people and aliases ({ key, alias, personId }, see WeighbridgeDB.addAlias).
+// resolve(name) returns the canonical person name for a known name or alias; an unknown name resolves to
+// the first spelling seen for its key, so variants that differ only in spacing or case still group together.
+// Names `accept` returns false for (placeholders like "None", see src/nameQuality.js) resolve to ''.
+export function createNameResolver(people = [], aliases = [], accept = () => true) {
+  const canonical = new Map();
+  const byId = new Map();
+  people.forEach(person => {
+    const name = normalizeName(person.name);
+    byId.set(person.id, name);
+    canonical.set(nameKey(name), name);
+  });
+  aliases.forEach(alias => {
+    const name = byId.get(alias.personId);
+    if (name) canonical.set(alias.key, name);
+  });
+
+  const known = new Set(canonical.keys());
+  const seen = new Map();
+
+  function resolve(name) {
+    const key = nameKey(name);
+    if (!key || !accept(name)) return '';
+    if (canonical.has(key)) return canonical.get(key);
+    if (!seen.has(key)) seen.set(key, normalizeName(name));
+    return seen.get(key);
+  }
+
+  // True when the name matches a stored person or alias
+  function isKnown(name) {
+    return known.has(nameKey(name));
+  }
+
+  return { resolve, isKnown };
+}
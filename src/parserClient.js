@@ -0,0 +1,149 @@
+import { getSheetSummaries, parseWorkbook } from './excel';
+import { readSource } from './sources';
+
+export function isCancelled(error) {
+  return !!error && error.name === 'AbortError';
+}
+
+function cancelledError() {
+  return new DOMException('Parsing cancelled', 'AbortError');
+}
+
+// Parses one file off the main thread. inspect() reads the workbook and returns sheet summaries,
+// parse() turns the selected sheets into rows. Both report progress and can be cancelled.
+// Falls back to parsing on the main thread where Web Workers are unavailable (e.g. tests).
+export function createParserSession() {
+  const useWorker = typeof Worker !== 'undefined';
+  let file = null;
+  let worker = null;
+  let workerHasWorkbook = false;
+  let workbook = null;
+  let pending = null;
+  let cancelRequested = false;
+  let nextId = 1;
+
+  async function getWorker() {
+    if (!worker) {
+      const { default: createParserWorker } = await import('./workers/createParserWorker');
+      worker = createParserWorker();
+      workerHasWorkbook = false;
+    }
+    return worker;
+  }
+
+  async function request(type, payload, onProgress) {
+    const target = await getWorker();
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      pending = { reject };
+      target.onmessage = (event) => {
+        const message = event.data;
+        if (message.id !== id) return;
+        if (message.type === 'progress') {
+          onProgress(message.progress);
+          return;
+        }
+        pending = null;
+        if (message.type === 'result') resolve(message.result);
+        else reject(new Error(message.message));
+      };
+      target.onerror = (event) => {
+        pending = null;
+        reject(new Error(event.message || 'Parser worker failed'));
+      };
+      target.postMessage({ id, type, ...payload });
+    });
+  }
+
+  async function inspect(nextFile, onProgress = () => {}) {
+    file = nextFile;
+    cancelRequested = false;
+    if (useWorker) {
+      const summaries = await request('inspect', { file }, onProgress);
+      workerHasWorkbook = true;
+      return summaries;
+    }
+    workbook = await readSource(file, onProgress);
+    if (cancelRequested) throw cancelledError();
+    return getSheetSummaries(workbook);
+  }
+
+  async function parse(options = {}, onProgress = () => {}) {
+    cancelRequested = false;
+    if (useWorker) {
+      // A cancelled worker is discarded with its workbook, so read the file again first
+      if (!workerHasWorkbook) {
+        await request('inspect', { file }, onProgress);
+        workerHasWorkbook = true;
+      }
+      return request('parse', { options }, onProgress);
+    }
+    if (!workbook) workbook = await readSource(file, onProgress);
+    return parseWorkbook(workbook, { ...options, onProgress, shouldCancel: () => cancelRequested });
+  }
+
+  function cancel() {
+    cancelRequested = true;
+    if (worker) {
+      worker.terminate();
+      worker = null;
+      workerHasWorkbook = false;
+    }
+    if (pending) {
+      pending.reject(cancelledError());
+      pending = null;
+    }
+  }
+
+  function dispose() {
+    cancel();
+    file = null;
+    workbook = null;
+  }
+
+  return { inspect, parse, cancel, dispose };
+}
+
+// Progress messages ({ phase, ... }) from inspect/parse, plus the 'saving' and 'done' phases
+// callers add while storing rows, turned into a bar position and a label
+
+function formatMegabytes(bytes) {
+  return (bytes / 1024 / 1024).toFixed(2);
+}
+
+// Reading the file fills the first 40% of the bar, parsing rows the next 50% and saving the rest
+export function progressPercent(progress) {
+  if (!progress) return 0;
+  switch (progress.phase) {
+    case 'reading':
+      return progress.totalBytes ? Math.round((progress.bytesRead / progress.totalBytes) * 40) : 0;
+    case 'loading':
+      return 40;
+    case 'parsing':
+      return 40 + (progress.totalRows ? Math.round((progress.rowsParsed / progress.totalRows) * 50) : 50);
+    case 'saving':
+      return 90;
+    case 'done':
+      return 100;
+    default:
+      return 0;
+  }
+}
+
+export function progressLabel(progress) {
+  if (!progress) return 'Processing file...';
+  switch (progress.phase) {
+    case 'reading':
+      return `Reading file... ${formatMegabytes(progress.bytesRead)} of ${formatMegabytes(progress.totalBytes)} MB`;
+    case 'loading':
+      return 'Opening workbook...';
+    case 'parsing':
+      return `Parsing rows... ${progress.rowsParsed.toLocaleString()} of ${progress.totalRows.toLocaleString()}`;
+    case 'saving':
+      return 'Saving to database...';
+    case 'done':
+      return 'Upload complete!';
+    default:
+      return 'Processing file...';
+  }
+}
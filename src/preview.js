@@ -0,0 +1,86 @@
+import { mergeRows, changedFields, rowKey } from './merge';
+import { rowRevenue } from './revenue';
+import { collectRejectedNames } from './nameQuality';
+
+// Dry run of an upload against the stored dataset: what would be written, without writing anything.
+
+function revenueByPerson(rows, resolver, revenueSettings) {
+  const totals = new Map();
+  rows.forEach(row => {
+    const person = resolver.resolve(row.person);
+    if (!person) return;
+    totals.set(person, (totals.get(person) || 0) + rowRevenue(row, revenueSettings));
+  });
+  return totals;
+}
+
+// Preview of storing `incoming` in `mode` ('append' | 'replace') on top of `existingRows`.
+// `resolver` is a name resolver over the stored people and aliases (see src/names.js), so names are matched
+// the way addPersonIfNotExists matches them, and should resolve rejected names to ''. Revenue follows
+// `revenueSettings` (see src/revenue.js), rejected names follow `nameSettings` (see src/nameQuality.js).
+// Returns {
+//   rows: the dataset after the upload,
+//   added, updated, unchanged, removed: row counts (removed is the stored rows a replace drops),
+//   addedRows, changes: [{ key, before, after, fields }],
+//   newPeople: names that would be created,
+//   rejectedNames: [{ name, reason, count }] person values that are not stored as people,
+//   revenue: [{ person, before, after, delta }] for every person whose revenue changes, largest change first,
+//   revenueBefore, revenueAfter
+// }
+export function buildImportPreview(existingRows, incoming, resolver, mode, revenueSettings, nameSettings) {
+  let preview;
+  if (mode === 'append') {
+    const merged = mergeRows(existingRows, incoming);
+    preview = {
+      rows: merged.rows,
+      added: merged.added,
+      updated: merged.updated,
+      unchanged: merged.unchanged,
+      removed: 0,
+      // New rows are appended after the stored ones
+      addedRows: merged.rows.slice(existingRows.length),
+      changes: merged.changes.map(({ before, after }) => ({
+        key: rowKey(after),
+        before,
+        after,
+        fields: changedFields(before, after),
+      })),
+    };
+  } else {
+    preview = {
+      rows: incoming,
+      added: incoming.length,
+      updated: 0,
+      unchanged: 0,
+      removed: existingRows.length,
+      addedRows: incoming,
+      changes: [],
+    };
+  }
+
+  const newPeople = new Set();
+  incoming.forEach(row => {
+    const person = resolver.resolve(row.person);
+    if (person && !resolver.isKnown(row.person)) newPeople.add(person);
+  });
+
+  const before = revenueByPerson(existingRows, resolver, revenueSettings);
+  const after = revenueByPerson(preview.rows, resolver, revenueSettings);
+  const revenue = [...new Set([...before.keys(), ...after.keys()])]
+    .map(person => {
+      const was = before.get(person) || 0;
+      const now = after.get(person) || 0;
+      return { person, before: was, after: now, delta: now - was };
+    })
+    .filter(entry => entry.delta !== 0)
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta) || a.person.localeCompare(b.person));
+
+  return {
+    ...preview,
+    newPeople: [...newPeople.values()].sort((a, b) => a.localeCompare(b)),
+    rejectedNames: collectRejectedNames(incoming, nameSettings),
+    revenue,
+    revenueBefore: [...before.values()].reduce((sum, value) => sum + value, 0),
+    revenueAfter: [...after.values()].reduce((sum, value) => sum + value, 0),
+  };
+}
@@ -0,0 +1,172 @@
+import * as XLSX from 'xlsx';
+import { rowRevenue, describeRevenueFormula } from './revenue';
+import { toDayKey, toHour } from './dates';
+import { rowSite, rowScale } from './sites';
+import { normalizeName } from './names';
+
+// Station summary reports for the command line (scripts/aggregate_html.js): filter normalized rows,
+// total them by person, site, scale, group, shift and day, and write the result as JSON, CSV, Markdown or XLSX.
+// Revenue follows the app's definition (src/revenue.js), so the numbers match the Analytics views.
+
+// Shift from the hour of the weighing, for people without an assigned shift
+export function inferShift(hour) {
+  if (hour === null || hour === undefined) return 'Unknown';
+  if (hour >= 6 && hour < 14) return 'Morning';
+  if (hour >= 14 && hour < 22) return 'Afternoon';
+  return 'Night';
+}
+
+// Rows inside the filters. `from`/`to` are inclusive 'YYYY-MM-DD' station days, `site` matches rowSite,
+// `group` the person's assigned group. `resolvePerson` and `people` ({ name, group }) come from buildReport.
+export function filterReportRows(rows, filters = {}, context = {}) {
+  const { from, to, site, group } = filters;
+  const { dateSettings, resolvePerson = normalizeName, groupOf = () => '' } = context;
+  return rows.filter(row => {
+    if (from || to) {
+      const day = toDayKey(row.date, dateSettings);
+      if (!day || (from && day < from) || (to && day > to)) return false;
+    }
+    if (site && rowSite(row) !== site) return false;
+    if (group && groupOf(resolvePerson(row.person)) !== group) return false;
+    return true;
+  });
+}
+
+function addTo(totals, key, revenue, impounded) {
+  if (!totals.has(key)) totals.set(key, { key, total: 0, count: 0, impounded: 0 });
+  const entry = totals.get(key);
+  entry.total += revenue;
+  entry.count += 1;
+  if (impounded) entry.impounded += 1;
+}
+
+const byRevenue = (totals) => [...totals.values()].sort((a, b) => b.total - a.total || a.key.localeCompare(b.key));
+const byKey = (totals) => [...totals.values()].sort((a, b) => a.key.localeCompare(b.key));
+
+// Report over normalized rows. Options:
+//   filters: { from, to, site, group }
+//   people: stored person records ({ name, group, shift }), e.g. from the app's JSON export, for groups and shifts
+//   resolvePerson: name -> canonical person, '' for placeholder names (see src/names.js, src/nameQuality.js)
+//   dateSettings, revenueSettings: as in the app's settings
+//   files: input file names, recorded in the metadata
+// Every breakdown is [{ key, total, count, impounded }], where total is revenue; byDay is in date order,
+// the rest by revenue.
+export function buildReport(rows, options = {}) {
+  const { filters = {}, people = [], resolvePerson = normalizeName, dateSettings, revenueSettings, files = [] } = options;
+  const byName = new Map(people.map(person => [normalizeName(person.name), person]));
+  const groupOf = (name) => (byName.get(name) || {}).group || '';
+
+  const selected = filterReportRows(rows, filters, { dateSettings, resolvePerson, groupOf });
+
+  const totals = { person: new Map(), site: new Map(), scale: new Map(), group: new Map(), shift: new Map(), day: new Map() };
+  let overallTotal = 0;
+  let impounded = 0;
+  selected.forEach(row => {
+    const revenue = rowRevenue(row, revenueSettings);
+    const person = resolvePerson(row.person) || 'Unknown';
+    const record = byName.get(person) || {};
+    const site = rowSite(row) || 'Unknown';
+    overallTotal += revenue;
+    if (row.impounded) impounded += 1;
+
+    addTo(totals.person, person, revenue, row.impounded);
+    addTo(totals.site, site, revenue, row.impounded);
+    addTo(totals.scale, `${site} / ${rowScale(row) || 'Unknown'}`, revenue, row.impounded);
+    addTo(totals.group, record.group || 'Unassigned', revenue, row.impounded);
+    addTo(totals.shift, record.shift || inferShift(toHour(row.date, dateSettings)), revenue, row.impounded);
+    addTo(totals.day, toDayKey(row.date, dateSettings) || 'Unknown', revenue, row.impounded);
+  });
+
+  return {
+    metadata: {
+      generatedAt: new Date().toISOString(),
+      files,
+      rowsRead: rows.length,
+      rowsReported: selected.length,
+      filters: Object.fromEntries(Object.entries(filters).filter(([, value]) => value)),
+    },
+    revenueFormula: describeRevenueFormula(revenueSettings),
+    overallTotal,
+    impounded,
+    byPerson: byRevenue(totals.person),
+    bySite: byRevenue(totals.site),
+    byScale: byRevenue(totals.scale),
+    byGroup: byRevenue(totals.group),
+    byShift: byRevenue(totals.shift),
+    byDay: byKey(totals.day),
+  };
+}
+
+// Breakdowns in output order: [report key, title, label of the key column]
+export const REPORT_SECTIONS = [
+  ['byPerson', 'By Person', 'Person'],
+  ['bySite', 'By Site', 'Site'],
+  ['byScale', 'By Scale', 'Site / Scale'],
+  ['byGroup', 'By Group', 'Group'],
+  ['byShift', 'By Shift', 'Shift'],
+  ['byDay', 'By Day', 'Day'],
+];
+
+const money = (n) => n.toFixed(2);
+
+function csvCell(value) {
+  const s = String(value);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// One table with a section column, so every breakdown fits in a single CSV file
+export function reportToCsv(report) {
+  const lines = [['section', 'key', 'count', 'impounded', 'revenue'].join(',')];
+  lines.push(['total', 'All', report.metadata.rowsReported, report.impounded, money(report.overallTotal)].map(csvCell).join(','));
+  REPORT_SECTIONS.forEach(([section]) => {
+    report[section].forEach(entry => {
+      lines.push([section, entry.key, entry.count, entry.impounded, money(entry.total)].map(csvCell).join(','));
+    });
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+const mdCell = (value) => String(value).replace(/\|/g, '\\|');
+
+export function reportToMarkdown(report) {
+  const { metadata } = report;
+  const filters = Object.entries(metadata.filters).map(([name, value]) => `${name} ${value}`).join(', ');
+  const lines = [
+    '# Weighbridge Report',
+    '',
+    `- Files: ${metadata.files.join(', ') || '-'}`,
+    `- Filters: ${filters || 'none'}`,
+    `- Rows: ${metadata.rowsReported.toLocaleString('en-US')} of ${metadata.rowsRead.toLocaleString('en-US')}`,
+    `- Revenue: ${money(report.overallTotal)} (${report.revenueFormula})`,
+    `- Impounded: ${report.impounded.toLocaleString('en-US')}`,
+    `- Generated: ${metadata.generatedAt}`,
+  ];
+  REPORT_SECTIONS.forEach(([section, title, label]) => {
+    lines.push('', `## ${title}`, '', `| ${label} | Rows | Impounded | Revenue |`, '| --- | ---: | ---: | ---: |');
+    report[section].forEach(entry => {
+      lines.push(`| ${mdCell(entry.key)} | ${entry.count} | ${entry.impounded} | ${money(entry.total)} |`);
+    });
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+// Workbook with a Summary sheet and one sheet per breakdown
+export function reportToWorkbook(report) {
+  const wb = XLSX.utils.book_new();
+  const summary = [
+    ['Files', report.metadata.files.join(', ')],
+    ['Filters', JSON.stringify(report.metadata.filters)],
+    ['Rows Read', report.metadata.rowsRead],
+    ['Rows Reported', report.metadata.rowsReported],
+    ['Revenue Formula', report.revenueFormula],
+    ['Revenue', report.overallTotal],
+    ['Impounded', report.impounded],
+    ['Generated', report.metadata.generatedAt],
+  ];
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(summary), 'Summary');
+  REPORT_SECTIONS.forEach(([section, title, label]) => {
+    const rows = report[section].map(entry => ({ [label]: entry.key, Rows: entry.count, Impounded: entry.impounded, Revenue: entry.total }));
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows, { header: [label, 'Rows', 'Impounded', 'Revenue'] }), title);
+  });
+  return wb;
+}
@@ -0,0 +1,84 @@
+// The one definition of revenue for a weighing row, used by the upload parser, every analytics view
+// and the export scripts. The export's Amount Due already includes the axle and awkward-load fines, so
+// adding those columns on top counts them twice; the default counts Amount Due and Amount Due Driver.
+
+// Columns that can count towards revenue. `portion` says whether the vehicle owner or the driver pays it.
+export const REVENUE_COLUMNS = [
+  { key: 'amountDue', label: 'Amount Due', portion: 'owner' },
+  { key: 'gvmFine', label: 'GVM Fine', portion: 'owner' },
+  { key: 'd1Fine', label: 'D1 Fine', portion: 'owner' },
+  { key: 'd2Fine', label: 'D2 Fine', portion: 'owner' },
+  { key: 'd3Fine', label: 'D3 Fine', portion: 'owner' },
+  { key: 'd4Fine', label: 'D4 Fine', portion: 'owner' },
+  { key: 'awkwardLoadFine', label: 'Awkward Load Fine', portion: 'owner' },
+  { key: 'amountDueDriver', label: 'Amount Due Driver', portion: 'driver' },
+  { key: 'gvmDriverFine', label: 'GVM Driver Fine', portion: 'driver' },
+  { key: 'd1DriverFine', label: 'D1 Driver Fine', portion: 'driver' },
+  { key: 'd2DriverFine', label: 'D2 Driver Fine', portion: 'driver' },
+  { key: 'd3DriverFine', label: 'D3 Driver Fine', portion: 'driver' },
+  { key: 'd4DriverFine', label: 'D4 Driver Fine', portion: 'driver' },
+];
+
+// columns: keys from REVENUE_COLUMNS that count
+// applyConversionFactor: multiply by the row's Conversion Factor (rows without one count as 1)
+// ownerShare / driverShare: percentage of each portion that counts as revenue
+export const DEFAULT_REVENUE_SETTINGS = {
+  columns: ['amountDue', 'amountDueDriver'],
+  applyConversionFactor: false,
+  ownerShare: 100,
+  driverShare: 100,
+};
+
+function settingsWithDefaults(settings) {
+  return { ...DEFAULT_REVENUE_SETTINGS, ...(settings || {}) };
+}
+
+function amount(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : 0;
+}
+
+function share(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n / 100 : 1;
+}
+
+// Owner and driver revenue of a row, and their sum
+export function revenueParts(row, settings) {
+  const options = settingsWithDefaults(settings);
+  const counted = new Set(options.columns);
+  const factor = options.applyConversionFactor && amount(row.conversionFactor) > 0 ? amount(row.conversionFactor) : 1;
+
+  const parts = { owner: 0, driver: 0 };
+  REVENUE_COLUMNS.forEach(column => {
+    if (counted.has(column.key)) parts[column.portion] += amount(row[column.key]);
+  });
+
+  const owner = parts.owner * share(options.ownerShare) * factor;
+  const driver = parts.driver * share(options.driverShare) * factor;
+  return { owner, driver, total: owner + driver };
+}
+
+export function rowRevenue(row, settings) {
+  return revenueParts(row, settings).total;
+}
+
+// Human-readable formula, e.g. "Amount Due × 100% + Amount Due Driver × 50%"
+export function describeRevenueFormula(settings) {
+  const options = settingsWithDefaults(settings);
+  const terms = ['owner', 'driver']
+    .map(portion => {
+      const labels = REVENUE_COLUMNS
+        .filter(column => column.portion === portion && options.columns.includes(column.key))
+        .map(column => column.label);
+      if (labels.length === 0) return null;
+      const percent = portion === 'owner' ? options.ownerShare : options.driverShare;
+      const sum = labels.length > 1 ? `(${labels.join(' + ')})` : labels[0];
+      return `${sum} × ${percent}%`;
+    })
+    .filter(Boolean);
+
+  if (terms.length === 0) return '0';
+  const formula = terms.length > 1 ? `(${terms.join(' + ')})` : terms[0];
+  return options.applyConversionFactor ? `${formula} × Conversion Factor` : terms.join(' + ');
+}
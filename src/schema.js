@@ -0,0 +1,254 @@
+// Normalized row model for the weighbridge export.
+// Every column of the 88-column export has a typed field here, so components can rely on one schema
+// instead of looking up raw header names. Format readers (Excel, CSV, HTML) hand their header-keyed
+// records to normalizeRecord.
+
+import { DEFAULT_DATE_SETTINGS, detectDateOrder, parseDate } from './dates';
+import { rowRevenue } from './revenue';
+
+// Per-axle-group columns repeat for GVM and D1–D4 with the same suffixes
+const AXLE_GROUPS = [
+  { prefix: 'gvm', header: 'GVM' },
+  { prefix: 'd1', header: 'D1' },
+  { prefix: 'd2', header: 'D2' },
+  { prefix: 'd3', header: 'D3' },
+  { prefix: 'd4', header: 'D4' },
+];
+
+const AXLE_COLUMNS = [
+  { suffix: 'AxleConfig', header: 'Axle Configuration', type: 'string' },
+  { suffix: 'Weight', header: 'Weight', type: 'number' },
+  // The export spells it "Adjasted"
+  { suffix: 'AdjustedWeight', header: 'Adjasted Weight', type: 'number', aliases: ['Adjusted Weight'] },
+  { suffix: 'LegalLoad', header: 'Legal Load', type: 'number' },
+  { suffix: 'LegalLoadAllowance', header: 'Legal Load Plus Allowance', type: 'number' },
+  { suffix: 'Overload', header: 'Overload', type: 'number' },
+  { suffix: 'ChargeOverload', header: 'Charge Overload', type: 'number' },
+  { suffix: 'OverloadPerc', header: 'Overload Perc', type: 'number' },
+  { suffix: 'Fine', header: 'Fine', type: 'number' },
+  { suffix: 'Points', header: 'Points', type: 'number' },
+  { suffix: 'DriverFine', header: 'Driver Fine', type: 'number' },
+];
+
+// Fuzzy detection for the fields the column-mapping step exposes
+const MAPPING_HINTS = {
+  person: { label: 'Person', candidates: ['user full name', 'full name', 'operator', 'person', 'name', 'weighed by', 'user'], fallbacks: ['User Full Name', 'Operator', 'Person', 'Name'] },
+  impounded: { label: 'Impounded', candidates: ['in detention', 'detention', 'impound', 'seized', 'held'], fallbacks: ['In Detention', 'Impounded'] },
+  date: { label: 'Date', candidates: ['w date time', 'date time', 'datetime', 'date', 'time'], fallbacks: ['Date', 'Datetime'] },
+  truckId: { label: 'Truck', candidates: ['truck', 'vehicle', 'plate'], fallbacks: ['Truck', 'Truck No', 'Truck ID'] },
+  amountDue: { label: 'Amount Due', candidates: ['amount due', 'total due', 'amount owed', 'total owed'], fallbacks: ['Amount Due'] },
+  gvmFine: { label: 'GVM Fine', candidates: ['gvm fine', 'gross vehicle mass fine'], fallbacks: ['GVM Fine'] },
+  d1Fine: { label: 'D1 Fine', candidates: ['d1 fine', 'd1fine'], fallbacks: ['D1 Fine'] },
+  d2Fine: { label: 'D2 Fine', candidates: ['d2 fine', 'd2fine'], fallbacks: ['D2 Fine'] },
+  d3Fine: { label: 'D3 Fine', candidates: ['d3 fine', 'd3fine'], fallbacks: ['D3 Fine'] },
+  d4Fine: { label: 'D4 Fine', candidates: ['d4 fine', 'd4fine'], fallbacks: ['D4 Fine'] },
+  awkwardLoadFine: { label: 'Awkward Load Fine', candidates: ['awkward load fine', 'awkward fine'], fallbacks: ['Awkward Load Fine'] },
+  amountDueDriver: { label: 'Amount Due Driver', candidates: ['amount due driver', 'driver amount', 'driver fine'], fallbacks: ['Amount Due Driver'] },
+};
+
+// Fields in export column order. `type` is one of string, number, date, boolean.
+export const ROW_FIELDS = [
+  { key: 'recordId', header: 'Id', type: 'string' },
+  { key: 'date', header: 'W Date Time', type: 'date' },
+  { key: 'reweighDate', header: 'RW Date Time', type: 'date' },
+  { key: 'ticketSn', header: 'Ticket SN', type: 'string' },
+  { key: 'siteName', header: 'Site Name', type: 'string' },
+  { key: 'scaleName', header: 'Scale Name', type: 'string' },
+  { key: 'currentLocation', header: 'Current Location', type: 'string' },
+  { key: 'truckId', header: 'Vehicle', type: 'string' },
+  { key: 'vehicleType', header: 'Vehicle Type', type: 'string' },
+  { key: 'axleRange', header: 'Vehicle Axle Range', type: 'number' },
+  { key: 'ownerName', header: 'Owner Name', type: 'string' },
+  { key: 'ownerAddress', header: 'Owner Address', type: 'string' },
+  { key: 'driverName', header: 'Driver Name', type: 'string' },
+  { key: 'driverAddress', header: 'Driver Address', type: 'string' },
+  { key: 'driverNationality', header: 'Driver Nationality', type: 'string' },
+  { key: 'driverLicenceId', header: 'Driver Licence ID', type: 'string', aliases: ['Driver License ID'] },
+  { key: 'cargoCategory', header: 'Cargo Cat', type: 'string' },
+  { key: 'cargoType', header: 'Cargo Type', type: 'string' },
+  { key: 'cargo', header: 'Cargo', type: 'string' },
+  { key: 'origin', header: 'Origin', type: 'string' },
+  { key: 'destination', header: 'Destination', type: 'string' },
+  ...AXLE_GROUPS.flatMap(group => AXLE_COLUMNS.map(column => ({
+    key: `${group.prefix}${column.suffix}`,
+    header: `${group.header} ${column.header}`,
+    type: column.type,
+    aliases: (column.aliases || []).map(alias => `${group.header} ${alias}`),
+  }))),
+  { key: 'amountDue', header: 'Amount Due', type: 'number' },
+  { key: 'awkwardLoadFine', header: 'Awkward Load Fine', type: 'number' },
+  { key: 'amountDueDriver', header: 'Amount Due Driver', type: 'number' },
+  { key: 'conversionFactor', header: 'Conversion Factor', type: 'number' },
+  { key: 'pointsDue', header: 'Points Due', type: 'number' },
+  { key: 'person', header: 'User Full Name', type: 'string' },
+  { key: 'reweighUser', header: 'RW User Full Name', type: 'string' },
+  { key: 'receiptNumber', header: 'Receipt Num', type: 'string', aliases: ['Receipt Number'] },
+  { key: 'comment', header: 'Comment', type: 'string' },
+  { key: 'distance', header: 'Distance', type: 'number' },
+  { key: 'impounded', header: 'In Detention', type: 'boolean' },
+  { key: 'uploadedToMasterDb', header: 'Uploaded To Masterdb', type: 'boolean' },
+].map(field => ({ aliases: [], ...field, ...MAPPING_HINTS[field.key] }));
+
+// Canonical fields the column-mapping step lets users confirm or override.
+// `candidates` drive header detection, `fallbacks` are literal column names tried when the mapped cell is empty.
+export const MAPPING_FIELDS = Object.keys(MAPPING_HINTS).map(key => ROW_FIELDS.find(f => f.key === key));
+
+export function buildHeaderMap(headers, overrides = {}) {
+  const original = (headers || []).map(h => String(h));
+  const lower = original.map(h => h.trim().toLowerCase());
+
+  // Headers that are exactly another field's column, e.g. "Site Name" or "GVM Driver Fine"
+  const claimedBy = new Map();
+  ROW_FIELDS.forEach(field => [field.header, ...field.aliases].forEach(name => claimedBy.set(name.toLowerCase(), field.key)));
+
+  // Exact header matches win over substring matches, so "RW Date Time" never beats "W Date Time". A
+  // substring match skips headers claimed by another field, so "name" does not pick up "Owner Name".
+  function find(key, candidates) {
+    for (const c of candidates) {
+      const idx = lower.indexOf(c);
+      if (idx >= 0) return original[idx];
+    }
+    for (const c of candidates) {
+      const idx = lower.findIndex(k => k.includes(c) && (claimedBy.get(k) || key) === key);
+      if (idx >= 0) return original[idx];
+    }
+    return undefined;
+  }
+
+  function findExact(names) {
+    for (const name of names) {
+      const idx = lower.indexOf(name.toLowerCase());
+      if (idx >= 0) return original[idx];
+    }
+    return undefined;
+  }
+
+  const map = {};
+  ROW_FIELDS.forEach((field) => {
+    map[field.key] = field.candidates
+      ? find(field.key, field.candidates)
+      : findExact([field.header, ...field.aliases]);
+  });
+
+  Object.entries(overrides || {}).forEach(([key, column]) => {
+    if (!(key in map)) return;
+    // Ignore overrides that point at a column this sheet does not have
+    if (column === null || original.includes(column)) map[key] = column;
+  });
+  return map;
+}
+
+// Order-independent fingerprint of a header row, used to pick a saved mapping profile
+export function headerSignature(headers) {
+  return (headers || [])
+    .map(h => String(h).trim().toLowerCase())
+    .filter(Boolean)
+    .sort()
+    .join('|');
+}
+
+// Turn one header-keyed record into a typed row. `extra` carries reader metadata such as the sheet name,
+// the date settings (see src/dates.js) and the revenue settings (see src/revenue.js).
+// `totalRevenue` is computed with the revenue settings in force at upload time.
+export function normalizeRecord(record, headerMap, extra = {}) {
+  const row = {
+    group: '',
+    shift: '',
+  };
+
+  // Source values that could not be read as a number or date, for validation to report
+  const invalid = {};
+  // Dates whose day and month could be swapped
+  const ambiguous = {};
+  ROW_FIELDS.forEach((field) => {
+    const value = fieldValue(record, headerMap, field);
+    if (field.type === 'date') {
+      const parsed = parseDate(value, extra.dateSettings);
+      row[field.key] = parsed.value;
+      if (parsed.ambiguous) ambiguous[field.key] = value;
+    } else {
+      row[field.key] = coerce(field.type, value);
+    }
+    if (isCoercionFailure(field.type, value, row[field.key])) invalid[field.key] = value;
+  });
+
+  row.sheet = extra.sheet || '';
+  row.totalRevenue = rowRevenue(row, extra.revenueSettings);
+  row._raw = record;
+  if (Object.keys(invalid).length > 0) row._invalid = invalid;
+  if (Object.keys(ambiguous).length > 0) row._ambiguous = ambiguous;
+  return row;
+}
+
+// Date settings for one sheet: in 'auto' mode the day/month order is taken from the values of its date columns
+export function sheetDateSettings(records, headerMap, dateSettings = {}) {
+  const settings = { ...DEFAULT_DATE_SETTINGS, ...dateSettings };
+  if (settings.inputFormat !== 'auto') return settings;
+  const columns = ROW_FIELDS.filter(f => f.type === 'date').map(f => headerMap[f.key]).filter(Boolean);
+  const detectedOrder = detectDateOrder(records.flatMap(record => columns.map(column => record[column])));
+  return detectedOrder ? { ...settings, detectedOrder } : settings;
+}
+
+function isCoercionFailure(type, value, coerced) {
+  if (type === 'number') return Number.isNaN(coerced);
+  if (type === 'date') return coerced === '' && toText(value) !== '';
+  return false;
+}
+
+function fieldValue(record, headerMap, field) {
+  // An explicit null mapping means the user chose to leave this field empty
+  if (headerMap[field.key] === null) return '';
+  return pickFirstNonEmpty(
+    record[headerMap[field.key]],
+    ...(field.fallbacks || []).map(column => record[column])
+  );
+}
+
+function coerce(type, value) {
+  switch (type) {
+    case 'number':
+      return toNumber(value);
+    case 'boolean':
+      return normalizeBool(value);
+    default:
+      return toText(value);
+  }
+}
+
+export function toText(value) {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return toDateString(value);
+  return String(value).trim();
+}
+
+// Blank cells count as 0; anything that is not a number becomes NaN so validation can flag it
+export function toNumber(value) {
+  if (value === undefined || value === null || value === '') return 0;
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  const cleaned = String(value).replace(/[,\s]/g, '');
+  if (cleaned === '') return 0;
+  return Number(cleaned);
+}
+
+// Dates are kept as ISO-8601 wall-clock strings in station time: "YYYY-MM-DD" or "YYYY-MM-DDTHH:mm:ss"
+export function toDateString(value, dateSettings) {
+  return parseDate(value, dateSettings).value;
+}
+
+export function normalizeBool(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+  const s = String(value || '').trim().toLowerCase();
+  if (s === 'yes' || s === 'true' || s === '1' || s === 'y') return true;
+  return false;
+}
+
+function pickFirstNonEmpty(...values) {
+  for (const v of values) {
+    if (v === undefined || v === null) continue;
+    const s = String(v);
+    if (s.trim().length > 0) return v;
+  }
+  return '';
+}
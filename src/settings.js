@@ -0,0 +1,36 @@
+import { DEFAULT_DATE_SETTINGS } from './dates';
+import { DEFAULT_REVENUE_SETTINGS } from './revenue';
+import { DEFAULT_NAME_QUALITY_SETTINGS } from './nameQuality';
+import { DEFAULT_PROFILE_SETTINGS } from './audit';
+
+// App settings kept in localStorage next to the session data. Missing keys fall back to the defaults,
+// so settings saved by an older version keep working.
+const SETTINGS_KEY = 'weighbridge_settings_v1';
+
+export const DEFAULT_SETTINGS = {
+  dates: DEFAULT_DATE_SETTINGS,
+  revenue: DEFAULT_REVENUE_SETTINGS,
+  names: DEFAULT_NAME_QUALITY_SETTINGS,
+  profile: DEFAULT_PROFILE_SETTINGS,
+};
+
+export function loadSettings() {
+  try {
+    const raw = localStorage.getItem(SETTINGS_KEY);
+    const saved = raw ? JSON.parse(raw) : {};
+    return Object.fromEntries(
+      Object.entries(DEFAULT_SETTINGS).map(([section, defaults]) => [section, { ...defaults, ...(saved[section] || {}) }])
+    );
+  } catch (e) {
+    console.warn('Failed to load settings:', e);
+    return DEFAULT_SETTINGS;
+  }
+}
+
+export function saveSettings(settings) {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.warn('Failed to save settings:', e);
+  }
+}
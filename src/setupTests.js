@@ -3,3 +3,24 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+import { serialize, deserialize } from 'v8';
+import { TextDecoder, TextEncoder } from 'util';
+import { webcrypto } from 'crypto';
+
+// fake-indexeddb clones records with structuredClone, which jsdom does not provide
+if (typeof global.structuredClone !== 'function') {
+  global.structuredClone = (value) => deserialize(serialize(value));
+}
+
+// CSV uploads decode bytes with TextDecoder, which the jsdom environment does not expose
+if (typeof global.TextDecoder !== 'function') {
+  global.TextDecoder = TextDecoder;
+}
+
+// Encrypted backups use TextEncoder and WebCrypto, which jsdom does not provide either
+if (typeof global.TextEncoder !== 'function') {
+  global.TextEncoder = TextEncoder;
+}
+if (!global.crypto || !global.crypto.subtle) {
+  Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+}
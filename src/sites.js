@@ -0,0 +1,74 @@
+import { rowRevenue } from './revenue';
+
+// Sites and scales: an export row is weighed at a site ("Chongwe-B") on one of its scales ("TESTDB1").
+// Rows keep the Site Name, Scale Name and Current Location columns as parsed; these helpers are how
+// the app reads, filters and breaks rows down by them. People, groups and shifts may carry a `site`
+// to scope them to one site; an empty site means every site.
+
+const clean = (value) => (value === undefined || value === null ? '' : String(value).replace(/\s+/g, ' ').trim());
+
+// Site of a row: Site Name, or Current Location on exports without it
+export function rowSite(row) {
+  return clean(row.siteName) || clean(row.currentLocation);
+}
+
+export function rowScale(row) {
+  return clean(row.scaleName);
+}
+
+// Sites in `rows` with their scales: [{ site, scales: [...] }], sorted by name
+export function siteOptions(rows) {
+  const sites = new Map();
+  rows.forEach(row => {
+    const site = rowSite(row);
+    if (!site) return;
+    if (!sites.has(site)) sites.set(site, new Set());
+    const scale = rowScale(row);
+    if (scale) sites.get(site).add(scale);
+  });
+  return [...sites.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([site, scales]) => ({ site, scales: [...scales].sort((a, b) => a.localeCompare(b)) }));
+}
+
+// Rows weighed at `site` and, if given, on `scale`; an empty site keeps every row
+export function filterBySite(rows, { site = '', scale = '' } = {}) {
+  if (!site) return rows;
+  return rows.filter(row => rowSite(row) === site && (!scale || rowScale(row) === scale));
+}
+
+// Whether a person, group or shift record applies at `site`. Records without a site apply everywhere,
+// and every record applies when no site is selected.
+export function inSiteScope(record, site) {
+  return !site || !record.site || record.site === site;
+}
+
+// Sites each person weighed at, keyed by resolved name
+export function sitesByPerson(rows, resolvePerson = name => name) {
+  const sites = {};
+  rows.forEach(row => {
+    const person = resolvePerson(row.person);
+    const site = rowSite(row);
+    if (!person || !site) return;
+    if (!sites[person]) sites[person] = new Set();
+    sites[person].add(site);
+  });
+  return sites;
+}
+
+// Weighings, impounded vehicles and revenue per site and scale:
+// [{ site, scale, weighings, impounded, revenue }] sorted by site then scale. Rows without a site count as 'Unknown Site'.
+export function siteBreakdown(rows, revenueSettings) {
+  const totals = new Map();
+  rows.forEach(row => {
+    const site = rowSite(row) || 'Unknown Site';
+    const scale = rowScale(row);
+    const key = `${site}\u0000${scale}`;
+    if (!totals.has(key)) totals.set(key, { site, scale, weighings: 0, impounded: 0, revenue: 0 });
+    const entry = totals.get(key);
+    entry.weighings += 1;
+    if (row.impounded) entry.impounded += 1;
+    entry.revenue += rowRevenue(row, revenueSettings);
+  });
+  return [...totals.values()].sort((a, b) => a.site.localeCompare(b.site) || a.scale.localeCompare(b.scale));
+}
@@ -0,0 +1,59 @@
+import { readFileWithProgress, readWorkbook, workbookFromRecords } from './excel';
+import { parseDelimitedBuffer } from './csv';
+import { parseHtmlBuffer } from './html';
+
+// Upload formats by file extension. Every format is read into a workbook so the sheet picker,
+// column mapping and normalization do not depend on where the rows came from.
+const FORMATS = {
+  xlsx: 'excel',
+  xls: 'excel',
+  csv: 'delimited',
+  tsv: 'delimited',
+  txt: 'delimited',
+  html: 'html',
+  htm: 'html'
+};
+
+export const SUPPORTED_EXTENSIONS = Object.keys(FORMATS).map(ext => `.${ext}`);
+
+function extensionOf(fileName) {
+  const match = /\.([^.]+)$/.exec(fileName || '');
+  return match ? match[1].toLowerCase() : '';
+}
+
+export function detectFileFormat(fileName) {
+  return FORMATS[extensionOf(fileName)] || null;
+}
+
+// Delimited and HTML files have a single table, named after the file
+function sheetNameFromFile(fileName) {
+  return (fileName || 'Data').replace(/\.[^.]+$/, '') || 'Data';
+}
+
+async function readDelimitedWorkbook(file, onProgress) {
+  const buffer = await readFileWithProgress(file, onProgress);
+  onProgress({ phase: 'loading' });
+  const options = extensionOf(file.name) === 'tsv' ? { delimiter: '\t' } : {};
+  const { records } = parseDelimitedBuffer(buffer, options);
+  return workbookFromRecords([{ name: sheetNameFromFile(file.name), records }]);
+}
+
+async function readHtmlWorkbook(file, onProgress) {
+  const buffer = await readFileWithProgress(file, onProgress);
+  onProgress({ phase: 'loading' });
+  const { records } = parseHtmlBuffer(buffer);
+  return workbookFromRecords([{ name: sheetNameFromFile(file.name), records }]);
+}
+
+export async function readSource(file, onProgress = () => {}) {
+  switch (detectFileFormat(file.name)) {
+    case 'excel':
+      return readWorkbook(file, onProgress);
+    case 'delimited':
+      return readDelimitedWorkbook(file, onProgress);
+    case 'html':
+      return readHtmlWorkbook(file, onProgress);
+    default:
+      throw new Error(`Unsupported file type: ${file.name}`);
+  }
+}
@@ -0,0 +1,169 @@
+import * as XLSX from 'xlsx';
+import { ROW_FIELDS } from './schema';
+import { DEFAULT_DATE_SETTINGS, nowInTimeZone } from './dates';
+
+// Row validation run after parsing and before an upload is committed.
+// Each rule adds issues of severity 'error' (the value is unusable) or 'warning' (worth checking).
+
+const FIELDS_BY_KEY = Object.fromEntries(ROW_FIELDS.map(field => [field.key, field]));
+
+const REQUIRED_FIELDS = ['date', 'person', 'truckId'];
+const FINE_FIELDS = ['gvmFine', 'd1Fine', 'd2Fine', 'd3Fine', 'd4Fine', 'awkwardLoadFine'];
+const NON_NEGATIVE_SUFFIXES = ['Weight', 'LegalLoad', 'LegalLoadAllowance', 'Fine', 'Points', 'DriverFine'];
+const NON_NEGATIVE_FIELDS = ['amountDue', 'awkwardLoadFine', 'amountDueDriver', 'pointsDue', 'conversionFactor', 'distance'];
+// Heaviest legal combination is far below this, so anything above is a unit or typing error
+const MAX_WEIGHT_KG = 200000;
+const FINE_TOLERANCE = 0.01;
+
+function label(key) {
+  return FIELDS_BY_KEY[key] ? FIELDS_BY_KEY[key].header : key;
+}
+
+function isNonNegativeField(key) {
+  return NON_NEGATIVE_FIELDS.includes(key) || NON_NEGATIVE_SUFFIXES.some(suffix => /^(gvm|d[1-4])/.test(key) && key.endsWith(suffix));
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+const RULES = [
+  function requiredFields(row, issue) {
+    REQUIRED_FIELDS.forEach(key => {
+      // An unreadable value is reported by the parse rules below
+      if (isEmpty(row[key]) && !(row._invalid && key in row._invalid)) {
+        issue('error', 'required', key, `${label(key)} is missing`);
+      }
+    });
+    if (isEmpty(row.recordId) && isEmpty(row.ticketSn)) {
+      issue('warning', 'identity', 'recordId', 'Id and Ticket SN are both missing, so the row cannot be deduplicated');
+    }
+  },
+
+  function parseFailures(row, issue) {
+    Object.entries(row._invalid || {}).forEach(([key, value]) => {
+      const field = FIELDS_BY_KEY[key];
+      if (!field) return;
+      if (field.type === 'date') {
+        // Only the weighing date drives analytics; a bad reweigh date is worth a look but not fatal
+        issue(key === 'date' ? 'error' : 'warning', 'date', key, `${label(key)} "${value}" is not a valid date`);
+      } else {
+        issue('error', 'number', key, `${label(key)} "${value}" is not a number`);
+      }
+    });
+  },
+
+  function numericRanges(row, issue) {
+    ROW_FIELDS.forEach(field => {
+      const value = row[field.key];
+      if (field.type !== 'number' || !Number.isFinite(value)) return;
+      if (value < 0 && isNonNegativeField(field.key)) {
+        issue('error', 'range', field.key, `${label(field.key)} is negative (${value})`);
+      } else if (field.key.endsWith('Weight') && value > MAX_WEIGHT_KG) {
+        issue('warning', 'range', field.key, `${label(field.key)} of ${value} kg is implausibly high`);
+      }
+    });
+  },
+
+  function futureDates(row, issue, context) {
+    // Both sides are station wall-clock strings, so they compare as text
+    if (row.date && row.date > context.now) {
+      issue('warning', 'date', 'date', `${label('date')} ${row.date} is in the future`);
+    }
+  },
+
+  function ambiguousDates(row, issue) {
+    Object.entries(row._ambiguous || {}).forEach(([key, value]) => {
+      issue('warning', 'ambiguousDate', key,
+        `${label(key)} "${value}" could be day/month or month/day; read as ${row[key].slice(0, 10)}`);
+    });
+  },
+
+  function fineTotals(row, issue) {
+    const fines = FINE_FIELDS.map(key => row[key]);
+    if (!fines.every(Number.isFinite) || !Number.isFinite(row.amountDue)) return;
+    const total = fines.reduce((sum, fine) => sum + fine, 0);
+    if (Math.abs(total - row.amountDue) > FINE_TOLERANCE) {
+      issue('warning', 'fineTotal', 'amountDue', `Fines add up to ${total} but Amount Due is ${row.amountDue}`);
+    }
+  },
+];
+
+// `options.dateSettings` gives the station timezone used for the future-date check
+function ruleContext(options) {
+  const dateSettings = { ...DEFAULT_DATE_SETTINGS, ...options.dateSettings };
+  return { now: nowInTimeZone(dateSettings.timeZone) };
+}
+
+function runRules(row, context) {
+  const result = { errors: [], warnings: [] };
+  const issue = (severity, rule, field, message) => {
+    (severity === 'error' ? result.errors : result.warnings).push({ rule, field, message });
+  };
+  RULES.forEach(rule => rule(row, issue, context));
+  return result;
+}
+
+// Validate one row. Returns { errors, warnings }, each a list of { rule, field, message }.
+export function validateRow(row, options = {}) {
+  return runRules(row, ruleContext(options));
+}
+
+// Validate a parsed upload. `results` lines up with `rows`; `summary` counts rows and issues by rule.
+export function validateRows(rows, options = {}) {
+  const context = ruleContext(options);
+  const results = rows.map(row => runRules(row, context));
+  const issueCounts = {};
+
+  results.forEach(result => {
+    [['error', result.errors], ['warning', result.warnings]].forEach(([severity, issues]) => {
+      issues.forEach(({ rule, field }) => {
+        const key = `${severity}|${rule}|${field}`;
+        if (!issueCounts[key]) {
+          issueCounts[key] = { severity, rule, field, label: label(field), count: 0 };
+        }
+        issueCounts[key].count++;
+      });
+    });
+  });
+
+  const summary = {
+    totalRows: rows.length,
+    errorRows: results.filter(r => r.errors.length > 0).length,
+    warningRows: results.filter(r => r.errors.length === 0 && r.warnings.length > 0).length,
+    issues: Object.values(issueCounts).sort((a, b) =>
+      (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1) || b.count - a.count
+    ),
+  };
+  summary.validRows = summary.totalRows - summary.errorRows - summary.warningRows;
+
+  return { results, summary };
+}
+
+// Workbook of every row with an error or warning: the original export columns plus the issues found
+export function buildValidationReport(rows, validation) {
+  const failing = [];
+  rows.forEach((row, index) => {
+    const { errors, warnings } = validation.results[index];
+    if (errors.length === 0 && warnings.length === 0) return;
+    failing.push({
+      'Upload Row': index + 1,
+      'Sheet': row.sheet || '',
+      'Errors': errors.map(e => e.message).join('; '),
+      'Warnings': warnings.map(w => w.message).join('; '),
+      ...(row._raw || {}),
+    });
+  });
+
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(failing), 'Failing Rows');
+
+  const summaryRows = validation.summary.issues.map(issue => ({
+    Severity: issue.severity,
+    Field: issue.label,
+    Rule: issue.rule,
+    Rows: issue.count,
+  }));
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(summaryRows), 'Summary');
+  return wb;
+}
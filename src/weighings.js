@@ -0,0 +1,50 @@
+import { nameKey } from './names';
+import { rowSite } from './sites';
+
+// The weighings store holds one record per row of the current dataset, so views can query a slice by
+// date, person, vehicle, site, ticket or impounded flag instead of loading every upload
+// (see WeighbridgeDB.queryWeighings). A record is { id, row, date, person, vehicle, site, ticketSn, impounded }:
+// the stored row plus the keys it is indexed by.
+
+export const WEIGHING_INDEXES = ['date', 'person', 'vehicle', 'site', 'ticketSn', 'impounded'];
+
+const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+export function toWeighing(row) {
+  const record = {
+    row,
+    // Matched like names everywhere else in the app (src/names.js)
+    person: nameKey(row.person),
+    vehicle: text(row.truckId),
+    site: rowSite(row),
+    ticketSn: text(row.ticketSn),
+    // Booleans cannot be index keys
+    impounded: row.impounded ? 1 : 0
+  };
+  // Rows without a date stay out of the date index
+  if (row.date) record.date = row.date;
+  return record;
+}
+
+// Index key of a value as callers give it: a person's name in any spelling, impounded as a boolean
+export function weighingKey(index, value) {
+  if (index === 'person') return nameKey(value);
+  if (index === 'impounded') return value ? 1 : 0;
+  return value;
+}
+
+// IDBKeyRange for a query: an IDBKeyRange, { only }, or { from, to } with either bound left out (both inclusive).
+// On the date index a bare day ('2025-07-01') as `to` includes that whole day.
+export function toKeyRange(index, range) {
+  if (!range || range instanceof IDBKeyRange) return range || null;
+  if ('only' in range) return IDBKeyRange.only(weighingKey(index, range.only));
+
+  const from = range.from === undefined ? undefined : weighingKey(index, range.from);
+  let to = range.to === undefined ? undefined : weighingKey(index, range.to);
+  if (index === 'date' && typeof to === 'string' && to.length === 10) to = `${to}\uFFFF`;
+
+  if (from !== undefined && to !== undefined) return IDBKeyRange.bound(from, to);
+  if (from !== undefined) return IDBKeyRange.lowerBound(from);
+  if (to !== undefined) return IDBKeyRange.upperBound(to);
+  return null;
+}
@@ -0,0 +1,4 @@
+// Kept in its own module: Jest cannot parse import.meta, so only the browser build loads this file
+export default function createParserWorker() {
+  return new Worker(new URL('./parser.worker.js', import.meta.url));
+}
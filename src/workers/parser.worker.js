@@ -0,0 +1,24 @@
+/* eslint-disable no-restricted-globals */
+import { getSheetSummaries, parseWorkbook } from '../excel';
+import { readSource } from '../sources';
+
+// The workbook stays in the worker between the inspect and parse steps so it is only read once
+let workbook = null;
+
+self.onmessage = async (event) => {
+  const { id, type, file, options } = event.data;
+  const onProgress = (progress) => self.postMessage({ id, type: 'progress', progress });
+
+  try {
+    if (type === 'inspect') {
+      workbook = await readSource(file, onProgress);
+      self.postMessage({ id, type: 'result', result: getSheetSummaries(workbook) });
+    } else if (type === 'parse') {
+      if (!workbook) throw new Error('No workbook loaded');
+      const rows = parseWorkbook(workbook, { ...options, onProgress });
+      self.postMessage({ id, type: 'result', result: rows });
+    }
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message });
+  }
+};